@@ -0,0 +1,487 @@
+// County annotations
+// Notes, tags ("diligence", "LOI", "passed") and a pipeline status per county, so the
+// deal pipeline lives on the map instead of in a spreadsheet that drifts from it.
+// Annotations show as pins on the map, a Tags column and filter in the rankings
+// table, and an editor in the county panel. They sit behind a store: localStorage
+// for guests, the county_annotations table (row-level security, one user's rows
+// each) for signed-in accounts.
+//
+// Store interface (all async, throw on failure):
+//   id             → string, what the panel tells the user their notes are saved to
+//   list()         → annotation rows
+//   save(a)        → the stored annotation
+//   remove(geoid)  → void
+
+(function(global) {
+    'use strict';
+
+    var STORAGE_KEY = 'fibermap.annotations';
+    var PANE = 'annotations';
+    var STATUSES = [
+        { key: 'prospect', label: 'Prospect', color: '#60a5fa' },
+        { key: 'active',   label: 'Active',   color: '#22c55e' },
+        { key: 'hold',     label: 'On hold',  color: '#fbbf24' },
+        { key: 'closed',   label: 'Closed',   color: '#a78bfa' },
+        { key: 'dropped',  label: 'Dropped',  color: '#f87171' }
+    ];
+    var SUGGESTED_TAGS = ['diligence', 'LOI', 'passed'];
+    var NO_STATUS_COLOR = '#e0e7ff';
+    var MAX_NOTE_LENGTH = 2000;
+    var MAX_TAGS = 12;
+    var MAX_TAG_LENGTH = 32;
+    var ANY_ANNOTATION = '*';   // tag filter value matching every annotated county
+
+    var _store = null;
+    var _storeUser = null;      // user id behind _store; null for the guest store
+    var _loadToken = 0;
+    var _annotations = {};      // geoid → annotation
+    var _showPins = false;
+    var _pinLayer = null;
+    var _panelFips = null;      // county the panel editor is showing
+
+    // ── Annotations (pure) ───────────────────────────────────────────────────
+
+    function _status(key) {
+        for (var i = 0; i < STATUSES.length; i++) {
+            if (STATUSES[i].key === key) return STATUSES[i];
+        }
+        return null;
+    }
+
+    /**
+     * Tags from free text or a list: trimmed, commas split, duplicates (any case) dropped.
+     * @returns {string[]} at most MAX_TAGS tags of at most MAX_TAG_LENGTH characters
+     */
+    function parseTags(input) {
+        var parts = Array.isArray(input) ? input : String(input || '').split(',');
+        var seen = {};
+        var tags = [];
+        parts.forEach(function(part) {
+            var tag = String(part == null ? '' : part).trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+            if (!tag || seen[tag.toLowerCase()] || tags.length >= MAX_TAGS) return;
+            seen[tag.toLowerCase()] = true;
+            tags.push(tag);
+        });
+        return tags;
+    }
+
+    /**
+     * Clean an annotation from the panel or a store.
+     * @returns {Object|null} { geoid, note, tags, status, updated_at }; null without a county FIPS
+     */
+    function normalizeAnnotation(raw) {
+        if (!raw || !/^\d{5}$/.test(String(raw.geoid))) return null;
+        return {
+            geoid: String(raw.geoid),
+            note: String(raw.note || '').trim().slice(0, MAX_NOTE_LENGTH),
+            tags: parseTags(raw.tags),
+            status: _status(raw.status) ? raw.status : null,
+            updated_at: raw.updated_at || null
+        };
+    }
+
+    function isEmpty(annotation) {
+        return !annotation || (!annotation.note && !annotation.tags.length && !annotation.status);
+    }
+
+    // Whether an annotation passes the table's tag filter ('' = all, '*' = any annotation)
+    function matchesTag(annotation, filter) {
+        if (!filter) return true;
+        if (!annotation) return false;
+        if (filter === ANY_ANNOTATION) return true;
+        var want = filter.toLowerCase();
+        return annotation.tags.some(function(tag) { return tag.toLowerCase() === want; });
+    }
+
+    // ── Stores ───────────────────────────────────────────────────────────────
+
+    /**
+     * Guest store: one localStorage entry holding geoid → annotation.
+     * @param {Object} [storage] - Storage-like { getItem, setItem } (default localStorage)
+     */
+    function createLocalStore(storage) {
+        function target() {
+            var s = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+            if (!s) throw new Error('localStorage is unavailable');
+            return s;
+        }
+        function read() {
+            var raw = target().getItem(STORAGE_KEY);
+            var map = raw ? JSON.parse(raw) : {};
+            return map && typeof map === 'object' ? map : {};
+        }
+        function write(map) {
+            target().setItem(STORAGE_KEY, JSON.stringify(map));
+        }
+        return {
+            id: 'local',
+            list: async function() {
+                var map = read();
+                return Object.keys(map).map(function(geoid) { return map[geoid]; });
+            },
+            save: async function(annotation) {
+                var map = read();
+                map[annotation.geoid] = annotation;
+                write(map);
+                return annotation;
+            },
+            remove: async function(geoid) {
+                var map = read();
+                delete map[geoid];
+                write(map);
+            }
+        };
+    }
+
+    /**
+     * Account store: the data source's county_annotations table, scoped to the user by RLS.
+     * @param {Object} source - DataSources source (fetchAnnotations / saveAnnotation / deleteAnnotation)
+     * @param {string} userId - signed-in user's id, written as user_id
+     */
+    function createAccountStore(source, userId) {
+        return {
+            id: 'account',
+            list: function() {
+                return source.fetchAnnotations();
+            },
+            save: async function(annotation) {
+                return (await source.saveAnnotation(Object.assign({ user_id: userId }, annotation))) || annotation;
+            },
+            remove: function(geoid) {
+                return source.deleteAnnotation(geoid);
+            }
+        };
+    }
+
+    // ── Map pins ─────────────────────────────────────────────────────────────
+
+    // Tooltip content as DOM nodes — notes are user text and must never be parsed as HTML
+    function _pinTooltip(fips, annotation) {
+        var county = DataHandler.getCountyData(fips);
+        var status = _status(annotation.status);
+        var parts = [county ? county.name + ', ' + county.state_code : fips];
+        if (status) parts.push(status.label);
+        if (annotation.tags.length) parts.push(annotation.tags.join(', '));
+        var el = document.createElement('div');
+        var title = document.createElement('strong');
+        title.textContent = parts.join(' · ');
+        el.appendChild(title);
+        if (annotation.note) {
+            var note = document.createElement('div');
+            note.className = 'annotation-tooltip-note';
+            note.textContent = annotation.note.length > 120 ? annotation.note.slice(0, 117) + '…' : annotation.note;
+            el.appendChild(note);
+        }
+        return el;
+    }
+
+    function _drawPins() {
+        var map = MapRenderer._map;
+        if (!map) return;
+        if (_pinLayer) map.removeLayer(_pinLayer);
+        _pinLayer = null;
+        if (!_showPins) return;
+        if (!map.getPane(PANE)) {
+            // Above custom overlays (450), below the labels (650)
+            map.createPane(PANE).style.zIndex = 460;
+        }
+        _pinLayer = L.layerGroup();
+        Object.keys(_annotations).forEach(function(fips) {
+            var county = MapRenderer._countyLayerMap[fips];
+            if (!county) return;
+            var annotation = _annotations[fips];
+            var status = _status(annotation.status);
+            var pin = L.circleMarker(county.getBounds().getCenter(), {
+                pane: PANE, radius: 6, weight: 2, color: '#0c0d0f',
+                fillColor: status ? status.color : NO_STATUS_COLOR, fillOpacity: 1
+            });
+            pin.bindTooltip(_pinTooltip(fips, annotation), { className: 'annotation-tooltip' });
+            pin.on('click', function(e) {
+                L.DomEvent.stopPropagation(e);
+                if (InfoPanel.pinnedCounty === fips) InfoPanel.unpinCounty();
+                else InfoPanel.pinCounty(fips);
+            });
+            _pinLayer.addLayer(pin);
+        });
+        _pinLayer.addTo(map);
+    }
+
+    function _syncPinsButton() {
+        var btn = document.getElementById('annotations-btn');
+        if (!btn) return;
+        btn.classList.toggle('active', _showPins);
+        btn.setAttribute('aria-pressed', _showPins ? 'true' : 'false');
+    }
+
+    // ── Table ────────────────────────────────────────────────────────────────
+
+    function _populateTagFilter() {
+        var sel = document.getElementById('table-tag-filter');
+        if (!sel) return;
+        var current = sel.value;
+        while (sel.options.length > 1) sel.remove(1);
+        var add = function(value, text) {
+            var opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            sel.appendChild(opt);
+        };
+        add(ANY_ANNOTATION, 'Any Annotation');
+        CountyAnnotations.allTags().forEach(function(tag) { add(tag, tag); });
+        var values = Array.prototype.map.call(sel.options, function(o) { return o.value; });
+        sel.value = values.indexOf(current) !== -1 ? current : '';
+        if (typeof TableManager !== 'undefined') TableManager.tagFilter = sel.value;
+    }
+
+    // ── Panel editor ─────────────────────────────────────────────────────────
+
+    function _setMessage(text) {
+        var msg = document.getElementById('county-notes-msg');
+        if (msg) msg.textContent = text;
+    }
+
+    function _storeMessage() {
+        return _store && _store.id === 'account'
+            ? 'Notes are saved to your account.'
+            : 'Notes are kept in this browser only — sign in to save them to your account.';
+    }
+
+    function _renderPanel() {
+        var section = document.getElementById('county-notes-section');
+        if (!section) return;
+        section.style.display = _panelFips ? '' : 'none';
+        if (!_panelFips) return;
+        var annotation = _annotations[_panelFips] || normalizeAnnotation({ geoid: _panelFips });
+        var status = document.getElementById('county-notes-status');
+        var tags = document.getElementById('county-notes-tags');
+        var note = document.getElementById('county-notes-text');
+        if (status) status.value = annotation.status || '';
+        if (tags) tags.value = annotation.tags.join(', ');
+        if (note) note.value = annotation.note;
+        _setMessage(_storeMessage());
+    }
+
+    async function _saveFromPanel(clear) {
+        var fips = _panelFips;
+        if (!fips) return;
+        var fields = clear ? {} : {
+            status: (document.getElementById('county-notes-status') || {}).value || null,
+            tags: (document.getElementById('county-notes-tags') || {}).value || '',
+            note: (document.getElementById('county-notes-text') || {}).value || ''
+        };
+        _setMessage('Saving…');
+        var ok = await CountyAnnotations.save(fips, fields);
+        if (!ok) _setMessage('Could not save the note. Check your connection and try again.');
+    }
+
+    function _bindEvents() {
+        var statusSel = document.getElementById('county-notes-status');
+        if (statusSel) {
+            STATUSES.forEach(function(s) {
+                var opt = document.createElement('option');
+                opt.value = s.key;
+                opt.textContent = s.label;
+                statusSel.appendChild(opt);
+            });
+        }
+        var tagList = document.getElementById('county-notes-tag-list');
+        if (tagList) {
+            SUGGESTED_TAGS.forEach(function(tag) {
+                var opt = document.createElement('option');
+                opt.value = tag;
+                tagList.appendChild(opt);
+            });
+        }
+        var saveBtn = document.getElementById('county-notes-save');
+        if (saveBtn) saveBtn.addEventListener('click', function() { _saveFromPanel(false); });
+        var clearBtn = document.getElementById('county-notes-clear');
+        if (clearBtn) clearBtn.addEventListener('click', function() { _saveFromPanel(true); });
+
+        var pinsBtn = document.getElementById('annotations-btn');
+        if (pinsBtn) {
+            pinsBtn.addEventListener('click', function() {
+                CountyAnnotations.setPinsVisible(!_showPins);
+            });
+        }
+
+        var tagFilter = document.getElementById('table-tag-filter');
+        if (tagFilter) {
+            tagFilter.addEventListener('change', function(e) {
+                TableManager.tagFilter = e.target.value;
+                TableManager.applyFilters();
+            });
+        }
+    }
+
+    // Redraw every view that shows annotations
+    function _refreshViews() {
+        if (typeof document === 'undefined') return;
+        _populateTagFilter();
+        if (typeof TableManager !== 'undefined') {
+            TableManager.renderTable();
+            TableManager.applyFilters();
+        }
+        _drawPins();
+        _renderPanel();
+    }
+
+    async function _useStore(store, userId) {
+        var token = ++_loadToken;
+        _store = store;
+        _storeUser = userId || null;
+        var rows;
+        try {
+            rows = await store.list();
+        } catch (error) {
+            console.warn('CountyAnnotations: could not load annotations:', error.message);
+            rows = [];
+        }
+        if (token !== _loadToken) return false;   // a newer store took over while loading
+        _annotations = {};
+        rows.forEach(function(row) {
+            var annotation = normalizeAnnotation(row);
+            if (annotation && !isEmpty(annotation)) _annotations[annotation.geoid] = annotation;
+        });
+        _refreshViews();
+        return true;
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var CountyAnnotations = {
+        STATUSES: STATUSES,
+        ANY_ANNOTATION: ANY_ANNOTATION,
+        parseTags: parseTags,
+        normalizeAnnotation: normalizeAnnotation,
+        matchesTag: matchesTag,
+        createLocalStore: createLocalStore,
+        createAccountStore: createAccountStore,
+
+        bindUI: function() {
+            _bindEvents();
+            if (!_store) _useStore(createLocalStore(), null);
+        },
+
+        /**
+         * Switch to a store and load its annotations.
+         * @param {Object} store - see the store interface above
+         * @param {string|null} [userId] - owner of an account store
+         * @returns {Promise<boolean>} false when a later useStore call superseded this one
+         */
+        useStore: _useStore,
+
+        // Guests keep annotations in this browser; accounts in the data source's table
+        onAuthChange: function(userId) {
+            if (_store && (userId || null) === _storeUser) return;
+            if (!userId) {
+                _useStore(createLocalStore(), null);
+                return;
+            }
+            _useStore(createAccountStore(DataSources.get(), userId), userId);
+        },
+
+        get: function(fips) {
+            return _annotations[fips] || null;
+        },
+
+        all: function() {
+            return Object.keys(_annotations).map(function(fips) { return _annotations[fips]; });
+        },
+
+        // Every tag in use, alphabetical
+        allTags: function() {
+            var seen = {};
+            this.all().forEach(function(a) {
+                a.tags.forEach(function(tag) {
+                    if (!seen[tag.toLowerCase()]) seen[tag.toLowerCase()] = tag;
+                });
+            });
+            return Object.keys(seen).sort().map(function(key) { return seen[key]; });
+        },
+
+        matches: function(fips, filter) {
+            return matchesTag(_annotations[fips] || null, filter);
+        },
+
+        /**
+         * Save a county's note, tags and status; empty fields remove the annotation.
+         * @param {string} fips
+         * @param {Object} fields - { note, tags (string or list), status }
+         * @returns {Promise<boolean>} false (with a warning) when the store fails
+         */
+        save: async function(fips, fields) {
+            var annotation = normalizeAnnotation(Object.assign({}, fields, { geoid: fips, updated_at: new Date().toISOString() }));
+            if (!annotation) {
+                console.warn('CountyAnnotations: not a county FIPS:', fips);
+                return false;
+            }
+            if (!_store) _store = createLocalStore();
+            try {
+                if (isEmpty(annotation)) {
+                    await _store.remove(fips);
+                    delete _annotations[fips];
+                } else {
+                    _annotations[fips] = normalizeAnnotation(await _store.save(annotation)) || annotation;
+                }
+            } catch (error) {
+                console.warn('CountyAnnotations: could not save ' + fips + ':', error.message);
+                return false;
+            }
+            _refreshViews();
+            return true;
+        },
+
+        remove: function(fips) {
+            return this.save(fips, {});
+        },
+
+        setPinsVisible: function(on) {
+            _showPins = !!on;
+            _syncPinsButton();
+            _drawPins();
+        },
+
+        // Status dot and tag chips for a table cell; the note shows on hover
+        renderTags: function(container, fips) {
+            var annotation = _annotations[fips];
+            if (!annotation) return;
+            var status = _status(annotation.status);
+            if (status) {
+                var dot = document.createElement('span');
+                dot.className = 'annotation-status-dot';
+                dot.style.background = status.color;
+                dot.title = status.label;
+                container.appendChild(dot);
+            }
+            annotation.tags.forEach(function(tag) {
+                var chip = document.createElement('span');
+                chip.className = 'annotation-tag';
+                chip.textContent = tag;
+                container.appendChild(chip);
+            });
+            if (annotation.note) container.title = annotation.note;
+        },
+
+        // [status label, tags, note] for the CSV / Excel exports
+        exportFields: function(fips) {
+            var annotation = _annotations[fips];
+            if (!annotation) return ['', '', ''];
+            var status = _status(annotation.status);
+            return [status ? status.label : '', annotation.tags.join('; '), annotation.note];
+        },
+
+        // County panel editor; aggregate rows (markets, metros) have none
+        showForCounty: function(fips) {
+            _panelFips = /^\d{5}$/.test(String(fips)) ? String(fips) : null;
+            _renderPanel();
+        },
+
+        hideForCounty: function() {
+            _panelFips = null;
+            _renderPanel();
+        }
+    };
+
+    global.CountyAnnotations = CountyAnnotations;
+
+})(typeof window !== 'undefined' ? window : global);
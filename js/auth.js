@@ -73,10 +73,16 @@
         });
     }
 
+    // Guests annotate counties in localStorage; accounts in the county_annotations table
+    function _updateAnnotationStore() {
+        if (typeof CountyAnnotations !== 'undefined') CountyAnnotations.onAuthChange(AuthManager.getUserId());
+    }
+
     function _onAuthChange() {
         _updateHeaderUI();
         _updateLayerLocks();
         _updateProviderLocks();
+        _updateAnnotationStore();
         // If just signed in, remove guest county restriction
         if (isAuthenticated()) {
             _guestCountyUsed = false;
@@ -100,9 +106,9 @@
     async function _doSignIn(email, password) {
         _setAuthLoading(true);
         _setAuthError('');
-        var sb;
+        var auth;
         try {
-            sb = DataHandler.getSupabaseClient();
+            auth = DataSources.get().getAuthClient();
         } catch (error) {
             _setAuthLoading(false);
             _setAuthError('Sign in is temporarily unavailable. Please try again later.');
@@ -110,7 +116,7 @@
         }
         var result;
         try {
-            result = await sb.auth.signInWithPassword({ email: email, password: password });
+            result = await auth.signInWithPassword({ email: email, password: password });
         } catch (error) {
             _setAuthLoading(false);
             _setAuthError('Sign in failed. Please check your connection and try again.');
@@ -127,9 +133,9 @@
     async function _doSignUp(email, password) {
         _setAuthLoading(true);
         _setAuthError('');
-        var sb;
+        var auth;
         try {
-            sb = DataHandler.getSupabaseClient();
+            auth = DataSources.get().getAuthClient();
         } catch (error) {
             _setAuthLoading(false);
             _setAuthError('Account creation is temporarily unavailable. Please try again later.');
@@ -137,7 +143,7 @@
         }
         var result;
         try {
-            result = await sb.auth.signUp({ email: email, password: password });
+            result = await auth.signUp({ email: email, password: password });
         } catch (error) {
             _setAuthLoading(false);
             _setAuthError('Account creation failed. Please check your connection and try again.');
@@ -216,14 +222,14 @@
 
         init: async function() {
             try {
-                var sb = DataHandler.getSupabaseClient();
+                var auth = DataSources.get().getAuthClient();
 
                 // Check existing session
-                var sessionResult = await sb.auth.getSession();
+                var sessionResult = await auth.getSession();
                 _session = sessionResult.data && sessionResult.data.session;
 
                 // Listen for future auth changes
-                sb.auth.onAuthStateChange(function(event, session) {
+                auth.onAuthStateChange(function(event, session) {
                     _session = session;
                     _onAuthChange();
                 });
@@ -234,11 +240,16 @@
 
             _updateHeaderUI();
             _updateLayerLocks();
+            _updateAnnotationStore();
             _bindModalEvents();
         },
 
         isAuthenticated: isAuthenticated,
 
+        getUserId: function() {
+            return isAuthenticated() ? _session.user.id || null : null;
+        },
+
         // ── Gating checks ──────────────────────────────────────────────────
 
         canUseLayer: function(layer) {
@@ -294,8 +305,8 @@
 
         signOut: async function() {
             try {
-                var sb = DataHandler.getSupabaseClient();
-                await sb.auth.signOut();
+                var auth = DataSources.get().getAuthClient();
+                await auth.signOut();
             } catch (error) {
                 console.warn('Sign out skipped; auth client unavailable:', error.message);
             }
@@ -0,0 +1,99 @@
+// Persistent IndexedDB cache for large, slow-changing payloads
+// (county TopoJSON, state summaries, all county rows).
+// Every entry carries a version string (ETag, data_as_of, row count...) so callers
+// can serve the cached copy immediately and refresh in the background when the
+// upstream version moves. All methods resolve to null/false instead of throwing:
+// a missing or blocked IndexedDB (private browsing, Node tests) just means a cold load.
+
+(function(global) {
+    'use strict';
+
+    var DB_NAME    = 'fibermap-cache';
+    var DB_VERSION = 1;
+    var STORE      = 'entries';
+
+    var _dbPromise = null;
+
+    function openDb() {
+        if (_dbPromise) return _dbPromise;
+        _dbPromise = new Promise(function(resolve) {
+            if (typeof indexedDB === 'undefined') { resolve(null); return; }
+            try {
+                var req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = function() {
+                    var db = req.result;
+                    if (!db.objectStoreNames.contains(STORE)) {
+                        db.createObjectStore(STORE, { keyPath: 'name' });
+                    }
+                };
+                req.onsuccess = function() { resolve(req.result); };
+                req.onerror   = function() {
+                    console.warn('IndexedDB cache unavailable:', req.error && req.error.message);
+                    resolve(null);
+                };
+                req.onblocked = function() { resolve(null); };
+            } catch (error) {
+                console.warn('IndexedDB cache unavailable:', error.message);
+                resolve(null);
+            }
+        });
+        return _dbPromise;
+    }
+
+    // Run one request against the store; resolves with its result or null on any failure
+    function withStore(mode, fn) {
+        return openDb().then(function(db) {
+            if (!db) return null;
+            return new Promise(function(resolve) {
+                try {
+                    var tx  = db.transaction(STORE, mode);
+                    var req = fn(tx.objectStore(STORE));
+                    tx.oncomplete = function() { resolve(req.result === undefined ? true : req.result); };
+                    tx.onerror = tx.onabort = function() {
+                        console.warn('IndexedDB cache ' + mode + ' failed:', tx.error && tx.error.message);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    console.warn('IndexedDB cache ' + mode + ' failed:', error.message);
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    var DataCache = {
+        /**
+         * @param {string} name
+         * @returns {Promise<{name, version, savedAt, value}|null>}
+         */
+        get: function(name) {
+            return withStore('readonly', function(store) { return store.get(name); })
+                .then(function(entry) { return entry && entry.name ? entry : null; });
+        },
+
+        /**
+         * @param {string} name
+         * @param {string} version - upstream version key the value was fetched at
+         * @param {*} value - must be structured-cloneable
+         * @returns {Promise<boolean>}
+         */
+        set: function(name, version, value) {
+            return withStore('readwrite', function(store) {
+                return store.put({ name: name, version: String(version), savedAt: Date.now(), value: value });
+            }).then(function(ok) { return !!ok; });
+        },
+
+        remove: function(name) {
+            return withStore('readwrite', function(store) { return store.delete(name); })
+                .then(function(ok) { return !!ok; });
+        },
+
+        clear: function() {
+            return withStore('readwrite', function(store) { return store.clear(); })
+                .then(function(ok) { return !!ok; });
+        }
+    };
+
+    global.DataCache = DataCache;
+
+})(typeof window !== 'undefined' ? window : global);
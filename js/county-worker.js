@@ -0,0 +1,130 @@
+// Bulk county loader. Runs as a Web Worker (DataHandler.loadAllCounties) so paging,
+// JSON parsing, BSL normalization, scoring and the provider footprint index stay off
+// the main thread; under Node the same CountyLoader runs in-process for tests.
+//
+// Messages in:
+//   { type: 'load', source: <DataSources config>, weights, pageSize }
+//       page a source the worker can read on its own (static files, fixtures)
+//   { type: 'page', rows, loaded, total, weights }   a page the main thread fetched
+//   { type: 'end', complete }                        no more pages
+// Supabase is paged on the main thread and fed in with 'page' messages, so the
+// worker never loads the Supabase client outside index.html's integrity check.
+// Messages out, in order (CountyWorkerMessage):
+//   { type: 'progress',  loaded, total }      after each page
+//   { type: 'rows',      rows }               that page's counties, already scored
+//   { type: 'footprint', footprint }          ProviderIndex.buildFootprintIndex over every row
+//   { type: 'done',      complete, count }    complete=false when a page failed part-way
+//   { type: 'error',     message }            the worker could not start; load on the main thread
+
+/**
+ * @typedef {Object} CountyWorkerMessage
+ * @property {'progress'|'rows'|'footprint'|'done'|'error'} type
+ * @property {number} [loaded]
+ * @property {number|null} [total]
+ * @property {Array<Object>} [rows]
+ * @property {Object<string, Object<string, number[]>>} [footprint]
+ * @property {boolean} [complete]
+ * @property {number} [count]
+ * @property {string} [message]
+ */
+
+(function(global) {
+    'use strict';
+
+    var DEFAULT_PAGE_SIZE = 1000;
+
+    // Score a page in place, keep it for the footprint index and post it back
+    function scorePage(rows, weights, all, loaded, total, post) {
+        for (var i = 0; i < rows.length; i++) {
+            FiberUtils.recomputeAttractiveness(rows[i], weights);
+            all.push(rows[i]);
+        }
+        post({ type: 'progress', loaded: loaded, total: total });
+        post({ type: 'rows', rows: rows });
+    }
+
+    function finish(all, complete, post) {
+        post({ type: 'footprint', footprint: ProviderIndex.buildFootprintIndex(all) });
+        post({ type: 'done', complete: complete, count: all.length });
+    }
+
+    var CountyLoader = {
+        _fed: null,   // rows received through 'page' messages since the last 'end'
+
+        /**
+         * Page every county out of a source and post typed messages as it goes.
+         * @param {Object} source - a DataSources source
+         * @param {Object} options - { weights, pageSize }
+         * @param {function(CountyWorkerMessage)} post
+         * @returns {Promise<void>}
+         */
+        run: async function(source, options, post) {
+            var opts = options || {};
+            var pageSize = opts.pageSize || DEFAULT_PAGE_SIZE;
+            var offset = 0;
+            var all = [];
+            var complete = true;
+
+            try {
+                while (true) {
+                    var page = await source.fetchCountiesPage(offset, pageSize);
+                    var rows = page.rows;
+                    offset += rows.length;
+                    scorePage(rows, opts.weights, all, offset, page.count, post);
+                    if (rows.length < pageSize) break;
+                }
+            } catch (error) {
+                console.warn('County worker stopped after ' + offset + ' rows:', error.message);
+                complete = false;
+            }
+
+            finish(all, complete, post);
+        },
+
+        // Entry point for a posted 'load', 'page' or 'end' message
+        handle: function(message, post) {
+            if (!message) return Promise.resolve();
+            if (message.type === 'page') {
+                if (!this._fed) this._fed = [];
+                scorePage(message.rows || [], message.weights, this._fed, message.loaded, message.total, post);
+                return Promise.resolve();
+            }
+            if (message.type === 'end') {
+                finish(this._fed || [], !!message.complete, post);
+                this._fed = null;
+                return Promise.resolve();
+            }
+            if (message.type !== 'load') return Promise.resolve();
+            var source;
+            try {
+                source = DataSources.fromConfig(message.source);
+            } catch (error) {
+                post({ type: 'error', message: error.message });
+                return Promise.resolve();
+            }
+            return this.run(source, message, post);
+        }
+    };
+
+    global.CountyLoader = CountyLoader;
+
+    // Worker bootstrap: pull in the shared modules (same cache-busting query as this script)
+    if (typeof importScripts === 'function' && typeof document === 'undefined') {
+        var startError = null;
+        try {
+            var v = global.location.search;
+            importScripts('sources.js' + v, 'data.js' + v, 'providers.js' + v);
+        } catch (error) {
+            startError = error;
+        }
+
+        global.onmessage = function(e) {
+            if (startError) {
+                global.postMessage({ type: 'error', message: startError.message });
+                return;
+            }
+            CountyLoader.handle(e.data, function(msg) { global.postMessage(msg); });
+        };
+    }
+
+})(typeof self !== 'undefined' ? self : global);
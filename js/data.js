@@ -8,47 +8,219 @@
     // UTILITY FUNCTIONS (Pure, testable)
     // ============================================
 
+    // Default scoring weights — the original hard-coded formula.
+    // Each group (demo sub-scores, opportunity sub-scores, demo vs opportunity) is
+    // normalized by its own sum, so profiles don't have to add up to exactly 1.
+    var DEFAULT_SCORE_WEIGHTS = Object.freeze({
+        income:       0.35,
+        density:      0.25,
+        growth:       0.25,
+        wfh:          0.15,
+        availability: 0.50,
+        unserved:     0.50,
+        demo:         0.50,
+        opportunity:  0.50
+    });
+
+    // Weights applied by recomputeAttractiveness when none are passed explicitly
+    var _scoreWeights = DEFAULT_SCORE_WEIGHTS;
+
+    /**
+     * Fills missing/invalid weights from the defaults and clamps negatives to 0.
+     * @param {Object|null|undefined} weights
+     * @returns {Object} frozen weights object with every key present
+     */
+    function normalizeScoreWeights(weights) {
+        var out = {};
+        var keys = Object.keys(DEFAULT_SCORE_WEIGHTS);
+        for (var i = 0; i < keys.length; i++) {
+            var key = keys[i];
+            var w = weights ? Number(weights[key]) : NaN;
+            out[key] = Number.isFinite(w) ? Math.max(0, w) : DEFAULT_SCORE_WEIGHTS[key];
+        }
+        return Object.freeze(out);
+    }
+
+    // Weighted mean of [value, weight] pairs; 0 when every weight is 0
+    function weightedMean(pairs) {
+        var sum = 0, wsum = 0;
+        for (var i = 0; i < pairs.length; i++) {
+            sum  += pairs[i][0] * pairs[i][1];
+            wsum += pairs[i][1];
+        }
+        return wsum > 0 ? sum / wsum : 0;
+    }
+
+    // Score normalization: 'fixed' caps (below) or 'percentile' rank within a peer universe
+    var SCORE_MODES     = Object.freeze(['fixed', 'percentile']);
+    var PEER_UNIVERSES  = Object.freeze(['all', 'state', 'rucc']);
+    var _scoreMode      = 'fixed';
+    var _peerUniverse   = 'all';
+
+    // Raw inputs behind each sub-score, with the same fallbacks the fixed formula uses
+    function scoreInputs(county) {
+        var penetration = county.fiber_penetration != null ? county.fiber_penetration : 0;
+        return {
+            income:       county.median_hhi      || 30000,
+            density:      county.housing_density  || 1,
+            growth:       county.pop_growth_pct   || 0,
+            wfh:          county.wfh_pct          || 0,
+            availability: 1 - penetration,
+            unserved:     county.fiber_unserved != null ? county.fiber_unserved : 0
+        };
+    }
+
+    // Fixed-cap normalization of the raw inputs to 0-1 sub-scores
+    function fixedComponents(inputs) {
+        return {
+            income:       Math.min(1, Math.max(0, (inputs.income - 30000) / 60000)),
+            density:      Math.min(1, Math.max(0, Math.log10(Math.max(1, inputs.density)) / 3)),
+            growth:       Math.min(1, Math.max(0, (inputs.growth + 5) / 15)),
+            wfh:          Math.min(1, Math.max(0, inputs.wfh / 25)),
+            availability: inputs.availability,
+            unserved:     Math.min(1, inputs.unserved / 25000)
+        };
+    }
+
+    // Combine 0-1 sub-scores into demo / opportunity / attractiveness on the county
+    function applyScoreComponents(county, components, w) {
+        var demo = weightedMean([
+            [components.income,  w.income],
+            [components.density, w.density],
+            [components.growth,  w.growth],
+            [components.wfh,     w.wfh]
+        ]);
+        var opportunity = weightedMean([
+            [components.availability, w.availability],
+            [components.unserved,     w.unserved]
+        ]);
+
+        county.score_components     = components;
+        county.demo_score           = Math.round(demo        * 1000) / 1000;
+        county.opportunity_score    = Math.round(opportunity * 1000) / 1000;
+        county.attractiveness_index = Math.round(weightedMean([
+            [demo,        w.demo],
+            [opportunity, w.opportunity]
+        ]) * 1000) / 1000;
+    }
+
     /**
      * Recompute attractiveness scores on a county object (mutates in place).
      * Called after every county load so formula changes take effect without a pipeline re-run.
      *
-     * Demo score (0-1):
+     * Demo score (0-1), default weights:
      *   income 35% | density 25% | pop growth 25% | WFH 15%
      *
-     * Opportunity score (0-1):
+     * Opportunity score (0-1), default weights:
      *   availability (1 - penetration) 50% | unserved homes normalized to 25k 50%
      *   → Fully-penetrated markets score near 0 regardless of demo quality.
      *   → Large unserved markets score higher than tiny markets at the same penetration.
      *
      * Attractiveness = demo 50% + opportunity 50%
+     *
+     * Always uses the fixed caps; percentile mode needs the whole peer universe and is
+     * applied afterwards by applyPercentileScores (see DataHandler.rescoreAll).
+     * The 0-1 sub-scores are kept on county.score_components for the InfoPanel.
+     * @param {Object} county
+     * @param {Object} [weights] - scoring profile weights; defaults to the active profile
      */
-    function recomputeAttractiveness(county) {
+    function recomputeAttractiveness(county, weights) {
+        var w = weights ? normalizeScoreWeights(weights) : _scoreWeights;
+
         // Keep BSL-derived fields consistent whenever total_bsls changes
         if (county.total_bsls > 0 && county.fiber_served != null) {
             county.fiber_unserved    = Math.max(0, county.total_bsls - county.fiber_served);
             county.fiber_penetration = Math.min(1, county.fiber_served / county.total_bsls);
         }
 
-        var hhi      = county.median_hhi      || 30000;
-        var density  = county.housing_density  || 1;
-        var growth   = county.pop_growth_pct   || 0;
-        var wfh      = county.wfh_pct          || 0;
+        applyScoreComponents(county, fixedComponents(scoreInputs(county)), w);
+    }
 
-        var income_score  = Math.min(1, Math.max(0, (hhi - 30000) / 60000));
-        var density_score = Math.min(1, Math.max(0, Math.log10(Math.max(1, density)) / 3));
-        var growth_score  = Math.min(1, Math.max(0, (growth + 5) / 15));
-        var wfh_score     = Math.min(1, Math.max(0, wfh / 25));
-        var demo = income_score * 0.35 + density_score * 0.25 + growth_score * 0.25 + wfh_score * 0.15;
+    /**
+     * Mid-rank percentile (0-1) of each value within the array. Ties share the
+     * average of their ranks; a single value ranks 0.5.
+     * @param {number[]} values
+     * @returns {number[]} percentiles in input order
+     */
+    function percentileRanks(values) {
+        var n = values.length;
+        var out = new Array(n);
+        if (n === 1) { out[0] = 0.5; return out; }
+        var order = values.map(function(_, i) { return i; });
+        order.sort(function(a, b) { return values[a] - values[b]; });
+        var i = 0;
+        while (i < n) {
+            var j = i;
+            while (j + 1 < n && values[order[j + 1]] === values[order[i]]) j++;
+            var pct = ((i + j) / 2) / (n - 1);
+            for (var k = i; k <= j; k++) out[order[k]] = pct;
+            i = j + 1;
+        }
+        return out;
+    }
 
-        var penetration    = county.fiber_penetration != null ? county.fiber_penetration : 0;
-        var unserved       = county.fiber_unserved    != null ? county.fiber_unserved    : 0;
-        var availability   = 1 - penetration;
-        var unserved_scale = Math.min(1, unserved / 25000);
-        var opportunity    = availability * 0.5 + unserved_scale * 0.5;
+    // Peer-group key for a county under the given universe
+    function peerKey(county, universe) {
+        if (universe === 'state') return county.state_code || '';
+        if (universe === 'rucc')  return county.rucc_code != null ? String(county.rucc_code) : 'unknown';
+        return 'all';
+    }
 
-        county.demo_score           = Math.round(demo        * 1000) / 1000;
-        county.opportunity_score    = Math.round(opportunity * 1000) / 1000;
-        county.attractiveness_index = Math.round((demo * 0.50 + opportunity * 0.50) * 1000) / 1000;
+    /**
+     * Re-score counties with each sub-score replaced by its percentile rank among
+     * peers (all counties, same state, or same RUCC class). Unlike the fixed caps,
+     * large counties no longer saturate at 25k unserved or $90k HHI.
+     * @param {Object[]} counties
+     * @param {string} universe - 'all' | 'state' | 'rucc'
+     * @param {Object} [weights] - defaults to the active profile
+     */
+    function applyPercentileScores(counties, universe, weights) {
+        var w = weights ? normalizeScoreWeights(weights) : _scoreWeights;
+        var groups = {};
+        counties.forEach(function(county) {
+            var key = peerKey(county, universe);
+            (groups[key] = groups[key] || []).push(county);
+        });
+
+        var fields = ['income', 'density', 'growth', 'wfh', 'availability', 'unserved'];
+        Object.keys(groups).forEach(function(key) {
+            var peers  = groups[key];
+            var inputs = peers.map(scoreInputs);
+            var ranks  = {};
+            fields.forEach(function(f) {
+                ranks[f] = percentileRanks(inputs.map(function(x) { return x[f]; }));
+            });
+            peers.forEach(function(county, i) {
+                var components = {};
+                fields.forEach(function(f) { components[f] = ranks[f][i]; });
+                applyScoreComponents(county, components, w);
+            });
+        });
+    }
+
+    /**
+     * Percentile-score a record that is not in the peer set (e.g. a custom market):
+     * each input is mid-ranked against the peers' inputs, matching percentileRanks,
+     * so a record equal to the median peer scores 0.5.
+     * @param {Object} record - mutated in place
+     * @param {Object[]} peers
+     * @param {Object} [weights] - defaults to the active profile
+     */
+    function applyPercentileScoreAgainst(record, peers, weights) {
+        var w = weights ? normalizeScoreWeights(weights) : _scoreWeights;
+        var inputs = scoreInputs(record);
+        var peerInputs = peers.map(scoreInputs);
+        var components = {};
+        ['income', 'density', 'growth', 'wfh', 'availability', 'unserved'].forEach(function(f) {
+            if (!peerInputs.length) { components[f] = 0.5; return; }
+            var below = 0, equal = 0;
+            peerInputs.forEach(function(p) {
+                if (p[f] < inputs[f]) below++;
+                else if (p[f] === inputs[f]) equal++;
+            });
+            components[f] = Math.min(1, (below + equal / 2) / peerInputs.length);
+        });
+        applyScoreComponents(record, components, w);
     }
 
     /**
@@ -145,16 +317,233 @@
     // DATA HANDLER
     // ============================================
 
-    // ── Supabase ──────────────────────────────────────────────
-    var SUPABASE_URL     = 'https://sveqgyhncdrjemohpwho.supabase.co';
-    var SUPABASE_PUB_KEY = 'sb_publishable_mym2Y0fppNJKDXD8gaQ2kQ_tmCSG3fv';
-    var _sb = null;
-    function getSupabase() {
-        if (typeof supabase === 'undefined' || !supabase.createClient) {
-            throw new Error('Supabase client library is not loaded');
+    // ── Data source (js/sources.js) ───────────────────────────
+    function source() {
+        return DataSources.get();
+    }
+
+    // ── Market aggregates (js/markets.js) ─────────────────────
+    // Cached market/metro records are stale once county rows or scores change
+    function invalidateAggregates() {
+        if (typeof MarketManager !== 'undefined') MarketManager.invalidateRecords();
+    }
+
+    // ── Filing snapshots (provider_passings_history) ──────────
+    // County rows describe this BDC filing; older filings are rebuilt from history.
+    var CURRENT_FILING_DATE = '2025-06-30';
+    var SNAPSHOT_TECHS = ['fiber', 'cable', 'dsl'];
+    // Fields a snapshot overwrites; the current values are kept on county._currentFiling
+    var SNAPSHOT_FIELDS = [
+        'fiber_served', 'fiber_unserved', 'fiber_penetration',
+        'cable_served', 'dsl_served', 'cable_coverage_pct',
+        'operators', 'cable_operators', 'dsl_operators',
+        'cable_operator_count', 'dsl_operator_count',
+        'competitive_intensity', 'wireline_providers'
+    ];
+    var MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    /**
+     * '2024-12-31' → 'Dec 2024' (parsed as text so the viewer's timezone can't shift it)
+     * @param {string} date
+     * @returns {string}
+     */
+    function formatFilingDate(date) {
+        var m = /^(\d{4})-(\d{2})/.exec(date || '');
+        return m ? MONTHS[parseInt(m[2], 10) - 1] + ' ' + m[1] : String(date || '');
+    }
+
+    /**
+     * Fold provider_passings_history rows for one filing into
+     * { counties: { geoid: { fiber: { brand: passings }, cable: {...}, dsl: {...} } }, techs: {...} }.
+     * Mutates and returns snapshot so pages can be folded in as they arrive.
+     */
+    function aggregateFilingRows(snapshot, rows) {
+        for (var i = 0; i < rows.length; i++) {
+            var r = rows[i];
+            var tech = r.technology || 'fiber';
+            if (SNAPSHOT_TECHS.indexOf(tech) === -1 || !r.geoid) continue;
+            var entry = snapshot.counties[r.geoid] || (snapshot.counties[r.geoid] = {});
+            var brands = entry[tech] || (entry[tech] = {});
+            brands[r.brand_name] = (brands[r.brand_name] || 0) + (r.passings || 0);
+            snapshot.techs[tech] = true;
         }
-        if (!_sb) _sb = supabase.createClient(SUPABASE_URL, SUPABASE_PUB_KEY);
-        return _sb;
+        return snapshot;
+    }
+
+    // Distinct served locations aren't in the history table, only per-provider passings.
+    // Scale the filing's summed passings by the county's current distinct/summed ratio
+    // (provider overlap), capped at total_bsls.
+    function estimateServed(summed, currentServed, currentSummed, totalBsls) {
+        var overlap = currentSummed > 0 && currentServed != null ? Math.min(1, currentServed / currentSummed) : 1;
+        var served = Math.round(summed * overlap);
+        return totalBsls > 0 ? Math.min(totalBsls, served) : served;
+    }
+
+    function sumValues(obj) {
+        var total = 0;
+        for (var k in obj) total += obj[k];
+        return total;
+    }
+
+    function opFiber(op) {
+        return op.fiber_passings != null ? op.fiber_passings : (op.passings || 0);
+    }
+
+    /**
+     * Rebuild a county's supply-side fields (served counts, operators, competition)
+     * as of a filing snapshot. Technologies the filing has no rows for keep their
+     * current values. Scores are not touched — call recomputeAttractiveness after.
+     * @param {Object} county
+     * @param {Object} snapshot - { date, counties, techs } from aggregateFilingRows
+     */
+    function applyFilingSnapshot(county, snapshot) {
+        if (!county._currentFiling) {
+            var saved = {};
+            SNAPSHOT_FIELDS.forEach(function(f) { saved[f] = county[f]; });
+            county._currentFiling = saved;
+        }
+        var base  = county._currentFiling;
+        var entry = snapshot.counties[county.geoid] || {};
+        var has   = snapshot.techs;
+
+        // Per-brand passings by tech: from the filing where reported, else current
+        var byBrand = {};
+        function add(name, tech, n) {
+            if (!n) return;
+            var b = byBrand[name] || (byBrand[name] = { fiber: 0, cable: 0, dsl: 0 });
+            b[tech] += n;
+        }
+        (base.operators || []).forEach(function(op) {
+            if (!has.fiber) add(op.name, 'fiber', opFiber(op));
+            if (!has.cable) add(op.name, 'cable', op.cable_passings || 0);
+            if (!has.dsl)   add(op.name, 'dsl',   op.dsl_passings   || 0);
+        });
+        SNAPSHOT_TECHS.forEach(function(tech) {
+            if (!has[tech]) return;
+            var brands = entry[tech] || {};
+            for (var name in brands) add(name, tech, brands[name]);
+        });
+
+        county.operators = Object.keys(byBrand).map(function(name) {
+            var b = byBrand[name];
+            return {
+                name: name, passings: b.fiber, served: b.fiber,
+                fiber_passings: b.fiber, cable_passings: b.cable, dsl_passings: b.dsl
+            };
+        }).sort(function(a, b) { return b.fiber_passings - a.fiber_passings; });
+
+        if (has.fiber) {
+            var fiberBrands = entry.fiber || {};
+            var currentFiberSum = (base.operators || []).reduce(function(s, op) { return s + opFiber(op); }, 0);
+            county.fiber_served = estimateServed(sumValues(fiberBrands), base.fiber_served, currentFiberSum, county.total_bsls);
+            // Brand names with fiber in the filing, most passings first (same shape as the rows)
+            county.wireline_providers = Object.keys(fiberBrands)
+                .filter(function(n) { return fiberBrands[n] > 0; })
+                .sort(function(a, b) { return fiberBrands[b] - fiberBrands[a]; });
+            county.competitive_intensity = Math.min(3, county.wireline_providers.length);
+            if (!(county.total_bsls > 0)) {
+                county.fiber_unserved    = 0;
+                county.fiber_penetration = 0;
+            }
+        }
+
+        ['cable', 'dsl'].forEach(function(tech) {
+            if (!has[tech]) return;
+            var brands = entry[tech] || {};
+            var currentOps = base[tech + '_operators'] || [];
+            var currentSum = currentOps.reduce(function(s, op) { return s + (op.passings || 0); }, 0);
+            county[tech + '_operators'] = Object.keys(brands)
+                .filter(function(n) { return brands[n] > 0; })
+                .map(function(n) { return { name: n, passings: brands[n] }; })
+                .sort(function(a, b) { return b.passings - a.passings; });
+            county[tech + '_operator_count'] = county[tech + '_operators'].length;
+            county[tech + '_served'] = estimateServed(sumValues(brands), base[tech + '_served'], currentSum, county.total_bsls);
+        });
+
+        if (has.cable && base.cable_coverage_pct != null) {
+            county.cable_coverage_pct = base.cable_served > 0
+                ? Math.min(1, base.cable_coverage_pct * county.cable_served / base.cable_served)
+                : (county.total_bsls > 0 ? Math.min(1, county.cable_served / county.total_bsls) : base.cable_coverage_pct);
+        }
+
+        county._filingDate = snapshot.date;
+    }
+
+    // Put a county back on the current filing
+    function restoreCurrentFiling(county) {
+        var base = county._currentFiling;
+        if (!base) return;
+        SNAPSHOT_FIELDS.forEach(function(f) { county[f] = base[f]; });
+        delete county._currentFiling;
+        delete county._filingDate;
+    }
+
+    // Shallow copy of a county row with current-filing values, for caching
+    function currentFilingRow(county) {
+        if (!county._currentFiling) return county;
+        var row = Object.assign({}, county, county._currentFiling);
+        delete row._currentFiling;
+        delete row._filingDate;
+        return row;
+    }
+
+    // ── County adjacency ──────────────────────────────────────
+    // Counties that share a TopoJSON arc share a border (what topojson.neighbors does),
+    // keyed by 5-digit FIPS so callers never deal with geometry indices.
+
+    /**
+     * @param {Object} topo - us-counties TopoJSON
+     * @returns {Object} geoid → sorted neighbor geoids
+     */
+    function buildCountyAdjacency(topo) {
+        var geometries = topo && topo.objects && topo.objects.counties ? topo.objects.counties.geometries : [];
+        var arcOwners = {};   // arc index → geoids using it
+        var adjacency = {};
+
+        function collect(arcs, geoid) {
+            arcs.forEach(function(a) {
+                if (Array.isArray(a)) { collect(a, geoid); return; }
+                var idx = a < 0 ? ~a : a;
+                var owners = arcOwners[idx] || (arcOwners[idx] = []);
+                if (owners.indexOf(geoid) === -1) owners.push(geoid);
+            });
+        }
+
+        geometries.forEach(function(g) {
+            if (g.id == null || !g.arcs) return;
+            var geoid = String(g.id).padStart(5, '0');
+            adjacency[geoid] = adjacency[geoid] || [];
+            collect(g.arcs, geoid);
+        });
+
+        Object.keys(arcOwners).forEach(function(idx) {
+            var owners = arcOwners[idx];
+            for (var i = 0; i < owners.length; i++) {
+                for (var j = 0; j < owners.length; j++) {
+                    if (i !== j && adjacency[owners[i]].indexOf(owners[j]) === -1) adjacency[owners[i]].push(owners[j]);
+                }
+            }
+        });
+        Object.keys(adjacency).forEach(function(geoid) { adjacency[geoid].sort(); });
+        return adjacency;
+    }
+
+    // ── Local cache (js/cache.js) ─────────────────────────────
+    // Entries are namespaced by source so switching sources never serves another
+    // source's rows; sources without an id (fixtures) are never cached.
+    function cacheKey(name) {
+        var id = source().id;
+        return typeof DataCache !== 'undefined' && id ? id + '|' + name : null;
+    }
+
+    function cacheGet(name) {
+        var key = cacheKey(name);
+        return key ? DataCache.get(key) : Promise.resolve(null);
+    }
+
+    function cacheSet(name, version, value) {
+        var key = cacheKey(name);
+        if (key && version) DataCache.set(key, version, value);
     }
 
     var DataHandler = {
@@ -176,26 +565,49 @@
         // Loading state
         _isLoaded: false,
         _loadError: null,
+        // Cache state: one cache read per page load, one background refresh per entry
+        _countyCachePromise: null,
+        _allCountiesPromise: null,
+        _refreshing: {},
+        _refreshListeners: [],
+        // Active filing snapshot ({ date, counties, techs }) or null for current data
+        _snapshot: null,
+        _snapshotToken: 0,
+        _filingSnapshots: {},
+        _filingDatesPromise: null,
+        // Provider footprint index from the county worker (see ProviderIndex.buildFootprintIndex)
+        _providerFootprints: null,
+        // Bulk county loads run here when Web Workers are available (js/county-worker.js)
+        workerUrl: 'js/county-worker.js?v=20261019a',
+        // CBSA delineation (data/cbsa-membership.json, scripts/build_cbsa_membership.py)
+        _cbsas: {},        // code → { code, name, type, counties }
+        _countyCbsa: {},   // geoid → code
+        // geoid → bordering geoids, built from usCountiesTopo on first use
+        _adjacency: null,
 
         async loadData() {
             try {
-                var geoResponses = await Promise.all([
-                    fetch('data/ny_counties_tiger.geojson'),
-                    fetch('data/us-states.json'),
-                    fetch('data/us-counties.json'),
+                var geo = await Promise.all([
+                    this._fetchJsonCached('data/ny_counties_tiger.geojson', 'NY GeoJSON'),
+                    this._fetchJsonCached('data/us-states.json', 'US states'),
+                    this._fetchJsonCached('data/us-counties.json', 'US counties TopoJSON'),
                 ]);
 
-                if (!geoResponses[0].ok) throw new Error('Failed to load NY GeoJSON: ' + geoResponses[0].status);
-                if (!geoResponses[1].ok) throw new Error('Failed to load US states: '  + geoResponses[1].status);
-                if (!geoResponses[2].ok) throw new Error('Failed to load US counties TopoJSON: ' + geoResponses[2].status);
+                this.tigerGeoJSON   = geo[0];
+                this.usGeoJSON      = geo[1];
+                this.usCountiesTopo = geo[2];
 
-                this.tigerGeoJSON   = await geoResponses[0].json();
-                this.usGeoJSON      = await geoResponses[1].json();
-                this.usCountiesTopo = await geoResponses[2].json();
+                // Metro filter / outlines / rows need it, nothing else does
+                try {
+                    this._indexCbsas(await this._fetchJsonCached('data/cbsa-membership.json', 'CBSA membership'));
+                } catch (error) {
+                    console.warn('CBSA membership unavailable; metro features disabled:', error.message);
+                    this._indexCbsas(null);
+                }
 
-                var loadedSummary = await this._loadSupabaseStateSummary();
-                if (!loadedSummary) loadedSummary = await this._loadLocalStateSummary();
-                if (!loadedSummary) throw new Error('Failed to load state summary from Supabase or local fallback');
+                var loadedSummary = await this._loadStateSummary();
+                if (!loadedSummary) loadedSummary = await this._loadFallbackStateSummary();
+                if (!loadedSummary) throw new Error('Failed to load state summary from the data source or local fallback');
 
                 this._activeState = 'MO';
                 this._isLoaded = true;
@@ -209,37 +621,97 @@
             }
         },
 
-        async _loadSupabaseStateSummary() {
+        // Static JSON through the IndexedDB cache, versioned by the server's ETag/Last-Modified.
+        // Warm loads return the cached copy; a changed file is picked up on the next visit.
+        async _fetchJsonCached(path, label) {
+            var cached = await cacheGet(path);
+            if (cached && cached.value) {
+                this._revalidateJson(path, cached.version);
+                return cached.value;
+            }
+            var file;
             try {
-                var sb = getSupabase();
-                var summaryResult = await sb.from('state_summary').select('*');
-                if (summaryResult.error) throw new Error(summaryResult.error.message);
-                if (!summaryResult.data || summaryResult.data.length === 0) return false;
-
-                // Rebuild stateData in the same shape as the old fiber-data.json
-                this.stateData = {};
-                for (var i = 0; i < summaryResult.data.length; i++) {
-                    var s = summaryResult.data[i];
-                    this.stateData[s.state_code] = {
-                        state:              s.state_name,
-                        totalHousingUnits:  s.total_housing_units,
-                        totalFiberPassings: s.total_fiber_passings,
-                        fiberPenetration:   s.fiber_penetration,
-                        operators:          s.operators || [],
-                    };
-                }
+                file = await source().fetchFile(path);
+            } catch (error) {
+                throw new Error('Failed to load ' + label + ': ' + error.message);
+            }
+            cacheSet(path, file.version, file.data);
+            return file.data;
+        },
+
+        // Only a HEAD request per warm load; the body is downloaded when the version moved
+        _revalidateJson: function(path, version) {
+            if (this._refreshing[path]) return this._refreshing[path];
+            var src = source();
+            this._refreshing[path] = src.fetchFileVersion(path).then(function(latest) {
+                if (!latest || latest === version) return false;
+                return src.fetchFile(path, true).then(function(file) {
+                    cacheSet(path, file.version, file.data);
+                    return true;
+                });
+            }).catch(function(error) {
+                console.warn('Background refresh failed for ' + path + ':', error.message);
+                return false;
+            });
+            return this._refreshing[path];
+        },
+
+        // Cheap upstream version for a table (see DataSources fetchTableVersion); null if unknown
+        async _fetchTableVersion(table) {
+            try {
+                return await source().fetchTableVersion(table);
+            } catch (error) {
+                console.warn('Could not read ' + table + ' version:', error.message);
+                return null;
+            }
+        },
+
+        // Rebuild stateData in the same shape as the old fiber-data.json
+        _applyStateSummaryRows: function(rows) {
+            this.stateData = {};
+            for (var i = 0; i < rows.length; i++) {
+                var s = rows[i];
+                this.stateData[s.state_code] = {
+                    state:              s.state_name,
+                    totalHousingUnits:  s.total_housing_units,
+                    totalFiberPassings: s.total_fiber_passings,
+                    fiberPenetration:   s.fiber_penetration,
+                    operators:          s.operators || [],
+                };
+            }
+        },
+
+        async _fetchStateSummaryRows() {
+            return source().fetchStateSummary();
+        },
+
+        async _loadStateSummary() {
+            var cached = await cacheGet('state_summary');
+            if (cached && Array.isArray(cached.value) && cached.value.length) {
+                this._applyStateSummaryRows(cached.value);
+                this._refreshInBackground('state_summary', cached.version);
+                return true;
+            }
+            try {
+                var version = await this._fetchTableVersion('state_summary');
+                var rows = await this._fetchStateSummaryRows();
+                if (rows.length === 0) return false;
+                this._applyStateSummaryRows(rows);
+                cacheSet('state_summary', version, rows);
                 return true;
             } catch (error) {
-                console.warn('Supabase state summary unavailable; using local fallback if present:', error.message);
+                console.warn('State summary unavailable; using local fallback if present:', error.message);
                 return false;
             }
         },
 
-        async _loadLocalStateSummary() {
+        async _loadFallbackStateSummary() {
+            var fallback = DataSources.getFallback();
+            if (!fallback) return false;
             try {
-                var response = await fetch('data/fiber-data.json');
-                if (!response.ok) throw new Error('HTTP ' + response.status);
-                this.stateData = await response.json();
+                var rows = await fallback.fetchStateSummary();
+                if (rows.length === 0) return false;
+                this._applyStateSummaryRows(rows);
                 return true;
             } catch (error) {
                 console.warn('Local state summary unavailable:', error.message);
@@ -249,34 +721,41 @@
 
         _storeStateCountyMap: function(stateCode, countyMap) {
             if (!countyMap) return false;
-            var byFips = {};
-            var keys = Object.keys(countyMap);
-            for (var i = 0; i < keys.length; i++) {
-                var fips = keys[i];
+            var rows = Object.keys(countyMap).map(function(fips) {
                 var county = countyMap[fips];
+                if (county && !county.geoid) county.geoid = fips;
+                return county;
+            });
+            return this._storeStateCountyRows(stateCode, rows);
+        },
+
+        _storeStateCountyRows: function(stateCode, rows) {
+            var byFips = {};
+            for (var i = 0; i < rows.length; i++) {
+                var county = rows[i];
                 if (!county) continue;
                 if (!county.state_code) county.state_code = stateCode;
                 recomputeAttractiveness(county);
-                byFips[county.geoid || fips] = county;
+                byFips[county.geoid] = county;
             }
             if (Object.keys(byFips).length === 0) return false;
             this._stateCountyData[stateCode] = byFips;
+            this._afterCountiesLoaded();
             return true;
         },
 
-        async _loadLocalStateData(stateCode) {
+        async _loadFallbackStateData(stateCode) {
+            var fallback = DataSources.getFallback();
+            if (!fallback) return false;
             try {
-                var response = await fetch('data/' + stateCode.toLowerCase() + '-unified-data.json');
-                if (!response.ok) throw new Error('HTTP ' + response.status);
-                var countyMap = await response.json();
-                return this._storeStateCountyMap(stateCode, countyMap);
+                return this._storeStateCountyRows(stateCode, await fallback.fetchStateCounties(stateCode));
             } catch (error) {
                 console.warn('Local county data unavailable for ' + stateCode + ':', error.message);
                 return false;
             }
         },
 
-        // Lazy-load a single state's county data from Supabase. Safe to call multiple times (cached).
+        // Lazy-load a single state's county data from the data source. Safe to call multiple times (cached).
         async loadStateData(stateCode) {
             if (this._stateCountyData[stateCode]) return true;
             if (this._stateLoadPromises[stateCode]) return this._stateLoadPromises[stateCode];
@@ -284,30 +763,18 @@
             var self = this;
 
             this._stateLoadPromises[stateCode] = (async function() {
+                // A warm cache holds every state; only go to the network on a miss
+                if (await self._loadCountiesFromCache() && self._stateCountyData[stateCode]) return true;
+
                 try {
-                    var sb = getSupabase();
-                    var result = await sb
-                        .from('counties')
-                        .select('*')
-                        .eq('state_code', stateCode);
-
-                    if (result.error) throw new Error(result.error.message);
-                    if (result.data && result.data.length > 0) {
-                        var byFips = {};
-                        for (var i = 0; i < result.data.length; i++) {
-                            var county = result.data[i];
-                            recomputeAttractiveness(county);
-                            byFips[county.geoid] = county;
-                        }
-                        self._stateCountyData[stateCode] = byFips;
-                        return true;
-                    }
-                    console.warn('No county data returned from Supabase for state:', stateCode);
+                    var rows = await source().fetchStateCounties(stateCode);
+                    if (rows.length > 0) return self._storeStateCountyRows(stateCode, rows);
+                    console.warn('No county data returned from the data source for state:', stateCode);
                 } catch (e) {
-                    console.warn('Could not load Supabase county data for ' + stateCode + ':', e.message);
+                    console.warn('Could not load county data for ' + stateCode + ':', e.message);
                 }
 
-                return self._loadLocalStateData(stateCode);
+                return self._loadFallbackStateData(stateCode);
             })();
 
             return this._stateLoadPromises[stateCode];
@@ -320,80 +787,243 @@
             }));
         },
 
-        // Load every county from Supabase (all states) via paginated queries.
+        // Load every county from the data source (all states) via paginated queries.
         // Stores results into _stateCountyData keyed by state_code.
         // Calls onProgress(loadedCount, totalCount) after each page if provided.
-        async loadAllCounties(onProgress) {
+        // Served from the IndexedDB cache when warm (refreshed in the background if
+        // the upstream data_as_of/updated_at/row-count version has moved).
+        // One load per page: later callers share the in-flight or completed promise
+        // (onProgress only reports for the first); an incomplete load can be retried.
+        loadAllCounties: function(onProgress) {
+            if (this._allCountiesPromise) return this._allCountiesPromise;
             var self = this;
-            var sb = getSupabase();
+            this._allCountiesPromise = this._loadAllCountyRows(onProgress).then(function(complete) {
+                if (!complete) self._allCountiesPromise = null;
+            }, function(error) {
+                self._allCountiesPromise = null;
+                throw error;
+            });
+            return this._allCountiesPromise;
+        },
+
+        // Resolves true when every county row was ingested
+        async _loadAllCountyRows(onProgress) {
+            if (await this._loadCountiesFromCache()) {
+                var n = this.getAllLoadedCounties().length;
+                if (onProgress) onProgress(n, n);
+                return true;
+            }
+
+            var version = await this._fetchTableVersion('counties');
+            var fetched = await this._fetchAllCountyRows(onProgress);
+            this._ingestFetchedCounties(fetched);
+            if (fetched.complete && fetched.rows.length) {
+                cacheSet('counties', version, fetched.rows.map(currentFilingRow));
+            }
+            return fetched.complete;
+        },
+
+        // Page through the counties table. complete=false when a page failed part-way.
+        // Uses the county worker when possible (rows come back scored, with a footprint
+        // index; see WORKER_PAGED_SOURCES); falls back to paging on the main thread.
+        async _fetchAllCountyRows(onProgress) {
+            if (this._canUseWorker()) {
+                try {
+                    return await this._fetchCountyRowsInWorker(onProgress);
+                } catch (error) {
+                    console.warn('County worker unavailable; loading on the main thread:', error.message);
+                }
+            }
+
             var pageSize = 1000;
             var offset = 0;
-            var total = null;
+            var all = [];
 
             try {
+                var src = source();
                 while (true) {
-                    var query = sb
-                        .from('counties')
-                        .select('*', { count: 'exact' })
-                        .range(offset, offset + pageSize - 1);
-
-                    var result = await query;
-                    if (result.error) {
-                        console.warn('loadAllCounties error:', result.error.message);
-                        break;
-                    }
+                    var page = await src.fetchCountiesPage(offset, pageSize);
+                    var rows = page.rows;
+                    for (var i = 0; i < rows.length; i++) all.push(rows[i]);
+
+                    offset += rows.length;
+                    if (onProgress) onProgress(offset, page.count);
+                    if (rows.length < pageSize) break;
+                }
+            } catch (error) {
+                console.warn('loadAllCounties unavailable; keeping already loaded county data:', error.message);
+                return { rows: all, complete: false };
+            }
+            return { rows: all, complete: true };
+        },
+
+        _canUseWorker: function() {
+            return typeof Worker !== 'undefined' && !!this.workerUrl && !!source().config;
+        },
+
+        // Source types the worker pages itself; any other (Supabase) is paged here and fed to
+        // the worker, which never loads a third-party client
+        WORKER_PAGED_SOURCES: ['static', 'memory'],
 
-                    if (total === null) total = result.count || 0;
+        // Run CountyLoader in a worker; resolves { rows, complete, scored, footprint }
+        _fetchCountyRowsInWorker: function(onProgress) {
+            var self = this;
+            return new Promise(function(resolve, reject) {
+                var worker = new Worker(self.workerUrl);
+                var rows = [];
+                var footprint = null;
+                var settled = false;
+
+                function finish(error, result) {
+                    settled = true;
+                    worker.terminate();
+                    if (error) reject(error);
+                    else resolve(result);
+                }
 
-                    var rows = result.data || [];
-                    for (var i = 0; i < rows.length; i++) {
-                        var county = rows[i];
-                        var sc = county.state_code;
-                        if (!sc) continue;
-                        recomputeAttractiveness(county);
-                        if (!self._stateCountyData[sc]) self._stateCountyData[sc] = {};
-                        self._stateCountyData[sc][county.geoid] = county;
+                worker.onmessage = function(e) {
+                    var msg = e.data || {};
+                    switch (msg.type) {
+                        case 'progress':
+                            if (onProgress) onProgress(msg.loaded, msg.total);
+                            break;
+                        case 'rows':
+                            for (var i = 0; i < msg.rows.length; i++) rows.push(msg.rows[i]);
+                            break;
+                        case 'footprint':
+                            footprint = msg.footprint;
+                            break;
+                        case 'done':
+                            finish(null, { rows: rows, complete: msg.complete, scored: true, footprint: footprint });
+                            break;
+                        case 'error':
+                            finish(new Error(msg.message));
+                            break;
                     }
+                };
+                worker.onerror = function(e) {
+                    if (e.preventDefault) e.preventDefault();
+                    finish(new Error(e.message || 'County worker failed'));
+                };
+                var config = source().config;
+                if (self.WORKER_PAGED_SOURCES.indexOf(config.type) !== -1) {
+                    worker.postMessage({ type: 'load', source: config, weights: self.getScoreWeights(), pageSize: 1000 });
+                } else {
+                    self._feedCountyWorker(worker, function() { return settled; });
+                }
+            });
+        },
 
-                    offset += rows.length;
-                    if (onProgress) onProgress(offset, total);
-                    if (rows.length < pageSize) break;
+        // Page the counties table on the main thread and post each page to the worker to score
+        async _feedCountyWorker(worker, stopped) {
+            var pageSize = 1000;
+            var offset = 0;
+            var complete = true;
+            var src = source();
+            var weights = this.getScoreWeights();
+            try {
+                while (!stopped()) {
+                    var page = await src.fetchCountiesPage(offset, pageSize);
+                    offset += page.rows.length;
+                    if (stopped()) return;
+                    worker.postMessage({ type: 'page', rows: page.rows, loaded: offset, total: page.count, weights: weights });
+                    if (page.rows.length < pageSize) break;
                 }
             } catch (error) {
                 console.warn('loadAllCounties unavailable; keeping already loaded county data:', error.message);
+                complete = false;
             }
+            if (!stopped()) worker.postMessage({ type: 'end', complete: complete });
         },
 
-        // Load Jun 2025 passings per brand/tech for a county — the authoritative panel source.
+        // Merge a _fetchAllCountyRows result; a complete worker load also replaces the footprint index
+        _ingestFetchedCounties: function(fetched) {
+            this._ingestCountyRows(fetched.rows, fetched.scored);
+            if (fetched.footprint && fetched.complete) this._providerFootprints = fetched.footprint;
+        },
+
+        // scored: rows were already run through recomputeAttractiveness (worker loads)
+        _ingestCountyRows: function(rows, scored) {
+            for (var i = 0; i < rows.length; i++) {
+                var county = rows[i];
+                var sc = county.state_code;
+                if (!sc) continue;
+                if (!scored) recomputeAttractiveness(county);
+                if (!this._stateCountyData[sc]) this._stateCountyData[sc] = {};
+                this._stateCountyData[sc][county.geoid] = county;
+            }
+            this._afterCountiesLoaded();
+        },
+
+        // Ingest every cached county once per page load. Resolves true on a cache hit.
+        _loadCountiesFromCache: function() {
+            if (!this._countyCachePromise) {
+                var self = this;
+                this._countyCachePromise = cacheGet('counties').then(function(cached) {
+                    if (!cached || !Array.isArray(cached.value) || !cached.value.length) return false;
+                    self._ingestCountyRows(cached.value);
+                    self._refreshInBackground('counties', cached.version);
+                    return true;
+                });
+            }
+            return this._countyCachePromise;
+        },
+
+        // Re-fetch a cached table when its upstream version differs, then notify listeners
+        _refreshInBackground: function(table, cachedVersion) {
+            if (this._refreshing[table]) return this._refreshing[table];
+            var self = this;
+            this._refreshing[table] = (async function() {
+                var version = await self._fetchTableVersion(table);
+                if (!version || version === cachedVersion) return false;
+
+                if (table === 'counties') {
+                    var fetched = await self._fetchAllCountyRows();
+                    if (!fetched.complete || !fetched.rows.length) return false;
+                    self._stateCountyData = {};
+                    self._providerFootprints = null;
+                    self._ingestFetchedCounties(fetched);
+                    cacheSet(table, version, fetched.rows.map(currentFilingRow));
+                } else {
+                    var rows = await self._fetchStateSummaryRows();
+                    if (!rows.length) return false;
+                    self._applyStateSummaryRows(rows);
+                    cacheSet(table, version, rows);
+                }
+
+                self._refreshListeners.forEach(function(fn) {
+                    try { fn(table); } catch (e) { console.warn('Data refresh listener failed:', e.message); }
+                });
+                return true;
+            })().catch(function(error) {
+                console.warn('Background refresh failed for ' + table + ':', error.message);
+                return false;
+            });
+            return this._refreshing[table];
+        },
+
+        // fn(table) runs after a background refresh replaces cached 'counties' or 'state_summary' data
+        onDataRefresh: function(fn) {
+            this._refreshListeners.push(fn);
+        },
+
+        // Load passings per brand/tech for a county at the active filing (Jun 2025 unless a
+        // snapshot is selected) — the authoritative panel source.
         // Returns array of { brand_name, technology, passings } or [].
         async loadCountyLatestPassings(geoid) {
             try {
-                var sb = getSupabase();
-                var result = await sb
-                    .from('provider_passings_history')
-                    .select('brand_name, technology, passings')
-                    .eq('geoid', geoid)
-                    .eq('filing_date', '2025-06-30');
-                if (result.error) throw new Error(result.error.message);
-                return result.data || [];
+                return await source().fetchCountyPassings(geoid, this.getFilingDate() || CURRENT_FILING_DATE);
             } catch (e) {
                 console.warn('loadCountyLatestPassings failed:', e.message);
                 return [];
             }
         },
 
-        // Load historical passings for a county from Supabase (all technologies).
+        // Load historical passings for a county from the data source (all technologies).
         // Returns array of { brand_name, filing_date, passings, technology } sorted by date, or [].
         async loadProviderHistory(geoid) {
             try {
-                var sb = getSupabase();
-                var result = await sb
-                    .from('provider_passings_history')
-                    .select('brand_name, filing_date, passings, technology')
-                    .eq('geoid', geoid)
-                    .order('filing_date', { ascending: true });
-                if (result.error) throw new Error(result.error.message);
-                return result.data || [];
+                return await source().fetchCountyPassingsHistory(geoid);
             } catch (e) {
                 console.warn('loadProviderHistory failed:', e.message);
                 return [];
@@ -412,25 +1042,27 @@
             return all;
         },
 
-        _validateData() {
-            // Validate each state's county data has required fields
-            var requiredFields = ['geoid', 'name', 'fiber_penetration', 'demo_score', 'attractiveness_index'];
-            for (var stateCode in this._stateCountyData) {
-                var stateCounties = this._stateCountyData[stateCode];
-                if (stateCounties) {
-                    var sampleCounty = Object.values(stateCounties)[0];
-                    for (var i = 0; i < requiredFields.length; i++) {
-                        if (!(requiredFields[i] in sampleCounty)) {
-                            console.warn('Missing required field in ' + stateCode + ' county data:', requiredFields[i]);
-                        }
-                    }
-                }
+        // FIPS of the counties sharing a border with geoid ([] before the TopoJSON loads)
+        getCountyNeighbors: function(geoid) {
+            if (!this._adjacency) {
+                if (!this.usCountiesTopo) return [];
+                this._adjacency = buildCountyAdjacency(this.usCountiesTopo);
             }
+            return this._adjacency[geoid] || [];
+        },
 
-            // Validate GeoJSON structure
-            if (this.tigerGeoJSON && !this.tigerGeoJSON.features) {
-                console.warn('NY GeoJSON missing features array');
-            }
+        // geoid → passings for one provider/tech from the worker's footprint index; null when
+        // there is no index or a filing snapshot has replaced the current operators
+        getProviderFootprint: function(provider, tech) {
+            if (!this._providerFootprints || this._snapshot || typeof ProviderIndex === 'undefined') return null;
+            return ProviderIndex.footprintFromIndex(this._providerFootprints, provider, tech);
+        },
+
+        // Contract check over every loaded county (see js/validation.js). Snapshot rows are
+        // validated at their current filing values; null when the validator is not loaded.
+        validateLoadedCounties: function() {
+            if (typeof DataValidator === 'undefined') return null;
+            return DataValidator.validateCounties(this.getAllLoadedCounties().map(currentFilingRow));
         },
 
         isLoaded: function() {
@@ -454,9 +1086,54 @@
             return this._activeState;
         },
 
+        // ── CBSA (metro / micro area) membership ──
+
+        _indexCbsas: function(file) {
+            var cbsas = {}, byCounty = {};
+            var raw = (file && file.cbsas) || {};
+            Object.keys(raw).forEach(function(code) {
+                var entry = raw[code];
+                if (!entry || !Array.isArray(entry.counties)) return;
+                cbsas[code] = {
+                    code: code,
+                    name: entry.name || code,
+                    type: entry.type === 'micro' ? 'micro' : 'metro',
+                    counties: entry.counties.map(String)
+                };
+                cbsas[code].counties.forEach(function(geoid) { byCounty[geoid] = code; });
+            });
+            this._cbsas = cbsas;
+            this._countyCbsa = byCounty;
+            invalidateAggregates();
+        },
+
+        getCbsa: function(code) {
+            return this._cbsas[code] || null;
+        },
+
+        // The CBSA a county belongs to, or null (rural / outside any CBSA)
+        getCountyCbsa: function(geoid) {
+            var code = this._countyCbsa[geoid];
+            return code ? this._cbsas[code] : null;
+        },
+
+        // CBSAs with at least one loaded county, by name
+        getLoadedCbsas: function() {
+            var self = this;
+            return Object.keys(this._cbsas).map(function(code) { return self._cbsas[code]; })
+                .filter(function(cbsa) {
+                    return cbsa.counties.some(function(f) { return self.getCountyData(f); });
+                })
+                .sort(function(a, b) { return a.name < b.name ? -1 : a.name > b.name ? 1 : 0; });
+        },
+
         // County methods (state-aware)
         getCountyData: function(fips) {
             if (!fips) return null;
+            // Custom markets ('mkt:<id>') and metros ('cbsa:<code>') resolve to aggregate records
+            if (typeof MarketManager !== 'undefined' && MarketManager.isMarketId(fips)) {
+                return MarketManager.getRecord(fips);
+            }
             // Try active state first
             var activeData = this._stateCountyData[this._activeState];
             if (activeData && activeData[fips]) return activeData[fips];
@@ -543,6 +1220,151 @@
             return this.stateData[stateCode] || null;
         },
 
+        // ── Scoring weights ──
+
+        getScoreWeights: function() {
+            return _scoreWeights;
+        },
+
+        // Switch the active weights and re-score every loaded county in place
+        setScoreWeights: function(weights) {
+            _scoreWeights = normalizeScoreWeights(weights);
+            this.rescoreAll();
+        },
+
+        getScoreMode: function() {
+            return { mode: _scoreMode, universe: _peerUniverse };
+        },
+
+        // Switch between fixed-cap and percentile normalization and re-score
+        setScoreMode: function(mode, universe) {
+            if (SCORE_MODES.indexOf(mode) !== -1) _scoreMode = mode;
+            if (PEER_UNIVERSES.indexOf(universe) !== -1) _peerUniverse = universe;
+            this.rescoreAll();
+        },
+
+        rescoreAll: function() {
+            var counties = [];
+            this.iterateAllCounties(function(county) {
+                recomputeAttractiveness(county);
+                counties.push(county);
+            });
+            if (_scoreMode === 'percentile') applyPercentileScores(counties, _peerUniverse);
+            invalidateAggregates();
+        },
+
+        // Score an aggregate record (custom market) under the active profile and mode
+        scoreAggregate: function(record) {
+            recomputeAttractiveness(record);
+            if (_scoreMode === 'percentile') {
+                applyPercentileScoreAgainst(record, this.getScorePeers(record).counties);
+            }
+            return record;
+        },
+
+        // Counties a county is ranked against: its percentile peer group, or its state under fixed caps
+        getScorePeers: function(county) {
+            var universe = _scoreMode === 'percentile' ? _peerUniverse : 'state';
+            var key = peerKey(county, universe);
+            var peers = [];
+            this.iterateAllCounties(function(c) {
+                if (peerKey(c, universe) === key) peers.push(c);
+            });
+            return { universe: universe, key: key, counties: peers };
+        },
+
+        // Percentile ranks depend on the whole peer set, so re-rank after each load
+        _afterCountiesLoaded: function() {
+            var snapshot = this._snapshot;
+            if (snapshot) {
+                this.iterateAllCounties(function(county) {
+                    if (county._filingDate === snapshot.date) return;
+                    applyFilingSnapshot(county, snapshot);
+                    recomputeAttractiveness(county);
+                });
+            }
+            if (_scoreMode === 'percentile') this.rescoreAll();
+            invalidateAggregates();
+        },
+
+        // ── Filing snapshots ──
+
+        // Distinct BDC filing dates in provider_passings_history older than the current
+        // county rows, newest first.
+        loadFilingDates: function() {
+            if (this._filingDatesPromise) return this._filingDatesPromise;
+            this._filingDatesPromise = source().fetchFilingDates().then(function(dates) {
+                return dates.filter(function(d) { return d < CURRENT_FILING_DATE; });
+            }).catch(function(e) {
+                console.warn('loadFilingDates failed:', e.message);
+                return [];
+            });
+            return this._filingDatesPromise;
+        },
+
+        // All history rows for one filing, aggregated per county. Past filings never
+        // change, so complete snapshots are kept in the IndexedDB cache.
+        loadFilingSnapshot: function(date, onProgress) {
+            if (this._filingSnapshots[date]) return this._filingSnapshots[date];
+            var self = this;
+            var cacheName = 'filing:' + date;
+            this._filingSnapshots[date] = (async function() {
+                var cached = await cacheGet(cacheName);
+                if (cached && cached.value) return cached.value;
+
+                var snapshot = { date: date, counties: {}, techs: {} };
+                var pageSize = 1000;
+                var offset = 0;
+                try {
+                    var src = source();
+                    var total = null;
+                    while (true) {
+                        var page = await src.fetchFilingPage(date, offset, pageSize);
+                        if (total === null) total = page.count;
+                        aggregateFilingRows(snapshot, page.rows);
+                        offset += page.rows.length;
+                        if (onProgress) onProgress(offset, total);
+                        if (page.rows.length < pageSize) break;
+                    }
+                } catch (e) {
+                    console.warn('loadFilingSnapshot failed for ' + date + ':', e.message);
+                    delete self._filingSnapshots[date];
+                    return null;
+                }
+                cacheSet(cacheName, date, snapshot);
+                return snapshot;
+            })();
+            return this._filingSnapshots[date];
+        },
+
+        // Rebuild every loaded county as of a past filing (null → current data) and re-score.
+        // Resolves false if the filing could not be loaded or a newer selection superseded it.
+        async setFilingDate(date, onProgress) {
+            var token = ++this._snapshotToken;
+            if (!date || date === CURRENT_FILING_DATE) {
+                this._snapshot = null;
+                this.iterateAllCounties(restoreCurrentFiling);
+                this.rescoreAll();
+                return true;
+            }
+            var snapshot = await this.loadFilingSnapshot(date, onProgress);
+            if (!snapshot || token !== this._snapshotToken) return false;
+            this._snapshot = snapshot;
+            this.iterateAllCounties(function(county) { applyFilingSnapshot(county, snapshot); });
+            this.rescoreAll();
+            return true;
+        },
+
+        // Active snapshot filing date, or null when showing current data
+        getFilingDate: function() {
+            return this._snapshot ? this._snapshot.date : null;
+        },
+
+        // "Jun 2025" — the filing every layer, table and export currently reflects
+        getFilingLabel: function() {
+            return formatFilingDate(this.getFilingDate() || CURRENT_FILING_DATE);
+        },
+
         getAllStates: function() {
             if (!this.stateData) return [];
             return Object.values(this.stateData);
@@ -666,13 +1488,38 @@
             { threshold: 1.0,   color: '#22c55e', label: '80%+ (dominant)'  },
         ],
 
+        // Passings change between two filings: diverging red (lost) → slate (flat) → green (added)
+        // Value = net fiber passings added
+        delta: [
+            { threshold: -1000,    color: '#b91c1c', label: 'Lost 1K+' },
+            { threshold: -100,     color: '#ef4444', label: '−100 to −1K' },
+            { threshold: -0.5,     color: '#fca5a5', label: '−1 to −100' },
+            { threshold: 0.5,      color: '#475569', label: 'No change' },
+            { threshold: 100,      color: '#bbf7d0', label: '+1 to +100' },
+            { threshold: 1000,     color: '#4ade80', label: '+100 to +1K' },
+            { threshold: 10000,    color: '#16a34a', label: '+1K to +10K' },
+            { threshold: Infinity, color: '#15803d', label: 'Added 10K+' }
+        ],
+        // Same, as percentage points of the county's BSLs
+        delta_pct: [
+            { threshold: -5,       color: '#b91c1c', label: 'Lost 5%+ of BSLs' },
+            { threshold: -1,       color: '#ef4444', label: '−1% to −5%' },
+            { threshold: -0.001,   color: '#fca5a5', label: '0% to −1%' },
+            { threshold: 0,        color: '#475569', label: 'No change' },
+            { threshold: 1,        color: '#bbf7d0', label: '0% to +1%' },
+            { threshold: 5,        color: '#4ade80', label: '+1% to +5%' },
+            { threshold: 15,       color: '#16a34a', label: '+5% to +15%' },
+            { threshold: Infinity, color: '#15803d', label: 'Added 15%+ of BSLs' }
+        ],
+
         getColor: function(layer, value) {
             // Handle invalid inputs
             if (!Number.isFinite(value)) {
                 return '#cbd5e1';
             }
 
-            var scale = this[layer];
+            var classified = this._classified[layer];
+            var scale = classified ? classified.scale : this[layer];
             if (!scale) return '#cbd5e1';
 
             // Check cache first
@@ -683,10 +1530,14 @@
 
             // Find color
             var color = scale[scale.length - 1].color;
-            for (var i = 0; i < scale.length; i++) {
-                if (value <= scale[i].threshold) {
-                    color = scale[i].color;
-                    break;
+            if (classified && classified.continuous) {
+                color = this._gradientColor(scale, value);
+            } else {
+                for (var i = 0; i < scale.length; i++) {
+                    if (value <= scale[i].threshold) {
+                        color = scale[i].color;
+                        break;
+                    }
                 }
             }
 
@@ -700,35 +1551,236 @@
         },
 
         getLegend: function(layer) {
+            var classified = this._classified[layer];
+            if (classified) return classified.scale;
             return this[layer] || this.penetration;
         },
 
+        // ── Data-driven classification ──
+
+        classificationMethods: [
+            { key: 'fixed',      label: 'Fixed thresholds' },
+            { key: 'quantile',   label: 'Quantile' },
+            { key: 'equal',      label: 'Equal interval' },
+            { key: 'jenks',      label: 'Natural breaks (Jenks)' },
+            { key: 'continuous', label: 'Continuous' }
+        ],
+
+        // layer → { method, continuous, scale } replacing the hand-written thresholds
+        _classified: {},
+
+        // Class upper bounds (last = max) for k classes; values must be sorted ascending
+        quantileBreaks: function(sorted, k) {
+            var breaks = [];
+            for (var i = 1; i <= k; i++) {
+                breaks.push(sorted[Math.max(0, Math.ceil(i / k * sorted.length) - 1)]);
+            }
+            return breaks;
+        },
+
+        equalIntervalBreaks: function(sorted, k) {
+            var min = sorted[0], max = sorted[sorted.length - 1];
+            var breaks = [];
+            for (var i = 1; i < k; i++) breaks.push(min + (max - min) * i / k);
+            breaks.push(max);
+            return breaks;
+        },
+
+        /**
+         * Jenks natural breaks (Fisher's exact dynamic program), minimising within-class variance.
+         * Long inputs are thinned to an evenly spaced sample of 1000 so a national view stays fast.
+         * @param {number[]} sorted - ascending values
+         * @param {number} k - class count
+         * @returns {number[]} class upper bounds, last = max
+         */
+        jenksBreaks: function(sorted, k) {
+            var data = sorted;
+            if (data.length > 1000) {
+                data = [];
+                for (var s = 0; s < 1000; s++) data.push(sorted[Math.round(s * (sorted.length - 1) / 999)]);
+            }
+            var n = data.length;
+            k = Math.min(k, n);
+            // lower[i][j]: 1-based index where class j of the best split of data[0..i-1] starts
+            var lower = [], cost = [];
+            for (var i = 0; i <= n; i++) {
+                lower.push(new Array(k + 1).fill(0));
+                cost.push(new Array(k + 1).fill(Infinity));
+            }
+            for (var j = 1; j <= k; j++) { lower[1][j] = 1; cost[1][j] = 0; }
+            cost[0][0] = 0;
+            for (var l = 2; l <= n; l++) {
+                var sum = 0, sumSq = 0, w = 0, variance = 0;
+                for (var m = 1; m <= l; m++) {
+                    var lowerIdx = l - m + 1;
+                    var v = data[lowerIdx - 1];
+                    w++;
+                    sum += v;
+                    sumSq += v * v;
+                    variance = sumSq - (sum * sum) / w;
+                    if (lowerIdx > 1) {
+                        for (var c = 2; c <= k; c++) {
+                            if (cost[l][c] >= variance + cost[lowerIdx - 1][c - 1]) {
+                                lower[l][c] = lowerIdx;
+                                cost[l][c] = variance + cost[lowerIdx - 1][c - 1];
+                            }
+                        }
+                    }
+                }
+                lower[l][1] = 1;
+                cost[l][1] = variance;
+            }
+            var breaks = [data[n - 1]];
+            var end = n;
+            for (var cls = k; cls > 1; cls--) {
+                end = lower[end][cls] - 1;
+                breaks.unshift(data[end - 1]);
+            }
+            return breaks;
+        },
+
+        /**
+         * Replace a layer's fixed thresholds with classes derived from the given values,
+         * reusing the layer's own colors. 'fixed' (or no usable values) restores the default.
+         * @param {string} layer - scale name, e.g. 'penetration'
+         * @param {string} method - a classificationMethods key
+         * @param {number[]} values - layer values of the counties in view
+         * @param {Function} [format] - value → label text
+         * @returns {Array|null} the legend items now in effect for the layer, or null when fixed
+         */
+        setClassification: function(layer, method, values, format) {
+            this._colorCache.clear();
+            delete this._classified[layer];
+            var base = this[layer];
+            var sorted = (values || []).filter(Number.isFinite).sort(function(a, b) { return a - b; });
+            if (!base || !method || method === 'fixed' || !sorted.length) return null;
+
+            format = format || function(v) { return v.toFixed(2); };
+            var colors = base.map(function(s) { return s.color; });
+            var k = colors.length;
+            var min = sorted[0], max = sorted[sorted.length - 1];
+            var scale;
+
+            if (method === 'continuous') {
+                scale = colors.map(function(color, i) {
+                    var t = k > 1 ? min + (max - min) * i / (k - 1) : max;
+                    return { threshold: t, color: color, label: format(t) };
+                });
+            } else {
+                var breaks = method === 'quantile' ? this.quantileBreaks(sorted, k)
+                           : method === 'jenks'    ? this.jenksBreaks(sorted, k)
+                           : method === 'equal'    ? this.equalIntervalBreaks(sorted, k)
+                           : null;
+                if (!breaks) {
+                    console.warn('Unknown classification method:', method);
+                    return null;
+                }
+                // Ties collapse classes; spread the remaining ones across the full ramp
+                breaks = breaks.filter(function(b, i) { return i === 0 || b > breaks[i - 1]; });
+                var n = breaks.length;
+                scale = breaks.map(function(b, i) {
+                    var label = n === 1 ? format(b)
+                              : i === 0 ? '\u2264' + format(b)
+                              : i === n - 1 ? '>' + format(breaks[i - 1])
+                              : format(breaks[i - 1]) + '\u2013' + format(b);
+                    var color = colors[n > 1 ? Math.round(i * (k - 1) / (n - 1)) : k - 1];
+                    return { threshold: b, color: color, label: label };
+                });
+            }
+            this._classified[layer] = { method: method, continuous: method === 'continuous', scale: scale };
+            return scale;
+        },
+
+        getClassification: function(layer) {
+            var classified = this._classified[layer];
+            return classified ? classified.method : 'fixed';
+        },
+
+        // Linear blend between the two stops around value (stop thresholds ascending)
+        _gradientColor: function(stops, value) {
+            if (value <= stops[0].threshold) return stops[0].color;
+            for (var i = 1; i < stops.length; i++) {
+                if (value <= stops[i].threshold) {
+                    var span = stops[i].threshold - stops[i - 1].threshold;
+                    var t = span > 0 ? (value - stops[i - 1].threshold) / span : 1;
+                    return this._mixHex(stops[i - 1].color, stops[i].color, t);
+                }
+            }
+            return stops[stops.length - 1].color;
+        },
+
+        _mixHex: function(a, b, t) {
+            var out = '#';
+            for (var i = 1; i < 7; i += 2) {
+                var x = parseInt(a.substr(i, 2), 16), y = parseInt(b.substr(i, 2), 16);
+                out += ('0' + Math.round(x + (y - x) * t).toString(16)).slice(-2);
+            }
+            return out;
+        },
+
+        // ── Bivariate (two metrics, 3×3 classes) ──
+
+        // Metrics offered on each axis of the bivariate layer
+        bivariateMetrics: [
+            { key: 'fiber_penetration',    label: 'Fiber Penetration' },
+            { key: 'demo_score',           label: 'Demographics Score' },
+            { key: 'attractiveness_index', label: 'Attractiveness' },
+            { key: 'fiber_unserved',       label: 'Unserved Locations' },
+            { key: 'terrain_roughness',    label: 'Terrain Roughness' },
+            { key: 'median_hhi',           label: 'Median HHI' },
+            { key: 'housing_density',      label: 'Housing Density' },
+            { key: 'pop_growth_pct',       label: 'Population Growth' },
+            { key: 'wfh_pct',              label: 'Work From Home' },
+            { key: 'cable_coverage_pct',   label: 'Cable Coverage' },
+            { key: 'fwa_coverage_pct',     label: 'Fixed Wireless Coverage' },
+            { key: 'broadband_gap_pct',    label: 'Broadband Gap' }
+        ],
+
+        // 3×3 palette indexed [yClass][xClass]; x deepens toward red, y toward teal,
+        // both high → dark plum. Legible on the dark basemap.
+        bivariatePalette: [
+            ['#d3d3d3', '#d9a09b', '#d9645a'],
+            ['#89b8c1', '#948c8e', '#99534e'],
+            ['#3b9db0', '#3e7a82', '#42464a']
+        ],
+
+        /**
+         * Tercile breaks for one metric: values ≤ breaks[0] are low, ≤ breaks[1] mid, else high.
+         * @param {number[]} values - non-finite entries are ignored
+         * @returns {number[]|null} [t1, t2], or null with no finite values
+         */
+        tercileBreaks: function(values) {
+            var sorted = values.filter(Number.isFinite).sort(function(a, b) { return a - b; });
+            if (!sorted.length) return null;
+            function at(q) { return sorted[Math.max(0, Math.ceil(q * sorted.length) - 1)]; }
+            return [at(1 / 3), at(2 / 3)];
+        },
+
+        // 0 (low) / 1 (mid) / 2 (high), or null for a missing value
+        tercileClass: function(value, breaks) {
+            if (!Number.isFinite(value) || !breaks) return null;
+            return value <= breaks[0] ? 0 : value <= breaks[1] ? 1 : 2;
+        },
+
+        getBivariateColor: function(xValue, yValue, xBreaks, yBreaks) {
+            var x = this.tercileClass(xValue, xBreaks);
+            var y = this.tercileClass(yValue, yBreaks);
+            if (x == null || y == null) return '#1e293b';
+            return this.bivariatePalette[y][x];
+        },
+
         clearCache: function() {
             this._colorCache.clear();
         }
     };
 
-    // NYC Borough FIPS codes (immutable)
-    var NYC_BOROUGHS = Object.freeze(new Set(['36005', '36047', '36061', '36081', '36085']));
-
-    // STL/KC Metro county FIPS codes
-    var STL_KC_METROS = Object.freeze(new Set([
-        '29189', '29510', '29183', '29099', '29071', '29113', '29219', // STL metro
-        '29095', '29047', '29165', '29037', '29025', '29177', '29049', '29107'  // KC metro
-    ]));
-
     // ============================================
     // EXPORTS
     // ============================================
 
-    // Expose Supabase client for other modules (news, etc.)
-    DataHandler.getSupabaseClient = function() { return getSupabase(); };
-
     // Export to global scope (required for current architecture)
     global.DataHandler = DataHandler;
     global.ColorScales = ColorScales;
-    global.NYC_BOROUGHS = NYC_BOROUGHS;
-    global.STL_KC_METROS = STL_KC_METROS;
 
     // Also expose utility functions for testing
     global.FiberUtils = {
@@ -738,7 +1790,20 @@
         formatPercentDirect: formatPercentDirect,
         sanitizeString: sanitizeString,
         isValidFips: isValidFips,
-        calculatePenetration: calculatePenetration
+        calculatePenetration: calculatePenetration,
+        recomputeAttractiveness: recomputeAttractiveness,
+        normalizeScoreWeights: normalizeScoreWeights,
+        percentileRanks: percentileRanks,
+        buildCountyAdjacency: buildCountyAdjacency,
+        formatFilingDate: formatFilingDate,
+        aggregateFilingRows: aggregateFilingRows,
+        applyFilingSnapshot: applyFilingSnapshot,
+        restoreCurrentFiling: restoreCurrentFiling,
+        currentFilingRow: currentFilingRow,
+        CURRENT_FILING_DATE: CURRENT_FILING_DATE,
+        applyPercentileScores: applyPercentileScores,
+        applyPercentileScoreAgainst: applyPercentileScoreAgainst,
+        DEFAULT_SCORE_WEIGHTS: DEFAULT_SCORE_WEIGHTS
     };
 
-})(typeof window !== 'undefined' ? window : global);
+})(typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : global);
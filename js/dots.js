@@ -0,0 +1,426 @@
+// Dot-density layer
+// A choropleth gives a large rural county with a few thousand homes more ink than a
+// small suburban one with a hundred thousand. This layer instead scatters one dot per
+// N fiber-unserved (or served) BSLs inside each county polygon, colored by the
+// technology gap. Dots come from a seeded generator keyed by county FIPS, so the same
+// settings always draw the same map and screenshots are reproducible.
+
+(function(global) {
+    'use strict';
+
+    var PANE = 'dotDensity';
+    var DOT_SIZES = [100, 250, 500, 1000, 2500];
+    var DEFAULT_PER_DOT = 500;
+    var DEFAULT_SEED = 1;
+    var MAX_TRIES_PER_DOT = 40;   // rejection-sampling attempts before a sliver county gives up on a dot
+
+    // Dot categories per measure, drawn in this order (later categories on top)
+    var CATEGORIES = {
+        unserved: [
+            { key: 'none',  label: 'No fiber or cable',          color: '#f87171' },
+            { key: 'cable', label: 'No fiber · cable available', color: '#fbbf24' }
+        ],
+        served: [
+            { key: 'fiber',     label: 'Fiber only',    color: '#34d399' },
+            { key: 'overbuilt', label: 'Fiber + cable', color: '#60a5fa' }
+        ]
+    };
+    var MEASURE_LABELS = { unserved: 'Fiber-unserved BSLs', served: 'Fiber-served BSLs' };
+
+    var _options = { measure: null, perDot: DEFAULT_PER_DOT, seed: DEFAULT_SEED };
+    var _layer = null;
+    var _cache = { key: null, dots: null };
+
+    // ── Generation (pure) ────────────────────────────────────────────────────
+
+    // mulberry32: small, fast and identical in every browser
+    function seededRandom(seed) {
+        var a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            var t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // FNV-1a of the FIPS mixed with the layer seed, so each county's dots are independent
+    // of which other counties are loaded
+    function _countySeed(fips, seed) {
+        var h = 0x811C9DC5 ^ (seed >>> 0);
+        for (var i = 0; i < fips.length; i++) {
+            h ^= fips.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * Dots per category for one county. Cable availability comes from the county's
+     * cable_coverage_pct, assumed to reach served and unserved locations alike.
+     * @param {Object} county - county row
+     * @param {string} measure - 'unserved' | 'served'
+     * @param {number} perDot - BSLs per dot
+     * @returns {Object} category key → dot count
+     */
+    function dotCounts(county, measure, perDot) {
+        var counts = {};
+        CATEGORIES[measure].forEach(function(c) { counts[c.key] = 0; });
+        if (!county || !(perDot > 0)) return counts;
+        var bsls = measure === 'served'
+            ? county.fiber_served
+            : (county.fiber_unserved != null ? county.fiber_unserved : (county.total_bsls || 0) - (county.fiber_served || 0));
+        var total = Math.round((bsls > 0 ? bsls : 0) / perDot);
+        var cable = Math.min(1, Math.max(0, county.cable_coverage_pct || 0));
+        var withCable = Math.round(total * cable);
+        if (measure === 'served') {
+            counts.overbuilt = withCable;
+            counts.fiber = total - withCable;
+        } else {
+            counts.cable = withCable;
+            counts.none = total - withCable;
+        }
+        return counts;
+    }
+
+    function _fips(feature) {
+        return String(feature.id || (feature.properties && (feature.properties.GEOID || feature.properties.geoid)) || '').padStart(5, '0');
+    }
+
+    // Polygons ([outer ring, ...holes], [lng, lat]) of a Polygon / MultiPolygon geometry
+    function _polygons(geometry) {
+        if (!geometry) return [];
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+        return [];
+    }
+
+    function _inRing(x, y, ring) {
+        var inside = false;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            var xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // Shoelace area of a ring (degrees², only compared between parts of one county)
+    function _ringArea(ring) {
+        var sum = 0;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            sum += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+        }
+        return Math.abs(sum) / 2;
+    }
+
+    // Each part of a county with its bounding box and area net of holes
+    function _parts(geometry) {
+        return _polygons(geometry).map(function(poly) {
+            var box = [Infinity, Infinity, -Infinity, -Infinity];
+            poly[0].forEach(function(pt) {
+                if (pt[0] < box[0]) box[0] = pt[0];
+                if (pt[1] < box[1]) box[1] = pt[1];
+                if (pt[0] > box[2]) box[2] = pt[0];
+                if (pt[1] > box[3]) box[3] = pt[1];
+            });
+            var area = _ringArea(poly[0]);
+            for (var h = 1; h < poly.length; h++) area -= _ringArea(poly[h]);
+            return { poly: poly, box: box, area: Math.max(0, area) };
+        }).filter(function(part) { return part.area > 0; });
+    }
+
+    function _inPolygon(x, y, poly) {
+        if (!_inRing(x, y, poly[0])) return false;
+        for (var h = 1; h < poly.length; h++) {
+            if (_inRing(x, y, poly[h])) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Random points inside a county polygon, one per dot. Each dot picks a part of a
+     * multi-part county by area, then a point inside that part's bounding box.
+     * @param {Object} feature - county GeoJSON feature (id or properties.GEOID = FIPS)
+     * @param {Object} county - county row
+     * @param {Object} options - { measure, perDot, seed }
+     * @returns {Object[]} [{ lng, lat, category }], in CATEGORIES order
+     */
+    function countyDots(feature, county, options) {
+        var parts = _parts(feature.geometry);
+        if (!parts.length) return [];
+        var totalArea = parts.reduce(function(sum, part) { return sum + part.area; }, 0);
+
+        var random = seededRandom(_countySeed(_fips(feature), options.seed));
+        var counts = dotCounts(county, options.measure, options.perDot);
+        var dots = [];
+        CATEGORIES[options.measure].forEach(function(category) {
+            for (var n = 0; n < counts[category.key]; n++) {
+                var pick = random() * totalArea;
+                var part = parts[0];
+                for (var p = 0; p < parts.length; p++) {
+                    part = parts[p];
+                    if ((pick -= part.area) < 0) break;
+                }
+                var box = part.box;
+                for (var tries = 0; tries < MAX_TRIES_PER_DOT; tries++) {
+                    var x = box[0] + random() * (box[2] - box[0]);
+                    var y = box[1] + random() * (box[3] - box[1]);
+                    if (_inPolygon(x, y, part.poly)) {
+                        dots.push({ lng: x, lat: y, category: category.key });
+                        break;
+                    }
+                }
+            }
+        });
+        return dots;
+    }
+
+    /**
+     * Dots for every county feature with a loaded row.
+     * @param {Object[]} features - county GeoJSON features
+     * @param {Function} getCounty - FIPS → county row or null
+     * @param {Object} options - { measure, perDot, seed }
+     * @returns {Object[]} [{ lng, lat, category }]
+     */
+    function buildDots(features, getCounty, options) {
+        var dots = [];
+        _eachCountyDots(features, getCounty, options, function(list) {
+            for (var i = 0; i < list.length; i++) dots.push(list[i]);
+        });
+        return dots;
+    }
+
+    // fn(dots) per county feature with a loaded row; false for an unknown measure
+    function _eachCountyDots(features, getCounty, options, fn) {
+        if (!CATEGORIES[options.measure]) {
+            console.warn('DotDensity: unknown measure', options.measure);
+            return false;
+        }
+        features.forEach(function(feature) {
+            var county = getCounty(_fips(feature));
+            if (county) fn(countyDots(feature, county, options));
+        });
+        return true;
+    }
+
+    /**
+     * Dots for every county feature as one flat array, for drawing: lng, lat and the
+     * category's index in CATEGORIES[measure] per dot.
+     * @returns {Float64Array}
+     */
+    function buildFlatDots(features, getCounty, options) {
+        var flat = [];
+        var index = {};
+        (CATEGORIES[options.measure] || []).forEach(function(c, i) { index[c.key] = i; });
+        _eachCountyDots(features, getCounty, options, function(list) {
+            for (var i = 0; i < list.length; i++) flat.push(list[i].lng, list[i].lat, index[list[i].category]);
+        });
+        return new Float64Array(flat);
+    }
+
+    // ── Map layer ────────────────────────────────────────────────────────────
+
+    function _countyFeatures() {
+        var layers = MapRenderer._countyLayerMap;
+        return Object.keys(layers).map(function(fips) { return layers[fips].feature; });
+    }
+
+    function _dots() {
+        var key = [_options.measure, _options.perDot, _options.seed, Object.keys(MapRenderer._countyLayerMap).length].join('|');
+        if (_cache.key !== key) {
+            _cache = {
+                key: key,
+                dots: buildFlatDots(_countyFeatures(), function(fips) { return DataHandler.getCountyData(fips); }, _options)
+            };
+        }
+        return _cache.dots;
+    }
+
+    function _clearLayer() {
+        if (_layer && MapRenderer._map) MapRenderer._map.removeLayer(_layer);
+        _layer = null;
+    }
+
+    function _draw() {
+        _clearLayer();
+        var map = MapRenderer._map;
+        if (!map || !_options.measure) return;
+        if (!map.getPane(PANE)) {
+            // Above the county fills and outlines (overlayPane, 400), below custom overlays (450)
+            var pane = map.createPane(PANE);
+            pane.style.zIndex = 420;
+            pane.style.pointerEvents = 'none';
+        }
+        var colors = CATEGORIES[_options.measure].map(function(c) { return c.color; });
+        _layer = new (_dotLayerClass())(_dots(), colors, { pane: PANE }).addTo(map);
+    }
+
+    // One canvas for every dot, redrawn from the flat array after each pan or zoom.
+    // Defined on first use so the module loads without Leaflet (tests).
+    var DotLayer = null;
+
+    function _dotLayerClass() {
+        if (DotLayer) return DotLayer;
+        DotLayer = L.Layer.extend({
+            initialize: function(dots, colors, options) {
+                L.setOptions(this, options);
+                this._dots = dots;
+                this._colors = colors;
+            },
+
+            onAdd: function(map) {
+                // Hidden during the zoom animation, redrawn at moveend
+                this._canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide');
+                this.getPane().appendChild(this._canvas);
+                // Zoom-0 pixel coordinates; any zoom is these × 2^zoom
+                var n = this._dots.length / 3;
+                this._points = new Float64Array(n * 2);
+                for (var i = 0; i < n; i++) {
+                    var pt = map.project([this._dots[i * 3 + 1], this._dots[i * 3]], 0);
+                    this._points[i * 2] = pt.x;
+                    this._points[i * 2 + 1] = pt.y;
+                }
+                map.on('moveend resize', this._redraw, this);
+                this._redraw();
+            },
+
+            onRemove: function(map) {
+                map.off('moveend resize', this._redraw, this);
+                L.DomUtil.remove(this._canvas);
+                this._canvas = null;
+                this._points = null;
+            },
+
+            _redraw: function() {
+                var map = this._map;
+                if (!map || !this._canvas) return;
+                var size = map.getSize();
+                var ratio = global.devicePixelRatio || 1;
+                var canvas = this._canvas;
+                L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+                canvas.width = size.x * ratio;
+                canvas.height = size.y * ratio;
+                canvas.style.width = size.x + 'px';
+                canvas.style.height = size.y + 'px';
+
+                var ctx = canvas.getContext('2d');
+                ctx.scale(ratio, ratio);
+                ctx.globalAlpha = 0.85;
+                var scale = Math.pow(2, map.getZoom());
+                var origin = map.getPixelBounds().min;
+                var points = this._points, dots = this._dots;
+                // One path per category, later categories on top
+                for (var c = 0; c < this._colors.length; c++) {
+                    ctx.beginPath();
+                    for (var i = 0, n = points.length / 2; i < n; i++) {
+                        if (dots[i * 3 + 2] !== c) continue;
+                        var x = points[i * 2] * scale - origin.x;
+                        var y = points[i * 2 + 1] * scale - origin.y;
+                        if (x < -2 || y < -2 || x > size.x + 2 || y > size.y + 2) continue;
+                        ctx.rect(x - 1.5, y - 1.5, 3, 3);
+                    }
+                    ctx.fillStyle = this._colors[c];
+                    ctx.fill();
+                }
+            }
+        });
+        return DotLayer;
+    }
+
+    function _renderLegend() {
+        if (typeof document === 'undefined') return;
+        var legend = document.getElementById('dot-legend');
+        if (!legend) return;
+        legend.textContent = '';
+        legend.hidden = !_options.measure;
+        if (!_options.measure) return;
+        var title = document.createElement('div');
+        title.className = 'dot-legend-title';
+        title.textContent = MEASURE_LABELS[_options.measure] + ' · 1 dot = ' + DataHandler.formatNumber(_options.perDot);
+        legend.appendChild(title);
+        CATEGORIES[_options.measure].slice().reverse().forEach(function(c) {
+            var item = document.createElement('div');
+            item.className = 'dot-legend-item';
+            var swatch = document.createElement('span');
+            swatch.className = 'dot-legend-swatch';
+            swatch.style.background = c.color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(c.label));
+            legend.appendChild(item);
+        });
+    }
+
+    function _bindEvents() {
+        var measureSel = document.getElementById('dot-density');
+        var sizeSel = document.getElementById('dot-size');
+        if (!measureSel) return;
+        if (sizeSel) {
+            sizeSel.textContent = '';
+            DOT_SIZES.forEach(function(size) {
+                var opt = document.createElement('option');
+                opt.value = String(size);
+                opt.textContent = '1 dot = ' + DataHandler.formatNumber(size) + ' BSLs';
+                sizeSel.appendChild(opt);
+            });
+            sizeSel.value = String(_options.perDot);
+            sizeSel.addEventListener('change', function() {
+                DotDensity.set({ perDot: parseInt(sizeSel.value, 10) });
+            });
+        }
+        measureSel.addEventListener('change', function() {
+            DotDensity.set({ measure: measureSel.value || null });
+            if (sizeSel) sizeSel.hidden = !measureSel.value;
+        });
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var DotDensity = {
+        CATEGORIES: CATEGORIES,
+        DOT_SIZES: DOT_SIZES,
+        seededRandom: seededRandom,
+        dotCounts: dotCounts,
+        countyDots: countyDots,
+        buildDots: buildDots,
+        buildFlatDots: buildFlatDots,
+
+        bindUI: function() {
+            _bindEvents();
+        },
+
+        getOptions: function() {
+            return { measure: _options.measure, perDot: _options.perDot, seed: _options.seed };
+        },
+
+        /**
+         * Change what the layer shows and redraw it.
+         * @param {Object} options - any of { measure: null|'unserved'|'served', perDot, seed }
+         * @returns {boolean} false (with a warning) for an unknown measure or dot size
+         */
+        set: function(options) {
+            var next = Object.assign({}, _options, options);
+            if (next.measure != null && !CATEGORIES[next.measure]) {
+                console.warn('DotDensity: unknown measure', next.measure);
+                return false;
+            }
+            if (!(next.perDot > 0) || !Number.isFinite(next.seed)) {
+                console.warn('DotDensity: dot size must be positive and seed a number');
+                return false;
+            }
+            _options = next;
+            _draw();
+            _renderLegend();
+            return true;
+        },
+
+        // Regenerate after county values change (filing snapshot switch, data refresh)
+        refresh: function() {
+            _cache = { key: null, dots: null };
+            if (_options.measure) _draw();
+        }
+    };
+
+    global.DotDensity = DotDensity;
+
+})(typeof window !== 'undefined' ? window : global);
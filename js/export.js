@@ -1,6 +1,8 @@
 // PPT export module
 // Renders a proper D3/AlbersUSA map to canvas (no screenshot, no offset issues),
-// then builds a 16:9 PPTX: slide 1 = map, slide 2 = key statistics.
+// then builds a 16:9 PPTX: slide 1 = map, slide 2 = key statistics, slide 3 = custom
+// markets (market mode, when any are defined). A Deep Dive tour exports as one
+// captioned map slide per step.
 
 (function() {
     'use strict';
@@ -22,13 +24,15 @@
         attractiveness:'Market Attractiveness',
         competitive:   'Competition',
         momentum:      'Build Momentum',
+        delta:         'Fiber Passings Change',
         terrain:       'Build Difficulty',
         broadband_gap: 'Broadband Gap',
     };
 
     // ── D3 map rendering ──────────────────────────────────────────────────────
 
-    function _renderMapToCanvas(resolve, reject) {
+    // focus: optional GeoJSON to frame instead of the whole country (a tour region)
+    function _renderMapToCanvas(resolve, reject, focus) {
         if (typeof d3 === 'undefined') {
             reject(new Error('D3 not loaded'));
             return;
@@ -51,6 +55,7 @@
         var projection = d3.geoAlbersUsa()
             .scale(1680)
             .translate([MAP_W / 2, MAP_H / 2]);
+        if (focus) projection.fitExtent([[24, 24], [MAP_W - 24, MAP_H - 24]], focus);
         var pathGen = d3.geoPath().projection(projection).context(ctx);
 
         var topo     = DataHandler.usCountiesTopo;
@@ -66,8 +71,11 @@
             ctx.beginPath();
             pathGen(feature);
             ctx.fillStyle = color;
+            // Counties outside the active filters are dimmed, as on the live map
+            ctx.globalAlpha = data && MapRenderer.isFiltered(data) ? 0.15 : 1;
             ctx.fill();
         });
+        ctx.globalAlpha = 1;
 
         // County borders — single pass for perf
         features.forEach(function(feature) {
@@ -78,6 +86,37 @@
             ctx.stroke();
         });
 
+        // Selected counties, outlined as on the live map
+        if (MapRenderer.currentMode === 'market' && TableManager._selectedFips.size) {
+            ctx.strokeStyle = '#facc15';
+            ctx.lineWidth   = 1;
+            features.forEach(function(feature) {
+                var fips = String(feature.id).padStart(5, '0');
+                if (!TableManager._selectedFips.has(fips)) return;
+                ctx.beginPath();
+                pathGen(feature);
+                ctx.stroke();
+            });
+        }
+
+        // Custom market outlines, as drawn on the live map
+        if (MapRenderer.currentMode === 'market' && typeof MarketManager !== 'undefined') {
+            var geometries = topo.objects.counties.geometries;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = '#' + ACCENT;
+            ctx.lineWidth   = 1.5;
+            MarketManager.list().forEach(function(market) {
+                var geoms = geometries.filter(function(g) {
+                    return market.fips.indexOf(String(g.id).padStart(5, '0')) !== -1;
+                });
+                if (!geoms.length) return;
+                ctx.beginPath();
+                pathGen(topojson.merge(topo, geoms));
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+        }
+
         resolve(canvas.toDataURL('image/png'));
     }
 
@@ -106,10 +145,20 @@
                 { label: 'States in Dataset',          value: states.length.toString() },
                 { label: 'Counties with FCC Presence', value: countyCoverage.toLocaleString() },
                 { label: 'FCC Fiber Passings in Map',  value: totalFiber > 0 ? totalFiber.toLocaleString() : 'N/A' },
-                { label: 'Data Source',                value: 'FCC BDC Jun 2025' },
+                { label: 'Data Source',                value: 'FCC BDC ' + DataHandler.getFilingLabel() },
             ];
         }
 
+        // Market stats cover the map selection when there is one, else the counties that pass the filters
+        var filters = MapRenderer.filters;
+        var hasFilters = filters.minPop > 0 || filters.minDensity > 0 || filters.cbsa || filters.rules.length;
+        var selection = TableManager.getSelectionRecord();
+        if (selection) {
+            allCounties = selection.member_fips.map(function(f) { return DataHandler.getCountyData(f); });
+        } else if (hasFilters) {
+            allCounties = allCounties.filter(function(c) { return !MapRenderer.isFiltered(c); });
+        }
+
         var fiberPens = allCounties.filter(function(c) { return c.fiber_penetration != null; });
         var avgPen    = fiberPens.length
             ? fiberPens.reduce(function(s, c) { return s + c.fiber_penetration; }, 0) / fiberPens.length
@@ -119,15 +168,24 @@
         var highOpp   = allCounties.filter(function(c) {
             return (c.fiber_penetration || 0) < 0.20 && (c.total_population || 0) > 20000;
         }).length;
-        return [
-            { label: 'Counties Analyzed',                         value: allCounties.length.toLocaleString() },
-            { label: 'States Covered',                            value: states.length.toString() },
+        var stats = [
+            { label: selection ? 'Counties Selected' : 'Counties Analyzed', value: allCounties.length.toLocaleString() },
+            { label: 'States Covered',                            value: (selection ? selection.state_codes : states).length.toString() },
             { label: 'Avg Fiber Penetration',                     value: (avgPen * 100).toFixed(1) + '%' },
             { label: 'Total Unserved Locations',                  value: unserved.toLocaleString() },
             { label: 'Total Population in Map',                   value: totalPop.toLocaleString() },
             { label: 'High-Opportunity Counties (<20% pen, 20K+ pop)', value: highOpp.toLocaleString() },
-            { label: 'Data Vintage',                              value: 'FCC BDC Jun 2025 / Census ACS 2023' },
+            { label: 'Data Vintage',                              value: 'FCC BDC ' + DataHandler.getFilingLabel() + ' / Census ACS 2023' },
         ];
+        if (selection) {
+            stats.splice(1, 0, { label: 'Broadband Serviceable Locations', value: (selection.total_bsls || 0).toLocaleString() });
+        } else if (filters.rules.length) {
+            stats.push({
+                label: 'Filter (' + (filters.match === 'any' ? 'any rule' : 'all rules') + ')',
+                value: filters.rules.map(FilterBuilder.describe).join('; ')
+            });
+        }
+        return stats;
     }
 
     // ── PPTX slide builders ───────────────────────────────────────────────────
@@ -138,7 +196,19 @@
                           : tech === 'cable' ? 'Cable'
                           : tech === 'dsl'   ? 'DSL'
                           : 'All Tech';
-            return provider + ' \u2014 ' + techLabel + ' Footprint';
+            if (MapRenderer._timelapseFootprint) {
+                return provider + ' \u2014 ' + techLabel + ' Footprint \u2014 ' + MapRenderer._timelapseLabel;
+            }
+            return provider + ' \u2014 ' + techLabel + (MapRenderer.showExpansion ? ' Expansion Targets' : ' Footprint');
+        }
+        if (layer === 'delta' && MapRenderer._filingDelta) {
+            var d = MapRenderer._filingDelta;
+            return 'US Fiber Market \u2014 Fiber Passings ' + (MapRenderer.deltaMode === 'pct' ? 'Added (% of BSLs), ' : 'Added, ') +
+                   FiberUtils.formatFilingDate(d.from) + ' \u2192 ' + FiberUtils.formatFilingDate(d.to);
+        }
+        if (layer === 'bivariate') {
+            return 'US Fiber Market \u2014 ' + MapRenderer._metricLabel(MapRenderer.bivariateX) +
+                   ' \u00d7 ' + MapRenderer._metricLabel(MapRenderer.bivariateY);
         }
         return 'US Fiber Market \u2014 ' + (LAYER_LABELS[layer] || layer);
     }
@@ -150,7 +220,7 @@
             x: 0.3, y: 0.12, w: 12, h: 0.44,
             fontSize: 22, bold: true, color: TEXT_PRI, fontFace: FONT,
         });
-        s.addText('FiberMap USA  \u00b7  ' + dateStr + '  \u00b7  FCC BDC Jun 2025', {
+        s.addText('FiberMap USA  \u00b7  ' + dateStr + '  \u00b7  FCC BDC ' + DataHandler.getFilingLabel(), {
             x: 0.3, y: 0.56, w: 12, h: 0.24,
             fontSize: 10, color: TEXT_DIM, fontFace: FONT,
         });
@@ -184,12 +254,146 @@
             border: { type: 'solid', pt: 0.5, color: '222244' },
             fontFace: FONT, fontSize: 12,
         });
-        s.addText('Source: FiberMap USA  \u00b7  FCC BDC Jun 2025  \u00b7  US Census ACS 2023  \u00b7  USDA RUCC 2023', {
+        s.addText('Source: FiberMap USA  \u00b7  FCC BDC ' + DataHandler.getFilingLabel() + '  \u00b7  US Census ACS 2023  \u00b7  USDA RUCC 2023', {
             x: 0.3, y: 7.15, w: 12.73, h: 0.25,
             fontSize: 9, italic: true, color: TEXT_DIM, fontFace: FONT,
         });
     }
 
+    function _addMarketsSlide(pptx, dateStr, markets) {
+        var s = pptx.addSlide();
+        s.background = { color: BG };
+        s.addText('Custom Markets', {
+            x: 0.3, y: 0.2, w: 12.73, h: 0.44,
+            fontSize: 22, bold: true, color: TEXT_PRI, fontFace: FONT,
+        });
+
+        var head = { bold: true, color: ACCENT, fill: '111133' };
+        var rows = [['Market', 'Counties', 'BSLs', 'Fiber Pen.', 'Unserved', 'Median HHI', 'Attractiveness'].map(function(h) {
+            return { text: h, options: head };
+        })];
+        markets.slice().sort(function(a, b) {
+            return (b.attractiveness_index || 0) - (a.attractiveness_index || 0);
+        }).slice(0, 12).forEach(function(m, i) {
+            var f = i % 2 === 0 ? '111130' : '0D0D22';
+            var cells = [
+                m.name,
+                m.county_count + ' (' + m.state_codes.join('/') + ')',
+                (m.total_bsls || 0).toLocaleString(),
+                m.fiber_penetration != null ? (m.fiber_penetration * 100).toFixed(1) + '%' : 'N/A',
+                (m.fiber_unserved || 0).toLocaleString(),
+                m.median_hhi != null ? '$' + m.median_hhi.toLocaleString() : 'N/A',
+                Number.isFinite(m.attractiveness_index) ? m.attractiveness_index.toFixed(2) : 'N/A'
+            ];
+            rows.push(cells.map(function(text, c) {
+                return { text: text, options: { color: c === 0 ? TEXT_PRI : TEXT_SEC, bold: c === 0, fill: f } };
+            }));
+        });
+
+        var rowH = 0.44;
+        s.addTable(rows, {
+            x: 0.5, y: 0.85, w: 12.33, h: rows.length * rowH,
+            rowH: rowH, colW: [3.4, 1.8, 1.5, 1.3, 1.5, 1.4, 1.43],
+            border: { type: 'solid', pt: 0.5, color: '222244' },
+            fontFace: FONT, fontSize: 12,
+        });
+        s.addText('BSL-weighted penetration, summed unserved, population-weighted HHI  \u00b7  FiberMap USA  \u00b7  ' + dateStr, {
+            x: 0.3, y: 7.15, w: 12.73, h: 0.25,
+            fontSize: 9, italic: true, color: TEXT_DIM, fontFace: FONT,
+        });
+    }
+
+    function _addTourSlide(pptx, imgData, title, caption, step, total, dateStr) {
+        var s = pptx.addSlide();
+        s.background = { color: BG };
+        s.addText(title, {
+            x: 0.3, y: 0.12, w: 12.73, h: 0.44,
+            fontSize: 22, bold: true, color: TEXT_PRI, fontFace: FONT,
+        });
+        s.addText('Deep Dive  \u00b7  Step ' + step + ' of ' + total + '  \u00b7  ' + dateStr + '  \u00b7  FCC BDC ' + DataHandler.getFilingLabel(), {
+            x: 0.3, y: 0.56, w: 12.73, h: 0.24,
+            fontSize: 10, color: TEXT_DIM, fontFace: FONT,
+        });
+        var mapW = 9.2;
+        s.addImage({ data: imgData, x: 0.3, y: 0.95, w: mapW, h: (MAP_H / MAP_W) * mapW });
+        s.addText(caption.lines.map(function(line) {
+            return { text: line, options: { bullet: true, breakLine: true } };
+        }), {
+            x: 9.7, y: 0.95, w: 3.33, h: 5.4, valign: 'top',
+            fontSize: 12, color: TEXT_SEC, fontFace: FONT, paraSpaceAfter: 8,
+        });
+    }
+
+    // GeoJSON a tour region's slides are framed on, or null for the whole country
+    function _regionFocus(region) {
+        if (!region) return null;
+        if (region.state) {
+            var config = FEATURED_STATES[region.state];
+            var geojson = config ? DataHandler.extractStateGeoJSON(config.fipsPrefix) : null;
+            return geojson && geojson.features && geojson.features.length ? geojson : null;
+        }
+        var b = region.bounds;  // [[south, west], [north, east]]
+        return { type: 'MultiPoint', coordinates: [[b[0][1], b[0][0]], [b[1][1], b[1][0]]] };
+    }
+
+    /**
+     * One captioned map slide per Deep Dive step, framed on the tour region.
+     * The map returns to its current layer afterwards.
+     * @param {Object} tour - DeepDiveTour.getConfig()
+     * @param {string} [btnId] - button whose label shows progress
+     */
+    function exportTourToPPT(tour, btnId) {
+        if (typeof PptxGenJS === 'undefined') {
+            alert('Export library not loaded yet. Please wait a moment and try again.');
+            return;
+        }
+        if (!tour || !tour.layers.length) return;
+        if (MapRenderer.currentMode !== 'market') {
+            console.warn('Deep Dive export: switch to market mode first');
+            return;
+        }
+
+        var btn = document.getElementById(btnId || 'export-ppt-btn');
+        var idleLabel = btn ? btn.textContent : '';
+        function setLabel(txt, disabled) {
+            if (btn) { btn.textContent = txt; btn.disabled = !!disabled; }
+        }
+
+        var original = MapRenderer.currentLayer;
+        var focus    = _regionFocus(tour.region);
+        var region   = tour.region ? ' \u2014 ' + DeepDiveTour.regionLabel(tour.region) : '';
+        var today    = new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+        var pptx     = new PptxGenJS();
+        pptx.layout  = 'LAYOUT_WIDE';
+
+        var chain = Promise.resolve();
+        tour.layers.forEach(function(layer, i) {
+            chain = chain.then(function() {
+                setLabel('Rendering ' + (i + 1) + '/' + tour.layers.length + '\u2026', true);
+                MapRenderer.setLayer(layer);
+                var caption = DeepDiveTour.captionFor(layer, tour.region);
+                return new Promise(function(resolve, reject) {
+                    _renderMapToCanvas(resolve, reject, focus);
+                }).then(function(imgData) {
+                    _addTourSlide(pptx, imgData, _slideTitle('market', layer) + region, caption, i + 1, tour.layers.length, today);
+                });
+            });
+        });
+
+        chain.then(function() {
+            setLabel('Saving\u2026', true);
+            return pptx.writeFile({ fileName: 'FiberMap-deep-dive-' + new Date().toISOString().slice(0, 10) + '.pptx' });
+        }).then(function() {
+            MapRenderer.setLayer(original);
+            setLabel(idleLabel, false);
+        }).catch(function(err) {
+            console.error('Deep Dive export error:', err);
+            MapRenderer.setLayer(original);
+            setLabel(idleLabel, false);
+            alert('Export failed: ' + err.message);
+        });
+    }
+
     // ── Public API ────────────────────────────────────────────────────────────
 
     function exportToPPT(btnId) {
@@ -225,6 +429,8 @@
             _addSlide1(pptx, imgData, title, today);
             var stats = _buildStats(mode, layer, provider);
             if (stats.length) _addSlide2(pptx, title, today, stats);
+            var markets = mode === 'market' && typeof MarketManager !== 'undefined' ? MarketManager.getRecords() : [];
+            if (markets.length) _addMarketsSlide(pptx, today, markets);
 
             setLabel('Saving\u2026', true);
             return pptx.writeFile({ fileName: 'FiberMap-' + slug + '.pptx' });
@@ -237,6 +443,6 @@
         });
     }
 
-    window.MapExport = { exportToPPT: exportToPPT };
+    window.MapExport = { exportToPPT: exportToPPT, exportTourToPPT: exportTourToPPT };
 
 })();
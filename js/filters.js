@@ -0,0 +1,419 @@
+// Rule-based county filter builder
+// A filter is a list of rules over county fields — a numeric range, a set of
+// categories (RUCC class, build difficulty, BEAD status...) or "provider X
+// present/absent with tech Y" — combined with AND ('all') or OR ('any').
+// The rules live in MapRenderer.filters.rules, so MapRenderer.isFiltered dims the
+// map, and the rankings table, CSV/Excel/PPT exports and UrlState all follow them.
+
+(function(global) {
+    'use strict';
+
+    var TECHS = ['fiber', 'cable', 'dsl', 'all'];
+
+    // type 'range': min/max in stored units (scale = display multiplier, e.g. 100 for 0–1 shares)
+    // type 'set':   any of `values`; options come from the field or the loaded counties
+    var FIELDS = [
+        { key: 'population_2023',         label: 'Population',              type: 'range' },
+        { key: 'housing_density',         label: 'Housing Density (/sq mi)', type: 'range' },
+        { key: 'median_hhi',              label: 'Median HHI ($)',          type: 'range' },
+        { key: 'fiber_penetration',       label: 'Fiber Penetration (%)',   type: 'range', scale: 100 },
+        { key: 'fiber_unserved',          label: 'Unserved Locations',      type: 'range' },
+        { key: 'cable_coverage_pct',      label: 'Cable Coverage (%)',      type: 'range', scale: 100 },
+        { key: 'fwa_coverage_pct',        label: 'Fixed Wireless (%)',      type: 'range', scale: 100 },
+        { key: 'attractiveness_index',    label: 'Attractiveness Score',    type: 'range' },
+        { key: 'demo_score',              label: 'Demographics Score',      type: 'range' },
+        { key: 'terrain_roughness',       label: 'Terrain Score',           type: 'range' },
+        { key: 'competitive_intensity',   label: 'Fiber Providers',         type: 'range' },
+        { key: 'bead_eligible_locations', label: 'BEAD Eligible Locations', type: 'range' },
+        { key: 'wfh_pct',                 label: 'Work From Home (%)',      type: 'range' },
+        { key: 'pop_growth_pct',          label: 'Population Growth (%)',   type: 'range' },
+        { key: 'rucc_code',        label: 'RUCC Class',       type: 'set', options: ['1', '2', '3', '4', '5', '6', '7', '8', '9'] },
+        { key: 'build_difficulty', label: 'Build Difficulty', type: 'set', options: ['Easy', 'Moderate', 'Moderate-Hard', 'Challenging'] },
+        { key: 'bead_status',      label: 'BEAD Status',      type: 'set', options: ['Eligible', 'Not Eligible', 'Unverified'] },
+        { key: 'momentum_class',   label: 'Build Momentum',   type: 'set', options: ['Stalled', 'Steady', 'Growing', 'Surging'] },
+        { key: 'state_code',       label: 'State',            type: 'set' },
+        { key: 'provider',         label: 'Provider',         type: 'provider' }
+    ];
+
+    var _fieldsByKey = {};
+    FIELDS.forEach(function(f) { _fieldsByKey[f.key] = f; });
+
+    function isNum(v) {
+        return typeof v === 'number' && isFinite(v);
+    }
+
+    function _toNumber(v) {
+        if (v === '' || v == null) return null;
+        var n = Number(v);
+        return isFinite(n) ? n : null;
+    }
+
+    // Categorical value(s) of a set field as strings; aggregates list every member state
+    function _setValues(county, key) {
+        if (key === 'state_code' && Array.isArray(county.state_codes)) return county.state_codes;
+        var v = county[key];
+        if (key === 'momentum_class' && !v && typeof TableManager !== 'undefined') {
+            v = TableManager._momentumLabel(county).replace('*', '');
+        }
+        return v == null || v === '' ? [] : [String(v)];
+    }
+
+    // ── Rules (pure) ─────────────────────────────────────────────────────────
+
+    /**
+     * Validate and canonicalise one rule.
+     * @param {Object} rule - { field, min, max } | { field, values } | { field:'provider', provider, tech, present }
+     * @returns {Object|null} null when the field is unknown or the rule constrains nothing
+     */
+    function normalizeRule(rule) {
+        var field = rule && _fieldsByKey[rule.field];
+        if (!field) return null;
+        if (field.type === 'range') {
+            var min = _toNumber(rule.min), max = _toNumber(rule.max);
+            if (min == null && max == null) return null;
+            return { field: field.key, min: min, max: max };
+        }
+        if (field.type === 'set') {
+            var values = (rule.values || []).map(String).filter(function(v, i, arr) {
+                return v && arr.indexOf(v) === i;
+            });
+            return values.length ? { field: field.key, values: values } : null;
+        }
+        if (!rule.provider) return null;
+        return {
+            field: 'provider',
+            provider: String(rule.provider),
+            tech: TECHS.indexOf(rule.tech) !== -1 ? rule.tech : 'fiber',
+            present: rule.present !== false
+        };
+    }
+
+    function matchesRule(county, rule) {
+        var field = _fieldsByKey[rule.field];
+        if (!field) return true;
+        if (field.type === 'range') {
+            var v = county[rule.field];
+            if (!isNum(v)) return false;
+            return (rule.min == null || v >= rule.min) && (rule.max == null || v <= rule.max);
+        }
+        if (field.type === 'set') {
+            return _setValues(county, rule.field).some(function(v) { return rule.values.indexOf(v) !== -1; });
+        }
+        var present = typeof ProviderIndex !== 'undefined'
+            && ProviderIndex.getPassings(county, rule.provider, rule.tech) > 0;
+        return present === rule.present;
+    }
+
+    /**
+     * @param {Object} county - county or aggregate record
+     * @param {Object[]} rules - normalized rules
+     * @param {string} [match] - 'all' (default) or 'any'
+     * @returns {boolean} true when the county passes; an empty rule list passes everything
+     */
+    function matches(county, rules, match) {
+        if (!county) return false;
+        if (!rules || !rules.length) return true;
+        return match === 'any'
+            ? rules.some(function(r) { return matchesRule(county, r); })
+            : rules.every(function(r) { return matchesRule(county, r); });
+    }
+
+    function _formatBound(field, v) {
+        var shown = field.scale ? v * field.scale : v;
+        return Math.abs(shown) >= 1000 ? Math.round(shown).toLocaleString('en-US') : String(+shown.toFixed(2));
+    }
+
+    // Human-readable rule, e.g. "Median HHI ($) 50,000–80,000" or "AT&T fiber absent"
+    function describe(rule) {
+        var field = _fieldsByKey[rule.field];
+        if (!field) return '';
+        if (field.type === 'range') {
+            if (rule.min != null && rule.max != null) {
+                return field.label + ' ' + _formatBound(field, rule.min) + '–' + _formatBound(field, rule.max);
+            }
+            return field.label + (rule.min != null ? ' ≥ ' + _formatBound(field, rule.min) : ' ≤ ' + _formatBound(field, rule.max));
+        }
+        if (field.type === 'set') return field.label + ': ' + rule.values.join(', ');
+        return rule.provider + ' ' + rule.tech + ' ' + (rule.present ? 'present' : 'absent');
+    }
+
+    // ── URL serialization ────────────────────────────────────────────────────
+    // Rules joined by ';':  median_hhi:50000..80000   rucc_code:=7,8,9   provider:-fiber:AT%26T
+
+    function serialize(rules) {
+        return (rules || []).map(function(r) {
+            var field = _fieldsByKey[r.field];
+            if (!field) return '';
+            if (field.type === 'range') return r.field + ':' + (r.min != null ? r.min : '') + '..' + (r.max != null ? r.max : '');
+            if (field.type === 'set') return r.field + ':=' + r.values.map(encodeURIComponent).join(',');
+            return 'provider:' + (r.present ? '+' : '-') + r.tech + ':' + encodeURIComponent(r.provider);
+        }).filter(Boolean).join(';');
+    }
+
+    // Inverse of serialize; malformed parts are dropped
+    function parse(str) {
+        if (!str) return [];
+        return String(str).split(';').map(function(part) {
+            var sep = part.indexOf(':');
+            if (sep < 1) return null;
+            var key = part.slice(0, sep), body = part.slice(sep + 1);
+            var field = _fieldsByKey[key];
+            if (!field) return null;
+            try {
+                if (field.type === 'range') {
+                    var bounds = body.split('..');
+                    if (bounds.length !== 2) return null;
+                    return normalizeRule({ field: key, min: bounds[0], max: bounds[1] });
+                }
+                if (field.type === 'set') {
+                    if (body.charAt(0) !== '=') return null;
+                    return normalizeRule({ field: key, values: body.slice(1).split(',').map(decodeURIComponent) });
+                }
+                var m = /^([+-])(\w+):(.+)$/.exec(body);
+                if (!m) return null;
+                return normalizeRule({ field: key, present: m[1] === '+', tech: m[2], provider: decodeURIComponent(m[3]) });
+            } catch (e) {
+                console.warn('Ignoring malformed filter rule:', part);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    // ── Builder UI ───────────────────────────────────────────────────────────
+
+    var _draft = [];   // rules being edited, possibly incomplete: { field, min, max, values, provider, tech, present }
+    var _onChange = null;
+
+    function _el(tag, className, text) {
+        var el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text != null) el.textContent = text;
+        return el;
+    }
+
+    function _options(select, items, selected) {
+        items.forEach(function(item) {
+            var opt = document.createElement('option');
+            opt.value = item.value;
+            opt.textContent = item.label;
+            if (item.value === selected) opt.selected = true;
+            select.appendChild(opt);
+        });
+    }
+
+    function _setOptions(field) {
+        if (field.options) return field.options;
+        var seen = {};
+        DataHandler.getAllLoadedCounties().forEach(function(c) {
+            if (c[field.key] != null) seen[String(c[field.key])] = true;
+        });
+        return Object.keys(seen).sort();
+    }
+
+    function _ruleRow(rule, index) {
+        var row = _el('div', 'filter-rule');
+        var field = _fieldsByKey[rule.field];
+
+        var fieldSel = _el('select', 'table-filter-select');
+        fieldSel.setAttribute('aria-label', 'Field for rule ' + (index + 1));
+        _options(fieldSel, FIELDS.map(function(f) { return { value: f.key, label: f.label }; }), rule.field);
+        fieldSel.addEventListener('change', function() {
+            _draft[index] = { field: fieldSel.value };
+            _apply();
+            _render();
+        });
+        row.appendChild(fieldSel);
+
+        if (field.type === 'range') {
+            ['min', 'max'].forEach(function(bound) {
+                var input = _el('input', 'filter-rule-number');
+                input.type = 'number';
+                input.placeholder = bound;
+                input.setAttribute('aria-label', field.label + ' ' + bound);
+                if (rule[bound] != null) input.value = +(field.scale ? rule[bound] * field.scale : rule[bound]).toFixed(6);
+                input.addEventListener('change', function() {
+                    var n = _toNumber(input.value);
+                    rule[bound] = n == null ? null : field.scale ? n / field.scale : n;
+                    _apply();
+                });
+                row.appendChild(input);
+            });
+        } else if (field.type === 'set') {
+            var values = rule.values || (rule.values = []);
+            var box = _el('div', 'filter-rule-values');
+            _setOptions(field).forEach(function(opt) {
+                var label = _el('label', 'filter-rule-value');
+                var cb = _el('input');
+                cb.type = 'checkbox';
+                cb.checked = values.indexOf(opt) !== -1;
+                cb.addEventListener('change', function() {
+                    var i = values.indexOf(opt);
+                    if (cb.checked && i === -1) values.push(opt);
+                    if (!cb.checked && i !== -1) values.splice(i, 1);
+                    _apply();
+                });
+                label.appendChild(cb);
+                label.appendChild(document.createTextNode(opt));
+                box.appendChild(label);
+            });
+            row.appendChild(box);
+        } else {
+            var presentSel = _el('select', 'table-filter-select');
+            presentSel.setAttribute('aria-label', 'Present or absent');
+            _options(presentSel, [{ value: 'present', label: 'present' }, { value: 'absent', label: 'absent' }],
+                rule.present === false ? 'absent' : 'present');
+            var provSel = _el('select', 'table-filter-select');
+            provSel.setAttribute('aria-label', 'Provider');
+            _options(provSel, [{ value: '', label: 'Choose provider…' }].concat(ProviderIndex.allProviders().map(function(p) {
+                return { value: p, label: ProviderIndex.getDisplayName(p) };
+            })), rule.provider || '');
+            var techSel = _el('select', 'table-filter-select');
+            techSel.setAttribute('aria-label', 'Technology');
+            _options(techSel, [
+                { value: 'fiber', label: 'Fiber' }, { value: 'cable', label: 'Cable' },
+                { value: 'dsl', label: 'DSL' }, { value: 'all', label: 'Any tech' }
+            ], rule.tech || 'fiber');
+            function sync() {
+                rule.provider = provSel.value;
+                rule.tech = techSel.value;
+                rule.present = presentSel.value === 'present';
+                _apply();
+            }
+            [provSel, techSel, presentSel].forEach(function(s) { s.addEventListener('change', sync); });
+            row.appendChild(provSel);
+            row.appendChild(techSel);
+            row.appendChild(presentSel);
+        }
+
+        var rm = _el('button', 'market-member-remove', '×');
+        rm.type = 'button';
+        rm.setAttribute('aria-label', 'Remove rule ' + (index + 1));
+        rm.addEventListener('click', function() {
+            _draft.splice(index, 1);
+            _apply();
+            _render();
+        });
+        row.appendChild(rm);
+        return row;
+    }
+
+    function _render() {
+        var list = document.getElementById('filter-rules');
+        if (!list) return;
+        list.textContent = '';
+        _draft.forEach(function(rule, i) { list.appendChild(_ruleRow(rule, i)); });
+        if (!_draft.length) list.appendChild(_el('p', 'bead-tracker-note', 'No rules — every county is shown.'));
+        var matchSel = document.getElementById('filter-match');
+        if (matchSel) matchSel.value = MapRenderer.filters.match === 'any' ? 'any' : 'all';
+        _updateSummary();
+    }
+
+    function _updateSummary() {
+        var summary = document.getElementById('filter-summary');
+        if (!summary) return;
+        var counties = DataHandler.getAllLoadedCounties();
+        var shown = counties.filter(function(c) { return !MapRenderer.isFiltered(c); }).length;
+        summary.textContent = FiberUtils.formatNumber(shown) + ' of ' + FiberUtils.formatNumber(counties.length) + ' counties match.';
+    }
+
+    function _updateButtonLabel() {
+        var btn = document.getElementById('filter-builder-btn');
+        if (!btn) return;
+        var n = (MapRenderer.filters.rules || []).length;
+        btn.textContent = n ? 'Filters (' + n + ')' : 'Filters';
+        btn.classList.toggle('active', n > 0);
+    }
+
+    // Complete draft rules become the live filter; incomplete ones wait in the editor
+    function _apply() {
+        var rules = _draft.map(normalizeRule).filter(Boolean);
+        var matchSel = document.getElementById('filter-match');
+        FilterBuilder.setRules(rules, matchSel ? matchSel.value : MapRenderer.filters.match);
+        _updateSummary();
+        if (_onChange) _onChange();
+    }
+
+    function _openPanel() {
+        var backdrop = document.getElementById('filter-builder-backdrop');
+        if (!backdrop) return;
+        _draft = (MapRenderer.filters.rules || []).map(function(r) { return JSON.parse(JSON.stringify(r)); });
+        _render();
+        backdrop.classList.add('open');
+    }
+
+    function _closePanel() {
+        var backdrop = document.getElementById('filter-builder-backdrop');
+        if (backdrop) backdrop.classList.remove('open');
+    }
+
+    function _bindEvents() {
+        var openBtn  = document.getElementById('filter-builder-btn');
+        var closeBtn = document.getElementById('filter-builder-close');
+        var backdrop = document.getElementById('filter-builder-backdrop');
+        if (openBtn)  openBtn.addEventListener('click', _openPanel);
+        if (closeBtn) closeBtn.addEventListener('click', _closePanel);
+        if (backdrop) {
+            backdrop.addEventListener('click', function(e) {
+                if (e.target === backdrop) _closePanel();
+            });
+        }
+
+        var addBtn = document.getElementById('filter-add-btn');
+        if (addBtn) {
+            addBtn.addEventListener('click', function() {
+                _draft.push({ field: FIELDS[0].key });
+                _render();
+            });
+        }
+
+        var clearBtn = document.getElementById('filter-clear-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', function() {
+                _draft = [];
+                _apply();
+                _render();
+            });
+        }
+
+        var matchSel = document.getElementById('filter-match');
+        if (matchSel) matchSel.addEventListener('change', _apply);
+
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') _closePanel();
+        });
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var FilterBuilder = {
+        FIELDS: FIELDS,
+        normalizeRule: normalizeRule,
+        matches: matches,
+        describe: describe,
+        serialize: serialize,
+        parse: parse,
+
+        // onChange runs after every edit in the builder (main.js records the URL state)
+        bindUI: function(onChange) {
+            _onChange = onChange || null;
+            _bindEvents();
+            _updateButtonLabel();
+        },
+
+        /**
+         * Replace the active rules; the map, table and exports re-filter through MapRenderer.
+         * @param {Object[]} rules - raw or normalized rules; invalid ones are dropped
+         * @param {string} [match] - 'all' | 'any'
+         */
+        setRules: function(rules, match) {
+            MapRenderer.setFilters({
+                rules: (rules || []).map(normalizeRule).filter(Boolean),
+                match: match === 'any' ? 'any' : 'all'
+            });
+            if (typeof document !== 'undefined') _updateButtonLabel();
+        }
+    };
+
+    global.FilterBuilder = FilterBuilder;
+
+})(typeof window !== 'undefined' ? window : global);
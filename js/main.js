@@ -22,6 +22,10 @@
             return;
         }
 
+        // Apply the saved scoring profile before anything renders scores
+        if (typeof ScoringProfiles !== 'undefined') ScoringProfiles.init();
+        if (typeof MarketManager !== 'undefined') MarketManager.init();
+
         console.log('Data loaded:', DataHandler.getAllStates().length, 'states,',
             DataHandler.getCountiesForState('NY').length, 'NY counties,',
             DataHandler.getCountiesForState('MO').length, 'MO counties');
@@ -41,6 +45,17 @@
         // Setup global event handlers
         setupGlobalHandlers();
 
+        if (typeof ScoringProfiles !== 'undefined') ScoringProfiles.bindUI();
+        if (typeof DataValidator !== 'undefined') DataValidator.bindUI();
+        if (typeof MarketManager !== 'undefined') MarketManager.bindUI();
+        if (typeof FilterBuilder !== 'undefined') FilterBuilder.bindUI(function() { UrlState.push(); });
+        if (typeof FootprintTimelapse !== 'undefined') FootprintTimelapse.bindUI();
+        if (typeof MapSearch !== 'undefined') MapSearch.bindUI();
+        if (typeof CustomOverlays !== 'undefined') CustomOverlays.bindUI();
+        if (typeof DeepDiveTour !== 'undefined') DeepDiveTour.bindUI();
+        if (typeof DotDensity !== 'undefined') DotDensity.bindUI();
+        if (typeof CountyAnnotations !== 'undefined') CountyAnnotations.bindUI();
+
         // Init auth gating before URL restore so layer/provider checks work on load
         if (typeof AuthManager !== 'undefined') await AuthManager.init();
 
@@ -49,6 +64,15 @@
 
         console.log('Application initialized');
 
+        // Cached data was served on a warm load; redraw if the background refresh found newer rows
+        DataHandler.onDataRefresh(function(table) {
+            console.log('Cached ' + table + ' refreshed from upstream');
+            if (table !== 'counties') return;
+            TableManager._populateStateDropdown();
+            refreshDataViews();
+            showToast('County data updated');
+        });
+
         // Load all states in the background — re-render table and state dropdown when done
         DataHandler.loadAllCounties(function(loaded, total) {
             console.log('Loading all counties: ' + loaded + ' / ' + total);
@@ -75,19 +99,39 @@
                 }
                 if (MapRenderer.currentTech && MapRenderer.currentTech !== 'fiber')
                     p.set('tech', MapRenderer.currentTech);
+                if (MapRenderer.showExpansion && MapRenderer.currentSubview !== 'competition') p.set('expand', '1');
             } else {
                 if (MapRenderer.currentLayer && MapRenderer.currentLayer !== 'penetration')
                     p.set('layer', MapRenderer.currentLayer);
+                if (MapRenderer.currentLayer === 'bivariate') {
+                    p.set('bx', MapRenderer.bivariateX);
+                    p.set('by', MapRenderer.bivariateY);
+                }
+                if (MapRenderer.currentLayer === 'delta') {
+                    if (MapRenderer.deltaFrom) p.set('dfrom', MapRenderer.deltaFrom);
+                    if (MapRenderer.deltaTo) p.set('dto', MapRenderer.deltaTo);
+                    if (MapRenderer.deltaMode === 'pct') p.set('dmode', 'pct');
+                }
+                if (MapRenderer.classification[MapRenderer.currentLayer])
+                    p.set('classes', MapRenderer.classification[MapRenderer.currentLayer]);
             }
             if (InfoPanel.pinnedCounty) p.set('county', InfoPanel.pinnedCounty);
+            if (DataHandler.getFilingDate()) p.set('asof', DataHandler.getFilingDate());
             if (MapRenderer.filters.minPop > 0) p.set('minpop', MapRenderer.filters.minPop);
             if (MapRenderer.filters.minDensity > 0) p.set('mindensity', MapRenderer.filters.minDensity);
+            if (MapRenderer.filters.cbsa) p.set('metro', MapRenderer.filters.cbsa);
+            if (MapRenderer.filters.rules.length) {
+                p.set('rules', FilterBuilder.serialize(MapRenderer.filters.rules));
+                if (MapRenderer.filters.match === 'any') p.set('match', 'any');
+            }
             var qs = p.toString();
             history.pushState(null, '', qs ? '?' + qs : location.pathname);
         },
 
         restore: function() {
             var p = new URLSearchParams(location.search);
+            var asof = p.get('asof') || '';
+            if (asof !== (DataHandler.getFilingDate() || '')) setFilingDate(asof);
             if (!p.toString()) return;
 
             var tab        = p.get('tab')       || 'market';
@@ -99,6 +143,7 @@
             var tech       = p.get('tech')      || 'fiber';
             var minpop     = parseInt(p.get('minpop')     || '0', 10);
             var mindensity = parseInt(p.get('mindensity') || '0', 10);
+            var metro      = p.get('metro')     || '';
 
             // Restore filters
             if (minpop > 0 || mindensity > 0) {
@@ -108,6 +153,8 @@
                 if (minDenSel) minDenSel.value = mindensity;
                 MapRenderer.setFilters({ minPop: minpop, minDensity: mindensity });
             }
+            if (metro && DataHandler.getCbsa(metro)) setMetroFilter(metro);
+            if (p.get('rules')) FilterBuilder.setRules(FilterBuilder.parse(p.get('rules')), p.get('match'));
 
             if (tab === 'provider') {
                 // Switch to provider mode
@@ -131,12 +178,37 @@
                             if (btn) btn.click();
                         });
                     }
-                } else if (provider) {
-                    var provBtn = document.querySelector('#provider-list .provider-item[data-provider="' + CSS.escape(provider) + '"]');
-                    if (provBtn) provBtn.click();
+                } else {
+                    if (p.get('expand') === '1') MapRenderer.setExpansion(true);
+                    if (provider) {
+                        var provBtn = document.querySelector('#provider-list .provider-item[data-provider="' + CSS.escape(provider) + '"]');
+                        if (provBtn) provBtn.click();
+                    }
                 }
             } else {
-                // Restore layer
+                // Restore layer (bivariate axes first so the layer draws once)
+                var validMetric = function(key) {
+                    return ColorScales.bivariateMetrics.some(function(m) { return m.key === key; }) ? key : null;
+                };
+                if (layer === 'bivariate') {
+                    MapRenderer.setBivariateMetrics(validMetric(p.get('bx')), validMetric(p.get('by')));
+                    ['x', 'y'].forEach(function(axis) {
+                        var sel = document.getElementById('bivariate-' + axis);
+                        if (sel) sel.value = axis === 'x' ? MapRenderer.bivariateX : MapRenderer.bivariateY;
+                    });
+                }
+                if (layer === 'delta') {
+                    MapRenderer.deltaFrom = p.get('dfrom') || null;
+                    MapRenderer.deltaTo = p.get('dto') || null;
+                    MapRenderer.deltaMode = p.get('dmode') === 'pct' ? 'pct' : 'net';
+                    MapRenderer._filingDelta = null;
+                    MapRenderer._syncDeltaControls();
+                }
+                var classes = p.get('classes');
+                if (classes && ColorScales.classificationMethods.some(function(m) { return m.key === classes; })) {
+                    MapRenderer.setClassification(classes, layer);
+                }
+                MapRenderer._syncClassificationControls();
                 if (layer !== 'penetration') {
                     var layerBtn = document.querySelector('#layer-toggle .toggle-btn[data-layer="' + layer + '"]');
                     if (layerBtn) layerBtn.click();
@@ -157,7 +229,73 @@
         UrlState.restore();
     });
 
+    // Re-render every view that reads county values (after a snapshot switch or data refresh)
+    function refreshDataViews() {
+        MapRenderer.refreshCountyStyles();
+        if (typeof DotDensity !== 'undefined') DotDensity.refresh();
+        TableManager.renderTable();
+        TableManager.applyFilters();
+        if (InfoPanel.pinnedCounty && MapRenderer.currentMode === 'market') {
+            InfoPanel.showCountyInfo(InfoPanel.pinnedCounty);
+        }
+    }
+
+    function setMetroFilter(code) {
+        ['metro-filter', 'table-metro-filter'].forEach(function(id) {
+            var sel = document.getElementById(id);
+            if (sel) sel.value = code;
+        });
+        MapRenderer.setFilters({ cbsa: code });
+    }
+
+    // ── As-of filing snapshot ─────────────────────────────────────────────────
+    function setFilingDate(date) {
+        var select = document.getElementById('filing-date');
+        var label = date ? FiberUtils.formatFilingDate(date) : 'current';
+        if (select) {
+            select.value = date;
+            select.disabled = true;
+        }
+        if (date) showToast('Loading ' + label + ' filing…');
+        return DataHandler.setFilingDate(date, function(loaded) {
+            if (select) select.title = 'Loading ' + label + ' filing: ' + loaded.toLocaleString() + ' rows';
+        }).then(function(ok) {
+            if (select) {
+                select.disabled = false;
+                select.title = 'Rebuild served counts, operators and scores from a past FCC BDC filing';
+                select.value = DataHandler.getFilingDate() || '';
+            }
+            if (!ok) {
+                if (DataHandler.getFilingDate() !== (date || null)) showToast('Could not load the ' + label + ' filing');
+                return;
+            }
+            refreshDataViews();
+            showToast(date ? 'Showing markets as of the ' + label + ' filing' : 'Showing current data');
+        });
+    }
+
+    function setupFilingSelector() {
+        var select = document.getElementById('filing-date');
+        if (!select) return;
+        DataHandler.loadFilingDates().then(function(dates) {
+            var current = DataHandler.getFilingDate() || '';
+            dates.forEach(function(date) {
+                var opt = document.createElement('option');
+                opt.value = date;
+                opt.textContent = FiberUtils.formatFilingDate(date);
+                select.appendChild(opt);
+            });
+            select.value = current;
+        });
+        select.addEventListener('change', function() {
+            setFilingDate(select.value);
+            UrlState.push();
+        });
+    }
+
     function setupControls() {
+        setupFilingSelector();
+
         // ── Mode switcher (By Market / By Provider) ──
         var modeMarketBtn    = document.getElementById('mode-market');
         var modeProviderBtn  = document.getElementById('mode-provider');
@@ -206,6 +344,14 @@
         if (subviewIndividualBtn)  subviewIndividualBtn.addEventListener('click',  function() { switchSubview('individual'); });
         if (subviewCompetitionBtn) subviewCompetitionBtn.addEventListener('click', function() { switchSubview('competition'); });
 
+        var expansionBtn = document.getElementById('expansion-btn');
+        if (expansionBtn) {
+            expansionBtn.addEventListener('click', function() {
+                MapRenderer.setExpansion(!MapRenderer.showExpansion);
+                UrlState.push();
+            });
+        }
+
         // ── Provider picker ──
         buildProviderList();
         buildCompetitionList();
@@ -266,6 +412,155 @@
             });
         }
 
+        // Bivariate layer axes
+        ['bivariate-x', 'bivariate-y'].forEach(function(id) {
+            var sel = document.getElementById(id);
+            if (!sel) return;
+            ColorScales.bivariateMetrics.forEach(function(m) {
+                var opt = document.createElement('option');
+                opt.value = m.key;
+                opt.textContent = m.label;
+                sel.appendChild(opt);
+            });
+            sel.value = id === 'bivariate-x' ? MapRenderer.bivariateX : MapRenderer.bivariateY;
+            sel.addEventListener('change', function(e) {
+                if (id === 'bivariate-x') MapRenderer.setBivariateMetrics(e.target.value, null);
+                else MapRenderer.setBivariateMetrics(null, e.target.value);
+                UrlState.push();
+            });
+        });
+
+        // Passings change layer: the two filings compared and the measure
+        DataHandler.loadFilingDates().then(function(dates) {
+            var options = [FiberUtils.CURRENT_FILING_DATE].concat(dates);
+            ['delta-from', 'delta-to'].forEach(function(id) {
+                var sel = document.getElementById(id);
+                if (!sel) return;
+                options.forEach(function(date) {
+                    var opt = document.createElement('option');
+                    opt.value = date;
+                    opt.textContent = FiberUtils.formatFilingDate(date);
+                    sel.appendChild(opt);
+                });
+                sel.value = id === 'delta-from'
+                    ? MapRenderer.deltaFrom || dates[0] || FiberUtils.CURRENT_FILING_DATE
+                    : MapRenderer.deltaTo || FiberUtils.CURRENT_FILING_DATE;
+            });
+        });
+        ['delta-from', 'delta-to', 'delta-mode'].forEach(function(id) {
+            var sel = document.getElementById(id);
+            if (!sel) return;
+            sel.addEventListener('change', function(e) {
+                MapRenderer.setDeltaFilings(
+                    id === 'delta-from' ? e.target.value : null,
+                    id === 'delta-to' ? e.target.value : null,
+                    id === 'delta-mode' ? e.target.value : null);
+                UrlState.push();
+            });
+        });
+
+        // Compare mode: swipe or side-by-side against a second layer or provider footprint
+        var compareMode = document.getElementById('compare-mode');
+        var compareSpec = document.getElementById('compare-spec');
+        var compareTech = document.getElementById('compare-tech');
+        if (compareMode && compareSpec && compareTech) {
+            var layerGroup = document.createElement('optgroup');
+            layerGroup.label = 'Market layers';
+            MapRenderer.COMPARE_LAYERS.forEach(function(layer) {
+                var opt = document.createElement('option');
+                opt.value = 'layer:' + layer;
+                opt.textContent = MapRenderer.LAYER_LABELS[layer];
+                layerGroup.appendChild(opt);
+            });
+            var providerGroup = document.createElement('optgroup');
+            providerGroup.label = 'Provider footprints';
+            ProviderIndex.allProviders().forEach(function(name) {
+                var opt = document.createElement('option');
+                opt.value = 'provider:' + name;
+                opt.textContent = ProviderIndex.getDisplayName(name);
+                providerGroup.appendChild(opt);
+            });
+            compareSpec.appendChild(layerGroup);
+            compareSpec.appendChild(providerGroup);
+            compareSpec.value = 'layer:' + MapRenderer.compareSpec.layer;
+
+            // The second view is gated like the layer buttons and provider list
+            var compareAllowed = function(value) {
+                if (typeof AuthManager === 'undefined') return true;
+                return value.indexOf('provider:') === 0
+                    ? AuthManager.canUseProvider(value.slice('provider:'.length))
+                    : AuthManager.canUseLayer(value.slice('layer:'.length));
+            };
+            var lastCompareSpec = compareSpec.value;
+            var applyCompareSpec = function() {
+                var value = compareSpec.value;
+                var isProvider = value.indexOf('provider:') === 0;
+                if (!compareAllowed(value)) {
+                    AuthManager.showUpgradeModal(isProvider ? 'provider' : 'layer');
+                    compareSpec.value = value = lastCompareSpec;
+                    isProvider = value.indexOf('provider:') === 0;
+                }
+                lastCompareSpec = value;
+                compareTech.hidden = !compareMode.value || !isProvider;
+                MapRenderer.setCompareSpec(isProvider
+                    ? { mode: 'provider', provider: value.slice('provider:'.length), tech: compareTech.value }
+                    : { mode: 'market', layer: value.slice('layer:'.length) });
+            };
+            compareMode.addEventListener('change', function() {
+                if (!MapRenderer.setCompareMode(compareMode.value || null)) compareMode.value = '';
+                compareSpec.hidden = !compareMode.value;
+                // Start guests on a view they can open rather than with an upgrade prompt
+                if (!compareAllowed(compareSpec.value)) compareSpec.value = lastCompareSpec = 'layer:penetration';
+                applyCompareSpec();
+            });
+            compareSpec.addEventListener('change', applyCompareSpec);
+            compareTech.addEventListener('change', applyCompareSpec);
+        }
+
+        // Classification method for the current layer
+        var classSelect = document.getElementById('classification-select');
+        if (classSelect) {
+            ColorScales.classificationMethods.forEach(function(m) {
+                var opt = document.createElement('option');
+                opt.value = m.key;
+                opt.textContent = m.label;
+                classSelect.appendChild(opt);
+            });
+            classSelect.value = 'fixed';
+            classSelect.addEventListener('change', function(e) {
+                MapRenderer.setClassification(e.target.value);
+                UrlState.push();
+            });
+        }
+
+        // Metro (CBSA) filter — the map and table selects drive the same filter
+        ['metro-filter', 'table-metro-filter'].forEach(function(id) {
+            var sel = document.getElementById(id);
+            if (!sel) return;
+            sel.addEventListener('change', function(e) {
+                setMetroFilter(e.target.value);
+                UrlState.push();
+            });
+        });
+
+        var metroOutlinesCb = document.getElementById('metro-outlines-cb');
+        if (metroOutlinesCb) {
+            metroOutlinesCb.addEventListener('change', function(e) {
+                MapRenderer.setMetroOutlines(e.target.checked);
+            });
+        }
+
+        var metroRowsBtn = document.getElementById('metro-rows-btn');
+        if (metroRowsBtn) {
+            metroRowsBtn.addEventListener('click', function() {
+                TableManager.showMetroRows = !TableManager.showMetroRows;
+                metroRowsBtn.classList.toggle('active', TableManager.showMetroRows);
+                metroRowsBtn.setAttribute('aria-pressed', TableManager.showMetroRows ? 'true' : 'false');
+                TableManager.renderTable();
+                TableManager.applyFilters();
+            });
+        }
+
         // Deep Dive toggle
         var deepDiveBtn = document.getElementById('deep-dive-btn');
         if (deepDiveBtn) {
@@ -749,21 +1044,24 @@
         if (selectAllCb) {
             selectAllCb.addEventListener('change', function() {
                 var cbs = document.querySelectorAll('#county-table-body .row-select-cb');
+                var ids = [];
                 cbs.forEach(function(cb) {
                     var row = cb.closest('tr');
                     if (row && row.classList.contains('filtered-out')) return;
-                    cb.checked = selectAllCb.checked;
-                    var fips = cb.dataset.fips;
-                    if (selectAllCb.checked) {
-                        TableManager._selectedFips.add(fips);
-                    } else {
-                        TableManager._selectedFips.delete(fips);
-                    }
+                    ids.push(cb.dataset.fips);
                 });
-                TableManager._updateExportBtn();
+                TableManager.setSelection(ids, selectAllCb.checked ? 'add' : 'remove');
             });
         }
 
+        // Map selection tools — lasso / rectangle drag; shift-click toggles single counties
+        var lassoBtn = document.getElementById('select-lasso-btn');
+        if (lassoBtn) lassoBtn.addEventListener('click', function() { MapRenderer.setSelectTool('lasso'); });
+        var rectBtn = document.getElementById('select-rect-btn');
+        if (rectBtn) rectBtn.addEventListener('click', function() { MapRenderer.setSelectTool('rect'); });
+        var clearSelBtn = document.getElementById('selection-clear-btn');
+        if (clearSelBtn) clearSelBtn.addEventListener('click', function() { TableManager.clearSelection(); });
+
         // Copy county data button
         var copyBtn = document.getElementById('copy-county-btn');
         if (copyBtn) {
@@ -791,12 +1089,14 @@
             if (shouldRecordGuestPin && typeof AuthManager !== 'undefined') AuthManager.recordCountyPin();
             UrlState.push();
             if (typeof NewsPanel !== 'undefined') NewsPanel.showForCounty(fips);
+            if (typeof CountyAnnotations !== 'undefined') CountyAnnotations.showForCounty(fips);
             return true;
         };
         InfoPanel.unpinCounty = function() {
             _origUnpin();
             UrlState.push();
             if (typeof NewsPanel !== 'undefined') NewsPanel.hideCountyNews();
+            if (typeof CountyAnnotations !== 'undefined') CountyAnnotations.hideForCounty();
         };
 
         // Init news panel
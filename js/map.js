@@ -168,7 +168,15 @@
 
         overlay.addEventListener('click', function(e) { if (e.target === overlay) overlay.remove(); });
 
-        DataHandler.loadProviderHistory(fips).then(function(rows) {
+        // A market's history is its members' rows together; they sum per date below
+        var market = typeof MarketManager !== 'undefined' && MarketManager.isMarketId(fips)
+            ? DataHandler.getCountyData(fips) : null;
+        var historyPromise = market
+            ? Promise.all(market.member_fips.map(function(f) { return DataHandler.loadProviderHistory(f); }))
+                .then(function(lists) { return [].concat.apply([], lists.map(function(l) { return l || []; })); })
+            : DataHandler.loadProviderHistory(fips);
+
+        historyPromise.then(function(rows) {
             body.textContent = '';
 
             if (!rows || !rows.length) {
@@ -362,6 +370,24 @@
     // Zoom level at which county view activates (state view below this)
     var COUNTY_ZOOM_THRESHOLD = 6;
 
+    // Market layers that aggregate meaningfully to a state; the rest stay at county level when zoomed out
+    var STATE_CHOROPLETH_LAYERS = ['penetration', 'cable', 'fwa', 'broadband_gap', 'demographic', 'attractiveness', 'terrain'];
+
+    var LAYER_LABELS = {
+        penetration: 'Fiber Penetration', cable: 'Cable Coverage', fwa: 'Fixed Wireless',
+        broadband_gap: 'Broadband Gap', demographic: 'Demographics', attractiveness: 'Market Attractiveness',
+        competitive: 'Competition', momentum: 'Build Momentum', terrain: 'Build Difficulty',
+        bead: 'BEAD $/Location', bivariate: 'Bivariate', delta: 'Passings Change'
+    };
+    var TECH_LABELS = { fiber: 'Fiber', cable: 'Cable', dsl: 'DSL/Copper', all: 'All Tech' };
+
+    // Compare mode: the second view can show any market layer that colors from county rows alone
+    var COMPARE_MODES = ['swipe', 'split'];
+    var COMPARE_LAYERS = ['penetration', 'cable', 'fwa', 'demographic', 'attractiveness', 'competitive', 'momentum', 'terrain'];
+    // MapRenderer fields _countyColor reads; swapped for the compare spec while coloring the second view
+    var COMPARE_STATE = ['currentMode', 'currentLayer', 'currentSubview', 'currentProvider', 'currentTech',
+        '_providerFootprint', '_timelapseFootprint', '_expansionRank', '_classificationStale'];
+
     // ============================================
     // MAP RENDERER  (Leaflet-based, zoom-driven)
     // ============================================
@@ -369,27 +395,77 @@
     var MapRenderer = {
         _map: null,
         _stateLayer: null,
+        _stateFillLayer: null,   // state choropleth, on the map only below COUNTY_ZOOM_THRESHOLD
+        _stateRecords: {},       // state code → MarketManager.getStateRecord, rebuilt on each restyle
         _countyLayer: null,
         _countyLayerMap: {},   // fips → Leaflet layer
+        _countyFeatures: null, // merged county GeoJSON, reused for the compare view
+        _marketLayer: null,
+        _marketLayerMap: {},   // 'mkt:<id>' / 'cbsa:<code>' → Leaflet outline layer
+        _metroLayer: null,
+        showMetroOutlines: false,
         _countyFipsList: [],   // ordered FIPS for keyboard nav
+        _countyIndex: {},      // fips → position in _countyFipsList (and in each cached color view)
         _focusedFips: null,
         _inCountyView: false,
         currentState: 'MO',
         currentLayer: 'penetration',
         currentMode: 'market',       // 'market' | 'provider'
+        selectTool: null,            // null | 'lasso' | 'rect' — armed map selection tool
+        _selectDraft: null,          // { start, points, shape } while a lasso/rectangle is drawn
+        _suppressClick: false,
         currentSubview: 'individual', // 'individual' | 'competition'
         currentProvider: null,     // canonical provider name when in provider mode
         currentTech: 'fiber',      // 'fiber' | 'cable' | 'dsl' | 'all'
         competitionProviders: [],  // up to 5 canonical names for competition view
+        showExpansion: false,      // highlight expansion targets around the provider's footprint
+        _expansionTargets: [],     // ProviderIndex.findExpansionTargets result, best first
+        _expansionRank: null,      // geoid → index in _expansionTargets
+        bivariateX: 'fiber_penetration',  // bivariate layer axes (ColorScales.bivariateMetrics keys)
+        bivariateY: 'demo_score',
+        deltaFrom: null,                  // passings-change layer filings (null → previous / current)
+        deltaTo: null,
+        deltaMode: 'net',                 // 'net' passings added | 'pct' of BSLs
+        _filingDelta: null,               // { from, to, before, after } passingsByProvider maps; null side = current rows
+        _deltaToken: 0,
+        _bivariateBreaks: null,           // { x: [t1, t2], y: [t1, t2] } over loaded counties
+        classification: {},               // layer → ColorScales.classificationMethods key ('fixed' if absent)
+        _classificationStale: true,       // recompute data-driven classes before the next color lookup
+        countyRenderer: 'canvas',         // 'canvas' | 'svg' — how the county layer draws
+        _countyRenderer: null,            // Leaflet renderer shared by every county path
+        _colorCache: {},                  // _colorViewKey() → { colors: [], filtered: [], extra: { fips → entry } }
+        _colorCacheKeys: [],              // cached view keys, least recently used first
+        COLOR_CACHE_SIZE: 4,              // views kept, the current one included
+        _pinStyled: null,                 // county last drawn with the pinned style
+        _classifyTimer: null,
         filters: {
             minPop: 0,
             minDensity: 0,
+            cbsa: '',          // CBSA code; '' = every county
+            rules: [],         // FilterBuilder rules
+            match: 'all',      // 'all' | 'any' of the rules
         },
+        // Compare mode
+        COMPARE_LAYERS: COMPARE_LAYERS,
+        LAYER_LABELS: LAYER_LABELS,
+        TECH_LABELS: TECH_LABELS,
+        compareMode: null,                // null | 'swipe' | 'split'
+        compareSpec: { mode: 'market', layer: 'attractiveness' },  // or { mode: 'provider', provider, tech }
+        compareRatio: 0.5,                // swipe divider position, share of the map width
+        _compareMap: null,                // second Leaflet map in split mode
+        _compareLayer: null,              // county layer drawn with the compare spec
+        _compareLayerMap: {},             // fips → Leaflet layer in _compareLayer
+        _compareFootprint: null,          // geoid → passings for a provider compare spec
+        _compareDivider: null,
+        _compareHandlers: null,           // map event handlers to unbind on close
+        _compareSyncing: false,
         // Deep Dive mode
         _deepDiveActive: false,
         _deepDiveTimer: null,
         _deepDiveLayers: ['penetration', 'cable', 'fwa', 'demographic', 'attractiveness', 'competitive', 'momentum', 'terrain'],
         _deepDiveIndex: 0,
+        _deepDiveDwellMs: 3000,
+        _deepDiveRegion: null,
 
         async init(containerId) {
             var container = document.getElementById(containerId);
@@ -406,23 +482,7 @@
             });
 
             L.control.zoom({ position: 'topright' }).addTo(this._map);
-
-            // Base tiles without labels — data fills render on top of this
-            L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}{r}.png', {
-                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
-                subdomains: 'abcd',
-                maxZoom: 19,
-            }).addTo(this._map);
-
-            // Labels-only tile layer rendered above all data fills
-            var labelsPane = this._map.createPane('labels');
-            labelsPane.style.zIndex = 650;
-            labelsPane.style.pointerEvents = 'none';
-            L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_only_labels/{z}/{x}/{y}{r}.png', {
-                subdomains: 'abcd',
-                maxZoom: 19,
-                pane: 'labels',
-            }).addTo(this._map);
+            this._addBaseTiles(this._map);
 
             // Render state layer (always present)
             this._renderStateLayer();
@@ -435,9 +495,18 @@
             this._map.on('zoomend', function() {
                 self._onZoomChanged();
             });
+            // Data-driven classes follow the counties in view
+            this._map.on('moveend', function() {
+                self._onViewChanged();
+            });
+            this._map.on('mousedown', function(e) { self._onSelectStart(e); });
+            this._map.on('mousemove', function(e) { self._onSelectMove(e); });
+            this._map.on('mouseup',   function(e) { self._onSelectEnd(e); });
 
             // Set initial state based on starting zoom
             this._onZoomChanged();
+            this.refreshMetroOutlines();
+            this.refreshMarketOutlines();
             this._setupKeyboardNavigation();
 
             // Redraw map when container resizes (orientation change, window resize)
@@ -458,15 +527,50 @@
             return true;
         },
 
+        _addBaseTiles: function(map) {
+            // Base tiles without labels — data fills render on top of this
+            L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}{r}.png', {
+                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
+                subdomains: 'abcd',
+                maxZoom: 19,
+            }).addTo(map);
+
+            // Labels-only tile layer rendered above all data fills
+            var labelsPane = map.createPane('labels');
+            labelsPane.style.zIndex = 650;
+            labelsPane.style.pointerEvents = 'none';
+            L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_only_labels/{z}/{x}/{y}{r}.png', {
+                subdomains: 'abcd',
+                maxZoom: 19,
+                pane: 'labels',
+            }).addTo(map);
+        },
+
         // ===== ZOOM-DRIVEN VIEW SWITCHING =====
 
-        _onZoomChanged: function() {
-            // Always show county view — state-level view removed
-            if (this._inCountyView) return;
-            this._inCountyView = true;
+        // State choropleth when zoomed out on a layer that aggregates; counties otherwise
+        _stateViewWanted: function() {
+            return !!this._map && this.currentMode === 'market' && !this.compareMode &&
+                STATE_CHOROPLETH_LAYERS.indexOf(this.currentLayer) !== -1 &&
+                this._map.getZoom() < COUNTY_ZOOM_THRESHOLD;
+        },
 
-            if (this._countyLayer && !this._map.hasLayer(this._countyLayer)) {
-                this._countyLayer.addTo(this._map);
+        _onZoomChanged: function() {
+            var countyView = !this._stateViewWanted();
+            if (countyView === this._inCountyView && this._map.hasLayer(countyView ? this._countyLayer : this._stateFillLayer)) return;
+            this._inCountyView = countyView;
+            this._classificationStale = true;
+
+            var show = countyView ? this._countyLayer : this._stateFillLayer;
+            var hide = countyView ? this._stateFillLayer : this._countyLayer;
+            if (hide && this._map.hasLayer(hide)) this._map.removeLayer(hide);
+            if (show && !this._map.hasLayer(show)) show.addTo(this._map);
+            if (!countyView) {
+                if (InfoPanel.pinnedCounty) InfoPanel.unpinCounty();
+                this.refreshStateStyles();
+            }
+            if (this.currentMode === 'market') {
+                setTextById('map-title', countyView ? 'United States — County-Level Detail' : 'United States — State Aggregates');
             }
             this.updateLegend();
         },
@@ -495,15 +599,68 @@
                 interactive: false
             }).addTo(this._map);
 
+            var self = this;
+            this._stateFillLayer = L.geoJSON(geoData, {
+                filter: function(feature) { return !!FEATURED_STATES[self.getStateCode(feature)]; },
+                style: function(feature) { return self._stateStyle(feature, false); },
+                onEachFeature: function(feature, layer) {
+                    var code = self.getStateCode(feature);
+                    layer.on({
+                        mouseover: function(e) {
+                            InfoPanel.showStateInfo(code);
+                            e.target.setStyle(self._stateStyle(feature, true));
+                            e.target.bringToFront();
+                        },
+                        mouseout: function(e) {
+                            InfoPanel.hideInfo();
+                            e.target.setStyle(self._stateStyle(feature, false));
+                        },
+                        click: function() {
+                            self.flyToState(code);
+                        }
+                    });
+                }
+            });
+            // Note: NOT added to map yet — zoom controls visibility
+
             setTextById('map-title', 'United States — County-Level Detail');
         },
 
+        _stateStyle: function(feature, hovered) {
+            var record = this._stateRecords[this.getStateCode(feature)];
+            var value = this._layerValue(record, this.currentLayer);
+            if (value != null && this._classificationStale) this._reclassify();
+            return {
+                fillColor: value == null ? '#1e293b' : ColorScales.getColor(this.currentLayer, value),
+                fillOpacity: hovered ? 0.85 : 0.7,
+                color: hovered ? '#e0e7ff' : 'rgba(255,255,255,0.35)',
+                weight: hovered ? 2 : 1,
+                opacity: 1
+            };
+        },
+
+        // Re-aggregate every featured state from its loaded counties and recolor the state choropleth
+        refreshStateStyles: function() {
+            if (!this._stateFillLayer || typeof MarketManager === 'undefined') return;
+            var records = {};
+            Object.keys(FEATURED_STATES).forEach(function(code) {
+                var record = MarketManager.getStateRecord(code);
+                if (record) records[code] = record;
+            });
+            this._stateRecords = records;
+            var self = this;
+            this._stateFillLayer.eachLayer(function(l) {
+                l.setStyle(self._stateStyle(l.feature, false));
+            });
+        },
+
         // ===== COUNTY LAYERS (all featured states, zoom-toggled) =====
 
         _renderAllCountyLayers: async function() {
             if (this._countyLayer) { this._map.removeLayer(this._countyLayer); this._countyLayer = null; }
             this._countyLayerMap = {};
             this._countyFipsList = [];
+            this._countyIndex = {};
 
             // Lazy-load all state county data concurrently before rendering
             var stateCodes = Object.keys(FEATURED_STATES);
@@ -526,8 +683,21 @@
 
             var self = this;
             var combinedGeoJSON = { type: 'FeatureCollection', features: allFeatures };
+            this._countyFeatures = combinedGeoJSON;
+
+            // Index the counties first so each view's colors are computed for all of them up front
+            allFeatures.forEach(function(feature) {
+                var fips = self._getFips(feature);
+                if (!fips) return;
+                if (!(fips in self._countyIndex)) self._countyIndex[fips] = self._countyFipsList.length;
+                self._countyFipsList.push(fips);
+            });
+            this._colorCache = {};
+            this._colorCacheKeys = [];
+            this._pinStyled = null;
 
             this._countyLayer = L.geoJSON(combinedGeoJSON, {
+                renderer: this._getCountyRenderer(),
                 style: function(feature) {
                     return self._countyStyle(feature, false, false);
                 },
@@ -535,7 +705,7 @@
                     var fips = self._getFips(feature);
                     if (!fips) return;
                     self._countyLayerMap[fips] = layer;
-                    self._countyFipsList.push(fips);
+                    layer._styleKey = self._countyStyleKey(self._countyStyle(feature, false, false));
 
                     layer.on({
                         mouseover: function(e) {
@@ -547,17 +717,25 @@
                                 }
                             }
                             if (InfoPanel.pinnedCounty !== fips) {
-                                e.target.setStyle(self._countyStyle(feature, true, false));
+                                self._setCountyStyle(e.target, true, false);
                                 e.target.bringToFront();
                             }
+                            self._hoverCompareCounty(fips, true);
                         },
                         mouseout: function(e) {
                             if (!InfoPanel.pinnedCounty) InfoPanel.hideInfo();
                             if (InfoPanel.pinnedCounty !== fips) {
-                                e.target.setStyle(self._countyStyle(feature, false, false));
+                                self._setCountyStyle(e.target, false, false);
                             }
+                            self._hoverCompareCounty(fips, false);
                         },
-                        click: function() {
+                        click: function(e) {
+                            // Shift-click (or any click with a selection tool armed) toggles the selection
+                            if (self._suppressClick) return;
+                            if (self.selectTool || (e.originalEvent && e.originalEvent.shiftKey)) {
+                                TableManager.setSelection([fips], 'toggle');
+                                return;
+                            }
                             self._handleCountyClick(fips, layer, feature);
                         }
                     });
@@ -592,17 +770,109 @@
             return fips ? String(fips).padStart(5, '0') : null;
         },
 
+        // One canvas for every county in its own pane, under the outlines and overlays in overlayPane.
+        // Leaflet's canvas renderer hit-tests hover and click itself; 'svg' keeps one path per county.
+        _getCountyRenderer: function() {
+            if (this._countyRenderer) return this._countyRenderer;
+            if (!this._map.getPane('counties')) this._map.createPane('counties').style.zIndex = 399;
+            this._countyRenderer = this.countyRenderer === 'canvas' && L.Browser.canvas
+                ? L.canvas({ pane: 'counties', padding: 0.5, tolerance: 1 })
+                : L.svg({ pane: 'counties' });
+            return this._countyRenderer;
+        },
+
+        // Everything _countyColor reads that a setter can change without touching county values
+        _colorViewKey: function() {
+            return [
+                this.currentMode, this.currentLayer, this.currentSubview, this.currentProvider, this.currentTech,
+                this.competitionProviders.join(','), this.showExpansion, this._timelapseLabel,
+                this.bivariateX, this.bivariateY, this.deltaFrom, this.deltaTo, this.deltaMode,
+                this.classification[this.currentLayer] || 'fixed'
+            ].join('|');
+        },
+
+        /**
+         * Colors and filter states of every county in the current view, one array entry per
+         * _countyFipsList position, computed when the view is first shown. The last
+         * COLOR_CACHE_SIZE views are kept so switching back reuses them; refreshCountyStyles/
+         * applyFilters drop them all.
+         * @returns {{ colors: string[], filtered: boolean[], extra: Object }}
+         */
+        _colorView: function() {
+            var key = this._colorViewKey();
+            var keys = this._colorCacheKeys;
+            if (keys[keys.length - 1] !== key) {
+                var i = keys.indexOf(key);
+                if (i !== -1) keys.splice(i, 1);
+                keys.push(key);
+                while (keys.length > this.COLOR_CACHE_SIZE) delete this._colorCache[keys.shift()];
+            }
+            var view = this._colorCache[key];
+            if (!view) {
+                view = this._colorCache[key] = { colors: [], filtered: [], extra: {} };
+                for (var n = 0; n < this._countyFipsList.length; n++) {
+                    var data = DataHandler.getCountyData(this._countyFipsList[n]);
+                    view.colors[n] = this._countyColor(data);
+                    view.filtered[n] = this.isFiltered(data);
+                }
+            }
+            return view;
+        },
+
+        // Fill color and filter state of one county in the current view
+        _countyView: function(fips) {
+            var view = this._colorView();
+            var n = this._countyIndex[fips];
+            if (n !== undefined) return { color: view.colors[n], filtered: view.filtered[n] };
+            // Counties outside the county layer (compare view, tests) are cached as they come
+            var entry = view.extra[fips];
+            if (!entry) {
+                var data = DataHandler.getCountyData(fips);
+                entry = view.extra[fips] = { color: this._countyColor(data), filtered: this.isFiltered(data) };
+            }
+            return entry;
+        },
+
+        // Restyle every county; recolor drops the cached colors first (values, classes or filters changed).
+        // Paths whose style is unchanged are skipped.
+        _restyleCounties: function(recolor) {
+            if (recolor) {
+                this._colorCache = {};
+                this._colorCacheKeys = [];
+            }
+            if (!this._countyLayer) return;
+            var self = this;
+            var pinnedFips = InfoPanel.pinnedCounty;
+            this._countyLayer.eachLayer(function(l) {
+                self._setCountyStyle(l, false, pinnedFips === self._getFips(l.feature));
+            });
+            this._pinStyled = pinnedFips;
+        },
+
+        _countyStyleKey: function(style) {
+            return style.fillColor + '|' + style.fillOpacity + '|' + style.color + '|' + style.weight;
+        },
+
+        // setStyle a county path unless it already has that style
+        _setCountyStyle: function(layer, hovered, pinned) {
+            var style = this._countyStyle(layer.feature, hovered, pinned);
+            var key = this._countyStyleKey(style);
+            if (layer._styleKey === key) return;
+            layer._styleKey = key;
+            layer.setStyle(style);
+        },
+
         _countyStyle: function(feature, hovered, pinned) {
             var fips = this._getFips(feature);
-            var data = DataHandler.getCountyData(fips);
-            var color = this._countyColor(data);
-            var filtered = this.isFiltered(data);
+            var view = this._countyView(fips);
+            var filtered = view.filtered;
+            var selected = TableManager._selectedFips.has(fips);
 
             return {
-                fillColor: color,
+                fillColor: view.color,
                 fillOpacity: filtered ? 0.1 : pinned ? 0.85 : hovered ? 0.8 : 0.62,
-                color: pinned ? '#e0e7ff' : hovered ? '#94a3b8' : 'rgba(0,0,0,0.35)',
-                weight: pinned ? 2.5 : hovered ? 1.5 : 0.5,
+                color: pinned ? '#e0e7ff' : hovered ? '#94a3b8' : selected ? '#facc15' : 'rgba(0,0,0,0.35)',
+                weight: pinned ? 2.5 : hovered || selected ? 1.5 : 0.5,
                 opacity: 1,
             };
         },
@@ -638,15 +908,41 @@
         _providerFootprint: null,
 
         _rebuildProviderFootprint: function() {
-            var provider = this.currentProvider;
-            var tech     = this.currentTech || 'fiber';
-            if (!provider) { this._providerFootprint = null; return; }
-            var map = {};
+            this._providerFootprint = this._footprintFor(this.currentProvider, this.currentTech || 'fiber');
+        },
+
+        // geoid → passings for a provider and tech over the loaded counties (null without a provider)
+        _footprintFor: function(provider, tech) {
+            if (!provider) return null;
+            var map = DataHandler.getProviderFootprint(provider, tech);
+            if (map) return map;
+            map = {};
             DataHandler.getAllLoadedCounties().forEach(function(c) {
                 var p = ProviderIndex.getPassings(c, provider, tech);
                 if (p > 0) map[c.geoid] = p;
             });
-            this._providerFootprint = map;
+            return map;
+        },
+
+        // Footprint of the time-lapse frame on screen (FootprintTimelapse); overrides
+        // _providerFootprint while set. _timelapseLabel is the frame's filing label.
+        _timelapseFootprint: null,
+        _timelapseLabel: null,
+
+        setFootprintFrame: function(footprint, label) {
+            this._timelapseFootprint = footprint || null;
+            this._timelapseLabel = footprint ? label : null;
+            if (this._countyLayer) {
+                this._restyleCounties();
+            }
+            this._buildLegend('provider', this._expansionLegendItems());
+            this._updateProviderTitle();
+        },
+
+        _stopTimelapse: function() {
+            if (typeof FootprintTimelapse !== 'undefined') FootprintTimelapse.close();
+            this._timelapseFootprint = null;
+            this._timelapseLabel = null;
         },
 
         _countyColor: function(data) {
@@ -659,16 +955,58 @@
                 }
                 // Individual provider view — color by depth (use pre-computed footprint)
                 if (!this.currentProvider) return '#1e293b';
-                var passings = this._providerFootprint ? (this._providerFootprint[data.geoid] || 0)
-                                                       : ProviderIndex.getPassings(data, this.currentProvider, this.currentTech);
+                var footprint = this._timelapseFootprint || this._providerFootprint;
+                var passings = footprint ? (footprint[data.geoid] || 0)
+                                         : ProviderIndex.getPassings(data, this.currentProvider, this.currentTech);
+                if (passings === 0 && !this._timelapseFootprint &&
+                    this._expansionRank && this._expansionRank[data.geoid] != null) {
+                    return this._expansionRank[data.geoid] < this.EXPANSION_TOP_N
+                        ? this.EXPANSION_TOP_COLOR : this.EXPANSION_COLOR;
+                }
                 var bsls = data.total_bsls || 1;
                 var ratio = passings > 0 ? Math.min(1, passings / bsls) : 0;
                 var colorValue = passings > 0 ? Math.max(0.002, ratio) : 0;
                 return ColorScales.getColor('provider', colorValue);
             }
 
+            if (this.currentLayer === 'bivariate') {
+                var breaks = this._bivariateBreaks || this._computeBivariateBreaks();
+                return ColorScales.getBivariateColor(data[this.bivariateX], data[this.bivariateY], breaks.x, breaks.y);
+            }
+
+            if (this.currentLayer === 'delta') {
+                var change = this._deltaValue(data);
+                return change == null ? '#1e293b' : ColorScales.getColor(this._deltaScaleKey(), change);
+            }
+
+            if (this.currentLayer === 'momentum') {
+                // Use class-based coloring so the 4 bands map 1:1 to color stops,
+                // giving a visually balanced map regardless of growth% distribution.
+                var mc = data.momentum_class;
+                if (!mc && data.fiber_growth_pct != null) {
+                    // Derive class from growth pct if stored class is missing
+                    var gp = data.fiber_growth_pct;
+                    mc = gp < 0 ? 'Stalled' : gp < 5 ? 'Steady' : gp < 15 ? 'Growing' : 'Surging';
+                }
+                if (!mc) {
+                    // Proxy via qualified fiber count
+                    var qci = qualifiedFiberCount(data);
+                    mc = qci === 0 ? 'Stalled' : qci === 1 ? 'Steady' : qci === 2 ? 'Growing' : 'Surging';
+                }
+                return MOMENTUM_COLORS[mc] || '#1e293b';
+            }
+
+            var value = this._layerValue(data, this.currentLayer);
+            if (value == null || !Number.isFinite(value)) return '#1e293b';
+            if (this._classificationStale) this._reclassify();
+            return ColorScales.getColor(this.currentLayer, value);
+        },
+
+        // Numeric value a market layer colors by (0–1 on the layer's ColorScales ramp), or null
+        _layerValue: function(data, layer) {
+            if (!data) return null;
             var value;
-            switch (this.currentLayer) {
+            switch (layer) {
                 case 'penetration':   value = data.fiber_penetration; break;
                 case 'cable':         value = data.cable_coverage_pct; break;
                 case 'fwa':           value = data.fwa_coverage_pct; break;
@@ -690,27 +1028,12 @@
                     var qc = qualifiedFiberCount(data);
                     value = qc > 0 ? Math.min(1, qc / 3) : (data.operators && data.operators.length ? 0.01 : null);
                     break;
-                case 'momentum':
-                    // Use class-based coloring so the 4 bands map 1:1 to color stops,
-                    // giving a visually balanced map regardless of growth% distribution.
-                    var mc = data.momentum_class;
-                    if (!mc && data.fiber_growth_pct != null) {
-                        // Derive class from growth pct if stored class is missing
-                        var gp = data.fiber_growth_pct;
-                        mc = gp < 0 ? 'Stalled' : gp < 5 ? 'Steady' : gp < 15 ? 'Growing' : 'Surging';
-                    }
-                    if (!mc) {
-                        // Proxy via qualified fiber count
-                        var qci = qualifiedFiberCount(data);
-                        mc = qci === 0 ? 'Stalled' : qci === 1 ? 'Steady' : qci === 2 ? 'Growing' : 'Surging';
-                    }
-                    return MOMENTUM_COLORS[mc] || '#1e293b';
-
+                case 'momentum':      return null;  // categorical — colored by class
+                case 'delta':         return this._deltaValue(data);
                 case 'terrain':       value = data.terrain_roughness; break;
                 default:              value = data.fiber_penetration;
             }
-            if (value == null || !Number.isFinite(value)) return '#1e293b';
-            return ColorScales.getColor(this.currentLayer, value);
+            return value == null || !Number.isFinite(value) ? null : value;
         },
 
         _handleCountyClick: function(fips, layer, feature) {
@@ -719,10 +1042,10 @@
             } else {
                 if (InfoPanel.pinnedCounty) {
                     var prev = this._countyLayerMap[InfoPanel.pinnedCounty];
-                    if (prev) prev.setStyle(this._countyStyle(prev.feature, false, false));
+                    if (prev) this._setCountyStyle(prev, false, false);
                 }
                 InfoPanel.pinCounty(fips);
-                layer.setStyle(this._countyStyle(feature, false, true));
+                this._setCountyStyle(layer, false, true);
                 layer.bringToFront();
             }
         },
@@ -730,17 +1053,152 @@
         _refreshCountyStyle: function(fips, hovered) {
             var layer = this._countyLayerMap[fips];
             if (!layer) return;
-            layer.setStyle(this._countyStyle(layer.feature, hovered || false, InfoPanel.pinnedCounty === fips));
+            this._setCountyStyle(layer, hovered || false, InfoPanel.pinnedCounty === fips);
         },
 
         updatePinStyles: function(pinnedFips) {
             var self = this;
             if (!this._countyLayer) return;
-            this._countyLayer.eachLayer(function(layer) {
-                var fips = self._getFips(layer.feature);
-                layer.setStyle(self._countyStyle(layer.feature, false, fips === pinnedFips));
-                if (fips === pinnedFips) layer.bringToFront();
+            // Only the county losing the pin and the one gaining it change style
+            var prev = this._pinStyled;
+            this._pinStyled = pinnedFips || null;
+            if (prev && prev !== pinnedFips) this._refreshCountyStyle(prev);
+            var pinnedLayer = pinnedFips && this._countyLayerMap[pinnedFips];
+            if (pinnedLayer) {
+                this._refreshCountyStyle(pinnedFips);
+                pinnedLayer.bringToFront();
+            }
+            Object.keys(this._marketLayerMap).forEach(function(key) {
+                var style = key.indexOf(MarketManager.METRO_PREFIX) === 0
+                    ? self._metroStyle(key, key === pinnedFips)
+                    : self._marketStyle(key === pinnedFips);
+                self._marketLayerMap[key].setStyle(style);
+            });
+            this.refreshCompareStyles();
+        },
+
+        // ===== CUSTOM MARKET OUTLINES =====
+
+        _marketStyle: function(pinned) {
+            return {
+                fill: false,
+                color: pinned ? '#e0e7ff' : '#4d9fff',
+                weight: pinned ? 3.5 : 2.5,
+                dashArray: pinned ? null : '6 4',
+                opacity: 0.95
+            };
+        },
+
+        // Redraw one merged outline per custom market (market mode only)
+        refreshMarketOutlines: function() {
+            if (!this._map) return;
+            var self = this;
+            if (this._marketLayer) {
+                this._map.removeLayer(this._marketLayer);
+                this._marketLayer = null;
+                Object.keys(this._marketLayerMap).forEach(function(key) {
+                    if (key.indexOf(MarketManager.MARKET_PREFIX) === 0) delete self._marketLayerMap[key];
+                });
+            }
+            if (typeof MarketManager === 'undefined' || this.currentMode !== 'market') return;
+
+            this._marketLayer = L.featureGroup();
+            MarketManager.list().forEach(function(market) {
+                var key = MarketManager.MARKET_PREFIX + market.id;
+                var outline = self._mergedOutline(market.fips, function() {
+                    return self._marketStyle(InfoPanel.pinnedCounty === key);
+                });
+                if (!outline) return;
+                outline.bindTooltip(market.name, { sticky: true });
+                outline.on('click', function(e) {
+                    L.DomEvent.stopPropagation(e);
+                    if (InfoPanel.pinnedCounty === key) InfoPanel.unpinCounty();
+                    else InfoPanel.pinCounty(key);
+                });
+                self._marketLayerMap[key] = outline;
+                self._marketLayer.addLayer(outline);
+            });
+            this._marketLayer.addTo(this._map);
+        },
+
+        // Merged outline for a set of county FIPS, or null when none have geometry
+        _mergedOutline: function(fipsList, style) {
+            var topo = DataHandler.usCountiesTopo;
+            if (!topo || !topo.objects || !topo.objects.counties) return null;
+            var members = {};
+            fipsList.forEach(function(f) { members[f] = true; });
+            var geoms = topo.objects.counties.geometries.filter(function(g) {
+                return members[String(g.id).padStart(5, '0')];
+            });
+            if (!geoms.length) return null;
+            return L.geoJSON(topojson.merge(topo, geoms), { style: style });
+        },
+
+        _metroStyle: function(key, pinned) {
+            var selected = key === MarketManager.METRO_PREFIX + this.filters.cbsa;
+            return {
+                fill: false,
+                color: pinned ? '#e0e7ff' : selected ? '#facc15' : 'rgba(250,204,21,0.55)',
+                weight: pinned ? 3 : selected ? 2.5 : 1.2,
+                dashArray: pinned || selected ? null : '2 3',
+                opacity: 0.95
+            };
+        },
+
+        // CBSA outlines: every metro with a loaded county when toggled on, and
+        // always the metro picked in the Metro filter. Market mode only.
+        refreshMetroOutlines: function() {
+            if (!this._map) return;
+            var self = this;
+            if (this._metroLayer) {
+                this._map.removeLayer(this._metroLayer);
+                this._metroLayer = null;
+                Object.keys(this._marketLayerMap).forEach(function(key) {
+                    if (key.indexOf(MarketManager.METRO_PREFIX) === 0) delete self._marketLayerMap[key];
+                });
+            }
+            if (typeof MarketManager === 'undefined' || this.currentMode !== 'market') return;
+
+            var cbsas = this.showMetroOutlines
+                ? DataHandler.getLoadedCbsas()
+                : [DataHandler.getCbsa(this.filters.cbsa)].filter(Boolean);
+            if (!cbsas.length) return;
+
+            this._metroLayer = L.featureGroup();
+            cbsas.forEach(function(cbsa) {
+                var key = MarketManager.METRO_PREFIX + cbsa.code;
+                var outline = self._mergedOutline(cbsa.counties, function() {
+                    return self._metroStyle(key, InfoPanel.pinnedCounty === key);
+                });
+                if (!outline) return;
+                outline.bindTooltip(cbsa.name + (cbsa.type === 'micro' ? ' (micro)' : ''), { sticky: true });
+                outline.on('click', function(e) {
+                    L.DomEvent.stopPropagation(e);
+                    if (InfoPanel.pinnedCounty === key) InfoPanel.unpinCounty();
+                    else InfoPanel.pinCounty(key);
+                });
+                self._marketLayerMap[key] = outline;
+                self._metroLayer.addLayer(outline);
             });
+            this._metroLayer.addTo(this._map);
+            // Custom markets stay on top of metro outlines
+            if (this._marketLayer) this._marketLayer.bringToFront();
+        },
+
+        setMetroOutlines: function(on) {
+            this.showMetroOutlines = !!on;
+            this.refreshMetroOutlines();
+        },
+
+        // Frame the counties of a CBSA
+        fitMetro: function(code) {
+            var outline = this._marketLayerMap[MarketManager.METRO_PREFIX + code];
+            if (outline) this._map.fitBounds(outline.getBounds(), { padding: [40, 40] });
+        },
+
+        fitMarket: function(marketId) {
+            var outline = this._marketLayerMap[MarketManager.MARKET_PREFIX + marketId];
+            if (outline) this._map.fitBounds(outline.getBounds(), { padding: [40, 40] });
         },
 
         _setupKeyboardNavigation: function() {
@@ -781,13 +1239,660 @@
 
         // ===== SHARED METHODS =====
 
+        // ===== MAP SELECTION (lasso / rectangle / shift-click) =====
+
+        // Ray-casting test; point and polygon vertices are [lng, lat]
+        pointInPolygon: function(point, polygon) {
+            var x = point[0], y = point[1], inside = false;
+            for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                var xi = polygon[i][0], yi = polygon[i][1], xj = polygon[j][0], yj = polygon[j][1];
+                if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+            }
+            return inside;
+        },
+
+        // Arm (or, when already armed, disarm) a drawing tool; dragging pans the map only when none is armed
+        setSelectTool: function(tool) {
+            this.selectTool = tool && tool !== this.selectTool ? tool : null;
+            if (this._map) {
+                if (this.selectTool) this._map.dragging.disable();
+                else this._map.dragging.enable();
+                this._map.getContainer().classList.toggle('select-mode', !!this.selectTool);
+            }
+            var self = this;
+            [['lasso', 'select-lasso-btn'], ['rect', 'select-rect-btn']].forEach(function(pair) {
+                var btn = document.getElementById(pair[1]);
+                if (!btn) return;
+                btn.classList.toggle('active', self.selectTool === pair[0]);
+                btn.setAttribute('aria-pressed', self.selectTool === pair[0] ? 'true' : 'false');
+            });
+        },
+
+        _onSelectStart: function(e) {
+            if (!this.selectTool || this.currentMode !== 'market') return;
+            var style = { color: '#facc15', weight: 1.5, dashArray: '4 4', fillOpacity: 0.08, interactive: false };
+            var shape = this.selectTool === 'rect'
+                ? L.rectangle(L.latLngBounds(e.latlng, e.latlng), style)
+                : L.polygon([e.latlng], style);
+            this._selectDraft = { start: e.latlng, points: [e.latlng], shape: shape.addTo(this._map) };
+        },
+
+        _onSelectMove: function(e) {
+            var draft = this._selectDraft;
+            if (!draft) return;
+            if (this.selectTool === 'rect') {
+                draft.shape.setBounds(L.latLngBounds(draft.start, e.latlng));
+            } else {
+                draft.points.push(e.latlng);
+                draft.shape.setLatLngs(draft.points);
+            }
+        },
+
+        _onSelectEnd: function(e) {
+            var draft = this._selectDraft;
+            if (!draft) return;
+            this._selectDraft = null;
+            this._map.removeLayer(draft.shape);
+
+            var polygon = this.selectTool === 'rect'
+                ? [[draft.start.lng, draft.start.lat], [e.latlng.lng, draft.start.lat],
+                   [e.latlng.lng, e.latlng.lat], [draft.start.lng, e.latlng.lat]]
+                : draft.points.map(function(p) { return [p.lng, p.lat]; });
+            if (polygon.length < 3) return;  // a plain click — the county click handler takes it
+
+            // The drag ends with a click on whichever county is under the pointer; ignore it
+            var self = this;
+            this._suppressClick = true;
+            setTimeout(function() { self._suppressClick = false; }, 0);
+
+            var hits = this.countiesInPolygon(polygon);
+            // Alt-drag removes from the selection; a plain drag adds to it
+            TableManager.setSelection(hits, e.originalEvent && e.originalEvent.altKey ? 'remove' : 'add');
+        },
+
+        /**
+         * Loaded, unfiltered counties whose bounding-box center falls inside the polygon.
+         * @param {number[][]} polygon - [lng, lat] vertices
+         * @returns {string[]} FIPS codes
+         */
+        countiesInPolygon: function(polygon) {
+            var self = this;
+            return Object.keys(this._countyLayerMap).filter(function(fips) {
+                var data = DataHandler.getCountyData(fips);
+                if (!data || self.isFiltered(data)) return false;
+                var c = self._countyLayerMap[fips].getBounds().getCenter();
+                return self.pointInPolygon([c.lng, c.lat], polygon);
+            });
+        },
+
+        // Restyle after the selection changes (selected counties carry an amber outline)
+        refreshSelectionStyles: function() {
+            if (!this._countyLayer) return;
+            this._restyleCounties();
+        },
+
+        // ===== FLY-TO (map search) =====
+
+        flyToCounty: function(fips) {
+            var layer = this._countyLayerMap[fips];
+            if (!this._map || !layer) return false;
+            this._map.flyToBounds(layer.getBounds(), { padding: [40, 40], maxZoom: 9 });
+            return true;
+        },
+
+        flyToState: function(stateCode) {
+            var config = FEATURED_STATES[stateCode];
+            if (!this._map || !this._stateLayer || !config) return false;
+            var target = null;
+            this._stateLayer.eachLayer(function(l) {
+                if (String(l.feature.id).padStart(2, '0') === config.fipsPrefix) target = l;
+            });
+            if (!target) return false;
+            this._map.flyToBounds(target.getBounds(), { padding: [20, 20] });
+            return true;
+        },
+
+        // ===== COMPARE MODE =====
+
+        /**
+         * Compare the map against a second layer or provider footprint (compareSpec).
+         * 'swipe' draws the second view over the map right of a draggable divider;
+         * 'split' opens a second map alongside with pan, zoom and hover kept in sync.
+         * @param {string|null} mode - 'swipe' | 'split', or null to close
+         * @returns {boolean} false for an unknown mode or before the counties have rendered
+         */
+        setCompareMode: function(mode) {
+            if (mode && (COMPARE_MODES.indexOf(mode) === -1 || !this._map || !this._countyFeatures)) return false;
+            this._closeCompare();
+            this.compareMode = mode || null;
+            if (mode === 'swipe') this._openSwipe();
+            else if (mode === 'split') this._openSplit();
+            // Compare works county by county, so the zoomed-out state choropleth steps aside
+            if (this._map) this._onZoomChanged();
+            this._updateCompareLabels();
+            return true;
+        },
+
+        /**
+         * What the second view shows.
+         * @param {Object} spec - { mode: 'market', layer } or { mode: 'provider', provider, tech }
+         */
+        setCompareSpec: function(spec) {
+            this.compareSpec = this._normalizeCompareSpec(spec);
+            this._compareFootprint = this.compareSpec.mode === 'provider'
+                ? this._footprintFor(this.compareSpec.provider, this.compareSpec.tech) : null;
+            this.refreshCompareStyles();
+            this._updateCompareLabels();
+        },
+
+        _normalizeCompareSpec: function(spec) {
+            spec = spec || {};
+            if (spec.mode === 'provider' && spec.provider) {
+                return { mode: 'provider', provider: spec.provider, tech: TECH_LABELS[spec.tech] ? spec.tech : 'fiber' };
+            }
+            return { mode: 'market', layer: COMPARE_LAYERS.indexOf(spec.layer) !== -1 ? spec.layer : 'attractiveness' };
+        },
+
+        // Short caption for a view spec: the layer name or "Provider — Tech"
+        describeView: function(spec) {
+            if (spec.mode === 'provider') {
+                return spec.provider
+                    ? ProviderIndex.getDisplayName(spec.provider) + ' — ' + (TECH_LABELS[spec.tech] || 'Fiber')
+                    : 'Select a provider';
+            }
+            return LAYER_LABELS[spec.layer] || spec.layer;
+        },
+
+        // Color a county under the compare spec by swapping it in for the primary view's state
+        _compareColor: function(data) {
+            var spec = this.compareSpec;
+            var saved = {};
+            var self = this;
+            COMPARE_STATE.forEach(function(key) { saved[key] = self[key]; });
+            this.currentMode = spec.mode;
+            this.currentLayer = spec.mode === 'market' ? spec.layer : saved.currentLayer;
+            this.currentSubview = 'individual';
+            this.currentProvider = spec.provider || null;
+            this.currentTech = spec.tech || 'fiber';
+            this._providerFootprint = this._compareFootprint;
+            this._timelapseFootprint = null;
+            this._expansionRank = null;
+            this._classificationStale = false;  // the primary layer's classes are not the compare layer's
+            try {
+                return this._countyColor(data);
+            } finally {
+                COMPARE_STATE.forEach(function(key) { self[key] = saved[key]; });
+            }
+        },
+
+        _compareStyle: function(feature, hovered) {
+            var fips = this._getFips(feature);
+            var data = DataHandler.getCountyData(fips);
+            var pinned = InfoPanel.pinnedCounty === fips;
+            return {
+                fillColor: this._compareColor(data),
+                fillOpacity: this.isFiltered(data) ? 0.1 : pinned ? 0.85 : hovered ? 0.8 : 0.62,
+                color: pinned ? '#e0e7ff' : hovered ? '#94a3b8' : 'rgba(0,0,0,0.35)',
+                weight: pinned ? 2.5 : hovered ? 1.5 : 0.5,
+                opacity: 1
+            };
+        },
+
+        refreshCompareStyles: function() {
+            if (!this._compareLayer) return;
+            var self = this;
+            this._compareLayer.eachLayer(function(l) {
+                l.setStyle(self._compareStyle(l.feature, false));
+            });
+        },
+
+        // Mirror a hover from one view onto the other
+        _hoverCompareCounty: function(fips, hovered) {
+            var layer = this._compareLayerMap[fips];
+            if (layer) layer.setStyle(this._compareStyle(layer.feature, hovered));
+        },
+
+        _buildCompareLayer: function(options) {
+            var self = this;
+            this._compareLayerMap = {};
+            return L.geoJSON(this._countyFeatures, Object.assign({
+                style: function(feature) { return self._compareStyle(feature, false); },
+                onEachFeature: function(feature, layer) {
+                    var fips = self._getFips(feature);
+                    if (fips) self._compareLayerMap[fips] = layer;
+                }
+            }, options));
+        },
+
+        _openSwipe: function() {
+            var self = this;
+            var map = this._map;
+            if (!map.getPane('compare')) {
+                // Above the county fills, below outlines, overlays and labels; hover falls through to the counties
+                var pane = map.createPane('compare');
+                pane.style.zIndex = 401;
+                pane.style.pointerEvents = 'none';
+            }
+            this._compareLayer = this._buildCompareLayer({ pane: 'compare', interactive: false }).addTo(map);
+
+            var divider = createElement('div', {
+                className: 'compare-divider', role: 'separator', tabindex: '0',
+                'aria-label': 'Compare divider', 'aria-orientation': 'vertical'
+            });
+            divider.appendChild(createElement('div', { className: 'compare-divider-handle' }));
+            map.getContainer().parentNode.appendChild(divider);
+            this._compareDivider = divider;
+
+            var dragging = false;
+            divider.addEventListener('pointerdown', function(e) {
+                dragging = true;
+                divider.setPointerCapture(e.pointerId);
+                e.preventDefault();
+            });
+            divider.addEventListener('pointermove', function(e) {
+                if (!dragging) return;
+                var rect = map.getContainer().getBoundingClientRect();
+                self._setCompareRatio((e.clientX - rect.left) / rect.width);
+            });
+            divider.addEventListener('pointerup', function() { dragging = false; });
+            divider.addEventListener('keydown', function(e) {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                e.preventDefault();
+                e.stopPropagation();
+                self._setCompareRatio(self.compareRatio + (e.key === 'ArrowLeft' ? -0.05 : 0.05));
+            });
+
+            var onMove = function() { self._clipSwipe(); };
+            map.on('move', onMove);
+            this._compareHandlers = [{ map: map, type: 'move', fn: onMove }];
+            this._setCompareRatio(this.compareRatio);
+        },
+
+        _setCompareRatio: function(ratio) {
+            this.compareRatio = Math.max(0.05, Math.min(0.95, ratio));
+            if (this._compareDivider) {
+                this._compareDivider.style.left = (this.compareRatio * 100) + '%';
+                this._compareDivider.setAttribute('aria-valuenow', String(Math.round(this.compareRatio * 100)));
+            }
+            this._clipSwipe();
+        },
+
+        // Show the compare pane only right of the divider (clip is in the pane's layer coordinates)
+        _clipSwipe: function() {
+            var pane = this._map && this._map.getPane('compare');
+            if (!pane || this.compareMode !== 'swipe') return;
+            var size = this._map.getSize();
+            var nw = this._map.containerPointToLayerPoint([size.x * this.compareRatio, 0]);
+            var se = this._map.containerPointToLayerPoint(size);
+            pane.style.clip = 'rect(' + nw.y + 'px, ' + se.x + 'px, ' + se.y + 'px, ' + nw.x + 'px)';
+        },
+
+        _openSplit: function() {
+            var self = this;
+            var stage = this._map.getContainer().parentNode;
+            var container = createElement('div', { id: 'compare-map', className: 'compare-map', 'aria-label': 'Comparison map' });
+            stage.appendChild(container);
+            stage.classList.add('compare-split');
+            this._map.invalidateSize();
+
+            var other = L.map(container, {
+                center: this._map.getCenter(),
+                zoom: this._map.getZoom(),
+                zoomControl: false,
+                attributionControl: false
+            });
+            this._addBaseTiles(other);
+            this._compareMap = other;
+
+            this._compareLayer = this._buildCompareLayer({
+                onEachFeature: function(feature, layer) {
+                    var fips = self._getFips(feature);
+                    if (!fips) return;
+                    self._compareLayerMap[fips] = layer;
+                    layer.on({
+                        mouseover: function() {
+                            if (!InfoPanel.pinnedCounty) {
+                                if (self.compareSpec.mode === 'provider') InfoPanel.showProviderInfo(fips);
+                                else InfoPanel.showCountyInfo(fips);
+                            }
+                            self._hoverCompareCounty(fips, true);
+                            self._refreshCountyStyle(fips, true);
+                        },
+                        mouseout: function() {
+                            if (!InfoPanel.pinnedCounty) InfoPanel.hideInfo();
+                            self._hoverCompareCounty(fips, false);
+                            self._refreshCountyStyle(fips, false);
+                        },
+                        click: function() {
+                            var primary = self._countyLayerMap[fips];
+                            if (primary) self._handleCountyClick(fips, primary, primary.feature);
+                        }
+                    });
+                }
+            }).addTo(other);
+
+            // Keep both views on the same center and zoom; the flag stops the echo
+            var sync = function(from, to) {
+                return function() {
+                    if (self._compareSyncing) return;
+                    self._compareSyncing = true;
+                    to.setView(from.getCenter(), from.getZoom(), { animate: false });
+                    self._compareSyncing = false;
+                };
+            };
+            var toOther = sync(this._map, other);
+            var toMain = sync(other, this._map);
+            this._map.on('move', toOther);
+            other.on('move', toMain);
+            this._compareHandlers = [{ map: this._map, type: 'move', fn: toOther }];
+        },
+
+        _closeCompare: function() {
+            (this._compareHandlers || []).forEach(function(h) { h.map.off(h.type, h.fn); });
+            this._compareHandlers = null;
+            if (this._compareMap) {
+                var container = this._compareMap.getContainer();
+                this._compareMap.remove();
+                if (container.parentNode) {
+                    container.parentNode.classList.remove('compare-split');
+                    container.parentNode.removeChild(container);
+                }
+                this._compareMap = null;
+                if (this._map) this._map.invalidateSize();
+            } else if (this._compareLayer && this._map) {
+                this._map.removeLayer(this._compareLayer);
+            }
+            if (this._compareDivider) {
+                this._compareDivider.parentNode.removeChild(this._compareDivider);
+                this._compareDivider = null;
+            }
+            var pane = this._map && this._map.getPane('compare');
+            if (pane) pane.style.clip = '';
+            this._compareLayer = null;
+            this._compareLayerMap = {};
+            this.compareMode = null;
+        },
+
+        // Captions naming what each side shows
+        _updateCompareLabels: function() {
+            if (typeof document === 'undefined') return;
+            var stage = this._map && this._map.getContainer().parentNode;
+            if (!stage) return;
+            var self = this;
+            [['compare-label-left', { mode: this.currentMode, layer: this.currentLayer, provider: this.currentProvider, tech: this.currentTech }],
+             ['compare-label-right', this.compareSpec]].forEach(function(entry) {
+                var el = document.getElementById(entry[0]);
+                if (!self.compareMode) {
+                    if (el) el.parentNode.removeChild(el);
+                    return;
+                }
+                if (!el) {
+                    el = createElement('div', { id: entry[0], className: 'compare-label ' + entry[0] });
+                    stage.appendChild(el);
+                }
+                el.textContent = self.describeView(entry[1]);
+            });
+        },
+
+        // ===== CLASSIFICATION =====
+
+        // Counties the current classes are computed over: loaded, not filtered out, and
+        // (at county zoom) intersecting the viewport — so a state-level view gets its own classes
+        _visibleCounties: function() {
+            var self = this;
+            var bounds = this._map && this._inCountyView ? this._map.getBounds() : null;
+            return DataHandler.getAllLoadedCounties().filter(function(c) {
+                if (self.isFiltered(c)) return false;
+                if (!bounds) return true;
+                var layer = self._countyLayerMap[c.geoid];
+                return !layer || bounds.intersects(layer.getBounds());
+            });
+        },
+
+        _reclassify: function() {
+            this._classificationStale = false;
+            var layer = this.currentLayer;
+            var method = this.classification[layer] || 'fixed';
+            if (method === 'fixed' || layer === 'bivariate' || layer === 'momentum' || layer === 'delta') {
+                ColorScales.setClassification(layer, 'fixed');
+                return;
+            }
+            var self = this;
+            var records = this._inCountyView ? this._visibleCounties()
+                : Object.keys(this._stateRecords).map(function(code) { return self._stateRecords[code]; });
+            var values = records.map(function(c) { return self._layerValue(c, layer); });
+            ColorScales.setClassification(layer, method, values, function(v) { return self._formatLayerValue(layer, v); });
+        },
+
+        // Legend text for a layer value (see _layerValue for each layer's scaling)
+        _formatLayerValue: function(layer, value) {
+            switch (layer) {
+                case 'penetration':
+                case 'cable':
+                case 'fwa':
+                case 'broadband_gap': return Math.round(value * 100) + '%';
+                case 'bead':          return '$' + (value * 40).toFixed(1) + 'K/loc';
+                case 'competitive':   return (value * 3).toFixed(1) + ' providers';
+                default:              return value.toFixed(2);
+            }
+        },
+
+        setClassification: function(method, layer) {
+            layer = layer || this.currentLayer;
+            if (!method || method === 'fixed') delete this.classification[layer];
+            else this.classification[layer] = method;
+            if (layer === this.currentLayer) this.refreshCountyStyles();
+        },
+
+        // Pan/zoom changes the visible set; only data-driven classes need recomputing
+        _onViewChanged: function() {
+            if (this.currentMode !== 'market' || !this.classification[this.currentLayer]) return;
+            var self = this;
+            clearTimeout(this._classifyTimer);
+            this._classifyTimer = setTimeout(function() { self.refreshCountyStyles(); }, 150);
+        },
+
+        // ===== PASSINGS CHANGE LAYER =====
+
+        /**
+         * Load the two filings the passings-change layer compares and redraw.
+         * Defaults to the newest earlier filing → the current filing.
+         * @param {string} [from] - filing date (FiberUtils.CURRENT_FILING_DATE for the current rows)
+         * @param {string} [to]
+         * @param {string} [mode] - 'net' | 'pct'
+         * @returns {Promise<boolean>} false when a filing could not be loaded
+         */
+        setDeltaFilings: function(from, to, mode) {
+            var self = this;
+            if (mode) this.deltaMode = mode === 'pct' ? 'pct' : 'net';
+            if (from) this.deltaFrom = from;
+            if (to) this.deltaTo = to;
+            var token = ++this._deltaToken;
+            var loaded = this._filingDelta;
+            if (loaded && loaded.from === this.deltaFrom && loaded.to === this.deltaTo) {
+                this._onDeltaChanged();
+                return Promise.resolve(true);
+            }
+            return DataHandler.loadFilingDates().then(function(dates) {
+                if (!self.deltaTo) self.deltaTo = FiberUtils.CURRENT_FILING_DATE;
+                if (!self.deltaFrom) self.deltaFrom = dates[0] || FiberUtils.CURRENT_FILING_DATE;
+                self._syncDeltaControls();
+                return Promise.all([self._loadDeltaSide(self.deltaFrom), self._loadDeltaSide(self.deltaTo)]);
+            }).then(function(sides) {
+                if (token !== self._deltaToken) return false;
+                if (sides[0] === false || sides[1] === false) {
+                    console.warn('Passings change unavailable for ' + self.deltaFrom + ' → ' + self.deltaTo);
+                    self._filingDelta = null;
+                    self._onDeltaChanged();
+                    return false;
+                }
+                self._filingDelta = { from: self.deltaFrom, to: self.deltaTo, before: sides[0], after: sides[1] };
+                self._onDeltaChanged();
+                return true;
+            });
+        },
+
+        // passingsByProvider for a past filing; null for the current filing, which is read
+        // from county rows as they load; false when the filing has no fiber rows
+        _loadDeltaSide: function(date) {
+            if (date === FiberUtils.CURRENT_FILING_DATE) return Promise.resolve(null);
+            return DataHandler.loadFilingSnapshot(date).then(function(snapshot) {
+                return ProviderIndex.passingsByProvider(snapshot, 'fiber') || false;
+            });
+        },
+
+        _onDeltaChanged: function() {
+            if (this.currentLayer !== 'delta') return;
+            this.refreshCountyStyles();
+            if (InfoPanel.pinnedCounty && this.currentMode === 'market') InfoPanel.showCountyInfo(InfoPanel.pinnedCounty);
+        },
+
+        _syncDeltaControls: function() {
+            if (typeof document === 'undefined') return;
+            [['delta-from', this.deltaFrom], ['delta-to', this.deltaTo], ['delta-mode', this.deltaMode]].forEach(function(pair) {
+                var sel = document.getElementById(pair[0]);
+                if (sel && pair[1]) sel.value = pair[1];
+            });
+        },
+
+        /**
+         * Fiber passings change for a county (or a market, summed over its members)
+         * between the loaded filings.
+         * @returns {Object|null} { before, after, net, providers } — see ProviderIndex.computePassingsDelta
+         */
+        _deltaFor: function(data) {
+            var d = this._filingDelta;
+            if (!data || !d) return null;
+            var members = data.member_fips || [data.geoid];
+            var sides = [d.before, d.after].map(function(map) {
+                var byProvider = {};
+                members.forEach(function(geoid) {
+                    var row;
+                    if (map) {
+                        row = map[geoid];
+                    } else {
+                        var county = DataHandler.getCountyData(geoid);
+                        row = county ? ProviderIndex.passingsByProvider([FiberUtils.currentFilingRow(county)], 'fiber')[geoid] : null;
+                    }
+                    for (var name in row) byProvider[name] = (byProvider[name] || 0) + row[name];
+                });
+                return { total: byProvider };
+            });
+            return ProviderIndex.computePassingsDelta(sides[0], sides[1]).total;
+        },
+
+        // Net passings added, or percentage points of the county's BSLs in 'pct' mode
+        _deltaValue: function(data) {
+            var delta = this._deltaFor(data);
+            if (!delta) return null;
+            if (this.deltaMode !== 'pct') return delta.net;
+            return data.total_bsls > 0 ? delta.net / data.total_bsls * 100 : null;
+        },
+
+        _deltaScaleKey: function() {
+            return this.deltaMode === 'pct' ? 'delta_pct' : 'delta';
+        },
+
+        // ===== BIVARIATE LAYER =====
+
+        // Tercile breaks for both axes over every loaded county
+        _computeBivariateBreaks: function() {
+            var counties = DataHandler.getAllLoadedCounties();
+            var xKey = this.bivariateX, yKey = this.bivariateY;
+            this._bivariateBreaks = {
+                x: ColorScales.tercileBreaks(counties.map(function(c) { return c[xKey]; })),
+                y: ColorScales.tercileBreaks(counties.map(function(c) { return c[yKey]; }))
+            };
+            return this._bivariateBreaks;
+        },
+
+        _toggleBivariateControls: function() {
+            var controls = document.getElementById('bivariate-controls');
+            if (controls) controls.hidden = this.currentLayer !== 'bivariate';
+            var deltaControls = document.getElementById('delta-controls');
+            if (deltaControls) deltaControls.hidden = this.currentLayer !== 'delta';
+        },
+
+        // The classification picker shows the current layer's method; categorical layers have none
+        _syncClassificationControls: function() {
+            var controls = document.getElementById('classification-controls');
+            // The passings-change layer keeps its zero-centered diverging scale
+            if (controls) controls.hidden = ['bivariate', 'momentum', 'delta'].indexOf(this.currentLayer) !== -1;
+            var sel = document.getElementById('classification-select');
+            if (sel) sel.value = this.classification[this.currentLayer] || 'fixed';
+        },
+
+        setBivariateMetrics: function(xKey, yKey) {
+            if (xKey) this.bivariateX = xKey;
+            if (yKey) this.bivariateY = yKey;
+            this._bivariateBreaks = null;
+            if (this.currentLayer === 'bivariate') this.refreshCountyStyles();
+        },
+
+        _metricLabel: function(key) {
+            var metric = ColorScales.bivariateMetrics.filter(function(m) { return m.key === key; })[0];
+            return metric ? metric.label : key;
+        },
+
+        _formatBreak: function(key, value) {
+            if (!Number.isFinite(value)) return 'N/A';
+            if (/_pct$|penetration/.test(key)) {
+                // Coverage shares are 0-1; pop growth and WFH are already percentages
+                return key === 'pop_growth_pct' || key === 'wfh_pct'
+                    ? value.toFixed(1) + '%' : (value * 100).toFixed(0) + '%';
+            }
+            if (key === 'median_hhi') return '$' + Math.round(value / 1000) + 'K';
+            if (value >= 1000) return DataHandler.formatNumber(Math.round(value));
+            return value.toFixed(2);
+        },
+
+        // 3×3 grid legend: x across, y up, with tercile cut points on each axis
+        _buildBivariateLegend: function() {
+            var container = document.getElementById('legend-container');
+            if (!container) return;
+            container.textContent = '';
+            var breaks = this._bivariateBreaks || this._computeBivariateBreaks();
+            var self = this;
+
+            var legend = createElement('div', { className: 'legend bivariate-legend' });
+            var yAxis = createElement('div', { className: 'bivariate-axis bivariate-axis-y' }, self._metricLabel(this.bivariateY) + ' →');
+            var grid = createElement('div', { className: 'bivariate-grid', role: 'img',
+                'aria-label': 'Bivariate legend: ' + self._metricLabel(this.bivariateX) + ' by ' + self._metricLabel(this.bivariateY) });
+            var classNames = ['Low', 'Mid', 'High'];
+            for (var y = 2; y >= 0; y--) {
+                for (var x = 0; x <= 2; x++) {
+                    var cell = createElement('div', { className: 'bivariate-cell' });
+                    cell.style.background = ColorScales.bivariatePalette[y][x];
+                    cell.title = self._metricLabel(this.bivariateX) + ': ' + classNames[x] + ' · ' +
+                                 self._metricLabel(this.bivariateY) + ': ' + classNames[y];
+                    grid.appendChild(cell);
+                }
+            }
+            var xAxis = createElement('div', { className: 'bivariate-axis bivariate-axis-x' }, self._metricLabel(this.bivariateX) + ' →');
+            var cuts = createElement('div', { className: 'legend-note bivariate-cuts' },
+                'Terciles · x: ' + (breaks.x ? breaks.x.map(function(v) { return self._formatBreak(self.bivariateX, v); }).join(' / ') : 'no data') +
+                ' · y: ' + (breaks.y ? breaks.y.map(function(v) { return self._formatBreak(self.bivariateY, v); }).join(' / ') : 'no data'));
+
+            var body = createElement('div', { className: 'bivariate-body' });
+            body.appendChild(yAxis);
+            body.appendChild(grid);
+            legend.appendChild(body);
+            legend.appendChild(xAxis);
+            legend.appendChild(cuts);
+            container.appendChild(legend);
+        },
+
         setLayer: function(layer) {
             this.currentLayer = layer;
+            this._bivariateBreaks = null;
+            this._classificationStale = true;
+            this._toggleBivariateControls();
+            this._syncClassificationControls();
+            if (layer === 'delta' && !this._filingDelta) this.setDeltaFilings();
+            if (this._map) this._onZoomChanged();
+            if (!this._inCountyView) this.refreshStateStyles();
             if (this._countyLayer) {
-                var self = this;
-                this._countyLayer.eachLayer(function(l) {
-                    l.setStyle(self._countyStyle(l.feature, false, InfoPanel.pinnedCounty === self._getFips(l.feature)));
-                });
+                this._restyleCounties();
                 this.updateLegend();
             }
         },
@@ -797,45 +1902,37 @@
             this.currentSubview = 'individual';
             this.competitionProviders = [];
             this._providerFootprint = null;
+            this._stopTimelapse();
             this.stopDeepDive();
+            if (this.selectTool) this.setSelectTool(null);
 
-            // Force county layer on when entering provider mode
-            if (mode === 'provider') {
-                this._inCountyView = false; // reset so _onZoomChanged triggers
-                this._onZoomChanged();
-            } else {
-                // Return to normal zoom-based logic
-                this._inCountyView = false;
-                this._onZoomChanged();
-            }
+            // Provider mode is county-only; market mode returns to zoom-based switching
+            if (this._map) this._onZoomChanged();
 
-            var self = this;
             if (this._countyLayer) {
-                this._countyLayer.eachLayer(function(l) {
-                    l.setStyle(self._countyStyle(l.feature, false, InfoPanel.pinnedCounty === self._getFips(l.feature)));
-                });
+                this._restyleCounties();
             }
             if (mode === 'provider') {
-                this._buildLegend('provider');
+                this._buildLegend('provider', this._expansionLegendItems());
             } else {
                 this.updateLegend();
-                setTextById('map-title', 'United States — County-Level Detail');
+                setTextById('map-title', this._inCountyView ? 'United States — County-Level Detail' : 'United States — State Aggregates');
             }
+            this.refreshMetroOutlines();
+            this.refreshMarketOutlines();
         },
 
         setSubview: function(subview) {
             this.currentSubview = subview;
+            this._stopTimelapse();
             ColorScales.clearCache();
-            var self = this;
             if (this._countyLayer) {
-                this._countyLayer.eachLayer(function(l) {
-                    l.setStyle(self._countyStyle(l.feature, false, InfoPanel.pinnedCounty === self._getFips(l.feature)));
-                });
+                this._restyleCounties();
             }
             if (subview === 'competition') {
                 this._buildCompetitionLegend();
             } else {
-                this._buildLegend('provider');
+                this._buildLegend('provider', this._expansionLegendItems());
             }
             this._updateProviderTitle();
         },
@@ -843,11 +1940,8 @@
         setCompetitionProviders: function(providers) {
             this.competitionProviders = providers.slice(0, 5);
             ColorScales.clearCache();
-            var self = this;
             if (this._countyLayer) {
-                this._countyLayer.eachLayer(function(l) {
-                    l.setStyle(self._countyStyle(l.feature, false, InfoPanel.pinnedCounty === self._getFips(l.feature)));
-                });
+                this._restyleCounties();
             }
             this._buildCompetitionLegend();
             this._updateProviderTitle();
@@ -892,29 +1986,101 @@
             container.appendChild(legend);
         },
 
+        // ===== EXPANSION TARGETS =====
+
+        EXPANSION_COLOR: '#7c3aed',
+        EXPANSION_TOP_COLOR: '#e879f9',
+        EXPANSION_TOP_N: 10,
+
+        _rebuildExpansionTargets: function() {
+            if (!this.showExpansion || !this.currentProvider) {
+                this._expansionTargets = [];
+                this._expansionRank = null;
+            } else {
+                this._expansionTargets = ProviderIndex.findExpansionTargets(this.currentProvider, this.currentTech, this._providerFootprint);
+                var rank = {};
+                this._expansionTargets.forEach(function(t, i) { rank[t.geoid] = i; });
+                this._expansionRank = rank;
+            }
+            this._renderExpansionList();
+        },
+
+        _expansionLegendItems: function() {
+            if (!this.showExpansion || this.currentSubview !== 'individual' || this._timelapseFootprint) return undefined;
+            return [
+                { color: this.EXPANSION_TOP_COLOR, label: 'Top ' + this.EXPANSION_TOP_N + ' expansion targets' },
+                { color: this.EXPANSION_COLOR, label: 'Borders footprint' }
+            ];
+        },
+
+        setExpansion: function(on) {
+            this.showExpansion = !!on;
+            this._rebuildExpansionTargets();
+            var btn = document.getElementById('expansion-btn');
+            if (btn) {
+                btn.classList.toggle('active', this.showExpansion);
+                btn.setAttribute('aria-pressed', this.showExpansion ? 'true' : 'false');
+            }
+            var panel = document.getElementById('expansion-panel');
+            if (panel) panel.hidden = !this.showExpansion;
+            if (this._countyLayer) {
+                this._restyleCounties();
+            }
+            this._buildLegend('provider', this._expansionLegendItems());
+            this._updateProviderTitle();
+        },
+
+        // Ranked target list under the provider picker; a row pins and frames the county
+        _renderExpansionList: function() {
+            var list = document.getElementById('expansion-list');
+            var summary = document.getElementById('expansion-summary');
+            if (!list) return;
+            list.textContent = '';
+            var targets = this._expansionTargets;
+            if (summary) {
+                summary.textContent = !this.currentProvider ? 'Select a provider to find expansion targets.'
+                    : targets.length + ' bordering ' + (targets.length === 1 ? 'county has' : 'counties have') + ' no ' +
+                      ProviderIndex.getDisplayName(this.currentProvider) + ' presence.';
+            }
+            var self = this;
+            targets.slice(0, 25).forEach(function(t, i) {
+                var li = createElement('li', { className: 'expansion-item' });
+                var btn = createElement('button', { type: 'button', className: 'expansion-item-btn' });
+                btn.appendChild(createElement('span', { className: 'expansion-item-name' }, (i + 1) + '. ' + t.name + ', ' + (t.state_code || '')));
+                btn.appendChild(createElement('span', { className: 'expansion-item-meta' },
+                    'Score ' + t.score.toFixed(2) + ' · ' + DataHandler.formatNumber(t.unserved) + ' unserved · ' +
+                    t.competitors.length + (t.competitors.length === 1 ? ' competitor' : ' competitors') + ' · borders ' +
+                    t.bordering.length));
+                btn.title = t.competitors.length ? 'Competitors: ' + t.competitors.map(ProviderIndex.getDisplayName).join(', ') : 'No competitors';
+                btn.addEventListener('click', function() {
+                    var layer = self._countyLayerMap[t.geoid];
+                    if (layer) self._map.fitBounds(layer.getBounds(), { maxZoom: 8 });
+                    InfoPanel.pinCounty(t.geoid);
+                });
+                li.appendChild(btn);
+                list.appendChild(li);
+            });
+        },
+
         setProvider: function(canonicalName) {
             this.currentProvider = canonicalName;
+            this._stopTimelapse();
             this._rebuildProviderFootprint();
-            var self = this;
+            this._rebuildExpansionTargets();
             if (this._countyLayer) {
-                var pinnedFips = InfoPanel.pinnedCounty;
-                this._countyLayer.eachLayer(function(l) {
-                    l.setStyle(self._countyStyle(l.feature, false, pinnedFips === self._getFips(l.feature)));
-                });
+                this._restyleCounties();
             }
-            this._buildLegend('provider');
+            this._buildLegend('provider', this._expansionLegendItems());
             this._updateProviderTitle();
         },
 
         setTech: function(techType) {
             this.currentTech = techType || 'fiber';
+            this._stopTimelapse();
             this._rebuildProviderFootprint();
-            var self = this;
+            this._rebuildExpansionTargets();
             if (this._countyLayer) {
-                var pinnedFips = InfoPanel.pinnedCounty;
-                this._countyLayer.eachLayer(function(l) {
-                    l.setStyle(self._countyStyle(l.feature, false, pinnedFips === self._getFips(l.feature)));
-                });
+                this._restyleCounties();
             }
             if (InfoPanel.pinnedCounty) {
                 InfoPanel.showProviderInfo(InfoPanel.pinnedCounty);
@@ -932,32 +2098,61 @@
                         ? ProviderIndex.getDisplayName(sel[0]) + ' — select another to compare'
                         : 'Select providers to compare';
             } else {
-                var techLabel = { fiber: 'Fiber', cable: 'Cable', dsl: 'DSL/Copper', all: 'All Tech' };
                 label = this.currentProvider
-                    ? ProviderIndex.getDisplayName(this.currentProvider) + ' — ' + (techLabel[this.currentTech] || 'Fiber') + ' Footprint'
+                    ? ProviderIndex.getDisplayName(this.currentProvider) + ' — ' + (TECH_LABELS[this.currentTech] || 'Fiber') +
+                      (this._timelapseFootprint ? ' Footprint — ' + this._timelapseLabel
+                          : this.showExpansion ? ' Expansion Targets' : ' Footprint')
                     : 'Select a provider';
             }
             setTextById('map-title', label);
+            this._updateCompareLabels();
         },
 
         setFilters: function(filters) {
+            var cbsaChanged = filters.cbsa != null && filters.cbsa !== this.filters.cbsa;
             this.filters = Object.assign({}, this.filters, filters);
             this.applyFilters();
+            if (cbsaChanged) {
+                this.refreshMetroOutlines();
+                if (this.filters.cbsa) this.fitMetro(this.filters.cbsa);
+                // Metro rows follow the filter
+                if (TableManager.showMetroRows) TableManager.renderTable();
+            }
             TableManager.applyFilters();
         },
 
         applyFilters: function() {
             if (!this._countyLayer) return;
-            var self = this;
-            this._countyLayer.eachLayer(function(l) {
-                l.setStyle(self._countyStyle(l.feature, false, InfoPanel.pinnedCounty === self._getFips(l.feature)));
-            });
+            this._classificationStale = true;
+            this._restyleCounties(true);
+            if (this.classification[this.currentLayer]) this.updateLegend();
+        },
+
+        // Restyle every county after the underlying values change (e.g. scoring profile switch)
+        refreshCountyStyles: function() {
+            if (!this._countyLayer) return;
+            this._bivariateBreaks = null;
+            this._classificationStale = true;
+            this._restyleCounties(true);
+            if (!this._inCountyView) this.refreshStateStyles();
+            this.refreshCompareStyles();
+            this.updateLegend();
         },
 
         isFiltered: function(county) {
             if (!county) return true;
             if (this.filters.minPop > 0 && (county.population_2023 == null || county.population_2023 < this.filters.minPop)) return true;
             if (this.filters.minDensity > 0 && (county.housing_density == null || county.housing_density < this.filters.minDensity)) return true;
+            if (this.filters.rules.length && !FilterBuilder.matches(county, this.filters.rules, this.filters.match)) return true;
+            if (this.filters.cbsa) {
+                // Aggregates pass when any member county is in the metro
+                var cbsa = this.filters.cbsa;
+                var members = county.member_fips || [county.geoid];
+                return !members.some(function(f) {
+                    var c = DataHandler.getCountyCbsa(f);
+                    return c && c.code === cbsa;
+                });
+            }
             return false;
         },
 
@@ -966,7 +2161,19 @@
             if (!container) return;
             container.textContent = '';
             var legend = createElement('div', { className: 'legend' });
+            if (this._classificationStale && layerName === this.currentLayer) this._reclassify();
             var items = ColorScales.getLegend(layerName);
+            if (ColorScales.getClassification(layerName) === 'continuous') {
+                // One gradient bar from the lowest to the highest value in view
+                var bar = createElement('div', { className: 'legend-item legend-gradient' });
+                var ramp = createElement('div', { className: 'legend-gradient-bar' });
+                ramp.style.background = 'linear-gradient(to right, ' + items.map(function(i) { return i.color; }).join(', ') + ')';
+                bar.appendChild(createElement('span', {}, items[0].label));
+                bar.appendChild(ramp);
+                bar.appendChild(createElement('span', {}, items[items.length - 1].label));
+                legend.appendChild(bar);
+                items = [];
+            }
             items.forEach(function(item) {
                 var el = createElement('div', { className: 'legend-item' });
                 var swatch = createElement('div', { className: 'legend-color' });
@@ -995,9 +2202,15 @@
         updateLegend: function() {
             if (this.currentMode === 'provider' && this.currentSubview === 'competition') {
                 this._buildCompetitionLegend();
+            } else if (this.currentMode === 'market' && this.currentLayer === 'bivariate') {
+                this._buildBivariateLegend();
+            } else if (this.currentMode === 'market' && this.currentLayer === 'delta') {
+                this._buildLegend(this._deltaScaleKey());
             } else {
-                this._buildLegend(this.currentMode === 'provider' ? 'provider' : this.currentLayer);
+                if (this.currentMode === 'provider') this._buildLegend('provider', this._expansionLegendItems());
+                else this._buildLegend(this.currentLayer);
             }
+            this._updateCompareLabels();
         },
 
         highlightCounty: function(fips) {
@@ -1005,32 +2218,53 @@
             var self = this;
             this._countyLayer.eachLayer(function(l) {
                 var f = self._getFips(l.feature);
+                l._styleKey = null;   // clearHighlight restores every county
                 l.setStyle({ fillOpacity: f === fips ? 0.85 : 0.08 });
             });
         },
 
         clearHighlight: function() {
             if (!this._countyLayer) return;
-            var self = this;
-            this._countyLayer.eachLayer(function(l) {
-                l.setStyle(self._countyStyle(l.feature, false, InfoPanel.pinnedCounty === self._getFips(l.feature)));
-            });
+            this._restyleCounties();
         },
 
         // ===== DEEP DIVE MODE =====
 
-        startDeepDive: function() {
-            if (this._deepDiveActive) return;
+        /**
+         * Cycle the map through market layers. With a tour config (DeepDiveTour) the
+         * layers, order, dwell time and region come from it; otherwise the default cycle.
+         * @param {Object} [tour] - { layers, dwellMs, region }
+         * @returns {boolean} false when already running or the tour has no layers
+         */
+        startDeepDive: function(tour) {
+            if (this._deepDiveActive) return false;
+            if (tour) {
+                this._deepDiveLayers = tour.layers.slice();
+                this._deepDiveDwellMs = tour.dwellMs;
+                this._deepDiveRegion = tour.region || null;
+            }
+            if (!this._deepDiveLayers.length) return false;
             this._deepDiveActive = true;
             this._deepDiveIndex = 0;
+            if (this._deepDiveRegion) this.fitRegion(this._deepDiveRegion);
             this._runDeepDiveCycle();
+            return true;
+        },
+
+        // Frame a tour region: { state } or { bounds: [[s, w], [n, e]] }
+        fitRegion: function(region) {
+            if (!this._map || !region) return false;
+            if (region.state) return this.flyToState(region.state);
+            this._map.flyToBounds(region.bounds);
+            return true;
         },
 
         _runDeepDiveCycle: function() {
             if (!this._deepDiveActive) return;
             var self = this;
 
-            var layer = this._deepDiveLayers[this._deepDiveIndex];
+            var index = this._deepDiveIndex;
+            var layer = this._deepDiveLayers[index];
             this.setLayer(layer);
 
             var toggleBtns = document.querySelectorAll('#layer-toggle .toggle-btn');
@@ -1039,12 +2273,15 @@
                 btn.classList.toggle('active', isActive);
                 btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
             });
+            if (typeof DeepDiveTour !== 'undefined') {
+                DeepDiveTour.showStep(layer, index, this._deepDiveLayers.length, this._deepDiveRegion);
+            }
 
-            this._deepDiveIndex = (this._deepDiveIndex + 1) % this._deepDiveLayers.length;
+            this._deepDiveIndex = (index + 1) % this._deepDiveLayers.length;
 
             this._deepDiveTimer = setTimeout(function() {
                 self._runDeepDiveCycle();
-            }, 3000);
+            }, this._deepDiveDwellMs);
         },
 
         stopDeepDive: function() {
@@ -1053,6 +2290,7 @@
                 clearTimeout(this._deepDiveTimer);
                 this._deepDiveTimer = null;
             }
+            if (typeof DeepDiveTour !== 'undefined') DeepDiveTour.hideCaption();
             var deepDiveBtn = document.getElementById('deep-dive-btn');
             if (deepDiveBtn) {
                 deepDiveBtn.classList.remove('active');
@@ -1064,7 +2302,7 @@
             if (this._deepDiveActive) {
                 this.stopDeepDive();
             } else {
-                this.startDeepDive();
+                if (!this.startDeepDive(typeof DeepDiveTour !== 'undefined' ? DeepDiveTour.getConfig() : null)) return;
                 var deepDiveBtn = document.getElementById('deep-dive-btn');
                 if (deepDiveBtn) {
                     deepDiveBtn.classList.add('active');
@@ -1144,31 +2382,34 @@
             return announcer;
         },
 
+        // Aggregates of the state's loaded counties when available; the bundled state summary otherwise
         showStateInfo: function(stateCode) {
-            var data = DataHandler.getStateData(stateCode);
-
-            setTextContent('.state-name', data ? data.state : stateCode);
-
-            if (data) {
+            var record = MapRenderer._stateRecords[stateCode] ||
+                (typeof MarketManager !== 'undefined' ? MarketManager.getStateRecord(stateCode) : null);
+            var data = record ? null : DataHandler.getStateData(stateCode);
+
+            setTextContent('.state-name', record ? record.name : data ? data.state : stateCode);
+
+            var aggregates = document.getElementById('state-aggregates');
+            if (aggregates) aggregates.style.display = record ? '' : 'none';
+
+            if (record) {
+                setTextById('state-housing', DataHandler.formatNumber(record.housing_units));
+                setTextById('state-fiber', DataHandler.formatNumber(record.fiber_served));
+                setTextById('state-penetration', DataHandler.formatPercent(record.fiber_penetration));
+                setTextById('state-counties', DataHandler.formatNumber(record.county_count));
+                setTextById('state-cable', DataHandler.formatPercent(record.cable_coverage_pct));
+                setTextById('state-fwa', DataHandler.formatPercent(record.fwa_coverage_pct));
+                setTextById('state-gap', DataHandler.formatPercent(record.broadband_gap_pct));
+                setTextById('state-demo', record.demo_score != null ? record.demo_score.toFixed(2) : 'N/A');
+                setTextById('state-attractiveness', record.attractiveness_index != null ? record.attractiveness_index.toFixed(2) : 'N/A');
+                setTextById('state-terrain', record.terrain_roughness != null ? record.terrain_roughness.toFixed(2) : 'N/A');
+                this._renderStateOperators(this.stateOperatorTotals(stateCode));
+            } else if (data) {
                 setTextById('state-housing', DataHandler.formatNumber(data.totalHousingUnits));
                 setTextById('state-fiber', DataHandler.formatNumber(data.totalFiberPassings));
                 setTextById('state-penetration', data.fiberPenetration.toFixed(1) + '%');
-
-                var operatorsList = document.getElementById('state-operators-list');
-                if (operatorsList) {
-                    operatorsList.textContent = '';
-                    if (data.operators && data.operators.length > 0) {
-                        data.operators.slice(0, 6).forEach(function(op) {
-                            var li = createElement('li');
-                            var nameSpan = createElement('span', { className: 'operator-name' }, op.name);
-                            var passingsSpan = createElement('span', { className: 'operator-passings' },
-                                DataHandler.formatNumber(op.passings));
-                            li.appendChild(nameSpan);
-                            li.appendChild(passingsSpan);
-                            operatorsList.appendChild(li);
-                        });
-                    }
-                }
+                this._renderStateOperators(data.operators || []);
             }
 
             // Hint for featured states — zoom in instead of click
@@ -1192,11 +2433,122 @@
             if (this.stateInfoEl) this.stateInfoEl.style.display = 'block';
         },
 
+        /**
+         * Fiber operators in a state by passings, from ProviderIndex.computeNationalTotals over its counties.
+         * @param {string} stateCode
+         * @returns {Object[]} [{ name, passings }] largest first, operators without fiber dropped
+         */
+        stateOperatorTotals: function(stateCode) {
+            var totals = ProviderIndex.computeNationalTotals(stateCode);
+            return Object.keys(totals)
+                .filter(function(name) { return totals[name].fiber > 0; })
+                .map(function(name) { return { name: ProviderIndex.getDisplayName(name), passings: totals[name].fiber }; })
+                .sort(function(a, b) { return b.passings - a.passings; });
+        },
+
+        _renderStateOperators: function(operators) {
+            var operatorsList = document.getElementById('state-operators-list');
+            if (!operatorsList) return;
+            operatorsList.textContent = '';
+            operators.slice(0, 6).forEach(function(op) {
+                var li = createElement('li');
+                li.appendChild(createElement('span', { className: 'operator-name' }, op.name));
+                li.appendChild(createElement('span', { className: 'operator-passings' }, DataHandler.formatNumber(op.passings)));
+                operatorsList.appendChild(li);
+            });
+        },
+
+        // "Why this score": sub-score weights, contributions, ranks and the cheapest rank-up lever
+        _renderScoreBreakdown: function(data) {
+            var section = document.getElementById('score-breakdown');
+            var body    = document.getElementById('score-breakdown-body');
+            var rankEl  = document.getElementById('score-breakdown-rank');
+            var levers  = document.getElementById('score-breakdown-levers');
+            if (!section || !body || typeof ScoringProfiles === 'undefined') return;
+
+            var peerInfo = DataHandler.getScorePeers(data);
+            var info = ScoringProfiles.explain(data, peerInfo.counties);
+            section.style.display = info ? '' : 'none';
+            if (!info) return;
+
+            body.textContent = '';
+            info.rows.forEach(function(r) {
+                var tr = createElement('tr');
+                tr.appendChild(createElement('td', {}, r.label));
+                tr.appendChild(createElement('td', {}, r.value.toFixed(2)));
+                tr.appendChild(createElement('td', {}, Math.round(r.weight * 100) + '%'));
+                tr.appendChild(createElement('td', {}, r.contribution.toFixed(3)));
+                tr.appendChild(createElement('td', {}, '#' + r.rank));
+                body.appendChild(tr);
+            });
+
+            var where = ScoringProfiles.describePeers(peerInfo);
+            rankEl.textContent = 'Ranks #' + info.rank + ' of ' + info.of + ' ' + where +
+                ' (' + ScoringProfiles.getActive().name + ', ' + ScoringProfiles.describeMode() + ').';
+
+            levers.textContent = '';
+            if (!info.next) {
+                levers.appendChild(createElement('li', {}, 'Top-ranked ' + where + '.'));
+                return;
+            }
+            var target = (info.next.name || info.next.geoid) + ' (#' + (info.rank - 1) + ')';
+            if (!info.levers.length) {
+                levers.appendChild(createElement('li', {},
+                    'No single sub-score can close the ' + info.gap.toFixed(3) + ' gap to ' + target + '.'));
+                return;
+            }
+            levers.appendChild(createElement('li', { className: 'score-breakdown-levers-title' },
+                '+' + info.gap.toFixed(3) + ' passes ' + target + ' — any one of:'));
+            info.levers.slice(0, 3).forEach(function(l) {
+                levers.appendChild(createElement('li', {},
+                    l.label + ' +' + l.needed.toFixed(2) + ' (' + l.hint + ')'));
+            });
+        },
+
+        // Passings change layer: net change and which providers built (or lost) it
+        _renderDeltaSection: function(data) {
+            var section = document.getElementById('delta-section');
+            var body    = document.getElementById('delta-provider-body');
+            if (!section || !body) return;
+            var delta = MapRenderer.currentLayer === 'delta' ? MapRenderer._deltaFor(data) : null;
+            section.style.display = delta ? '' : 'none';
+            if (!delta) return;
+
+            var signed = function(n) { return (n > 0 ? '+' : n < 0 ? '−' : '') + DataHandler.formatNumber(Math.abs(n)); };
+            var d = MapRenderer._filingDelta;
+            setTextById('delta-period', FiberUtils.formatFilingDate(d.from) + ' → ' + FiberUtils.formatFilingDate(d.to));
+            setTextById('delta-net', signed(delta.net));
+            setTextById('delta-pct', data.total_bsls > 0
+                ? (delta.net >= 0 ? '+' : '−') + Math.abs(delta.net / data.total_bsls * 100).toFixed(1) + '%'
+                : 'N/A');
+
+            body.textContent = '';
+            if (!delta.providers.length) {
+                var tr = createElement('tr');
+                var td = createElement('td', {}, 'No provider changed its fiber passings.');
+                td.colSpan = 4;
+                tr.appendChild(td);
+                body.appendChild(tr);
+                return;
+            }
+            delta.providers.forEach(function(p) {
+                var row = createElement('tr');
+                row.appendChild(createElement('td', {}, ProviderIndex.getDisplayName(p.name)));
+                row.appendChild(createElement('td', {}, DataHandler.formatNumber(p.before)));
+                row.appendChild(createElement('td', {}, DataHandler.formatNumber(p.after)));
+                row.appendChild(createElement('td', { className: p.change > 0 ? 'delta-up' : 'delta-down' }, signed(p.change)));
+                body.appendChild(row);
+            });
+        },
+
         showCountyInfo: function(fips) {
             var data = DataHandler.getCountyData(fips);
             if (!data) return;
 
-            setTextContent('.county-name', data.name + ' County');
+            var isMarket = !!data.is_market;
+            setTextContent('.county-name', isMarket
+                ? data.name + ' (' + data.county_count + ' ' + (data.county_count === 1 ? 'county' : 'counties') + ')'
+                : data.name + ' County');
 
             // Score bars
             var attrScore = document.getElementById('attr-score');
@@ -1205,6 +2557,10 @@
                 var attrIndex = Number.isFinite(data.attractiveness_index) ? data.attractiveness_index : 0;
                 attrScore.style.width = (attrIndex * 100) + '%';
                 attrValue.textContent = attrIndex.toFixed(2);
+                if (typeof ScoringProfiles !== 'undefined') {
+                    attrValue.title = 'Scoring profile: ' + ScoringProfiles.getActive().name +
+                        ' (' + ScoringProfiles.describeMode() + ')';
+                }
             }
 
             var demoScore = document.getElementById('demo-score');
@@ -1215,6 +2571,8 @@
                 demoValue.textContent = demoScoreVal.toFixed(2);
             }
 
+            this._renderScoreBreakdown(data);
+
             var penScore = document.getElementById('pen-score');
             var penValue = document.getElementById('pen-value');
             if (penScore && penValue) {
@@ -1255,7 +2613,7 @@
             // provider_passings_history Jun-25 so passings match the trend chart exactly.
             var operatorsList = document.getElementById('operators-list');
             var _opFips       = fips;
-            var _opCounty     = (data.name ? data.name + ' County' : fips);
+            var _opCounty     = isMarket ? data.name : (data.name ? data.name + ' County' : fips);
 
             function renderOperatorList(ops) {
                 if (!operatorsList) return;
@@ -1294,8 +2652,9 @@
                        ((a.fiber_passings || a.passings || 0) + (a.cable_passings || 0) + (a.dsl_passings || 0));
             }));
 
-            // Async replace with authoritative Jun-25 data from provider_passings_history
-            DataHandler.loadCountyLatestPassings(fips).then(function(rows) {
+            // Async replace with authoritative Jun-25 data from provider_passings_history.
+            // Markets keep their summed operators — the history table is per county.
+            if (!isMarket) DataHandler.loadCountyLatestPassings(fips).then(function(rows) {
                 if (!rows || !rows.length) return;
                 var opMap = {};
                 rows.forEach(function(r) {
@@ -1390,13 +2749,15 @@
                     if (momEl) {
                         var momClass = momLabel.replace('*', '').trim().toLowerCase();
                         momEl.className = 'stat-value momentum-' + momClass;
-                        momEl.title = isEstimated ? 'Estimated from fiber provider count — actual BDC delta pending' : '';
+                        momEl.title = isEstimated ? 'Estimated from fiber provider count — the Passings Change layer shows filed BDC builds' : '';
                     }
                 } else {
                     compSection.style.display = 'none';
                 }
             }
 
+            this._renderDeltaSection(data);
+
             // Build Environment section
             var buildSection = document.getElementById('build-section');
             if (buildSection) {
@@ -1433,10 +2794,10 @@
                 }
             }
 
-            // NPV button — only for MO counties (fips starts with 29)
+            // NPV button — only for MO counties (fips starts with 29) and custom markets
             var npvBtn = document.getElementById('open-npv-btn');
             if (npvBtn) {
-                npvBtn.style.display = (fips && fips.startsWith('29')) ? '' : 'none';
+                npvBtn.style.display = (isMarket || (fips && fips.startsWith('29'))) ? '' : 'none';
             }
 
             if (this.defaultEl) this.defaultEl.style.display = 'none';
@@ -1482,7 +2843,9 @@
             setTextById('prov-income', inc ? '$' + Number(inc).toLocaleString() : '—');
             setTextById('prov-fiber-pct', data.fiber_penetration != null
                 ? (data.fiber_penetration * 100).toFixed(1) + '%' : '—');
-            setTextById('prov-market-type', data.is_metro_county ? 'Metro' : (data.rural_class || 'Rural'));
+            var cbsa = DataHandler.getCountyCbsa(fips);
+            setTextById('prov-market-type', cbsa ? cbsa.name + (cbsa.type === 'micro' ? ' (micro)' : '')
+                : data.is_metro_county ? 'Metro' : (data.rural_class || 'Rural'));
 
             if (this.defaultEl) this.defaultEl.style.display = 'none';
             if (this.countyInfoEl) this.countyInfoEl.style.display = 'none';
@@ -1544,19 +2907,102 @@
         searchTerm: '',
         stateFilter: '',
         momentumFilter: '',
+        tagFilter: '',         // CountyAnnotations tag ('' = all, '*' = any annotation)
         _searchDebounceTimer: null,
         _selectedFips: new Set(),
+        showMetroRows: false,   // add a CBSA aggregate row per metro
 
         init: function() {
             this.setupEventListeners();
             this._populateStateDropdown();
+            this._populateMetroDropdowns();
+        },
+
+        // Loaded counties plus any custom markets, as rankings rows
+        _rankedRecords: function() {
+            var rows = DataHandler.getAllLoadedCounties();
+            if (typeof MarketManager === 'undefined') return rows;
+            rows = rows.concat(MarketManager.getRecords());
+            if (this.showMetroRows) rows = rows.concat(MarketManager.getMetroRecords(MapRenderer.filters.cbsa || null));
+            return rows;
+        },
+
+        // Ticked rows that are real counties (markets can be ticked for export too)
+        getSelectedCountyFips: function() {
+            return Array.from(this._selectedFips).filter(function(f) { return /^\d{5}$/.test(f); });
+        },
+
+        /**
+         * Change the selection shared by the table checkboxes and the map selection tools.
+         * @param {string[]} ids - county FIPS or aggregate keys
+         * @param {string} mode - 'add' | 'remove' | 'toggle' | 'replace'
+         */
+        setSelection: function(ids, mode) {
+            var sel = this._selectedFips;
+            if (mode === 'replace') sel.clear();
+            (ids || []).forEach(function(id) {
+                if (mode === 'remove' || (mode === 'toggle' && sel.has(id))) sel.delete(id);
+                else sel.add(id);
+            });
+            this._onSelectionChanged();
+        },
+
+        clearSelection: function() {
+            this._selectedFips.clear();
+            this._onSelectionChanged();
+        },
+
+        /**
+         * Running totals over the selection; ticked markets contribute their member counties,
+         * each county counted once.
+         * @returns {Object|null} MarketManager.aggregateCounties record, or null when nothing loaded is selected
+         */
+        getSelectionRecord: function() {
+            var fips = {};
+            this._selectedFips.forEach(function(id) {
+                var rec = DataHandler.getCountyData(id);
+                if (!rec) return;
+                (rec.member_fips || [id]).forEach(function(f) { fips[f] = true; });
+            });
+            var counties = Object.keys(fips).map(function(f) { return DataHandler.getCountyData(f); }).filter(Boolean);
+            return MarketManager.aggregateCounties(counties, { key: 'selection', name: 'Selection' });
+        },
+
+        _onSelectionChanged: function() {
+            if (typeof document === 'undefined') return;
+            var sel = this._selectedFips;
+            document.querySelectorAll('#county-table-body .row-select-cb').forEach(function(cb) {
+                cb.checked = sel.has(cb.dataset.fips);
+            });
+            var selectAll = document.getElementById('select-all-cb');
+            if (selectAll && !sel.size) selectAll.checked = false;
+            this._updateExportBtn();
+            this._renderSelectionSummary();
+            MapRenderer.refreshSelectionStyles();
+        },
+
+        _renderSelectionSummary: function() {
+            var bar = document.getElementById('selection-bar');
+            var text = document.getElementById('selection-summary');
+            if (!bar || !text) return;
+            var rec = this._selectedFips.size ? this.getSelectionRecord() : null;
+            bar.hidden = !rec;
+            if (!rec) return;
+            text.textContent = rec.county_count + (rec.county_count === 1 ? ' county' : ' counties') + ' selected · ' +
+                DataHandler.formatNumber(rec.total_bsls) + ' BSLs · ' +
+                DataHandler.formatNumber(rec.fiber_unserved) + ' unserved · ' +
+                DataHandler.formatNumber(rec.population_2023) + ' people';
+        },
+
+        _stateLabel: function(c, fallback) {
+            return c.state_codes ? c.state_codes.join('/') : (c.state_code || fallback || '');
         },
 
         renderTable: function() {
             var tbody = document.getElementById('county-table-body');
             if (!tbody) return;
 
-            var counties = DataHandler.getAllLoadedCounties();
+            var counties = this._rankedRecords();
 
             var self = this;
             counties.sort(function(a, b) {
@@ -1586,6 +3032,7 @@
 
             counties.forEach(function(c) {
                 var tr = createElement('tr', { 'data-fips': c.geoid });
+                if (c.is_market) tr.classList.add('market-row');
                 if (MapRenderer.isFiltered(c)) {
                     tr.classList.add('filtered-out');
                 }
@@ -1595,19 +3042,14 @@
                 var cb = createElement('input', { type: 'checkbox', className: 'row-select-cb', 'data-fips': c.geoid });
                 if (self2._selectedFips.has(c.geoid)) cb.checked = true;
                 cb.addEventListener('change', function(e) {
-                    if (e.target.checked) {
-                        self2._selectedFips.add(c.geoid);
-                    } else {
-                        self2._selectedFips.delete(c.geoid);
-                    }
-                    self2._updateExportBtn();
+                    self2.setSelection([c.geoid], e.target.checked ? 'add' : 'remove');
                 });
                 cb.addEventListener('click', function(e) { e.stopPropagation(); });
                 cbTd.appendChild(cb);
                 tr.appendChild(cbTd);
 
-                tr.appendChild(createElement('td', { className: 'state-cell' }, c.state_code || ''));
-                tr.appendChild(createElement('td', {}, c.name));
+                tr.appendChild(createElement('td', { className: 'state-cell' }, self._stateLabel(c)));
+                tr.appendChild(createElement('td', {}, c.is_market ? c.name + ' (' + c.county_count + ')' : c.name));
 
                 var attrVal = Number.isFinite(c.attractiveness_index) ? c.attractiveness_index.toFixed(2) : 'N/A';
                 tr.appendChild(createElement('td', {}, attrVal));
@@ -1624,6 +3066,9 @@
                 var momLabel = self._momentumLabel(c);
                 var momTd = createElement('td', { className: 'momentum-cell momentum-' + momLabel.replace('*','').toLowerCase() }, momLabel);
                 tr.appendChild(momTd);
+                var tagTd = createElement('td', { className: 'annotation-cell' });
+                if (typeof CountyAnnotations !== 'undefined') CountyAnnotations.renderTags(tagTd, c.geoid);
+                tr.appendChild(tagTd);
 
                 tbody.appendChild(tr);
             });
@@ -1712,10 +3157,14 @@
                 var county = DataHandler.getCountyData(fips);
                 if (!county) { row.classList.add('filtered-out'); return; }
                 var matchesSearch = !self.searchTerm || county.name.toLowerCase().indexOf(self.searchTerm) !== -1;
-                var matchesState = !self.stateFilter || (county.state_code || '') === self.stateFilter;
+                var matchesState = !self.stateFilter || (county.state_codes
+                    ? county.state_codes.indexOf(self.stateFilter) !== -1
+                    : (county.state_code || '') === self.stateFilter);
                 var momLabel = self._momentumLabel(county).replace('*', '');
                 var matchesMomentum = !self.momentumFilter || momLabel === self.momentumFilter;
-                var filtered = MapRenderer.isFiltered(county) || !matchesSearch || !matchesState || !matchesMomentum;
+                var matchesTag = !self.tagFilter || typeof CountyAnnotations === 'undefined' ||
+                    CountyAnnotations.matches(fips, self.tagFilter);
+                var filtered = MapRenderer.isFiltered(county) || !matchesSearch || !matchesState || !matchesMomentum || !matchesTag;
                 row.classList.toggle('filtered-out', filtered);
             });
         },
@@ -1735,6 +3184,24 @@
             });
         },
 
+        // Map and table Metro selects list the same CBSAs and share MapRenderer.filters.cbsa
+        _populateMetroDropdowns: function() {
+            var cbsas = DataHandler.getLoadedCbsas();
+            ['metro-filter', 'table-metro-filter'].forEach(function(id) {
+                var sel = document.getElementById(id);
+                if (!sel) return;
+                while (sel.options.length > 1) sel.remove(1);
+                cbsas.forEach(function(cbsa) {
+                    var opt = document.createElement('option');
+                    opt.value = cbsa.code;
+                    opt.textContent = cbsa.name + (cbsa.type === 'micro' ? ' (micro)' : '');
+                    sel.appendChild(opt);
+                });
+                sel.value = MapRenderer.filters.cbsa || '';
+                sel.disabled = !cbsas.length;
+            });
+        },
+
         _updateExportBtn: function() {
             var n = this._selectedFips.size;
             var csvBtn = document.getElementById('export-csv-btn');
@@ -1743,6 +3210,11 @@
             if (xlBtn) xlBtn.textContent = n > 0 ? 'Export Excel (' + n + ')' : 'Export Excel';
         },
 
+        // [status, tags, notes] export columns from CountyAnnotations
+        _annotationFields: function(c) {
+            return typeof CountyAnnotations !== 'undefined' ? CountyAnnotations.exportFields(c.geoid) : ['', '', ''];
+        },
+
         _momentumLabel: function(c) {
             if (c.momentum_class) return c.momentum_class;
             var qci = qualifiedFiberCount(c);
@@ -1750,7 +3222,7 @@
         },
 
         exportCSV: function() {
-            var counties = DataHandler.getAllLoadedCounties();
+            var counties = this._rankedRecords();
             if (!counties || !counties.length) return;
             var self = this;
             var activeState = DataHandler.getActiveState() || '';
@@ -1779,7 +3251,8 @@
                 'Penetration %', 'Unserved Locations', 'Median HHI', 'Housing Density',
                 'Population', 'Fiber Providers', 'Cable Present', 'FWA Present',
                 'Build Difficulty', 'Terrain Score', 'RUCC Code',
-                'BEAD Eligible Locations', 'BEAD Implied Award', 'Momentum'
+                'BEAD Eligible Locations', 'BEAD Implied Award', 'Momentum',
+                'Pipeline Status', 'Tags', 'Notes'
             ];
 
             function esc(v) {
@@ -1790,7 +3263,7 @@
             var rows = visible.map(function(c) {
                 return [
                     c.name,
-                    c.state_code || activeState,
+                    self._stateLabel(c, activeState),
                     c.attractiveness_index != null ? c.attractiveness_index.toFixed(3) : '',
                     c.demo_score != null ? c.demo_score.toFixed(3) : '',
                     c.fiber_penetration != null ? (c.fiber_penetration * 100).toFixed(1) : '',
@@ -1807,16 +3280,17 @@
                     c.bead_eligible_locations != null ? c.bead_eligible_locations : '',
                     c.bead_implied_county_award != null ? Math.round(c.bead_implied_county_award) : '',
                     self._momentumLabel(c)
-                ].map(esc).join(',');
+                ].concat(self._annotationFields(c)).map(esc).join(',');
             });
 
             var csv = headers.map(esc).join(',') + '\n' + rows.join('\n');
             var date = new Date().toISOString().slice(0, 10);
+            var asOf = DataHandler.getFilingDate() ? '-asof-' + DataHandler.getFilingDate() : '';
             var blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
             var url = URL.createObjectURL(blob);
             var a = document.createElement('a');
             a.href = url;
-            a.download = 'fiber-market-analysis-' + date + '.csv';
+            a.download = 'fiber-market-analysis-' + date + asOf + '.csv';
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -1828,7 +3302,7 @@
                 alert('Excel library not loaded. Please refresh the page and try again.');
                 return;
             }
-            var counties = DataHandler.getAllLoadedCounties();
+            var counties = this._rankedRecords();
             if (!counties || !counties.length) return;
             var self = this;
             var activeState = DataHandler.getActiveState() || '';
@@ -1878,13 +3352,15 @@
                 'Buildable Months/Year', 'Winter Severity', 'Coldest Month (°F)',
                 // BEAD
                 'BEAD Status', 'BEAD Eligible Locations', 'BEAD Implied Award ($)',
-                'BEAD $/Eligible Location', 'BEAD State Allocation ($)'
+                'BEAD $/Eligible Location', 'BEAD State Allocation ($)',
+                // Annotations
+                'Pipeline Status', 'Tags', 'Notes'
             ];
 
             var summaryRows = visible.map(function(c) {
                 return [
                     c.name,
-                    c.state_code || activeState,
+                    self._stateLabel(c, activeState),
                     c.geoid,
                     // Scores
                     round3(c.attractiveness_index),
@@ -1931,7 +3407,7 @@
                     c.bead_implied_county_award != null ? Math.round(c.bead_implied_county_award) : null,
                     c.bead_dollars_per_eligible_loc != null ? Math.round(c.bead_dollars_per_eligible_loc) : null,
                     c.bead_state_allocation != null ? Math.round(c.bead_state_allocation) : null
-                ];
+                ].concat(self._annotationFields(c));
             });
 
             var summaryData = [summaryHeaders].concat(summaryRows);
@@ -1957,7 +3433,7 @@
                     var dsl   = op.dsl_passings   || 0;
                     providerRows.push([
                         c.name,
-                        c.state_code || activeState,
+                        self._stateLabel(c, activeState),
                         c.geoid,
                         op.name,
                         fiber,
@@ -2000,10 +3476,44 @@
             ];
             XLSX.utils.book_append_sheet(wb, wsProviders, 'Providers');
 
+            // Which counties make up each exported market
+            var markets = visible.filter(function(c) { return c.is_market; });
+            if (markets.length) {
+                var memberData = [['Market', 'County', 'State', 'GEOID', 'Total BSLs', 'Fiber Unserved']];
+                markets.forEach(function(m) {
+                    m.member_fips.forEach(function(fips) {
+                        var c = DataHandler.getCountyData(fips);
+                        memberData.push([m.name, c.name, c.state_code || '', fips, num(c.total_bsls), num(c.fiber_unserved)]);
+                    });
+                });
+                var wsMembers = XLSX.utils.aoa_to_sheet(memberData);
+                wsMembers['!cols'] = [{ wch: 26 }, { wch: 22 }, { wch: 6 }, { wch: 8 }, { wch: 12 }, { wch: 14 }];
+                XLSX.utils.book_append_sheet(wb, wsMembers, 'Market Members');
+            }
+
+            // Record the weights behind the attractiveness scores
+            if (typeof ScoringProfiles !== 'undefined') {
+                var profile = ScoringProfiles.getActive();
+                var scoringData = [
+                    ['Scoring Profile', profile.name],
+                    ['Normalization', ScoringProfiles.describeMode()],
+                    ['FCC BDC Filing', DataHandler.getFilingLabel()],
+                    [],
+                    ['Weight', 'Value']
+                ];
+                ScoringProfiles.WEIGHT_FIELDS.forEach(function(f) {
+                    scoringData.push([f.group + ' — ' + f.label, profile.weights[f.key]]);
+                });
+                var wsScoring = XLSX.utils.aoa_to_sheet(scoringData);
+                wsScoring['!cols'] = [{ wch: 40 }, { wch: 24 }];
+                XLSX.utils.book_append_sheet(wb, wsScoring, 'Scoring Profile');
+            }
+
             var date = new Date().toISOString().slice(0, 10);
             var label = hasSelection
                 ? (this._selectedFips.size + '-counties')
                 : (activeState || 'all-states');
+            if (DataHandler.getFilingDate()) label += '-asof-' + DataHandler.getFilingDate();
             XLSX.writeFile(wb, 'fiber-market-' + label + '-' + date + '.xlsx');
         }
     };
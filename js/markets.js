@@ -0,0 +1,566 @@
+// Custom multi-county markets
+// A market is a named set of counties (a metro, a service territory...). Its
+// aggregate record has the same shape as a county row, so the InfoPanel, rankings
+// table, NPV calculator and exports all read it through DataHandler.getCountyData('mkt:<id>').
+// Definitions persist in localStorage; aggregates are built from the loaded
+// counties on first read and cached until a market edit, a county load or a
+// re-score (DataHandler calls invalidateRecords) so they follow scoring profiles
+// and filing snapshots.
+// CBSA metros get the same aggregate rows under 'cbsa:<code>' (DataHandler.getCbsa).
+
+(function(global) {
+    'use strict';
+
+    var STORAGE_KEY   = 'fibermap.markets';
+    var MARKET_PREFIX = 'mkt:';
+    var METRO_PREFIX  = 'cbsa:';
+
+    var _markets = [];      // [{ id, name, fips: [] }]
+    var _editingId = null;
+    var _records = {};      // 'mkt:<id>' / 'cbsa:<code>' → scored record, or null when no member is loaded
+
+    // ── Aggregation (pure) ───────────────────────────────────────────────────
+
+    function isNum(v) {
+        return typeof v === 'number' && isFinite(v);
+    }
+
+    // Sum of a field over counties that report it; null when none do
+    function sumField(counties, field) {
+        var total = null;
+        counties.forEach(function(c) {
+            if (isNum(c[field])) total = (total || 0) + c[field];
+        });
+        return total;
+    }
+
+    // Mean of a field weighted by another field, over counties that report both
+    function weightedField(counties, field, weightField) {
+        var sum = 0, wsum = 0;
+        counties.forEach(function(c) {
+            var w = c[weightField];
+            if (!isNum(c[field]) || !isNum(w) || w <= 0) return;
+            sum  += c[field] * w;
+            wsum += w;
+        });
+        return wsum > 0 ? sum / wsum : null;
+    }
+
+    function round(v, places) {
+        if (v == null) return null;
+        var f = Math.pow(10, places);
+        return Math.round(v * f) / f;
+    }
+
+    // Operator passings summed by brand across member counties, largest first
+    function combineOperators(counties) {
+        var byName = {};
+        counties.forEach(function(c) {
+            (c.operators || []).forEach(function(op) {
+                if (!op || !op.name) return;
+                var fiber = op.fiber_passings != null ? op.fiber_passings : (op.passings || 0);
+                var acc = byName[op.name] || (byName[op.name] = {
+                    name: op.name, passings: 0, fiber_passings: 0, cable_passings: 0, dsl_passings: 0
+                });
+                acc.passings       += fiber;
+                acc.fiber_passings += fiber;
+                acc.cable_passings += (op.cable_passings || 0);
+                acc.dsl_passings   += (op.dsl_passings   || 0);
+            });
+        });
+        return Object.keys(byName).map(function(n) { return byName[n]; }).sort(function(a, b) {
+            return (b.fiber_passings + b.cable_passings + b.dsl_passings) -
+                   (a.fiber_passings + a.cable_passings + a.dsl_passings);
+        });
+    }
+
+    /**
+     * Combine member counties into one county-shaped record (unscored).
+     * Counts are summed; penetration and coverage shares are BSL-weighted; HHI,
+     * owner-occupied and WFH are population-weighted; rent and home value are
+     * housing-unit-weighted; categorical fields come from the largest member by BSLs.
+     * @param {Object[]} counties - loaded county rows
+     * @param {Object} [meta] - { id, name, key } (key overrides the 'mkt:<id>' geoid)
+     * @returns {Object|null}
+     */
+    function aggregateCounties(counties, meta) {
+        var members = (counties || []).filter(Boolean);
+        if (!members.length) return null;
+        var m = meta || {};
+
+        var primary = members.reduce(function(best, c) {
+            return (c.total_bsls || 0) > (best.total_bsls || 0) ? c : best;
+        }, members[0]);
+        var states = {};
+        members.forEach(function(c) { if (c.state_code) states[c.state_code] = true; });
+
+        var total  = sumField(members, 'total_bsls');
+        var served = sumField(members, 'fiber_served');
+        var pop    = sumField(members, 'population_2023');
+        var units  = sumField(members, 'housing_units');
+        var area   = sumField(members, 'land_area_sqmi');
+
+        // Growth only over counties with both vintages, so a gap doesn't read as decline
+        var withBoth = members.filter(function(c) { return isNum(c.population_2023) && isNum(c.population_2018) && c.population_2018 > 0; });
+        var pop18 = sumField(withBoth, 'population_2018');
+        var pop23 = sumField(withBoth, 'population_2023');
+
+        var operators = combineOperators(members);
+        var fiberOps  = operators.filter(function(op) { return op.fiber_passings > 0; });
+
+        var eligible = sumField(members, 'bead_eligible_locations');
+        var implied  = sumField(members, 'bead_implied_county_award');
+
+        return {
+            geoid:            m.key || MARKET_PREFIX + (m.id || ''),
+            market_id:        m.id || null,
+            is_market:        true,
+            name:             m.name || 'Untitled market',
+            member_fips:      members.map(function(c) { return c.geoid; }),
+            county_count:     members.length,
+            state_code:       primary.state_code || '',
+            state_codes:      Object.keys(states).sort(),
+
+            total_bsls:        total,
+            fiber_served:      served,
+            fiber_unserved:    sumField(members, 'fiber_unserved'),
+            fiber_penetration: total > 0 && served != null ? Math.min(1, served / total) : null,
+            cable_served:      sumField(members, 'cable_served'),
+            dsl_served:        sumField(members, 'dsl_served'),
+            cable_coverage_pct:     round(weightedField(members, 'cable_coverage_pct', 'total_bsls'), 3),
+            fwa_coverage_pct:       round(weightedField(members, 'fwa_coverage_pct', 'total_bsls'), 3),
+            broadband_coverage_pct: round(weightedField(members, 'broadband_coverage_pct', 'total_bsls'), 3),
+            broadband_gap_pct:      round(weightedField(members, 'broadband_gap_pct', 'total_bsls'), 3),
+            cable_present:     members.some(function(c) { return c.cable_present; }),
+            fwa_present:       members.some(function(c) { return c.fwa_present; }),
+
+            operators:                 operators,
+            wireline_providers:        fiberOps.map(function(op) { return op.name; }),
+            competitive_intensity:     Math.min(3, fiberOps.length),
+            total_broadband_providers: members.reduce(function(mx, c) {
+                return isNum(c.total_broadband_providers) ? Math.max(mx == null ? 0 : mx, c.total_broadband_providers) : mx;
+            }, null),
+
+            population_2023:    pop,
+            population_2018:    sumField(members, 'population_2018'),
+            pop_growth_pct:     pop18 > 0 ? round((pop23 - pop18) / pop18 * 100, 2) : null,
+            housing_units:      units,
+            land_area_sqmi:     area,
+            pop_density:        area > 0 && pop != null ? round(pop / area, 1) : null,
+            housing_density:    area > 0 && units != null ? round(units / area, 1) : null,
+            median_hhi:         round(weightedField(members, 'median_hhi', 'population_2023'), 0),
+            median_rent:        round(weightedField(members, 'median_rent', 'housing_units'), 0),
+            median_home_value:  round(weightedField(members, 'median_home_value', 'housing_units'), 0),
+            owner_occupied_pct: round(weightedField(members, 'owner_occupied_pct', 'population_2023'), 1),
+            wfh_pct:            round(weightedField(members, 'wfh_pct', 'population_2023'), 1),
+
+            bead_status:                   primary.bead_status != null ? primary.bead_status : null,
+            bead_eligible_locations:       eligible,
+            bead_implied_county_award:     implied,
+            bead_dollars_per_eligible_loc: eligible > 0 && implied != null ? implied / eligible : null,
+            bead_dollars_awarded:          sumField(members, 'bead_dollars_awarded'),
+            bead_locations_covered:        sumField(members, 'bead_locations_covered'),
+
+            terrain_roughness:      round(weightedField(members, 'terrain_roughness', 'total_bsls'), 2),
+            elevation_mean_ft:      round(weightedField(members, 'elevation_mean_ft', 'total_bsls'), 1),
+            build_difficulty:       primary.build_difficulty || null,
+            construction_cost_tier: primary.construction_cost_tier || null,
+            rucc_code:              primary.rucc_code != null ? primary.rucc_code : null,
+            rural_class:            primary.rural_class || null,
+            momentum_class:         null
+        };
+    }
+
+    // ── Persistence ──────────────────────────────────────────────────────────
+
+    function _readStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return null;
+            var raw = localStorage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Saved markets unreadable; starting empty:', error.message);
+            return null;
+        }
+    }
+
+    function _writeStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ markets: _markets }));
+        } catch (error) {
+            console.warn('Could not save markets:', error.message);
+        }
+    }
+
+    function _newId() {
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6);
+    }
+
+    function _uniqueFips(list) {
+        var seen = {};
+        return (list || []).map(String).filter(function(f) {
+            if (!/^\d{5}$/.test(f) || seen[f]) return false;
+            seen[f] = true;
+            return true;
+        });
+    }
+
+    function _idOf(idOrKey) {
+        var s = String(idOrKey || '');
+        return s.indexOf(MARKET_PREFIX) === 0 ? s.slice(MARKET_PREFIX.length) : s;
+    }
+
+    // ── Views ────────────────────────────────────────────────────────────────
+
+    function _refreshViews() {
+        if (typeof TableManager !== 'undefined') {
+            TableManager.renderTable();
+            TableManager.applyFilters();
+        }
+        if (typeof MapRenderer !== 'undefined') MapRenderer.refreshMarketOutlines();
+        if (typeof InfoPanel !== 'undefined' && MarketManager.isMarketId(InfoPanel.pinnedCounty)) {
+            if (MarketManager.getRecord(InfoPanel.pinnedCounty)) InfoPanel.showCountyInfo(InfoPanel.pinnedCounty);
+            else InfoPanel.unpinCounty();
+        }
+        _updateButtonLabel();
+    }
+
+    function _updateButtonLabel() {
+        var btn = document.getElementById('markets-btn');
+        if (btn) btn.textContent = _markets.length ? 'Markets (' + _markets.length + ')' : 'Markets';
+    }
+
+    function _countyLabel(fips) {
+        var c = DataHandler.getCountyData(fips);
+        return c ? c.name + ', ' + (c.state_code || '') : fips + ' (not loaded)';
+    }
+
+    function _renderEditor() {
+        var select  = document.getElementById('market-select');
+        var nameEl  = document.getElementById('market-name');
+        var members = document.getElementById('market-members');
+        var summary = document.getElementById('market-summary');
+        if (!select || !members) return;
+
+        var market = MarketManager.get(_editingId) || _markets[0] || null;
+        _editingId = market ? market.id : null;
+
+        select.textContent = '';
+        if (!_markets.length) {
+            var none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'No markets yet';
+            select.appendChild(none);
+        }
+        _markets.forEach(function(mk) {
+            var opt = document.createElement('option');
+            opt.value = mk.id;
+            opt.textContent = mk.name + ' (' + mk.fips.length + ')';
+            if (market && mk.id === market.id) opt.selected = true;
+            select.appendChild(opt);
+        });
+
+        if (nameEl) {
+            nameEl.value = market ? market.name : '';
+            nameEl.disabled = !market;
+        }
+        ['market-add-pinned-btn', 'market-show-btn', 'market-delete-btn'].forEach(function(id) {
+            var b = document.getElementById(id);
+            if (b) b.disabled = !market;
+        });
+
+        members.textContent = '';
+        if (market) {
+            market.fips.forEach(function(fips) {
+                var li = document.createElement('li');
+                li.appendChild(document.createTextNode(_countyLabel(fips)));
+                var rm = document.createElement('button');
+                rm.type = 'button';
+                rm.className = 'market-member-remove';
+                rm.textContent = '×';
+                rm.setAttribute('aria-label', 'Remove ' + _countyLabel(fips) + ' from ' + market.name);
+                rm.addEventListener('click', function() {
+                    MarketManager.update(market.id, { fips: market.fips.filter(function(f) { return f !== fips; }) });
+                    _renderEditor();
+                });
+                li.appendChild(rm);
+                members.appendChild(li);
+            });
+        }
+
+        if (summary) {
+            var rec = market ? MarketManager.getRecord(market.id) : null;
+            summary.textContent = !market
+                ? 'Tick counties in the rankings table, then create a market from the selection.'
+                : !rec
+                    ? 'None of these counties are loaded yet.'
+                    : FiberUtils.formatNumber(rec.total_bsls) + ' BSLs · ' +
+                      FiberUtils.formatPercent(rec.fiber_penetration) + ' fiber · ' +
+                      FiberUtils.formatNumber(rec.fiber_unserved) + ' unserved · attractiveness ' +
+                      (isNum(rec.attractiveness_index) ? rec.attractiveness_index.toFixed(2) : 'N/A');
+        }
+    }
+
+    function _openPanel() {
+        var backdrop = document.getElementById('markets-backdrop');
+        if (!backdrop) return;
+        var newBtn = document.getElementById('market-new-btn');
+        var n = typeof TableManager !== 'undefined' ? TableManager.getSelectedCountyFips().length : 0;
+        if (newBtn) newBtn.textContent = n ? 'New from Selection (' + n + ')' : 'New from Selection';
+        _renderEditor();
+        backdrop.classList.add('open');
+    }
+
+    function _closePanel() {
+        var backdrop = document.getElementById('markets-backdrop');
+        if (backdrop) backdrop.classList.remove('open');
+    }
+
+    function _bindEvents() {
+        var openBtn  = document.getElementById('markets-btn');
+        var closeBtn = document.getElementById('markets-close');
+        var backdrop = document.getElementById('markets-backdrop');
+        if (openBtn)  openBtn.addEventListener('click', _openPanel);
+        if (closeBtn) closeBtn.addEventListener('click', _closePanel);
+        if (backdrop) {
+            backdrop.addEventListener('click', function(e) {
+                if (e.target === backdrop) _closePanel();
+            });
+        }
+
+        var select = document.getElementById('market-select');
+        if (select) {
+            select.addEventListener('change', function() {
+                _editingId = select.value;
+                _renderEditor();
+            });
+        }
+
+        var nameEl = document.getElementById('market-name');
+        if (nameEl) {
+            nameEl.addEventListener('change', function() {
+                if (!_editingId) return;
+                MarketManager.update(_editingId, { name: nameEl.value });
+                _renderEditor();
+            });
+        }
+
+        var newBtn = document.getElementById('market-new-btn');
+        if (newBtn) {
+            newBtn.addEventListener('click', function() {
+                var fips = TableManager.getSelectedCountyFips();
+                if (!fips.length) {
+                    alert('Tick the counties for the market in the rankings table first.');
+                    return;
+                }
+                var name = prompt('Name for the new market:', 'My market');
+                if (!name) return;
+                _editingId = MarketManager.create(name, fips).id;
+                _renderEditor();
+            });
+        }
+
+        var addBtn = document.getElementById('market-add-pinned-btn');
+        if (addBtn) {
+            addBtn.addEventListener('click', function() {
+                var fips = InfoPanel.pinnedCounty;
+                var market = MarketManager.get(_editingId);
+                if (!market || !fips || MarketManager.isMarketId(fips)) {
+                    alert('Pin a county on the map first.');
+                    return;
+                }
+                MarketManager.update(market.id, { fips: market.fips.concat(fips) });
+                _renderEditor();
+            });
+        }
+
+        var showBtn = document.getElementById('market-show-btn');
+        if (showBtn) {
+            showBtn.addEventListener('click', function() {
+                if (!_editingId) return;
+                _closePanel();
+                MarketManager.select(_editingId);
+            });
+        }
+
+        var deleteBtn = document.getElementById('market-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', function() {
+                var market = MarketManager.get(_editingId);
+                if (!market || !confirm('Delete market "' + market.name + '"?')) return;
+                MarketManager.remove(market.id);
+                _editingId = null;
+                _renderEditor();
+            });
+        }
+
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') _closePanel();
+        });
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var MarketManager = {
+        MARKET_PREFIX: MARKET_PREFIX,
+        METRO_PREFIX: METRO_PREFIX,
+        aggregateCounties: aggregateCounties,
+
+        init: function() {
+            _records = {};
+            var saved = _readStorage();
+            _markets = saved && Array.isArray(saved.markets)
+                ? saved.markets
+                    .filter(function(mk) { return mk && mk.id && mk.name; })
+                    .map(function(mk) { return { id: String(mk.id), name: String(mk.name), fips: _uniqueFips(mk.fips) }; })
+                : [];
+        },
+
+        bindUI: function() {
+            _bindEvents();
+            _updateButtonLabel();
+        },
+
+        // True for any aggregate key: a custom market or a CBSA metro
+        isMarketId: function(id) {
+            return typeof id === 'string' && (id.indexOf(MARKET_PREFIX) === 0 || id.indexOf(METRO_PREFIX) === 0);
+        },
+
+        list: function() {
+            return _markets.slice();
+        },
+
+        // Accepts a market id or its 'mkt:' key
+        get: function(idOrKey) {
+            var id = _idOf(idOrKey);
+            for (var i = 0; i < _markets.length; i++) {
+                if (_markets[i].id === id) return _markets[i];
+            }
+            return null;
+        },
+
+        create: function(name, fips) {
+            var market = {
+                id: _newId(),
+                name: String(name || '').trim() || 'Untitled market',
+                fips: _uniqueFips(fips)
+            };
+            _markets.push(market);
+            delete _records[MARKET_PREFIX + market.id];
+            _writeStorage();
+            if (typeof document !== 'undefined') _refreshViews();
+            return market;
+        },
+
+        // changes: { name, fips }
+        update: function(idOrKey, changes) {
+            var market = this.get(idOrKey);
+            if (!market) return null;
+            if (changes.name != null && String(changes.name).trim()) market.name = String(changes.name).trim();
+            if (changes.fips) market.fips = _uniqueFips(changes.fips);
+            delete _records[MARKET_PREFIX + market.id];
+            _writeStorage();
+            if (typeof document !== 'undefined') _refreshViews();
+            return market;
+        },
+
+        remove: function(idOrKey) {
+            var market = this.get(idOrKey);
+            if (!market) return false;
+            _markets = _markets.filter(function(mk) { return mk !== market; });
+            delete _records[MARKET_PREFIX + market.id];
+            _writeStorage();
+            if (typeof document !== 'undefined') _refreshViews();
+            return true;
+        },
+
+        /**
+         * Scored aggregate for a market over its loaded member counties.
+         * @param {string} idOrKey
+         * @returns {Object|null} null when the market is unknown or no member is loaded
+         */
+        getRecord: function(idOrKey) {
+            if (String(idOrKey).indexOf(METRO_PREFIX) === 0) {
+                return this.getMetroRecord(String(idOrKey).slice(METRO_PREFIX.length));
+            }
+            var market = this.get(idOrKey);
+            if (!market) return null;
+            var key = MARKET_PREFIX + market.id;
+            if (key in _records) return _records[key];
+            var members = market.fips.map(function(f) { return DataHandler.getCountyData(f); }).filter(Boolean);
+            var record = aggregateCounties(members, market);
+            if (record) {
+                record.missing_fips = market.fips.filter(function(f) { return record.member_fips.indexOf(f) === -1; });
+                DataHandler.scoreAggregate(record);
+            }
+            return (_records[key] = record);
+        },
+
+        // Drop every cached aggregate (county rows, scores or the CBSA index changed)
+        invalidateRecords: function() {
+            _records = {};
+        },
+
+        // Every market with at least one loaded member
+        getRecords: function() {
+            var self = this;
+            return _markets.map(function(mk) { return self.getRecord(mk.id); }).filter(Boolean);
+        },
+
+        /**
+         * Scored aggregate for a CBSA over its loaded member counties.
+         * @param {string} code - CBSA code
+         * @returns {Object|null}
+         */
+        getMetroRecord: function(code) {
+            var cbsa = DataHandler.getCbsa(code);
+            if (!cbsa) return null;
+            var key = METRO_PREFIX + code;
+            if (key in _records) return _records[key];
+            var members = cbsa.counties.map(function(f) { return DataHandler.getCountyData(f); }).filter(Boolean);
+            var record = aggregateCounties(members, { key: key, name: cbsa.name });
+            if (record) {
+                record.cbsa_code = code;
+                record.cbsa_type = cbsa.type;
+                record.missing_fips = cbsa.counties.filter(function(f) { return record.member_fips.indexOf(f) === -1; });
+                DataHandler.scoreAggregate(record);
+            }
+            return (_records[key] = record);
+        },
+
+        /**
+         * Scored aggregate for a state over its loaded counties (the zoomed-out state choropleth).
+         * @param {string} stateCode
+         * @returns {Object|null} null when none of the state's counties are loaded
+         */
+        getStateRecord: function(stateCode) {
+            var members = DataHandler.getCountiesForState(stateCode);
+            var config = typeof FEATURED_STATES !== 'undefined' ? FEATURED_STATES[stateCode] : null;
+            var record = aggregateCounties(members, { key: 'state:' + stateCode, name: config ? config.label : stateCode });
+            if (!record) return null;
+            record.state_code = stateCode;
+            return DataHandler.scoreAggregate(record);
+        },
+
+        // Metros with at least one loaded county; only `code` when given
+        getMetroRecords: function(code) {
+            var self = this;
+            var codes = code ? [code] : DataHandler.getLoadedCbsas().map(function(c) { return c.code; });
+            return codes.map(function(c) { return self.getMetroRecord(c); }).filter(Boolean);
+        },
+
+        // Pin the market in the InfoPanel and frame its outline on the map
+        select: function(idOrKey) {
+            var market = this.get(idOrKey);
+            if (!market) return false;
+            if (typeof MapRenderer !== 'undefined' && MapRenderer.currentMode !== 'market') return false;
+            InfoPanel.pinCounty(MARKET_PREFIX + market.id);
+            if (typeof MapRenderer !== 'undefined') MapRenderer.fitMarket(market.id);
+            return true;
+        }
+    };
+
+    global.MarketManager = MarketManager;
+
+})(typeof window !== 'undefined' ? window : global);
@@ -160,9 +160,11 @@
         var section = document.getElementById('county-news-section');
         if (!section) return;
 
-        var articles = _countyIndex[geoid] || [];
-        // Also include state-level articles for this county's state
+        // Also include state-level articles for this county's state; a custom
+        // market collects its member counties' articles
         var county = DataHandler.getCountyData(geoid);
+        var geoids = county && county.member_fips ? county.member_fips : [geoid];
+        var articles = [].concat.apply([], geoids.map(function(g) { return _countyIndex[g] || []; }));
         var stateArts = county ? (_stateIndex[county.state_code] || []) : [];
         // Merge, deduplicate by id, prefer county-tagged first
         var seen = {};
@@ -249,25 +251,11 @@
         load: function() {
             if (_loaded || _loading) return Promise.resolve();
             _loading = true;
-            var sb;
-            try {
-                sb = DataHandler.getSupabaseClient();
-            } catch (error) {
-                _loading = false;
-                console.warn('News unavailable; Supabase client could not be created:', error.message);
-                return Promise.resolve();
-            }
             var since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
-            return sb
-                .from('news_articles')
-                .select('id,title,link,published_at,excerpt,county_tags,state_tags')
-                .gte('published_at', since)
-                .order('published_at', { ascending: false })
-                .limit(200)
-                .then(function(result) {
+            return DataSources.get().fetchNews(since, 200)
+                .then(function(rows) {
                     _loading = false;
-                    if (result.error) { console.error('News load error:', result.error); return; }
-                    _articles = result.data || [];
+                    _articles = rows;
                     _loaded = true;
                     buildIndexes();
                     populateStateFilter();
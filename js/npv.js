@@ -113,6 +113,7 @@
             if (!this._currentFips) return;
             var data = DataHandler.getCountyData(this._currentFips);
             if (!data) return;
+            var label = data.is_market ? data.name : data.name + ' County';
 
             // Check if county is fully served (no opportunity)
             if (!data.fiber_unserved || data.fiber_unserved <= 0) {
@@ -124,7 +125,7 @@
                 this._setResult('npv-annual-rev', '$0');
                 this._setResult('npv-result', 'N/A');
                 this._setResult('npv-payback', 'N/A');
-                this._setResult('npv-county-name', data.name + ' County (fully served)');
+                this._setResult('npv-county-name', label + ' (fully served)');
                 var npvEl = document.getElementById('npv-result');
                 if (npvEl) npvEl.className = 'npv-result-value';
                 return;
@@ -187,7 +188,7 @@
             }
 
             // Update county name display
-            this._setResult('npv-county-name', data.name + ' County');
+            this._setResult('npv-county-name', label);
         },
 
         _getSliderVal: function(id) {
@@ -0,0 +1,572 @@
+// Custom GeoJSON overlays
+// Users drop their own GeoJSON on the map (fiber routes, franchise areas, an
+// acquisition target's service area). Each file draws above the county fills, and
+// the Overlays panel reports which counties every feature touches with their
+// unserved BSLs, fiber penetration and operators. Overlays last for the session and
+// never leave the browser.
+
+(function(global) {
+    'use strict';
+
+    var PANE = 'customOverlays';
+    var COLORS = ['#22d3ee', '#f472b6', '#a3e635', '#fb923c', '#c084fc'];
+    var MAX_FILE_BYTES = 25 * 1024 * 1024;
+    var GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+    var _overlays = [];     // [{ id, name, color, geojson, layer, report }]
+    var _nextId = 1;
+
+    // ── Parsing and geometry (pure) ──────────────────────────────────────────
+
+    /**
+     * Parse a GeoJSON document into a FeatureCollection of features that have geometry.
+     * Accepts a FeatureCollection, a single Feature or a bare geometry.
+     * @returns {Object|null} null (with a warning) when nothing usable is found
+     */
+    function parseGeoJSON(text) {
+        var doc;
+        try {
+            doc = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (e) {
+            console.warn('CustomOverlays: not valid JSON:', e.message);
+            return null;
+        }
+        var features = [];
+        if (doc && doc.type === 'FeatureCollection' && Array.isArray(doc.features)) {
+            features = doc.features;
+        } else if (doc && doc.type === 'Feature') {
+            features = [doc];
+        } else if (doc && GEOMETRY_TYPES.indexOf(doc.type) !== -1) {
+            features = [{ type: 'Feature', properties: {}, geometry: doc }];
+        }
+        // Keep only the drawable parts; features left with none are dropped
+        features = features.map(function(f) {
+            var geometry = f && _cleanGeometry(f.geometry);
+            return geometry ? Object.assign({}, f, { geometry: geometry }) : null;
+        }).filter(Boolean);
+        if (!features.length) {
+            console.warn('CustomOverlays: no GeoJSON features with geometry');
+            return null;
+        }
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    function _isPosition(p) {
+        return Array.isArray(p) && typeof p[0] === 'number' && typeof p[1] === 'number' && isFinite(p[0]) && isFinite(p[1]);
+    }
+
+    function _isLine(line) {
+        return Array.isArray(line) && line.length >= 2 && line.every(_isPosition);
+    }
+
+    function _isRing(ring) {
+        return Array.isArray(ring) && ring.length >= 4 && ring.every(_isPosition);
+    }
+
+    // [outer ring, ...holes] without degenerate holes; null when the outer ring is degenerate
+    function _cleanPolygon(poly) {
+        if (!Array.isArray(poly) || !_isRing(poly[0])) return null;
+        return [poly[0]].concat(poly.slice(1).filter(_isRing));
+    }
+
+    // Copy of a geometry without empty or degenerate parts; null when nothing is left
+    function _cleanGeometry(geometry) {
+        if (!geometry) return null;
+        var c = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+        var coords;
+        switch (geometry.type) {
+            case 'Point':           coords = _isPosition(c) ? c : null; break;
+            case 'MultiPoint':      coords = c.filter(_isPosition); break;
+            case 'LineString':      coords = _isLine(c) ? c : null; break;
+            case 'MultiLineString': coords = c.filter(_isLine); break;
+            case 'Polygon':         coords = _cleanPolygon(c); break;
+            case 'MultiPolygon':    coords = c.map(_cleanPolygon).filter(Boolean); break;
+            case 'GeometryCollection':
+                var geometries = (geometry.geometries || []).map(_cleanGeometry).filter(Boolean);
+                return geometries.length ? { type: geometry.type, geometries: geometries } : null;
+            default: return null;
+        }
+        return coords && coords.length ? { type: geometry.type, coordinates: coords } : null;
+    }
+
+    // Points, lines and polygons ([outer ring, ...holes]) of a geometry, in [lng, lat].
+    // Empty and degenerate parts are skipped.
+    function geometryParts(geometry, parts) {
+        parts = parts || { points: [], lines: [], polygons: [] };
+        geometry = _cleanGeometry(geometry);
+        if (!geometry) return parts;
+        var c = geometry.coordinates;
+        switch (geometry.type) {
+            case 'Point':           parts.points.push(c); break;
+            case 'MultiPoint':      c.forEach(function(p) { parts.points.push(p); }); break;
+            case 'LineString':      parts.lines.push(c); break;
+            case 'MultiLineString': c.forEach(function(l) { parts.lines.push(l); }); break;
+            case 'Polygon':         parts.polygons.push(c); break;
+            case 'MultiPolygon':    c.forEach(function(p) { parts.polygons.push(p); }); break;
+            case 'GeometryCollection':
+                (geometry.geometries || []).forEach(function(g) { geometryParts(g, parts); });
+                break;
+        }
+        return parts;
+    }
+
+    function _bbox(parts) {
+        var box = [Infinity, Infinity, -Infinity, -Infinity];
+        var add = function(p) {
+            if (p[0] < box[0]) box[0] = p[0];
+            if (p[1] < box[1]) box[1] = p[1];
+            if (p[0] > box[2]) box[2] = p[0];
+            if (p[1] > box[3]) box[3] = p[1];
+        };
+        parts.points.forEach(add);
+        parts.lines.forEach(function(l) { l.forEach(add); });
+        parts.polygons.forEach(function(poly) { poly[0].forEach(add); });
+        return box;
+    }
+
+    function _boxesOverlap(a, b) {
+        return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+    }
+
+    function _inRing(pt, ring) {
+        var x = pt[0], y = pt[1], inside = false;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            var xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    function _inPolygon(pt, poly) {
+        if (!_inRing(pt, poly[0])) return false;
+        for (var h = 1; h < poly.length; h++) {
+            if (_inRing(pt, poly[h])) return false;
+        }
+        return true;
+    }
+
+    function _orient(a, b, c) {
+        var v = (b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]);
+        return v > 0 ? 1 : v < 0 ? -1 : 0;
+    }
+
+    // Segments ab and cd properly cross. Collinear or end-to-end touches don't count, so a
+    // franchise area drawn along county lines doesn't report every neighbouring county.
+    function _segmentsCross(a, b, c, d) {
+        return _orient(a, b, c) * _orient(a, b, d) < 0 && _orient(c, d, a) * _orient(c, d, b) < 0;
+    }
+
+    function _paths(parts) {
+        var paths = parts.lines.slice();
+        parts.polygons.forEach(function(poly) { poly.forEach(function(ring) { paths.push(ring); }); });
+        return paths;
+    }
+
+    function _vertices(parts) {
+        var pts = parts.points.slice();
+        parts.lines.forEach(function(l) { if (l.length) pts.push(l[0]); });
+        parts.polygons.forEach(function(poly) { if (poly[0].length) pts.push(poly[0][0]); });
+        return pts;
+    }
+
+    function _pathsCross(pathsA, pathsB, boxB) {
+        for (var i = 0; i < pathsA.length; i++) {
+            var a = pathsA[i];
+            for (var s = 1; s < a.length; s++) {
+                var p = a[s - 1], q = a[s];
+                // Skip segments entirely outside the other shape's box
+                if (Math.max(p[0], q[0]) < boxB[0] || Math.min(p[0], q[0]) > boxB[2] ||
+                    Math.max(p[1], q[1]) < boxB[1] || Math.min(p[1], q[1]) > boxB[3]) continue;
+                for (var j = 0; j < pathsB.length; j++) {
+                    var b = pathsB[j];
+                    for (var t = 1; t < b.length; t++) {
+                        if (_segmentsCross(p, q, b[t - 1], b[t])) return true;
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether two shapes (from _shape) overlap: one starts inside the other, or their
+     * edges cross.
+     */
+    function shapesIntersect(a, b) {
+        if (!_boxesOverlap(a.box, b.box)) return false;
+        var inside = function(points, polygons) {
+            return points.some(function(pt) {
+                return polygons.some(function(poly) { return _inPolygon(pt, poly); });
+            });
+        };
+        if (inside(_vertices(a.parts), b.parts.polygons)) return true;
+        if (inside(_vertices(b.parts), a.parts.polygons)) return true;
+        return _pathsCross(_paths(a.parts), _paths(b.parts), b.box);
+    }
+
+    function _shape(geometry) {
+        var parts = geometryParts(geometry);
+        return { parts: parts, box: _bbox(parts) };
+    }
+
+    function featureName(feature, i) {
+        var p = feature.properties || {};
+        var name = p.name || p.NAME || p.Name || p.title || p.id || feature.id;
+        return name != null && name !== '' ? String(name) : 'Feature ' + (i + 1);
+    }
+
+    // Fiber operators in the county, most passings first
+    function _fiberOperators(county) {
+        return (county.operators || [])
+            .map(function(op) {
+                return { name: op.name, passings: op.fiber_passings != null ? op.fiber_passings : (op.passings || 0) };
+            })
+            .filter(function(op) { return op.name && op.passings > 0; })
+            .sort(function(a, b) { return b.passings - a.passings; })
+            .map(function(op) { return op.name; });
+    }
+
+    /**
+     * Counties each feature intersects, with the diligence columns.
+     * @param {Object} collection - parsed FeatureCollection
+     * @param {Object[]} countyFeatures - county GeoJSON features (id or properties.GEOID = FIPS)
+     * @param {Function} getCounty - FIPS → county row or null
+     * @returns {Object[]} per feature: { name, type, counties: [{ geoid, name, state_code,
+     *   total_bsls, fiber_unserved, fiber_penetration, operators }], totalBsls, unserved }
+     */
+    function buildReport(collection, countyFeatures, getCounty) {
+        var counties = countyFeatures.map(function(f) {
+            var fips = String(f.id || (f.properties && (f.properties.GEOID || f.properties.geoid)) || '').padStart(5, '0');
+            var shape = _shape(f.geometry);
+            shape.geoid = fips;
+            return shape;
+        });
+        return collection.features.map(function(feature, i) {
+            var shape = _shape(feature.geometry);
+            var rows = counties
+                .filter(function(c) { return shapesIntersect(shape, c); })
+                .map(function(c) {
+                    var row = getCounty(c.geoid);
+                    return {
+                        geoid: c.geoid,
+                        name: row ? row.name : c.geoid,
+                        state_code: row ? row.state_code : '',
+                        total_bsls: row ? row.total_bsls : null,
+                        fiber_unserved: row ? row.fiber_unserved : null,
+                        fiber_penetration: row ? row.fiber_penetration : null,
+                        operators: row ? _fiberOperators(row) : []
+                    };
+                })
+                .sort(function(a, b) { return (b.fiber_unserved || 0) - (a.fiber_unserved || 0) || a.geoid.localeCompare(b.geoid); });
+            var sum = function(field) {
+                return rows.reduce(function(acc, r) { return acc + (r[field] || 0); }, 0);
+            };
+            return {
+                name: featureName(feature, i),
+                type: feature.geometry.type,
+                counties: rows,
+                totalBsls: sum('total_bsls'),
+                unserved: sum('fiber_unserved')
+            };
+        });
+    }
+
+    // One CSV row per feature × county
+    function reportToCsv(overlayName, report) {
+        function esc(v) {
+            var s = v == null ? '' : String(v);
+            return /[,"\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+        }
+        var headers = ['Overlay', 'Feature', 'FIPS', 'County', 'State', 'Total BSLs', 'Unserved BSLs', 'Penetration %', 'Fiber Operators'];
+        var lines = [headers.map(esc).join(',')];
+        report.forEach(function(feature) {
+            feature.counties.forEach(function(c) {
+                lines.push([
+                    overlayName, feature.name, c.geoid, c.name, c.state_code,
+                    c.total_bsls, c.fiber_unserved,
+                    c.fiber_penetration != null ? (c.fiber_penetration * 100).toFixed(1) : '',
+                    c.operators.join('; ')
+                ].map(esc).join(','));
+            });
+        });
+        return lines.join('\n');
+    }
+
+    // ── Map layers ───────────────────────────────────────────────────────────
+
+    function _countyFeatures() {
+        var layers = MapRenderer._countyLayerMap;
+        return Object.keys(layers).map(function(fips) { return layers[fips].feature; });
+    }
+
+    function _drawLayer(overlay) {
+        var map = MapRenderer._map;
+        if (!map) return null;
+        if (!map.getPane(PANE)) {
+            // Above the county fills and outlines (overlayPane, 400), below the labels (650)
+            map.createPane(PANE).style.zIndex = 450;
+        }
+        return L.geoJSON(overlay.geojson, {
+            pane: PANE,
+            interactive: false,
+            style: function(f) {
+                var isLine = /LineString/.test(f.geometry.type);
+                return { color: overlay.color, weight: isLine ? 3 : 2, opacity: 0.95, fillColor: overlay.color, fillOpacity: isLine ? 0 : 0.12 };
+            },
+            pointToLayer: function(f, latlng) {
+                return L.circleMarker(latlng, { pane: PANE, radius: 5, color: overlay.color, fillColor: overlay.color, fillOpacity: 0.9, weight: 1 });
+            }
+        }).addTo(map);
+    }
+
+    function _add(name, geojson) {
+        var id = _nextId++;
+        var overlay = { id: id, name: name, color: COLORS[(id - 1) % COLORS.length], geojson: geojson };
+        // Report first: if it throws, nothing has been drawn yet
+        overlay.report = buildReport(geojson, _countyFeatures(), function(fips) { return DataHandler.getCountyData(fips); });
+        overlay.layer = _drawLayer(overlay);
+        _overlays.push(overlay);
+        if (overlay.layer && overlay.layer.getBounds().isValid()) {
+            MapRenderer._map.flyToBounds(overlay.layer.getBounds(), { padding: [40, 40] });
+        }
+        return overlay;
+    }
+
+    function _remove(id) {
+        _overlays = _overlays.filter(function(o) {
+            if (o.id !== id) return true;
+            if (o.layer) MapRenderer._map.removeLayer(o.layer);
+            return false;
+        });
+    }
+
+    function _readFile(file) {
+        if (file.size > MAX_FILE_BYTES) {
+            alert(file.name + ' is larger than ' + (MAX_FILE_BYTES / 1024 / 1024) + ' MB.');
+            return Promise.resolve(null);
+        }
+        return file.text().then(function(text) {
+            var geojson = parseGeoJSON(text);
+            if (!geojson) {
+                alert(file.name + ' is not a GeoJSON file with features.');
+                return null;
+            }
+            return _add(file.name.replace(/\.(geo)?json$/i, ''), geojson);
+        });
+    }
+
+    function _loadFiles(files) {
+        var list = Array.prototype.slice.call(files || []);
+        if (!list.length) return;
+        list.reduce(function(p, file) {
+            return p.then(function() {
+                return _readFile(file).catch(function(error) {
+                    console.warn('CustomOverlays: could not load ' + file.name + ':', error.message);
+                    alert(file.name + ' could not be loaded: ' + error.message);
+                });
+            });
+        }, Promise.resolve()).then(function() {
+            _updateButtonLabel();
+            _openPanel();
+        });
+    }
+
+    // ── Panel UI ─────────────────────────────────────────────────────────────
+
+    function _updateButtonLabel() {
+        var btn = document.getElementById('overlays-btn');
+        if (btn) btn.textContent = _overlays.length ? 'Overlays (' + _overlays.length + ')' : 'Overlays';
+    }
+
+    function _el(tag, className, text) {
+        var el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text != null) el.textContent = text;
+        return el;
+    }
+
+    function _downloadCsv(overlay) {
+        var blob = new Blob([reportToCsv(overlay.name, overlay.report)], { type: 'text/csv;charset=utf-8;' });
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = overlay.name.replace(/[^A-Za-z0-9]+/g, '-') + '-counties-' + new Date().toISOString().slice(0, 10) + '.csv';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    function _countyTable(feature) {
+        var table = _el('table', 'score-breakdown-table overlay-report-table');
+        var head = _el('tr');
+        ['County', 'Unserved BSLs', 'Penetration', 'Fiber Operators'].forEach(function(h) { head.appendChild(_el('th', null, h)); });
+        var thead = _el('thead');
+        thead.appendChild(head);
+        table.appendChild(thead);
+        var body = _el('tbody');
+        feature.counties.forEach(function(c) {
+            var tr = _el('tr');
+            var nameCell = _el('td');
+            var link = _el('button', 'overlay-county-btn', c.name + (c.state_code ? ', ' + c.state_code : ''));
+            link.type = 'button';
+            link.addEventListener('click', function() {
+                _closePanel();
+                MapRenderer.flyToCounty(c.geoid);
+                InfoPanel.pinCounty(c.geoid);
+            });
+            nameCell.appendChild(link);
+            tr.appendChild(nameCell);
+            tr.appendChild(_el('td', null, c.fiber_unserved != null ? DataHandler.formatNumber(c.fiber_unserved) : '—'));
+            tr.appendChild(_el('td', null, FiberUtils.formatPercent(c.fiber_penetration)));
+            tr.appendChild(_el('td', 'overlay-operators', c.operators.slice(0, 4).join(', ') || '—'));
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        return table;
+    }
+
+    function _render() {
+        var container = document.getElementById('overlay-report');
+        if (!container) return;
+        container.textContent = '';
+        if (!_overlays.length) {
+            container.appendChild(_el('p', 'data-quality-summary', 'No overlays yet. Drop a .geojson file on the map or choose one above.'));
+            return;
+        }
+        _overlays.forEach(function(overlay) {
+            var section = _el('section', 'overlay-section');
+            var header = _el('div', 'market-editor-row overlay-header');
+            var swatch = _el('span', 'overlay-swatch');
+            swatch.style.background = overlay.color;
+            header.appendChild(swatch);
+            header.appendChild(_el('strong', 'overlay-name', overlay.name));
+            var zoomBtn = _el('button', 'table-action-btn', 'Zoom to');
+            zoomBtn.type = 'button';
+            zoomBtn.addEventListener('click', function() {
+                if (!overlay.layer || !overlay.layer.getBounds().isValid()) return;
+                _closePanel();
+                MapRenderer._map.flyToBounds(overlay.layer.getBounds(), { padding: [40, 40] });
+            });
+            var csvBtn = _el('button', 'table-action-btn', 'Export CSV');
+            csvBtn.type = 'button';
+            csvBtn.addEventListener('click', function() { _downloadCsv(overlay); });
+            var removeBtn = _el('button', 'table-action-btn', 'Remove');
+            removeBtn.type = 'button';
+            removeBtn.addEventListener('click', function() {
+                _remove(overlay.id);
+                _updateButtonLabel();
+                _render();
+            });
+            header.appendChild(zoomBtn);
+            header.appendChild(csvBtn);
+            header.appendChild(removeBtn);
+            section.appendChild(header);
+
+            overlay.report.forEach(function(feature) {
+                var details = _el('details', 'overlay-feature');
+                details.open = overlay.report.length <= 3;
+                details.appendChild(_el('summary', null,
+                    feature.name + ' (' + feature.type + ') — ' +
+                    (feature.counties.length
+                        ? feature.counties.length + (feature.counties.length === 1 ? ' county, ' : ' counties, ') +
+                          DataHandler.formatNumber(feature.unserved) + ' unserved of ' + DataHandler.formatNumber(feature.totalBsls) + ' BSLs'
+                        : 'no loaded counties')));
+                if (feature.counties.length) details.appendChild(_countyTable(feature));
+                section.appendChild(details);
+            });
+            container.appendChild(section);
+        });
+    }
+
+    function _openPanel() {
+        var backdrop = document.getElementById('overlays-backdrop');
+        if (!backdrop) return;
+        _render();
+        backdrop.classList.add('open');
+    }
+
+    function _closePanel() {
+        var backdrop = document.getElementById('overlays-backdrop');
+        if (backdrop) backdrop.classList.remove('open');
+    }
+
+    function _bindEvents() {
+        var openBtn  = document.getElementById('overlays-btn');
+        var closeBtn = document.getElementById('overlays-close');
+        var backdrop = document.getElementById('overlays-backdrop');
+        if (openBtn)  openBtn.addEventListener('click', _openPanel);
+        if (closeBtn) closeBtn.addEventListener('click', _closePanel);
+        if (backdrop) {
+            backdrop.addEventListener('click', function(e) {
+                if (e.target === backdrop) _closePanel();
+            });
+        }
+
+        var input = document.getElementById('overlay-file-input');
+        if (input) {
+            input.addEventListener('change', function() {
+                _loadFiles(input.files);
+                input.value = '';
+            });
+        }
+
+        // Drag-and-drop onto the map
+        var stage = document.querySelector('.map-stage');
+        if (stage) {
+            var depth = 0;
+            var hasFiles = function(e) {
+                return e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types || [], 'Files') !== -1;
+            };
+            stage.addEventListener('dragenter', function(e) {
+                if (!hasFiles(e)) return;
+                depth++;
+                stage.classList.add('drop-target');
+            });
+            stage.addEventListener('dragover', function(e) {
+                if (!hasFiles(e)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            });
+            stage.addEventListener('dragleave', function(e) {
+                if (!hasFiles(e)) return;
+                depth = Math.max(0, depth - 1);
+                if (!depth) stage.classList.remove('drop-target');
+            });
+            stage.addEventListener('drop', function(e) {
+                if (!hasFiles(e)) return;
+                e.preventDefault();
+                depth = 0;
+                stage.classList.remove('drop-target');
+                _loadFiles(e.dataTransfer.files);
+            });
+        }
+
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') _closePanel();
+        });
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var CustomOverlays = {
+        parseGeoJSON: parseGeoJSON,
+        geometryParts: geometryParts,
+        shapesIntersect: function(a, b) { return shapesIntersect(_shape(a), _shape(b)); },
+        featureName: featureName,
+        buildReport: buildReport,
+        reportToCsv: reportToCsv,
+
+        bindUI: function() {
+            _bindEvents();
+            _updateButtonLabel();
+        },
+
+        list: function() {
+            return _overlays.map(function(o) { return { id: o.id, name: o.name, color: o.color, report: o.report }; });
+        }
+    };
+
+    global.CustomOverlays = CustomOverlays;
+
+})(typeof window !== 'undefined' ? window : global);
@@ -819,11 +819,13 @@
     }
 
     // Sum passings for every canonical provider across all loaded counties, split by tech.
+    // Pass a state code to total only that state's counties.
     // Returns: { 'AT&T': { fiber: 12M, cable: 0, dsl: 41M, all: 53M }, ... }
-    function computeNationalTotals() {
+    function computeNationalTotals(stateCode) {
         var totals = {};
         DataHandler.iterateAllCounties(function(county) {
             if (!county.operators) return;
+            if (stateCode && county.state_code !== stateCode) return;
             for (var i = 0; i < county.operators.length; i++) {
                 var op = county.operators[i];
                 var canonical = resolve(op.name);
@@ -841,6 +843,192 @@
         return totals;
     }
 
+    // Per-provider passings for every county in one pass, so provider views can look
+    // counties up instead of re-resolving operator names on each render.
+    // Returns: { 'AT&T': { '29001': [fiber, cable, dsl], ... }, ... }
+    function buildFootprintIndex(counties) {
+        var index = {};
+        for (var c = 0; c < counties.length; c++) {
+            var county = counties[c];
+            if (!county || !county.operators) continue;
+            for (var i = 0; i < county.operators.length; i++) {
+                var op = county.operators[i];
+                var canonical = resolve(op.name);
+                if (!canonical) continue;
+                var byCounty = index[canonical] || (index[canonical] = {});
+                var entry = byCounty[county.geoid] || (byCounty[county.geoid] = [0, 0, 0]);
+                entry[0] += (op.fiber_passings != null ? op.fiber_passings : (op.passings || 0));
+                entry[1] += (op.cable_passings || 0);
+                entry[2] += (op.dsl_passings   || 0);
+            }
+        }
+        return index;
+    }
+
+    // geoid → passings (> 0 only) for one provider and tech from a buildFootprintIndex result
+    function footprintFromIndex(index, canonicalName, techType) {
+        var byCounty = index && index[canonicalName];
+        var tech = techType || 'fiber';
+        var map = {};
+        if (!byCounty) return map;
+        for (var geoid in byCounty) {
+            var e = byCounty[geoid];
+            var p = tech === 'fiber' ? e[0] : tech === 'cable' ? e[1] : tech === 'dsl' ? e[2] : e[0] + e[1] + e[2];
+            if (p > 0) map[geoid] = p;
+        }
+        return map;
+    }
+
+    // geoid → passings (> 0) for one provider and tech in an aggregated filing snapshot
+    // (DataHandler.loadFilingSnapshot). null when the filing has no rows for the tech.
+    function footprintFromSnapshot(snapshot, canonicalName, techType) {
+        var tech = techType || 'fiber';
+        var techs = tech === 'all' ? ['fiber', 'cable', 'dsl'] : [tech];
+        if (!snapshot || !techs.some(function(t) { return snapshot.techs[t]; })) return null;
+        var map = {};
+        for (var geoid in snapshot.counties) {
+            var entry = snapshot.counties[geoid];
+            var total = 0;
+            for (var i = 0; i < techs.length; i++) {
+                var brands = entry[techs[i]];
+                for (var brand in brands) {
+                    if (resolve(brand) === canonicalName) total += brands[brand];
+                }
+            }
+            if (total > 0) map[geoid] = total;
+        }
+        return map;
+    }
+
+    // geoid → { canonical provider → passings } for one tech. Reads an aggregated filing
+    // snapshot's brands, or county rows' operators when given an array of counties.
+    // null when the snapshot has no rows for the tech.
+    function passingsByProvider(source, techType) {
+        var tech = techType || 'fiber';
+        var out = {};
+        if (Array.isArray(source)) {
+            source.forEach(function(county) {
+                var byProvider = {};
+                (county.operators || []).forEach(function(op) {
+                    var canonical = resolve(op.name);
+                    var p = getPassings({ operators: [op] }, canonical, tech);
+                    if (canonical && p > 0) byProvider[canonical] = (byProvider[canonical] || 0) + p;
+                });
+                out[county.geoid] = byProvider;
+            });
+            return out;
+        }
+        if (!source || !source.techs[tech]) return null;
+        for (var geoid in source.counties) {
+            var brands = source.counties[geoid][tech];
+            var byProvider = {};
+            for (var brand in brands) {
+                var canonical = resolve(brand);
+                if (canonical && brands[brand] > 0) byProvider[canonical] = (byProvider[canonical] || 0) + brands[brand];
+            }
+            out[geoid] = byProvider;
+        }
+        return out;
+    }
+
+    /**
+     * Net passings change per county between two passingsByProvider maps. Counties
+     * missing from one side count as zero there.
+     * @returns {Object} geoid → { before, after, net, providers: [{ name, before, after, change }] }
+     *   providers lists only those whose passings changed, largest gain first
+     */
+    function computePassingsDelta(before, after) {
+        var out = {};
+        var geoids = Object.keys(before || {}).concat(Object.keys(after || {}));
+        geoids.forEach(function(geoid) {
+            if (out[geoid]) return;
+            var b = (before && before[geoid]) || {};
+            var a = (after && after[geoid]) || {};
+            var entry = { before: 0, after: 0, net: 0, providers: [] };
+            var names = Object.keys(b).concat(Object.keys(a).filter(function(n) { return !(n in b); }));
+            names.forEach(function(name) {
+                var was = b[name] || 0, now = a[name] || 0;
+                entry.before += was;
+                entry.after += now;
+                if (now !== was) entry.providers.push({ name: name, before: was, after: now, change: now - was });
+            });
+            entry.net = entry.after - entry.before;
+            entry.providers.sort(function(x, y) { return y.change - x.change || x.name.localeCompare(y.name); });
+            out[geoid] = entry;
+        });
+        return out;
+    }
+
+    // Ranking weights for expansion targets; each term is scaled to 0–1
+    var EXPANSION_WEIGHTS = { attractiveness: 0.5, unserved: 0.3, competition: 0.2 };
+
+    // Other canonical providers with passings of the given tech in the county
+    function competitorsIn(countyData, canonicalName, techType) {
+        var names = [];
+        (countyData.operators || []).forEach(function(op) {
+            var name = resolve(op.name);
+            if (!name || name === canonicalName || names.indexOf(name) !== -1) return;
+            if (getPassings(countyData, name, techType) > 0) names.push(name);
+        });
+        return names;
+    }
+
+    /**
+     * Counties where a provider has no presence of the given tech but which border a
+     * county where it does, ranked best first: high attractiveness, many unserved
+     * locations and few competitors.
+     * @param {string} canonicalName
+     * @param {string} [techType] - 'fiber' (default) | 'cable' | 'dsl' | 'all'
+     * @param {Object} [footprint] - geoid → passings (>0) for the provider, e.g.
+     *   MapRenderer._providerFootprint; rebuilt with getPassings when omitted
+     * @returns {Object[]} { geoid, name, state_code, score, attractiveness, unserved, competitors, bordering }
+     */
+    function findExpansionTargets(canonicalName, techType, footprint) {
+        var tech = techType || 'fiber';
+        if (!footprint) {
+            footprint = {};
+            DataHandler.iterateAllCounties(function(c) {
+                var p = getPassings(c, canonicalName, tech);
+                if (p > 0) footprint[c.geoid] = p;
+            });
+        }
+
+        var byGeoid = {};
+        Object.keys(footprint).forEach(function(geoid) {
+            DataHandler.getCountyNeighbors(geoid).forEach(function(n) {
+                if (footprint[n]) return;
+                var county = DataHandler.getCountyData(n);
+                if (!county || getPassings(county, canonicalName, tech) > 0) return;
+                var target = byGeoid[n] || (byGeoid[n] = { county: county, bordering: [] });
+                target.bordering.push(geoid);
+            });
+        });
+
+        var targets = Object.keys(byGeoid).map(function(geoid) { return byGeoid[geoid]; });
+        var maxUnserved = targets.reduce(function(m, t) { return Math.max(m, t.county.fiber_unserved || 0); }, 0);
+        return targets.map(function(t) {
+            var c = t.county;
+            var attractiveness = isFinite(c.attractiveness_index) ? c.attractiveness_index : 0;
+            var unserved = c.fiber_unserved || 0;
+            var competitors = competitorsIn(c, canonicalName, tech);
+            var score = EXPANSION_WEIGHTS.attractiveness * Math.max(0, Math.min(1, attractiveness)) +
+                        EXPANSION_WEIGHTS.unserved * (maxUnserved > 0 ? unserved / maxUnserved : 0) +
+                        EXPANSION_WEIGHTS.competition * (1 - Math.min(competitors.length, 3) / 3);
+            return {
+                geoid: c.geoid,
+                name: c.name,
+                state_code: c.state_code,
+                score: Math.round(score * 1000) / 1000,
+                attractiveness: c.attractiveness_index,
+                unserved: unserved,
+                competitors: competitors,
+                bordering: t.bordering.sort()
+            };
+        }).sort(function(a, b) {
+            return b.score - a.score || b.unserved - a.unserved || (a.geoid < b.geoid ? -1 : 1);
+        });
+    }
+
     // Get the fiber-only total for a provider (used for picker badge display)
     function getFiberTotal(totals, canonicalName) {
         var t = totals[canonicalName];
@@ -862,6 +1050,12 @@
         hasPresence: hasPresence,
         allProviders: allProviders,
         computeNationalTotals: computeNationalTotals,
+        buildFootprintIndex: buildFootprintIndex,
+        footprintFromIndex: footprintFromIndex,
+        footprintFromSnapshot: footprintFromSnapshot,
+        passingsByProvider: passingsByProvider,
+        computePassingsDelta: computePassingsDelta,
+        findExpansionTargets: findExpansionTargets,
         getFiberTotal: getFiberTotal,
         formatPassings: formatPassings,
         getPublicTotals: getPublicTotals,
@@ -872,4 +1066,4 @@
         getSourceNote: getSourceNote,
     };
 
-})(window);
+})(typeof window !== 'undefined' ? window : self);
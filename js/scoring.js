@@ -0,0 +1,501 @@
+/**
+ * ScoringProfiles — named weight profiles for the attractiveness formula.
+ *
+ * Built-in profiles are read-only; user profiles are saved to localStorage along
+ * with the normalization mode (fixed caps or percentile rank within a peer universe).
+ * Applying a profile re-scores every loaded county (DataHandler.setScoreWeights)
+ * and refreshes the map, rankings table and pinned InfoPanel in place.
+ */
+(function(global) {
+    'use strict';
+
+    var STORAGE_KEY = 'fibermap.scoringProfiles';
+
+    var BUILTIN_PROFILES = [
+        {
+            id: 'balanced',
+            name: 'Balanced (default)',
+            builtin: true,
+            weights: FiberUtils.DEFAULT_SCORE_WEIGHTS
+        },
+        {
+            // Subsidy-backed rural builds: scale of unserved homes matters more than density
+            id: 'rural-coop',
+            name: 'Rural Co-op',
+            builtin: true,
+            weights: {
+                income: 0.30, density: 0.10, growth: 0.30, wfh: 0.30,
+                availability: 0.60, unserved: 0.40,
+                demo: 0.35, opportunity: 0.65
+            }
+        },
+        {
+            // Suburban overbuild: dense, high-income markets even where some fiber exists
+            id: 'suburban-overbuild',
+            name: 'Suburban Overbuild',
+            builtin: true,
+            weights: {
+                income: 0.40, density: 0.35, growth: 0.15, wfh: 0.10,
+                availability: 0.30, unserved: 0.70,
+                demo: 0.65, opportunity: 0.35
+            }
+        }
+    ];
+
+    // Slider definitions for the editor, grouped as the formula is
+    var WEIGHT_FIELDS = [
+        { key: 'income',       label: 'Median income',        group: 'Demographics' },
+        { key: 'density',      label: 'Housing density',      group: 'Demographics' },
+        { key: 'growth',       label: 'Population growth',    group: 'Demographics' },
+        { key: 'wfh',          label: 'Work from home',       group: 'Demographics' },
+        { key: 'availability', label: 'Fiber availability',   group: 'Opportunity' },
+        { key: 'unserved',     label: 'Unserved scale',       group: 'Opportunity' },
+        { key: 'demo',         label: 'Demographics score',   group: 'Attractiveness' },
+        { key: 'opportunity',  label: 'Opportunity score',    group: 'Attractiveness' }
+    ];
+
+    var NORMALIZATION_LABELS = {
+        fixed:      'Fixed caps',
+        percentile: 'Percentile rank'
+    };
+
+    var UNIVERSE_LABELS = {
+        all:   'All loaded counties',
+        state: 'Same state',
+        rucc:  'Same RUCC class'
+    };
+
+    // How a sub-score gain reads in the underlying data under fixed caps
+    var FIXED_LEVER_HINTS = {
+        income:       function(c, d) { return '+' + FiberUtils.formatCurrency(Math.round(d * 60000)) + ' median HHI'; },
+        density:      function(c, d) {
+            var now = Math.max(1, c.housing_density || 1);
+            return '+' + FiberUtils.formatNumber(Math.round(now * Math.pow(10, 3 * d) - now)) + ' homes/sq mi';
+        },
+        growth:       function(c, d) { return '+' + (d * 15).toFixed(1) + ' pts population growth'; },
+        wfh:          function(c, d) { return '+' + (d * 25).toFixed(1) + ' pts work from home'; },
+        availability: function(c, d) { return '−' + (d * 100).toFixed(1) + ' pts fiber penetration'; },
+        unserved:     function(c, d) { return '+' + FiberUtils.formatNumber(Math.round(d * 25000)) + ' unserved locations'; }
+    };
+
+    var _userProfiles = [];
+    var _activeId     = 'balanced';
+    var _editingId    = null;
+
+    // ── Persistence ──────────────────────────────────────────────────────────
+
+    function _readStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return null;
+            var raw = localStorage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Saved scoring profiles unreadable; using defaults:', error.message);
+            return null;
+        }
+    }
+
+    function _writeStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                activeId: _activeId,
+                profiles: _userProfiles,
+                mode:     DataHandler.getScoreMode().mode,
+                universe: DataHandler.getScoreMode().universe
+            }));
+        } catch (error) {
+            console.warn('Could not save scoring profiles:', error.message);
+        }
+    }
+
+    function _newId() {
+        return 'custom-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6);
+    }
+
+    // ── Views ────────────────────────────────────────────────────────────────
+
+    // Re-render every view that shows scores after the weights change
+    function _refreshViews() {
+        if (typeof MapRenderer !== 'undefined') MapRenderer.refreshCountyStyles();
+        if (typeof TableManager !== 'undefined') {
+            TableManager.renderTable();
+            TableManager.applyFilters();
+        }
+        if (typeof InfoPanel !== 'undefined' && InfoPanel.pinnedCounty &&
+            typeof MapRenderer !== 'undefined' && MapRenderer.currentMode === 'market') {
+            InfoPanel.showCountyInfo(InfoPanel.pinnedCounty);
+        }
+        _updateButtonLabel();
+    }
+
+    function _updateButtonLabel() {
+        var btn = document.getElementById('scoring-profile-btn');
+        var active = ScoringProfiles.getActive();
+        var pctl = DataHandler.getScoreMode().mode === 'percentile' ? ' (percentile)' : '';
+        if (btn) btn.textContent = 'Scoring: ' + active.name + pctl;
+    }
+
+    function _toPercent(w) {
+        return Math.round(w * 100);
+    }
+
+    function _renderEditor() {
+        var select   = document.getElementById('scoring-profile-select');
+        var nameEl   = document.getElementById('scoring-profile-name');
+        var fieldsEl = document.getElementById('scoring-weight-fields');
+        var saveBtn  = document.getElementById('scoring-save-btn');
+        var delBtn   = document.getElementById('scoring-delete-btn');
+        if (!select || !fieldsEl) return;
+
+        var profile = ScoringProfiles.get(_editingId) || ScoringProfiles.getActive();
+        _editingId = profile.id;
+
+        select.textContent = '';
+        ScoringProfiles.list().forEach(function(p) {
+            var opt = document.createElement('option');
+            opt.value = p.id;
+            opt.textContent = p.name + (p.id === _activeId ? ' (active)' : '');
+            if (p.id === profile.id) opt.selected = true;
+            select.appendChild(opt);
+        });
+
+        if (nameEl) {
+            nameEl.value = profile.name;
+            nameEl.disabled = !!profile.builtin;
+        }
+        var scoreMode   = DataHandler.getScoreMode();
+        var modeEl      = document.getElementById('scoring-mode-select');
+        var universeEl  = document.getElementById('scoring-universe-select');
+        if (modeEl) modeEl.value = scoreMode.mode;
+        if (universeEl) {
+            universeEl.value = scoreMode.universe;
+            universeEl.disabled = scoreMode.mode !== 'percentile';
+        }
+
+        if (saveBtn) saveBtn.disabled = !!profile.builtin;
+        if (delBtn)  delBtn.disabled  = !!profile.builtin;
+
+        fieldsEl.textContent = '';
+        var lastGroup = null;
+        WEIGHT_FIELDS.forEach(function(field) {
+            if (field.group !== lastGroup) {
+                var h = document.createElement('h4');
+                h.className = 'scoring-group-title';
+                h.textContent = field.group;
+                fieldsEl.appendChild(h);
+                lastGroup = field.group;
+            }
+            var row = document.createElement('div');
+            row.className = 'scoring-weight-row';
+
+            var label = document.createElement('label');
+            label.htmlFor = 'scoring-w-' + field.key;
+            label.textContent = field.label;
+
+            var slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = '100';
+            slider.step = '5';
+            slider.id = 'scoring-w-' + field.key;
+            slider.dataset.weight = field.key;
+            slider.value = _toPercent(profile.weights[field.key]);
+
+            var val = document.createElement('span');
+            val.className = 'scoring-weight-val';
+            val.textContent = slider.value;
+            slider.addEventListener('input', function() { val.textContent = slider.value; });
+
+            row.appendChild(label);
+            row.appendChild(slider);
+            row.appendChild(val);
+            fieldsEl.appendChild(row);
+        });
+    }
+
+    // Read the slider values currently shown in the editor
+    function _readEditorWeights() {
+        var weights = {};
+        document.querySelectorAll('#scoring-weight-fields input[data-weight]').forEach(function(slider) {
+            weights[slider.dataset.weight] = parseInt(slider.value, 10) / 100;
+        });
+        return FiberUtils.normalizeScoreWeights(weights);
+    }
+
+    function _openPanel() {
+        var backdrop = document.getElementById('scoring-profile-backdrop');
+        if (!backdrop) return;
+        _editingId = _activeId;
+        _renderEditor();
+        backdrop.classList.add('open');
+    }
+
+    function _closePanel() {
+        var backdrop = document.getElementById('scoring-profile-backdrop');
+        if (backdrop) backdrop.classList.remove('open');
+    }
+
+    function _bindEvents() {
+        var openBtn  = document.getElementById('scoring-profile-btn');
+        var closeBtn = document.getElementById('scoring-profile-close');
+        var backdrop = document.getElementById('scoring-profile-backdrop');
+        if (openBtn)  openBtn.addEventListener('click', _openPanel);
+        if (closeBtn) closeBtn.addEventListener('click', _closePanel);
+        if (backdrop) {
+            backdrop.addEventListener('click', function(e) {
+                if (e.target === backdrop) _closePanel();
+            });
+        }
+
+        var select = document.getElementById('scoring-profile-select');
+        if (select) {
+            select.addEventListener('change', function() {
+                _editingId = select.value;
+                _renderEditor();
+            });
+        }
+
+        // Normalization changes take effect immediately, independent of the profile
+        var modeEl     = document.getElementById('scoring-mode-select');
+        var universeEl = document.getElementById('scoring-universe-select');
+        function onModeChange() {
+            ScoringProfiles.setMode(modeEl.value, universeEl ? universeEl.value : undefined);
+            _renderEditor();
+        }
+        if (modeEl)     modeEl.addEventListener('change', onModeChange);
+        if (universeEl) universeEl.addEventListener('change', onModeChange);
+
+        var applyBtn = document.getElementById('scoring-apply-btn');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', function() {
+                var profile = ScoringProfiles.get(_editingId);
+                if (!profile) return;
+                // Unsaved slider edits on a user profile are saved before applying
+                if (!profile.builtin) {
+                    var nameEl = document.getElementById('scoring-profile-name');
+                    ScoringProfiles.save(profile.id, nameEl ? nameEl.value : profile.name, _readEditorWeights());
+                }
+                ScoringProfiles.apply(profile.id);
+                _renderEditor();
+            });
+        }
+
+        var saveBtn = document.getElementById('scoring-save-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', function() {
+                var nameEl = document.getElementById('scoring-profile-name');
+                ScoringProfiles.save(_editingId, nameEl ? nameEl.value : '', _readEditorWeights());
+                _renderEditor();
+            });
+        }
+
+        var saveAsBtn = document.getElementById('scoring-save-as-btn');
+        if (saveAsBtn) {
+            saveAsBtn.addEventListener('click', function() {
+                var name = prompt('Name for the new scoring profile:', 'My profile');
+                if (!name) return;
+                _editingId = ScoringProfiles.save(null, name, _readEditorWeights()).id;
+                _renderEditor();
+            });
+        }
+
+        var deleteBtn = document.getElementById('scoring-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', function() {
+                var profile = ScoringProfiles.get(_editingId);
+                if (!profile || profile.builtin) return;
+                if (!confirm('Delete scoring profile "' + profile.name + '"?')) return;
+                ScoringProfiles.remove(profile.id);
+                _editingId = _activeId;
+                _renderEditor();
+            });
+        }
+
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') _closePanel();
+        });
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var ScoringProfiles = {
+        // Restore saved profiles and push the active weights into DataHandler.
+        // Call before county data loads so the first render already uses them.
+        init: function() {
+            var saved = _readStorage();
+            if (saved && Array.isArray(saved.profiles)) {
+                _userProfiles = saved.profiles
+                    .filter(function(p) { return p && p.id && p.name; })
+                    .map(function(p) {
+                        return { id: p.id, name: String(p.name), weights: FiberUtils.normalizeScoreWeights(p.weights) };
+                    });
+            }
+            _activeId = saved && this.get(saved.activeId) ? saved.activeId : 'balanced';
+            if (saved && saved.mode) DataHandler.setScoreMode(saved.mode, saved.universe);
+            DataHandler.setScoreWeights(this.getActive().weights);
+        },
+
+        // Wire the editor panel; call once the DOM is ready
+        bindUI: function() {
+            _bindEvents();
+            _updateButtonLabel();
+        },
+
+        list: function() {
+            return BUILTIN_PROFILES.concat(_userProfiles);
+        },
+
+        get: function(id) {
+            var all = this.list();
+            for (var i = 0; i < all.length; i++) {
+                if (all[i].id === id) return all[i];
+            }
+            return null;
+        },
+
+        getActive: function() {
+            return this.get(_activeId) || BUILTIN_PROFILES[0];
+        },
+
+        // Create (id = null) or update a user profile. Built-ins cannot be overwritten.
+        save: function(id, name, weights) {
+            var existing = id ? this.get(id) : null;
+            if (existing && existing.builtin) return existing;
+            var profile = {
+                id: existing ? existing.id : _newId(),
+                name: String(name || '').trim() || (existing ? existing.name : 'Untitled profile'),
+                weights: FiberUtils.normalizeScoreWeights(weights)
+            };
+            if (existing) {
+                _userProfiles = _userProfiles.map(function(p) { return p.id === profile.id ? profile : p; });
+            } else {
+                _userProfiles.push(profile);
+            }
+            _writeStorage();
+            if (profile.id === _activeId) this.apply(profile.id);
+            return profile;
+        },
+
+        remove: function(id) {
+            var profile = this.get(id);
+            if (!profile || profile.builtin) return false;
+            _userProfiles = _userProfiles.filter(function(p) { return p.id !== id; });
+            if (_activeId === id) {
+                this.apply('balanced');
+            } else {
+                _writeStorage();
+            }
+            return true;
+        },
+
+        // Make a profile active and re-score every loaded county without a reload
+        apply: function(id) {
+            var profile = this.get(id);
+            if (!profile) return false;
+            _activeId = profile.id;
+            _writeStorage();
+            DataHandler.setScoreWeights(profile.weights);
+            if (typeof document !== 'undefined') _refreshViews();
+            return true;
+        },
+
+        /**
+         * Break a county's attractiveness into its sub-scores, each with its effective
+         * weight (group share × demo/opportunity share), contribution and rank among
+         * peers, plus the smallest single sub-score gain that would lift it one rank.
+         * @param {Object} county - a scored county (has score_components)
+         * @param {Object[]} peers - counties it is ranked against (includes itself)
+         * @returns {Object|null} { rows, rank, of, next, gap, levers }
+         */
+        explain: function(county, peers) {
+            var comps = county && county.score_components;
+            if (!comps) return null;
+            var w = DataHandler.getScoreWeights();
+            var demoSum = w.income + w.density + w.growth + w.wfh;
+            var oppSum  = w.availability + w.unserved;
+            var topSum  = w.demo + w.opportunity;
+            var demoShare = topSum > 0 ? w.demo / topSum : 0;
+            var oppShare  = topSum > 0 ? w.opportunity / topSum : 0;
+
+            var rows = WEIGHT_FIELDS.filter(function(f) { return f.group !== 'Attractiveness'; }).map(function(f) {
+                var isDemo = f.group === 'Demographics';
+                var groupSum = isDemo ? demoSum : oppSum;
+                var weight = groupSum > 0 ? (w[f.key] / groupSum) * (isDemo ? demoShare : oppShare) : 0;
+                var value = comps[f.key];
+                var rank = 1;
+                peers.forEach(function(p) {
+                    if (p.score_components && p.score_components[f.key] > value) rank++;
+                });
+                return {
+                    key: f.key,
+                    label: f.label,
+                    group: f.group,
+                    value: value,
+                    weight: weight,
+                    contribution: value * weight,
+                    rank: rank
+                };
+            });
+
+            var score = county.attractiveness_index;
+            var rank = 1;
+            var next = null;
+            peers.forEach(function(p) {
+                if (p === county || !(p.attractiveness_index > score)) return;
+                rank++;
+                if (!next || p.attractiveness_index < next.attractiveness_index) next = p;
+            });
+
+            // Gain needed to pass the county directly above (scores are rounded to 0.001)
+            var gap = next ? next.attractiveness_index - score + 0.001 : 0;
+            var levers = [];
+            if (next) {
+                var hints = DataHandler.getScoreMode().mode === 'fixed' ? FIXED_LEVER_HINTS : null;
+                rows.forEach(function(r) {
+                    if (r.weight <= 0) return;
+                    var needed = gap / r.weight;
+                    if (r.value + needed > 1) return;
+                    levers.push({
+                        key: r.key,
+                        label: r.label,
+                        needed: needed,
+                        hint: hints ? hints[r.key](county, needed) : '+' + Math.ceil(needed * 100) + ' percentile pts'
+                    });
+                });
+                levers.sort(function(a, b) { return a.needed - b.needed; });
+            }
+
+            return { rows: rows, rank: rank, of: peers.length, next: next, gap: gap, levers: levers };
+        },
+
+        // "in MO", "nationally", "in RUCC 6" — the peer set explain() ranks against
+        describePeers: function(peerInfo) {
+            if (peerInfo.universe === 'state') return 'in ' + peerInfo.key;
+            if (peerInfo.universe === 'rucc')  return 'in RUCC ' + peerInfo.key;
+            return 'among all loaded counties';
+        },
+
+        // Switch fixed-cap vs percentile normalization ('all' | 'state' | 'rucc' peers)
+        setMode: function(mode, universe) {
+            DataHandler.setScoreMode(mode, universe);
+            _writeStorage();
+            if (typeof document !== 'undefined') _refreshViews();
+        },
+
+        // Human-readable normalization, e.g. "Percentile rank — Same RUCC class"
+        describeMode: function() {
+            var m = DataHandler.getScoreMode();
+            return m.mode === 'percentile'
+                ? NORMALIZATION_LABELS.percentile + ' — ' + UNIVERSE_LABELS[m.universe]
+                : NORMALIZATION_LABELS.fixed;
+        },
+
+        WEIGHT_FIELDS: WEIGHT_FIELDS,
+        NORMALIZATION_LABELS: NORMALIZATION_LABELS,
+        UNIVERSE_LABELS: UNIVERSE_LABELS
+    };
+
+    global.ScoringProfiles = ScoringProfiles;
+
+})(typeof window !== 'undefined' ? window : global);
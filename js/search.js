@@ -0,0 +1,287 @@
+// Map omnibox
+// Autocompletes counties (with state), states and canonical providers over the map.
+// Picking a county flies to it and pins it, a state flies to its bounds, and a
+// provider switches to provider mode with that provider selected.
+
+(function(global) {
+    'use strict';
+
+    var MAX_RESULTS = 8;
+    var TYPE_ORDER = { state: 0, county: 1, provider: 2 };
+
+    // Words that describe the kind of place rather than name it ("Jackson County, MO")
+    var PLACE_WORDS = { county: true, parish: true, borough: true, city: true, census: true, area: true, municipality: true };
+
+    /**
+     * Lower-case, accent- and punctuation-free form for matching: "St." and "Ste."
+     * become "saint"/"sainte" and "&" becomes "and", so "St. Louis" matches "saint louis".
+     */
+    function normalize(text) {
+        return String(text || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .replace(/\bst\b/g, 'saint')
+            .replace(/\bste\b/g, 'sainte')
+            .trim();
+    }
+
+    function _tokens(text) {
+        var n = normalize(text);
+        return n ? n.split(' ') : [];
+    }
+
+    /**
+     * Search entries for the omnibox.
+     * @param {Object[]} counties - [{ geoid, name, state_code }]
+     * @param {Object} states - state code → { label, fipsPrefix } (FEATURED_STATES)
+     * @param {string[]} providers - canonical provider names
+     * @returns {Object[]} [{ type, id, label, detail, name, tokens }]
+     */
+    function buildIndex(counties, states, providers) {
+        var entries = [];
+        Object.keys(states).forEach(function(code) {
+            entries.push({
+                type: 'state', id: code, label: states[code].label, detail: 'State',
+                name: normalize(states[code].label),
+                tokens: _tokens(states[code].label).concat(code.toLowerCase())
+            });
+        });
+        counties.forEach(function(c) {
+            var state = states[c.state_code];
+            entries.push({
+                type: 'county', id: c.geoid, label: c.name + ', ' + c.state_code,
+                detail: (state ? state.label : c.state_code) + ' · FIPS ' + c.geoid,
+                name: normalize(c.name),
+                tokens: _tokens(c.name).concat(c.state_code.toLowerCase(), state ? _tokens(state.label) : [])
+            });
+        });
+        providers.forEach(function(name) {
+            var display = typeof ProviderIndex !== 'undefined' ? ProviderIndex.getDisplayName(name) : name;
+            entries.push({
+                type: 'provider', id: name, label: display, detail: 'Provider',
+                name: normalize(display),
+                tokens: _tokens(display).concat(display === name ? [] : _tokens(name))
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Best matches for a query: every query word must prefix a word of the entry.
+     * Exact names rank first, then names starting with the query, then the rest;
+     * ties go to states, then counties, then providers, then shorter labels.
+     */
+    function search(index, query, limit) {
+        var words = _tokens(query);
+        var nameWords = words.filter(function(w) { return !PLACE_WORDS[w]; });
+        if (nameWords.length) words = nameWords;
+        if (!words.length) return [];
+        var q = words.join(' ');
+
+        var hits = [];
+        index.forEach(function(entry) {
+            var all = words.every(function(w) {
+                return entry.tokens.some(function(t) { return t.indexOf(w) === 0; });
+            });
+            if (!all) return;
+            var rank = entry.name === q ? 0 : entry.name.indexOf(q) === 0 ? 1 : 2;
+            hits.push({ entry: entry, rank: rank });
+        });
+        hits.sort(function(a, b) {
+            return a.rank - b.rank ||
+                TYPE_ORDER[a.entry.type] - TYPE_ORDER[b.entry.type] ||
+                a.entry.label.length - b.entry.label.length ||
+                a.entry.label.localeCompare(b.entry.label);
+        });
+        return hits.slice(0, limit || MAX_RESULTS).map(function(h) { return h.entry; });
+    }
+
+    // ── Omnibox UI ───────────────────────────────────────────────────────────
+
+    var _index = null;
+    var _indexSize = 0;
+    var _results = [];
+    var _active = -1;
+
+    // Counties come from the county geometry, so states that have not loaded yet are
+    // still searchable; names prefer the loaded rows ("St. Louis city" over "St. Louis").
+    function _getIndex() {
+        var loaded = DataHandler.getAllLoadedCounties().length;
+        if (_index && loaded === _indexSize) return _index;
+        var prefixes = {};
+        Object.keys(FEATURED_STATES).forEach(function(code) { prefixes[FEATURED_STATES[code].fipsPrefix] = code; });
+        var counties = [];
+        var topo = DataHandler.usCountiesTopo;
+        var geometries = topo && topo.objects && topo.objects.counties ? topo.objects.counties.geometries : [];
+        geometries.forEach(function(g) {
+            var geoid = String(g.id).padStart(5, '0');
+            var code = prefixes[geoid.slice(0, 2)];
+            if (!code) return;
+            var row = DataHandler.getCountyData(geoid);
+            counties.push({ geoid: geoid, name: row ? row.name : (g.properties && g.properties.name) || geoid, state_code: code });
+        });
+        var providers = ProviderIndex.allProviders().concat(ProviderIndex.requiredProviderNames());
+        providers = providers.filter(function(name, i) { return providers.indexOf(name) === i; });
+        _index = buildIndex(counties, FEATURED_STATES, providers);
+        _indexSize = loaded;
+        return _index;
+    }
+
+    function _els() {
+        return {
+            input: document.getElementById('map-search-input'),
+            list: document.getElementById('map-search-results')
+        };
+    }
+
+    function _close() {
+        var els = _els();
+        _results = [];
+        _active = -1;
+        if (els.list) {
+            els.list.hidden = true;
+            els.list.textContent = '';
+        }
+        if (els.input) {
+            els.input.setAttribute('aria-expanded', 'false');
+            els.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function _render() {
+        var els = _els();
+        if (!els.list) return;
+        els.list.textContent = '';
+        if (!_results.length) {
+            var none = document.createElement('li');
+            none.className = 'map-search-empty';
+            none.textContent = 'No matching county, state or provider';
+            els.list.appendChild(none);
+        }
+        _results.forEach(function(entry, i) {
+            var li = document.createElement('li');
+            li.id = 'map-search-option-' + i;
+            li.className = 'map-search-option' + (i === _active ? ' active' : '');
+            li.setAttribute('role', 'option');
+            li.setAttribute('aria-selected', i === _active ? 'true' : 'false');
+            var label = document.createElement('span');
+            label.className = 'map-search-label';
+            label.textContent = entry.label;
+            var detail = document.createElement('span');
+            detail.className = 'map-search-detail';
+            detail.textContent = entry.detail;
+            li.appendChild(label);
+            li.appendChild(detail);
+            // mousedown so the pick lands before the input's blur closes the list
+            li.addEventListener('mousedown', function(e) {
+                e.preventDefault();
+                _pick(entry);
+            });
+            els.list.appendChild(li);
+        });
+        els.list.hidden = false;
+        els.input.setAttribute('aria-expanded', 'true');
+        if (_active >= 0) els.input.setAttribute('aria-activedescendant', 'map-search-option-' + _active);
+        else els.input.removeAttribute('aria-activedescendant');
+    }
+
+    function _update(query) {
+        if (!normalize(query)) {
+            _close();
+            return;
+        }
+        _results = search(_getIndex(), query);
+        _active = _results.length ? 0 : -1;
+        _render();
+    }
+
+    function _pick(entry) {
+        var els = _els();
+        if (els.input) {
+            els.input.value = entry.label;
+            els.input.blur();
+        }
+        _close();
+        if (entry.type === 'county') {
+            MapRenderer.flyToCounty(entry.id);
+            InfoPanel.pinCounty(entry.id);
+        } else if (entry.type === 'state') {
+            MapRenderer.flyToState(entry.id);
+        } else {
+            _selectProvider(entry.id);
+        }
+    }
+
+    // Same controls a user would click, so auth gating and URL state apply
+    function _selectProvider(name) {
+        if (MapRenderer.currentMode !== 'provider') {
+            var modeBtn = document.getElementById('mode-provider');
+            if (modeBtn) modeBtn.click();
+        }
+        if (MapRenderer.currentSubview !== 'individual') {
+            var tab = document.getElementById('subview-individual');
+            if (tab) tab.click();
+        }
+        var btn = document.querySelector('#provider-list .provider-item[data-provider="' + CSS.escape(name) + '"]');
+        if (btn) {
+            btn.click();
+            btn.scrollIntoView({ block: 'nearest' });
+        } else {
+            console.warn('MapSearch: no provider list entry for ' + name);
+        }
+    }
+
+    function _bindEvents() {
+        var els = _els();
+        if (!els.input || !els.list) return;
+        els.input.addEventListener('input', function() {
+            _update(els.input.value);
+        });
+        els.input.addEventListener('focus', function() {
+            if (els.input.value) _update(els.input.value);
+        });
+        els.input.addEventListener('blur', _close);
+        els.input.addEventListener('keydown', function(e) {
+            // Typing here must not drive the map's keyboard county navigation or Escape-to-unpin
+            e.stopPropagation();
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (!_results.length) return;
+                e.preventDefault();
+                var step = e.key === 'ArrowDown' ? 1 : -1;
+                _active = (_active + step + _results.length) % _results.length;
+                _render();
+            } else if (e.key === 'Enter') {
+                if (_active >= 0 && _results[_active]) {
+                    e.preventDefault();
+                    _pick(_results[_active]);
+                }
+            } else if (e.key === 'Escape') {
+                if (!els.list.hidden) {
+                    _close();
+                } else {
+                    els.input.value = '';
+                    els.input.blur();
+                }
+            }
+        });
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var MapSearch = {
+        MAX_RESULTS: MAX_RESULTS,
+        normalize: normalize,
+        buildIndex: buildIndex,
+        search: search,
+
+        bindUI: function() {
+            _bindEvents();
+        }
+    };
+
+    global.MapSearch = MapSearch;
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,468 @@
+// Data-source adapters
+// Every read of counties, state summaries, passings history, news and static files
+// goes through the active source, so the app can point at Supabase (or any
+// PostgREST mirror), plain JSON files for offline use, or an in-memory fixture
+// under Node. Sources are object literals built by factories; all fetch methods
+// are async and throw on failure — callers decide on fallbacks.
+//
+// Source interface:
+//   id                                   → string, namespaces cache entries (null = never cache)
+//   config                               → plain object for fromConfig(), so a worker can rebuild the source
+//   fetchFile(path, revalidate)          → { data, version }  static JSON (geometry, etc.); revalidate bypasses stale HTTP caches
+//   fetchFileVersion(path)               → string|null        cheap revalidation (HEAD: ETag / Last-Modified)
+//   fetchTableVersion(table)             → string|null        'counties' | 'state_summary'
+//   fetchStateSummary()                  → state_summary rows
+//   fetchStateCounties(stateCode)        → county rows for one state
+//   fetchCountiesPage(offset, limit)     → { rows, count }    every county, paged
+//   fetchCountyPassings(geoid, date)     → [{ brand_name, technology, passings }]
+//   fetchCountyPassingsHistory(geoid)    → [{ brand_name, filing_date, passings, technology }] by date
+//   fetchFilingDates()                   → distinct filing dates, newest first
+//   fetchFilingPage(date, offset, limit) → { rows: [{ geoid, brand_name, technology, passings }], count }
+//   fetchNews(sinceIso, limit)           → news_articles rows, newest first
+//   getAuthClient()                      → supabase-js auth client; throws when the source has no auth
+//   fetchAnnotations()                   → the signed-in user's county_annotations rows (RLS scopes them)
+//   saveAnnotation(row)                  → the stored row; upserts on (user_id, geoid)
+//   deleteAnnotation(geoid)              → removes the signed-in user's annotation of a county
+
+(function(global) {
+    'use strict';
+
+    var DEFAULT_SUPABASE_URL = 'https://sveqgyhncdrjemohpwho.supabase.co';
+    var DEFAULT_SUPABASE_KEY = 'sb_publishable_mym2Y0fppNJKDXD8gaQ2kQ_tmCSG3fv';
+
+    // Columns whose newest value (plus the row count) versions a table
+    var TABLE_VERSION_COLUMNS = {
+        counties:      ['data_as_of', 'updated_at'],
+        state_summary: ['updated_at']
+    };
+
+    var NEWS_COLUMNS = 'id,title,link,published_at,excerpt,county_tags,state_tags';
+    var ANNOTATION_COLUMNS = 'geoid,note,tags,status,updated_at';
+
+    // ETag-style version for a static file response; null when the server sends none
+    function responseVersion(response) {
+        var h = response.headers;
+        if (!h || !h.get) return null;
+        var v = h.get('ETag') || h.get('Last-Modified');
+        if (v) return v;
+        var len = h.get('Content-Length');
+        return len ? 'len:' + len : null;
+    }
+
+    // fetchFile / fetchFileVersion over HTTP, relative to baseUrl
+    function httpFileMethods(baseUrl) {
+        var base = baseUrl || '';
+        return {
+            // revalidate: the body changed upstream, so make the browser check its HTTP cache
+            // (a conditional If-None-Match GET) instead of serving the old copy
+            fetchFile: async function(path, revalidate) {
+                var response = await fetch(base + path, revalidate ? { cache: 'no-cache' } : undefined);
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                return { data: await response.json(), version: responseVersion(response) };
+            },
+            fetchFileVersion: async function(path) {
+                var response = await fetch(base + path, { method: 'HEAD', cache: 'no-cache' });
+                return response.ok ? responseVersion(response) : null;
+            }
+        };
+    }
+
+    // Configs are rebuilt inside js/county-worker.js, where relative URLs resolve against js/
+    function absoluteUrl(path) {
+        try {
+            return global.location ? new URL(path, global.location.href).href : path;
+        } catch (e) {
+            return path;
+        }
+    }
+
+    async function noAccountAnnotations() {
+        throw new Error('Account annotations are not available with static data files');
+    }
+
+    function unwrap(result) {
+        if (result.error) throw new Error(result.error.message);
+        return result.data || [];
+    }
+
+    // ── Supabase / PostgREST ─────────────────────────────────────────────────
+
+    /**
+     * Supabase-backed source. Any PostgREST mirror with the same tables works;
+     * add its origin to the CSP connect-src in index.html.
+     * @param {Object} [options] - { url, key, fileBaseUrl }
+     */
+    function createSupabaseSource(options) {
+        var opts = options || {};
+        var url  = opts.url || DEFAULT_SUPABASE_URL;
+        var key  = opts.key || DEFAULT_SUPABASE_KEY;
+        var _sb  = null;
+
+        function client() {
+            if (typeof supabase === 'undefined' || !supabase.createClient) {
+                throw new Error('Supabase client library is not loaded');
+            }
+            if (!_sb) _sb = supabase.createClient(url, key);
+            return _sb;
+        }
+
+        var files = httpFileMethods(opts.fileBaseUrl);
+
+        return {
+            id: 'supabase:' + url,
+            config: { type: 'supabase', url: url, key: key, fileBaseUrl: opts.fileBaseUrl },
+            fetchFile: files.fetchFile,
+            fetchFileVersion: files.fetchFileVersion,
+
+            fetchTableVersion: async function(table) {
+                var columns = TABLE_VERSION_COLUMNS[table];
+                if (!columns) return null;
+                var query = client().from(table).select(columns.join(','), { count: 'exact' });
+                for (var i = 0; i < columns.length; i++) {
+                    query = query.order(columns[i], { ascending: false, nullsFirst: false });
+                }
+                var result = await query.limit(1);
+                var row = unwrap(result)[0] || {};
+                return columns.map(function(c) { return row[c] || ''; })
+                    .concat(result.count || 0).join('|');
+            },
+
+            fetchStateSummary: async function() {
+                return unwrap(await client().from('state_summary').select('*'));
+            },
+
+            fetchStateCounties: async function(stateCode) {
+                return unwrap(await client().from('counties').select('*').eq('state_code', stateCode));
+            },
+
+            fetchCountiesPage: async function(offset, limit) {
+                var result = await client()
+                    .from('counties')
+                    .select('*', { count: 'exact' })
+                    .range(offset, offset + limit - 1);
+                return { rows: unwrap(result), count: result.count || 0 };
+            },
+
+            fetchCountyPassings: async function(geoid, filingDate) {
+                return unwrap(await client()
+                    .from('provider_passings_history')
+                    .select('brand_name, technology, passings')
+                    .eq('geoid', geoid)
+                    .eq('filing_date', filingDate));
+            },
+
+            fetchCountyPassingsHistory: async function(geoid) {
+                return unwrap(await client()
+                    .from('provider_passings_history')
+                    .select('brand_name, filing_date, passings, technology')
+                    .eq('geoid', geoid)
+                    .order('filing_date', { ascending: true }));
+            },
+
+            // PostgREST has no DISTINCT; walk the dates one indexed lookup at a time
+            fetchFilingDates: async function() {
+                var dates = [];
+                var before = null;
+                for (var guard = 0; guard < 40; guard++) {
+                    var query = client()
+                        .from('provider_passings_history')
+                        .select('filing_date')
+                        .order('filing_date', { ascending: false })
+                        .limit(1);
+                    if (before) query = query.lt('filing_date', before);
+                    var row = unwrap(await query)[0];
+                    if (!row) break;
+                    dates.push(row.filing_date);
+                    before = row.filing_date;
+                }
+                return dates;
+            },
+
+            fetchFilingPage: async function(filingDate, offset, limit) {
+                var result = await client()
+                    .from('provider_passings_history')
+                    .select('geoid, brand_name, technology, passings', { count: offset === 0 ? 'exact' : undefined })
+                    .eq('filing_date', filingDate)
+                    .order('id', { ascending: true })
+                    .range(offset, offset + limit - 1);
+                return { rows: unwrap(result), count: result.count || null };
+            },
+
+            fetchNews: async function(sinceIso, limit) {
+                return unwrap(await client()
+                    .from('news_articles')
+                    .select(NEWS_COLUMNS)
+                    .gte('published_at', sinceIso)
+                    .order('published_at', { ascending: false })
+                    .limit(limit));
+            },
+
+            getAuthClient: function() {
+                return client().auth;
+            },
+
+            fetchAnnotations: async function() {
+                return unwrap(await client().from('county_annotations').select(ANNOTATION_COLUMNS));
+            },
+
+            saveAnnotation: async function(row) {
+                return unwrap(await client()
+                    .from('county_annotations')
+                    .upsert(row, { onConflict: 'user_id,geoid' })
+                    .select(ANNOTATION_COLUMNS))[0] || null;
+            },
+
+            deleteAnnotation: async function(geoid) {
+                unwrap(await client().from('county_annotations').delete().eq('geoid', geoid));
+            }
+        };
+    }
+
+    // ── Static JSON files (offline) ──────────────────────────────────────────
+
+    /**
+     * Reads the pipeline's JSON exports: fiber-data.json for state summaries and
+     * {state}-unified-data.json per state. There is no history, news or auth offline.
+     * @param {Object} [options] - { baseUrl } (default 'data/')
+     */
+    function createStaticSource(options) {
+        var base  = (options && options.baseUrl) || 'data/';
+        var files = httpFileMethods(base);
+        var _summary = null;
+        var _allRows = null;
+
+        function summary() {
+            if (!_summary) {
+                _summary = files.fetchFile('fiber-data.json').catch(function(error) {
+                    _summary = null;
+                    throw error;
+                });
+            }
+            return _summary;
+        }
+
+        async function stateCounties(stateCode) {
+            var file = await files.fetchFile(stateCode.toLowerCase() + '-unified-data.json');
+            var map = file.data || {};
+            return Object.keys(map).map(function(fips) {
+                var row = map[fips];
+                if (!row) return null;
+                if (!row.geoid) row.geoid = fips;
+                if (!row.state_code) row.state_code = stateCode;
+                return row;
+            }).filter(Boolean);
+        }
+
+        // Every state file once, for paged reads
+        function allRows() {
+            if (!_allRows) {
+                _allRows = summary().then(function(file) {
+                    return Promise.all(Object.keys(file.data || {}).map(function(sc) {
+                        return stateCounties(sc).catch(function(error) {
+                            console.warn('Static county file unavailable for ' + sc + ':', error.message);
+                            return [];
+                        });
+                    }));
+                }).then(function(perState) {
+                    return [].concat.apply([], perState);
+                });
+            }
+            return _allRows;
+        }
+
+        // Geometry paths are given relative to the site root ('data/us-states.json')
+        var siteFiles = httpFileMethods('');
+
+        return {
+            id: 'static:' + base,
+            config: { type: 'static', baseUrl: absoluteUrl(base) },
+            fetchFile: siteFiles.fetchFile,
+            fetchFileVersion: siteFiles.fetchFileVersion,
+
+            fetchTableVersion: async function(table) {
+                var path = table === 'state_summary' ? 'fiber-data.json' : null;
+                return path ? files.fetchFileVersion(path) : null;
+            },
+
+            fetchStateSummary: async function() {
+                var data = (await summary()).data || {};
+                return Object.keys(data).map(function(sc) {
+                    var s = data[sc];
+                    return {
+                        state_code:           sc,
+                        state_name:           s.state,
+                        total_housing_units:  s.totalHousingUnits,
+                        total_fiber_passings: s.totalFiberPassings,
+                        fiber_penetration:    s.fiberPenetration,
+                        operators:            s.operators || []
+                    };
+                });
+            },
+
+            fetchStateCounties: stateCounties,
+
+            fetchCountiesPage: async function(offset, limit) {
+                var rows = await allRows();
+                return { rows: rows.slice(offset, offset + limit), count: rows.length };
+            },
+
+            fetchCountyPassings:        async function() { return []; },
+            fetchCountyPassingsHistory: async function() { return []; },
+            fetchFilingDates:           async function() { return []; },
+            fetchFilingPage:            async function() { return { rows: [], count: 0 }; },
+            fetchNews:                  async function() { return []; },
+
+            getAuthClient: function() {
+                throw new Error('Sign-in is not available with static data files');
+            },
+
+            fetchAnnotations: noAccountAnnotations,
+            saveAnnotation:   noAccountAnnotations,
+            deleteAnnotation: noAccountAnnotations
+        };
+    }
+
+    // ── In-memory fixture (tests, demos) ─────────────────────────────────────
+
+    /**
+     * Serves plain arrays. fixture: { counties, state_summary, provider_passings_history,
+     * news_articles, files: { path: json }, version }. Never cached.
+     * @param {Object} fixture
+     */
+    function createMemorySource(fixture) {
+        var fx = fixture || {};
+        function table(name) { return fx[name] || []; }
+        function copy(rows) { return rows.map(function(r) { return Object.assign({}, r); }); }
+        function byDate(a, b) { return a.filing_date < b.filing_date ? -1 : a.filing_date > b.filing_date ? 1 : 0; }
+
+        return {
+            id: null,
+            config: { type: 'memory', fixture: fx },
+            fetchFile: async function(path) {
+                if (!fx.files || !(path in fx.files)) throw new Error('No fixture file ' + path);
+                return { data: fx.files[path], version: fx.version || null };
+            },
+            fetchFileVersion: async function() { return fx.version || null; },
+            fetchTableVersion: async function() { return fx.version || null; },
+
+            fetchStateSummary: async function() { return copy(table('state_summary')); },
+
+            fetchStateCounties: async function(stateCode) {
+                return copy(table('counties').filter(function(c) { return c.state_code === stateCode; }));
+            },
+
+            fetchCountiesPage: async function(offset, limit) {
+                var rows = table('counties');
+                return { rows: copy(rows.slice(offset, offset + limit)), count: rows.length };
+            },
+
+            fetchCountyPassings: async function(geoid, filingDate) {
+                return copy(table('provider_passings_history').filter(function(r) {
+                    return r.geoid === geoid && r.filing_date === filingDate;
+                }));
+            },
+
+            fetchCountyPassingsHistory: async function(geoid) {
+                return copy(table('provider_passings_history').filter(function(r) {
+                    return r.geoid === geoid;
+                })).sort(byDate);
+            },
+
+            fetchFilingDates: async function() {
+                var seen = {};
+                table('provider_passings_history').forEach(function(r) { seen[r.filing_date] = true; });
+                return Object.keys(seen).sort().reverse();
+            },
+
+            fetchFilingPage: async function(filingDate, offset, limit) {
+                var rows = table('provider_passings_history').filter(function(r) { return r.filing_date === filingDate; });
+                return { rows: copy(rows.slice(offset, offset + limit)), count: rows.length };
+            },
+
+            fetchNews: async function(sinceIso, limit) {
+                return copy(table('news_articles').filter(function(a) { return a.published_at >= sinceIso; }))
+                    .sort(function(a, b) { return a.published_at < b.published_at ? 1 : -1; })
+                    .slice(0, limit);
+            },
+
+            getAuthClient: function() {
+                throw new Error('Sign-in is not available with fixture data');
+            },
+
+            // One fixture user: rows are keyed by geoid alone
+            fetchAnnotations: async function() { return copy(table('county_annotations')); },
+
+            saveAnnotation: async function(row) {
+                var rows = fx.county_annotations = table('county_annotations').filter(function(r) { return r.geoid !== row.geoid; });
+                rows.push(Object.assign({}, row));
+                return Object.assign({}, row);
+            },
+
+            deleteAnnotation: async function(geoid) {
+                fx.county_annotations = table('county_annotations').filter(function(r) { return r.geoid !== geoid; });
+            }
+        };
+    }
+
+    // ── Registry ─────────────────────────────────────────────────────────────
+
+    // Build a source from a config object: { type: 'supabase' | 'static' | 'memory', ... }
+    function fromConfig(config) {
+        var cfg = config || {};
+        if (cfg.type === 'static') return createStaticSource(cfg);
+        if (cfg.type === 'memory') return createMemorySource(cfg.fixture);
+        return createSupabaseSource(cfg);
+    }
+
+    // Deployments may define window.FIBERMAP_DATA_SOURCE before this script;
+    // ?source=static forces the offline JSON files.
+    function initialConfig() {
+        var cfg = global.FIBERMAP_DATA_SOURCE || { type: 'supabase' };
+        try {
+            if (global.location && new URLSearchParams(global.location.search).get('source') === 'static') {
+                cfg = { type: 'static' };
+            }
+        } catch (e) { /* no location (Node) */ }
+        return cfg;
+    }
+
+    var _primary  = null;
+    var _fallback = null;
+
+    var DataSources = {
+        createSupabaseSource: createSupabaseSource,
+        createStaticSource:   createStaticSource,
+        createMemorySource:   createMemorySource,
+        fromConfig:           fromConfig,
+
+        // Active source, created from the page config on first use
+        get: function() {
+            if (!_primary) this.configure(fromConfig(initialConfig()));
+            return _primary;
+        },
+
+        // Where state summaries and per-state counties come from when the primary
+        // source fails: the static JSON files behind Supabase, nothing otherwise.
+        getFallback: function() {
+            this.get();
+            return _fallback;
+        },
+
+        /**
+         * Replace the active source.
+         * @param {Object} source
+         * @param {Object|null} [fallback] - defaults to static files behind Supabase
+         */
+        configure: function(source, fallback) {
+            _primary = source;
+            if (fallback !== undefined) {
+                _fallback = fallback;
+            } else {
+                _fallback = source.id && source.id.indexOf('supabase:') === 0 ? createStaticSource() : null;
+            }
+        }
+    };
+
+    global.DataSources = DataSources;
+
+})(typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : global);
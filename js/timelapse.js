@@ -0,0 +1,214 @@
+// Provider footprint time-lapse
+// Steps the provider-mode footprint map through every BDC filing in
+// provider_passings_history, oldest first, ending on the current county rows.
+// Frames are footprints (geoid → passings) handed to MapRenderer.setFootprintFrame,
+// so colors, the legend and the PPT export read the frame on screen.
+
+(function(global) {
+    'use strict';
+
+    var FRAME_MS = 1200;
+
+    var _frames = [];      // [{ date, label, footprint, passings, counties }]
+    var _index = 0;
+    var _timer = null;
+    var _key = null;       // provider|tech the frames were built for
+    var _loadToken = 0;
+
+    function _frame(date, footprint) {
+        var passings = 0, counties = 0;
+        for (var geoid in footprint) {
+            passings += footprint[geoid];
+            counties++;
+        }
+        return {
+            date: date,
+            label: FiberUtils.formatFilingDate(date),
+            footprint: footprint,
+            passings: passings,
+            counties: counties
+        };
+    }
+
+    /**
+     * One frame per filing, oldest first, ending with the current filing. Filings
+     * without rows for the tech (or that fail to load) are skipped.
+     * @param {string} provider - canonical provider name
+     * @param {string} tech - 'fiber' | 'cable' | 'dsl' | 'all'
+     * @param {Function} [onProgress] - called with each filing date before it loads
+     * @returns {Promise<Object[]>}
+     */
+    async function buildFrames(provider, tech, onProgress) {
+        var dates = (await DataHandler.loadFilingDates()).slice().sort();
+        var frames = [];
+        for (var i = 0; i < dates.length; i++) {
+            if (onProgress) onProgress(dates[i]);
+            var snapshot = await DataHandler.loadFilingSnapshot(dates[i]);
+            var footprint = ProviderIndex.footprintFromSnapshot(snapshot, provider, tech);
+            if (footprint) frames.push(_frame(dates[i], footprint));
+        }
+        // Current filing from the county rows, even while an as-of snapshot is applied
+        var current = {};
+        DataHandler.iterateAllCounties(function(c) {
+            var p = ProviderIndex.getPassings(FiberUtils.currentFilingRow(c), provider, tech);
+            if (p > 0) current[c.geoid] = p;
+        });
+        frames.push(_frame(FiberUtils.CURRENT_FILING_DATE, current));
+        return frames;
+    }
+
+    // ── Player UI ────────────────────────────────────────────────────────────
+
+    function _setPlayButton(playing) {
+        var btn = document.getElementById('timelapse-play');
+        if (!btn) return;
+        btn.textContent = playing ? '❚❚' : '▶';
+        btn.setAttribute('aria-label', playing ? 'Pause time-lapse' : 'Play time-lapse');
+    }
+
+    function _showFrame(i) {
+        var frame = _frames[i];
+        if (!frame) return;
+        _index = i;
+        MapRenderer.setFootprintFrame(frame.footprint, frame.label);
+
+        var scrubber = document.getElementById('timelapse-scrubber');
+        if (scrubber) {
+            scrubber.value = String(i);
+            scrubber.setAttribute('aria-valuetext', frame.label);
+        }
+        var dateEl = document.getElementById('timelapse-date');
+        if (dateEl) dateEl.textContent = frame.label;
+        var counter = document.getElementById('timelapse-counter');
+        if (counter) {
+            var first = _frames[0];
+            var delta = frame.passings - first.passings;
+            counter.textContent = FiberUtils.formatNumber(frame.passings) + ' passings · ' +
+                FiberUtils.formatNumber(frame.counties) + ' counties' +
+                (i > 0 ? ' · ' + (delta >= 0 ? '+' : '−') + FiberUtils.formatNumber(Math.abs(delta)) + ' since ' + first.label : '');
+        }
+    }
+
+    function _setStatus(text) {
+        var dateEl = document.getElementById('timelapse-date');
+        if (dateEl) dateEl.textContent = text;
+    }
+
+    function _setControlsEnabled(on) {
+        ['timelapse-play', 'timelapse-scrubber'].forEach(function(id) {
+            var el = document.getElementById(id);
+            if (el) el.disabled = !on;
+        });
+    }
+
+    async function _open() {
+        var provider = MapRenderer.currentProvider;
+        var panel = document.getElementById('timelapse-panel');
+        var btn = document.getElementById('timelapse-btn');
+        if (!provider || !panel) {
+            if (!provider) alert('Select a provider first.');
+            return;
+        }
+        panel.hidden = false;
+        if (btn) {
+            btn.classList.add('active');
+            btn.setAttribute('aria-pressed', 'true');
+        }
+
+        var key = provider + '|' + MapRenderer.currentTech;
+        if (key !== _key) {
+            var token = ++_loadToken;
+            _setControlsEnabled(false);
+            var frames = await buildFrames(provider, MapRenderer.currentTech, function(date) {
+                if (token === _loadToken) _setStatus('Loading ' + FiberUtils.formatFilingDate(date) + '…');
+            });
+            if (token !== _loadToken) return;  // closed or provider changed meanwhile
+            _frames = frames;
+            _key = key;
+        }
+        var scrubber = document.getElementById('timelapse-scrubber');
+        if (scrubber) scrubber.max = String(_frames.length - 1);
+        _setControlsEnabled(_frames.length > 1);
+        _showFrame(0);
+    }
+
+    function _bindEvents() {
+        var btn = document.getElementById('timelapse-btn');
+        if (btn) {
+            btn.addEventListener('click', function() {
+                var panel = document.getElementById('timelapse-panel');
+                if (panel && !panel.hidden) FootprintTimelapse.close();
+                else _open();
+            });
+        }
+        var playBtn = document.getElementById('timelapse-play');
+        if (playBtn) {
+            playBtn.addEventListener('click', function() {
+                if (_timer) FootprintTimelapse.pause();
+                else FootprintTimelapse.play();
+            });
+        }
+        var scrubber = document.getElementById('timelapse-scrubber');
+        if (scrubber) {
+            scrubber.addEventListener('input', function() {
+                FootprintTimelapse.pause();
+                _showFrame(parseInt(scrubber.value, 10) || 0);
+            });
+        }
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var FootprintTimelapse = {
+        FRAME_MS: FRAME_MS,
+        buildFrames: buildFrames,
+
+        bindUI: function() {
+            _bindEvents();
+        },
+
+        // Play from the current frame (from the start when on the last one); pauses at the end
+        play: function() {
+            if (_frames.length < 2) return;
+            if (_index >= _frames.length - 1) _showFrame(0);
+            clearInterval(_timer);
+            _timer = setInterval(function() {
+                if (_index >= _frames.length - 1) {
+                    FootprintTimelapse.pause();
+                    return;
+                }
+                _showFrame(_index + 1);
+            }, FRAME_MS);
+            _setPlayButton(true);
+        },
+
+        pause: function() {
+            clearInterval(_timer);
+            _timer = null;
+            _setPlayButton(false);
+        },
+
+        // Hide the player and return the map to the live footprint
+        close: function() {
+            _loadToken++;
+            this.pause();
+            var panel = document.getElementById('timelapse-panel');
+            var btn = document.getElementById('timelapse-btn');
+            var wasOpen = panel && !panel.hidden;
+            if (panel) panel.hidden = true;
+            if (btn) {
+                btn.classList.remove('active');
+                btn.setAttribute('aria-pressed', 'false');
+            }
+            if (wasOpen) MapRenderer.setFootprintFrame(null);
+        },
+
+        isActive: function() {
+            var panel = document.getElementById('timelapse-panel');
+            return !!panel && !panel.hidden;
+        }
+    };
+
+    global.FootprintTimelapse = FootprintTimelapse;
+
+})(typeof window !== 'undefined' ? window : global);
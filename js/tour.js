@@ -0,0 +1,387 @@
+// Deep Dive tour
+// A configurable walk through the market layers for live client meetings: which layers,
+// in what order, how long each stays up and an optional region to frame. Each step shows
+// a generated caption (highest counties, the region's average and the strongest state),
+// and MapExport turns the whole tour into one PPT slide per step.
+
+(function(global) {
+    'use strict';
+
+    var STORAGE_KEY = 'fibermap.deepDiveTour';
+    var TOUR_LAYERS = ['penetration', 'cable', 'fwa', 'demographic', 'attractiveness', 'competitive', 'momentum', 'terrain'];
+    var DWELL_OPTIONS = [3000, 5000, 8000, 12000, 20000];
+    var DEFAULT_DWELL_MS = 3000;
+    var TOP_N = 3;
+    var MOMENTUM_CLASSES = ['Surging', 'Growing', 'Steady', 'Stalled'];
+
+    /**
+     * Clean a saved or edited tour: known layers once each in the given order, a dwell
+     * time between 1 s and 2 min, and a region that is a featured state or a bounds box.
+     * @param {Object} [raw] - { layers, dwellMs, region: { state } | { bounds: [[s, w], [n, e]] } }
+     * @returns {Object} { layers, dwellMs, region }
+     */
+    function normalizeConfig(raw) {
+        raw = raw || {};
+        var seen = {};
+        var layers = (Array.isArray(raw.layers) ? raw.layers : TOUR_LAYERS).filter(function(layer) {
+            if (TOUR_LAYERS.indexOf(layer) === -1 || seen[layer]) return false;
+            seen[layer] = true;
+            return true;
+        });
+        var dwell = Number(raw.dwellMs);
+        var region = null;
+        var r = raw.region;
+        if (r && typeof r.state === 'string' && typeof FEATURED_STATES !== 'undefined' && FEATURED_STATES[r.state]) {
+            region = { state: r.state };
+        } else if (r && Array.isArray(r.bounds) && r.bounds.length === 2 &&
+                   r.bounds.every(function(p) { return Array.isArray(p) && p.length === 2 && p.every(Number.isFinite); })) {
+            region = { bounds: [r.bounds[0].slice(), r.bounds[1].slice()] };
+        }
+        return {
+            layers: layers,
+            dwellMs: Number.isFinite(dwell) && dwell >= 1000 ? Math.min(dwell, 120000) : DEFAULT_DWELL_MS,
+            region: region
+        };
+    }
+
+    function regionLabel(region) {
+        if (!region) return 'All loaded states';
+        if (region.state) return FEATURED_STATES[region.state].label;
+        return 'Map view';
+    }
+
+    function _countyLabel(c) {
+        return c.name + ', ' + c.state_code;
+    }
+
+    // BSL-weighted layer value over a set of counties, scored like a custom market
+    function _averageValue(layer, counties) {
+        var record = MarketManager.aggregateCounties(counties, { key: 'tour:average' });
+        return record ? MapRenderer._layerValue(DataHandler.scoreAggregate(record), layer) : null;
+    }
+
+    /**
+     * Caption for one tour step.
+     * @param {string} layer
+     * @param {Object[]} counties - loaded county rows in the tour region
+     * @param {string} label - region name for the average line
+     * @returns {Object} { title, lines }
+     */
+    function buildCaption(layer, counties, label) {
+        var lines = [];
+        var fmt = function(v) { return MapRenderer._formatLayerValue(layer, v); };
+
+        if (layer === 'momentum') {
+            // Categorical: class counts, then the fastest-growing counties
+            var counts = {};
+            counties.forEach(function(c) { if (c.momentum_class) counts[c.momentum_class] = (counts[c.momentum_class] || 0) + 1; });
+            var mix = MOMENTUM_CLASSES.filter(function(k) { return counts[k]; }).map(function(k) { return k + ' ' + counts[k]; });
+            if (mix.length) lines.push('Counties by momentum: ' + mix.join(' · '));
+            var growing = counties.filter(function(c) { return Number.isFinite(c.fiber_growth_pct); })
+                .sort(function(a, b) { return b.fiber_growth_pct - a.fiber_growth_pct; }).slice(0, TOP_N);
+            if (growing.length) {
+                lines.push('Fastest growth: ' + growing.map(function(c) {
+                    return _countyLabel(c) + ' (' + (c.fiber_growth_pct >= 0 ? '+' : '') + c.fiber_growth_pct.toFixed(1) + '%)';
+                }).join(', '));
+            }
+        } else {
+            var ranked = counties.map(function(c) { return { county: c, value: MapRenderer._layerValue(c, layer) }; })
+                .filter(function(r) { return r.value != null; })
+                .sort(function(a, b) { return b.value - a.value; });
+            if (ranked.length) {
+                lines.push('Highest: ' + ranked.slice(0, TOP_N).map(function(r) {
+                    return _countyLabel(r.county) + ' (' + fmt(r.value) + ')';
+                }).join(', '));
+            }
+            var avg = _averageValue(layer, counties);
+            if (avg != null) lines.push(label + ' average: ' + fmt(avg));
+
+            // Strongest state when the region spans several
+            var states = {};
+            counties.forEach(function(c) { (states[c.state_code] = states[c.state_code] || []).push(c); });
+            var codes = Object.keys(states);
+            if (codes.length > 1) {
+                var best = null;
+                codes.forEach(function(code) {
+                    var v = _averageValue(layer, states[code]);
+                    if (v != null && (!best || v > best.value)) best = { code: code, value: v };
+                });
+                if (best) {
+                    var name = FEATURED_STATES[best.code] ? FEATURED_STATES[best.code].label : best.code;
+                    lines.push('Highest state average: ' + name + ' (' + fmt(best.value) + ')');
+                }
+            }
+        }
+        if (!lines.length) lines.push('No loaded counties have data for this layer.');
+        return { title: MapRenderer.LAYER_LABELS[layer] || layer, lines: lines };
+    }
+
+    // Loaded counties inside the tour region
+    function _regionCounties(region) {
+        var counties = DataHandler.getAllLoadedCounties();
+        if (!region) return counties;
+        if (region.state) return counties.filter(function(c) { return c.state_code === region.state; });
+        var bounds = L.latLngBounds(region.bounds);
+        return counties.filter(function(c) {
+            var layer = MapRenderer._countyLayerMap[c.geoid];
+            return layer && bounds.intersects(layer.getBounds());
+        });
+    }
+
+    // ── Persistence ──────────────────────────────────────────────────────────
+
+    var _config = normalizeConfig(null);
+
+    function _readStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return null;
+            var raw = localStorage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Saved Deep Dive tour unreadable; using the default:', error.message);
+            return null;
+        }
+    }
+
+    function _writeStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(_config));
+        } catch (error) {
+            console.warn('Could not save Deep Dive tour:', error.message);
+        }
+    }
+
+    // ── Caption overlay ──────────────────────────────────────────────────────
+
+    function _showCaption(caption, index, total, label) {
+        var stage = document.querySelector('.map-stage');
+        if (!stage) return;
+        var box = document.getElementById('tour-caption');
+        if (!box) {
+            box = document.createElement('div');
+            box.id = 'tour-caption';
+            box.className = 'tour-caption';
+            box.setAttribute('aria-live', 'polite');
+            stage.appendChild(box);
+        }
+        box.textContent = '';
+        var step = document.createElement('div');
+        step.className = 'tour-caption-step';
+        step.textContent = 'Step ' + (index + 1) + ' of ' + total + ' · ' + label;
+        var title = document.createElement('h3');
+        title.textContent = caption.title;
+        var list = document.createElement('ul');
+        caption.lines.forEach(function(line) {
+            var li = document.createElement('li');
+            li.textContent = line;
+            list.appendChild(li);
+        });
+        box.appendChild(step);
+        box.appendChild(title);
+        box.appendChild(list);
+        box.hidden = false;
+    }
+
+    function _hideCaption() {
+        var box = document.getElementById('tour-caption');
+        if (box) box.hidden = true;
+    }
+
+    // ── Setup panel ──────────────────────────────────────────────────────────
+
+    // Editing order: the tour's layers first, then the ones left out
+    var _order = [];
+
+    function _dwellLabel(ms) {
+        return (ms / 1000) + ' seconds';
+    }
+
+    function _renderSteps() {
+        var list = document.getElementById('deep-dive-steps');
+        if (!list) return;
+        list.textContent = '';
+        _order.forEach(function(layer, i) {
+            var li = document.createElement('li');
+            li.className = 'tour-step';
+            var label = document.createElement('label');
+            var cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.checked = _config.layers.indexOf(layer) !== -1;
+            cb.addEventListener('change', _readSteps);
+            cb.dataset.layer = layer;
+            label.appendChild(cb);
+            label.appendChild(document.createTextNode(' ' + MapRenderer.LAYER_LABELS[layer]));
+            li.appendChild(label);
+            [['↑', -1, 'Move up'], ['↓', 1, 'Move down']].forEach(function(spec) {
+                var btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'table-action-btn';
+                btn.textContent = spec[0];
+                btn.setAttribute('aria-label', spec[2] + ': ' + MapRenderer.LAYER_LABELS[layer]);
+                var j = i + spec[1];
+                btn.disabled = j < 0 || j >= _order.length;
+                btn.addEventListener('click', function() {
+                    _order.splice(j, 0, _order.splice(i, 1)[0]);
+                    _readSteps();
+                    _renderSteps();
+                });
+                li.appendChild(btn);
+            });
+            list.appendChild(li);
+        });
+    }
+
+    // Checked layers in their listed order become the tour
+    function _readSteps() {
+        var checked = {};
+        document.querySelectorAll('#deep-dive-steps input[type="checkbox"]').forEach(function(cb) {
+            checked[cb.dataset.layer] = cb.checked;
+        });
+        _config.layers = _order.filter(function(layer) { return checked[layer]; });
+        _writeStorage();
+        _syncButtons();
+    }
+
+    function _renderRegionOptions() {
+        var sel = document.getElementById('deep-dive-region');
+        if (!sel) return;
+        sel.textContent = '';
+        var add = function(value, text) {
+            var opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            sel.appendChild(opt);
+        };
+        add('', 'Whole map');
+        add('view', _config.region && _config.region.bounds ? 'Saved map view' : 'Current map view');
+        Object.keys(FEATURED_STATES).forEach(function(code) {
+            if (DataHandler.getCountiesForState(code).length) add(code, FEATURED_STATES[code].label);
+        });
+        sel.value = !_config.region ? '' : _config.region.state || 'view';
+    }
+
+    function _syncButtons() {
+        var empty = !_config.layers.length;
+        ['deep-dive-start', 'deep-dive-export'].forEach(function(id) {
+            var btn = document.getElementById(id);
+            if (btn) btn.disabled = empty;
+        });
+    }
+
+    function _openPanel() {
+        var backdrop = document.getElementById('deep-dive-backdrop');
+        if (!backdrop) return;
+        _order = _config.layers.concat(TOUR_LAYERS.filter(function(l) { return _config.layers.indexOf(l) === -1; }));
+        _renderSteps();
+        _renderRegionOptions();
+        var dwell = document.getElementById('deep-dive-dwell');
+        if (dwell) dwell.value = String(_config.dwellMs);
+        _syncButtons();
+        backdrop.classList.add('open');
+    }
+
+    function _closePanel() {
+        var backdrop = document.getElementById('deep-dive-backdrop');
+        if (backdrop) backdrop.classList.remove('open');
+    }
+
+    function _bindEvents() {
+        var openBtn  = document.getElementById('deep-dive-setup-btn');
+        var closeBtn = document.getElementById('deep-dive-close');
+        var backdrop = document.getElementById('deep-dive-backdrop');
+        if (openBtn)  openBtn.addEventListener('click', _openPanel);
+        if (closeBtn) closeBtn.addEventListener('click', _closePanel);
+        if (backdrop) {
+            backdrop.addEventListener('click', function(e) {
+                if (e.target === backdrop) _closePanel();
+            });
+        }
+
+        var dwell = document.getElementById('deep-dive-dwell');
+        if (dwell) {
+            DWELL_OPTIONS.forEach(function(ms) {
+                var opt = document.createElement('option');
+                opt.value = String(ms);
+                opt.textContent = _dwellLabel(ms);
+                dwell.appendChild(opt);
+            });
+            dwell.addEventListener('change', function() {
+                _config.dwellMs = parseInt(dwell.value, 10) || DEFAULT_DWELL_MS;
+                _writeStorage();
+            });
+        }
+
+        var region = document.getElementById('deep-dive-region');
+        if (region) {
+            region.addEventListener('change', function() {
+                if (region.value === 'view') {
+                    // Capture the view on screen now; the tour returns to it each time it starts
+                    var b = MapRenderer._map.getBounds();
+                    _config.region = { bounds: [[b.getSouth(), b.getWest()], [b.getNorth(), b.getEast()]] };
+                } else {
+                    _config.region = region.value ? { state: region.value } : null;
+                }
+                _writeStorage();
+                _renderRegionOptions();
+            });
+        }
+
+        var startBtn = document.getElementById('deep-dive-start');
+        if (startBtn) {
+            startBtn.addEventListener('click', function() {
+                _closePanel();
+                MapRenderer.stopDeepDive();
+                MapRenderer.toggleDeepDive();
+            });
+        }
+        var exportBtn = document.getElementById('deep-dive-export');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', function() {
+                MapRenderer.stopDeepDive();
+                MapExport.exportTourToPPT(DeepDiveTour.getConfig(), 'deep-dive-export');
+            });
+        }
+
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') _closePanel();
+        });
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    var DeepDiveTour = {
+        TOUR_LAYERS: TOUR_LAYERS,
+        normalizeConfig: normalizeConfig,
+        buildCaption: buildCaption,
+        regionLabel: regionLabel,
+
+        bindUI: function() {
+            _config = normalizeConfig(_readStorage());
+            _bindEvents();
+        },
+
+        getConfig: function() {
+            return normalizeConfig(_config);
+        },
+
+        // Caption for a layer over the tour region's loaded counties
+        captionFor: function(layer, region) {
+            return buildCaption(layer, _regionCounties(region), regionLabel(region));
+        },
+
+        // Called by MapRenderer as each step comes up
+        showStep: function(layer, index, total, region) {
+            if (typeof document === 'undefined') return;
+            _showCaption(this.captionFor(layer, region), index, total, regionLabel(region));
+        },
+
+        hideCaption: function() {
+            if (typeof document === 'undefined') return;
+            _hideCaption();
+        }
+    };
+
+    global.DeepDiveTour = DeepDiveTour;
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,388 @@
+// County data validation against docs/current-data-contract.md
+// Checks types, ranges, nulls and operator array shape on every loaded county and
+// builds a per-state coverage report for the Data Quality panel, so bad rows are
+// caught in the app instead of in a client deck.
+
+(function(global) {
+    'use strict';
+
+    // ── Field contract ───────────────────────────────────────────────────────
+    // type: string | number | integer | boolean | operators | strings
+    // nullable: the contract lists the field as NULL (pending data), so null is expected
+    // optional: absent from the current exports; validated only when present
+    var FIELD_CONTRACT = [
+        { field: 'geoid',                     type: 'string', pattern: /^\d{5}$/ },
+        { field: 'name',                      type: 'string' },
+        { field: 'is_metro_county',           type: 'boolean' },
+        { field: 'is_stl_kc_metro',           type: 'boolean', optional: true },
+        { field: 'total_bsls',                type: 'integer', min: 0 },
+        { field: 'fiber_served',              type: 'integer', min: 0 },
+        { field: 'fiber_unserved',            type: 'integer', min: 0 },
+        { field: 'fiber_penetration',         type: 'number',  min: 0, max: 1 },
+        { field: 'operators',                 type: 'operators' },
+        { field: 'wireline_providers',        type: 'strings' },
+        { field: 'competitive_intensity',     type: 'integer', min: 0, max: 3 },
+        { field: 'competitive_label',         type: 'string' },
+        { field: 'total_broadband_providers', type: 'integer', min: 0 },
+        { field: 'population_2023',           type: 'integer', min: 0 },
+        { field: 'population_2018',           type: 'integer', min: 0 },
+        { field: 'pop_growth_pct',            type: 'number',  min: -100 },
+        { field: 'housing_units',             type: 'integer', min: 0 },
+        { field: 'housing_growth_pct',        type: 'number',  min: -100 },
+        { field: 'land_area_sqmi',            type: 'number',  min: 0 },
+        { field: 'pop_density',               type: 'number',  min: 0 },
+        { field: 'housing_density',           type: 'number',  min: 0 },
+        { field: 'median_hhi',                type: 'number',  min: 0 },
+        { field: 'median_rent',               type: 'number',  min: 0 },
+        { field: 'median_home_value',         type: 'number',  min: 0 },
+        { field: 'owner_occupied_pct',        type: 'number',  min: 0, max: 100 },
+        { field: 'wfh_pct',                   type: 'number',  min: 0, max: 100 },
+        { field: 'demo_score',                type: 'number',  min: 0, max: 1 },
+        { field: 'opportunity_score',         type: 'number',  min: 0, max: 1 },
+        { field: 'attractiveness_index',      type: 'number',  min: 0, max: 1 },
+        { field: 'segment',                   type: 'string' },
+        { field: 'bead_status',               type: 'string' },
+        { field: 'bead_dollars_awarded',      type: 'number',  min: 0, nullable: true },
+        { field: 'bead_awardees',             type: 'strings' },
+        { field: 'bead_locations_covered',    type: 'integer', min: 0, nullable: true },
+        { field: 'bead_claimed_pct',          type: 'number',  min: 0, max: 1, nullable: true },
+        { field: 'fiber_bsls_v5',             type: 'integer', min: 0, nullable: true, optional: true },
+        { field: 'fiber_bsls_v6',             type: 'integer', min: 0, nullable: true, optional: true },
+        { field: 'fiber_growth_net',          type: 'integer', nullable: true, optional: true },
+        { field: 'fiber_growth_pct',          type: 'number',  nullable: true },
+        { field: 'momentum_class',            type: 'string',  nullable: true },
+        { field: 'elevation_mean_ft',         type: 'number' },
+        { field: 'elevation_std_ft',          type: 'number',  min: 0 },
+        { field: 'terrain_roughness',         type: 'number',  min: 0, max: 1 },
+        { field: 'construction_cost_tier',    type: 'string' },
+        { field: 'build_difficulty',          type: 'string' },
+        { field: 'rucc_code',                 type: 'integer', min: 1, max: 9 },
+        { field: 'rucc_description',          type: 'string' },
+        { field: 'rural_class',               type: 'string' },
+        // Multi-tech columns added after the contract was written
+        { field: 'cable_served',              type: 'integer', min: 0, optional: true },
+        { field: 'dsl_served',                type: 'integer', min: 0, optional: true },
+        { field: 'cable_coverage_pct',        type: 'number',  min: 0, max: 1, optional: true },
+        { field: 'cable_operators',           type: 'operators', optional: true },
+        { field: 'dsl_operators',             type: 'operators', optional: true }
+    ];
+
+    // Served counts are rounded independently of penetration in the pipeline
+    var PENETRATION_TOLERANCE = 0.005;
+    var UNSERVED_TOLERANCE    = 1;
+
+    var MAX_LISTED_ISSUES = 200;
+
+    function isNumber(v) {
+        return typeof v === 'number' && isFinite(v);
+    }
+
+    function issue(field, code, message) {
+        return { field: field, code: code, message: message };
+    }
+
+    // Type-specific check for a present, non-null value; returns an issue or null
+    function checkValue(spec, v) {
+        var f = spec.field;
+        switch (spec.type) {
+            case 'string':
+                if (typeof v !== 'string') return issue(f, 'type', f + ' should be text');
+                if (!v.trim()) return issue(f, 'null', f + ' is empty');
+                if (spec.pattern && !spec.pattern.test(v)) return issue(f, 'type', f + ' "' + v + '" is malformed');
+                return null;
+            case 'boolean':
+                return typeof v === 'boolean' ? null : issue(f, 'type', f + ' should be true/false');
+            case 'strings':
+                if (!Array.isArray(v)) return issue(f, 'shape', f + ' should be an array');
+                for (var i = 0; i < v.length; i++) {
+                    if (typeof v[i] !== 'string') return issue(f, 'shape', f + '[' + i + '] should be text');
+                }
+                return null;
+            case 'operators':
+                if (!Array.isArray(v)) return issue(f, 'shape', f + ' should be an array');
+                for (var j = 0; j < v.length; j++) {
+                    var op = v[j];
+                    if (!op || typeof op !== 'object') return issue(f, 'shape', f + '[' + j + '] should be an object');
+                    if (typeof op.name !== 'string' || !op.name.trim()) return issue(f, 'shape', f + '[' + j + '] has no name');
+                    if (!isNumber(op.passings) || op.passings < 0) {
+                        return issue(f, 'shape', f + '[' + j + '] (' + op.name + ') has invalid passings');
+                    }
+                }
+                return null;
+        }
+        // number / integer
+        if (!isNumber(v)) return issue(f, 'type', f + ' should be a number');
+        if (spec.type === 'integer' && Math.floor(v) !== v) return issue(f, 'type', f + ' should be a whole number');
+        if (spec.min !== undefined && v < spec.min) return issue(f, 'range', f + ' ' + v + ' is below ' + spec.min);
+        if (spec.max !== undefined && v > spec.max) return issue(f, 'range', f + ' ' + v + ' is above ' + spec.max);
+        return null;
+    }
+
+    function checkField(spec, county) {
+        var f = spec.field;
+        if (!(f in county) || county[f] === undefined) {
+            return spec.optional ? null : issue(f, 'missing', f + ' is missing');
+        }
+        if (county[f] === null) {
+            return spec.nullable ? null : issue(f, 'null', f + ' is null');
+        }
+        return checkValue(spec, county[f]);
+    }
+
+    // Relationships between fields that hold on a valid row
+    function checkConsistency(county) {
+        var issues = [];
+        var total = county.total_bsls;
+        if (!isNumber(total)) return issues;
+        ['fiber_served', 'cable_served', 'dsl_served'].forEach(function(f) {
+            if (isNumber(county[f]) && county[f] > total) {
+                issues.push(issue(f, 'consistency', f + ' ' + county[f] + ' exceeds total_bsls ' + total));
+            }
+        });
+        var served = county.fiber_served;
+        if (!isNumber(served) || total <= 0) return issues;
+        if (isNumber(county.fiber_unserved) && Math.abs(county.fiber_unserved - (total - Math.min(served, total))) > UNSERVED_TOLERANCE) {
+            issues.push(issue('fiber_unserved', 'consistency', 'fiber_unserved ' + county.fiber_unserved + ' ≠ total_bsls − fiber_served'));
+        }
+        if (isNumber(county.fiber_penetration) && Math.abs(county.fiber_penetration - served / total) > PENETRATION_TOLERANCE) {
+            issues.push(issue('fiber_penetration', 'consistency', 'fiber_penetration ' + county.fiber_penetration + ' ≠ fiber_served / total_bsls'));
+        }
+        return issues;
+    }
+
+    var DataValidator = {
+        FIELD_CONTRACT: FIELD_CONTRACT,
+
+        /**
+         * Every contract violation on one county row.
+         * @param {Object} county
+         * @returns {Array<{field, code, message}>} code: missing | null | type | range | shape | consistency
+         */
+        validateCounty: function(county) {
+            if (!county || typeof county !== 'object') return [issue('geoid', 'shape', 'row is not an object')];
+            var issues = [];
+            for (var i = 0; i < FIELD_CONTRACT.length; i++) {
+                var found = checkField(FIELD_CONTRACT[i], county);
+                if (found) issues.push(found);
+            }
+            return issues.concat(checkConsistency(county));
+        },
+
+        /**
+         * Validate a set of counties and summarize per state. Coverage is the share of
+         * counties with a valid value for each contract field; a state's overall
+         * coverage averages the fields that are not expected to be pending/absent.
+         * @param {Array<Object>} counties
+         * @returns {{ total, clean, states: Array, offenders: Array, issueCounts: Object }}
+         */
+        validateCounties: function(counties) {
+            var scored = FIELD_CONTRACT.filter(function(s) { return !s.nullable && !s.optional; });
+            var byState = {};
+            var offenders = [];
+            var issueCounts = {};
+            var clean = 0;
+
+            counties.forEach(function(county) {
+                var sc = (county && county.state_code) || '??';
+                var st = byState[sc];
+                if (!st) {
+                    st = byState[sc] = { state_code: sc, counties: 0, clean: 0, valid: {} };
+                    scored.forEach(function(s) { st.valid[s.field] = 0; });
+                }
+                st.counties++;
+
+                var issues = DataValidator.validateCounty(county);
+                var bad = {};
+                issues.forEach(function(x) {
+                    bad[x.field] = true;
+                    issueCounts[x.field] = (issueCounts[x.field] || 0) + 1;
+                });
+                scored.forEach(function(s) { if (!bad[s.field]) st.valid[s.field]++; });
+
+                if (issues.length === 0) {
+                    st.clean++;
+                    clean++;
+                } else {
+                    offenders.push({
+                        geoid: county && county.geoid,
+                        name: county && county.name,
+                        state_code: sc,
+                        issues: issues
+                    });
+                }
+            });
+
+            var states = Object.keys(byState).sort().map(function(sc) {
+                var st = byState[sc];
+                var fields = {};
+                var sum = 0;
+                var weakest = null;
+                scored.forEach(function(s) {
+                    var pct = st.valid[s.field] / st.counties;
+                    fields[s.field] = pct;
+                    sum += pct;
+                    if (pct < 1 && (!weakest || pct < fields[weakest])) weakest = s.field;
+                });
+                return {
+                    state_code: sc,
+                    counties: st.counties,
+                    clean: st.clean,
+                    coverage: scored.length ? sum / scored.length : 1,
+                    fields: fields,
+                    weakest: weakest
+                };
+            });
+
+            offenders.sort(function(a, b) {
+                return b.issues.length - a.issues.length || String(a.geoid).localeCompare(String(b.geoid));
+            });
+
+            return { total: counties.length, clean: clean, states: states, offenders: offenders, issueCounts: issueCounts };
+        },
+
+        bindUI: function() {
+            _bindEvents();
+        }
+    };
+
+    // ── Data Quality panel ───────────────────────────────────────────────────
+    var _report = null;
+
+    function _pct(v) {
+        return (v * 100).toFixed(v < 1 && v > 0.995 ? 1 : 0) + '%';
+    }
+
+    function _cell(tr, text, className) {
+        var td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        tr.appendChild(td);
+        return td;
+    }
+
+    function _renderStates() {
+        var tbody = document.getElementById('data-quality-states');
+        if (!tbody) return;
+        tbody.textContent = '';
+        _report.states.forEach(function(s) {
+            var tr = document.createElement('tr');
+            tr.dataset.state = s.state_code;
+            _cell(tr, s.state_code);
+            _cell(tr, s.counties.toLocaleString());
+            _cell(tr, _pct(s.clean / s.counties), s.clean < s.counties ? 'dq-warn' : '');
+            _cell(tr, _pct(s.coverage), s.coverage < 1 ? 'dq-warn' : '');
+            _cell(tr, s.weakest ? s.weakest + ' (' + _pct(s.fields[s.weakest]) + ')' : '—');
+            tr.addEventListener('click', function() {
+                var select = document.getElementById('data-quality-state');
+                if (select) select.value = s.state_code;
+                _renderOffenders();
+            });
+            tbody.appendChild(tr);
+        });
+    }
+
+    function _renderOffenders() {
+        var list   = document.getElementById('data-quality-offenders');
+        var select = document.getElementById('data-quality-state');
+        var note   = document.getElementById('data-quality-offender-note');
+        if (!list) return;
+        var sc = select ? select.value : '';
+        var rows = _report.offenders.filter(function(o) { return !sc || o.state_code === sc; });
+
+        list.textContent = '';
+        rows.slice(0, MAX_LISTED_ISSUES).forEach(function(o) {
+            var li = document.createElement('li');
+            var btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'dq-county-btn';
+            btn.textContent = (o.name || o.geoid) + ', ' + o.state_code;
+            btn.title = 'Show ' + o.geoid + ' on the map';
+            btn.addEventListener('click', function() {
+                _closePanel();
+                DataHandler.loadStateData(o.state_code).then(function() {
+                    InfoPanel.pinCounty(o.geoid);
+                });
+            });
+            var msg = document.createElement('span');
+            msg.className = 'dq-issues';
+            msg.textContent = o.issues.map(function(x) { return x.message; }).join('; ');
+            li.appendChild(btn);
+            li.appendChild(msg);
+            list.appendChild(li);
+        });
+
+        if (note) {
+            note.textContent = rows.length === 0
+                ? 'No offending counties' + (sc ? ' in ' + sc : '') + '.'
+                : rows.length.toLocaleString() + ' offending ' + (rows.length === 1 ? 'county' : 'counties') +
+                  (rows.length > MAX_LISTED_ISSUES ? ' (showing the first ' + MAX_LISTED_ISSUES + ')' : '') + '.';
+        }
+    }
+
+    function _render() {
+        _report = DataHandler.validateLoadedCounties();
+        var summary = document.getElementById('data-quality-summary');
+        if (summary) {
+            summary.textContent = _report.total.toLocaleString() + ' counties in ' + _report.states.length +
+                ' states checked against ' + FIELD_CONTRACT.length + ' contract fields — ' +
+                _report.clean.toLocaleString() + ' clean, ' + _report.offenders.length.toLocaleString() + ' with issues.';
+        }
+
+        var select = document.getElementById('data-quality-state');
+        if (select) {
+            var current = select.value;
+            select.textContent = '';
+            var all = document.createElement('option');
+            all.value = '';
+            all.textContent = 'All states';
+            select.appendChild(all);
+            _report.states.forEach(function(s) {
+                var opt = document.createElement('option');
+                opt.value = s.state_code;
+                opt.textContent = s.state_code + ' (' + (s.counties - s.clean) + ')';
+                select.appendChild(opt);
+            });
+            select.value = current;
+            if (select.value !== current) select.value = '';
+        }
+
+        _renderStates();
+        _renderOffenders();
+    }
+
+    function _openPanel() {
+        var backdrop = document.getElementById('data-quality-backdrop');
+        if (!backdrop) return;
+        var summary = document.getElementById('data-quality-summary');
+        if (summary) summary.textContent = 'Loading every county…';
+        backdrop.classList.add('open');
+        // Validate the full national set, not just the states viewed so far
+        DataHandler.loadAllCounties().then(_render).catch(function(error) {
+            console.warn('Data quality check failed:', error.message);
+            if (summary) summary.textContent = 'Could not load every county.';
+        });
+    }
+
+    function _closePanel() {
+        var backdrop = document.getElementById('data-quality-backdrop');
+        if (backdrop) backdrop.classList.remove('open');
+    }
+
+    function _bindEvents() {
+        var openBtn  = document.getElementById('data-quality-btn');
+        var closeBtn = document.getElementById('data-quality-close');
+        var backdrop = document.getElementById('data-quality-backdrop');
+        var select   = document.getElementById('data-quality-state');
+        if (openBtn)  openBtn.addEventListener('click', _openPanel);
+        if (closeBtn) closeBtn.addEventListener('click', _closePanel);
+        if (select)   select.addEventListener('change', _renderOffenders);
+        if (backdrop) {
+            backdrop.addEventListener('click', function(e) {
+                if (e.target === backdrop) _closePanel();
+            });
+        }
+    }
+
+    global.DataValidator = DataValidator;
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,139 @@
+#!/usr/bin/env python3
+"""
+Build the CBSA (metropolitan / micropolitan statistical area) membership file
+the map's Metro filter, metro outlines and metro aggregate rows read.
+
+Source: Census Bureau delineation file "List 1" (CBSAs, CSAs and their
+component counties), July 2023 vintage.
+
+Output: data/cbsa-membership.json
+  {
+    "vintage": "2023-07",
+    "source":  "<delineation URL>",
+    "cbsas": {
+      "41180": { "name": "St. Louis, MO-IL", "type": "metro", "counties": ["17005", ...] },
+      ...
+    }
+  }
+
+Usage:
+  python3 scripts/build_cbsa_membership.py                 # download list1_2023.xlsx
+  python3 scripts/build_cbsa_membership.py --input list1_2023.xlsx
+"""
+
+import argparse
+import glob
+import io
+import json
+import os
+import sys
+import urllib.request
+
+import openpyxl
+
+SCRIPT_DIR = os.path.dirname(os.path.abspath(__file__))
+DATA_DIR = os.path.join(SCRIPT_DIR, '..', 'data')
+OUT_PATH = os.path.join(DATA_DIR, 'cbsa-membership.json')
+
+VINTAGE = '2023-07'
+DELINEATION_URL = (
+    'https://www2.census.gov/programs-surveys/metro-micro/geographies/'
+    'reference-files/2023/delineation-files/list1_2023.xlsx'
+)
+
+# Columns read from the delineation sheet (header text as published)
+COL_CBSA  = 'CBSA Code'
+COL_TITLE = 'CBSA Title'
+COL_TYPE  = 'Metropolitan/Micropolitan Statistical Area'
+COL_STATE = 'FIPS State Code'
+COL_CNTY  = 'FIPS County Code'
+
+
+def load_workbook_bytes(path):
+    if path:
+        with open(path, 'rb') as f:
+            return f.read()
+    print(f'  Fetching {DELINEATION_URL} ... ', end='', flush=True)
+    with urllib.request.urlopen(DELINEATION_URL, timeout=60) as resp:
+        data = resp.read()
+    print(f'OK ({len(data) // 1024} KB)')
+    return data
+
+
+def read_rows(xlsx_bytes):
+    """Yield dict rows; the sheet has title lines above the header and notes below the data."""
+    wb = openpyxl.load_workbook(io.BytesIO(xlsx_bytes), read_only=True, data_only=True)
+    ws = wb.worksheets[0]
+    header = None
+    for row in ws.iter_rows(values_only=True):
+        cells = [str(c).strip() if c is not None else '' for c in row]
+        if header is None:
+            if COL_CBSA in cells:
+                header = cells
+            continue
+        if not cells[header.index(COL_CBSA)].isdigit():
+            continue  # footnotes
+        yield dict(zip(header, cells))
+
+
+def build(rows):
+    cbsas = {}
+    for r in rows:
+        code = r[COL_CBSA].zfill(5)
+        geoid = r[COL_STATE].zfill(2) + r[COL_CNTY].zfill(3)
+        kind = 'metro' if r[COL_TYPE].startswith('Metropolitan') else 'micro'
+        entry = cbsas.setdefault(code, {'name': r[COL_TITLE], 'type': kind, 'counties': []})
+        # Each county is listed once (with its metro division, if any); guard anyway
+        if geoid not in entry['counties']:
+            entry['counties'].append(geoid)
+    for entry in cbsas.values():
+        entry['counties'].sort()
+    return {
+        'vintage': VINTAGE,
+        'source': DELINEATION_URL,
+        'cbsas': dict(sorted(cbsas.items())),
+    }
+
+
+def uncovered_states(out):
+    """Loaded states (data/*-unified-data.json) with no county in any CBSA."""
+    in_cbsa = {g[:2] for c in out['cbsas'].values() for g in c['counties']}
+    missing = []
+    for path in sorted(glob.glob(os.path.join(DATA_DIR, '*-unified-data.json'))):
+        with open(path) as f:
+            geoids = list(json.load(f))
+        if geoids and geoids[0][:2] not in in_cbsa:
+            missing.append(os.path.basename(path).split('-')[0].upper())
+    return missing
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('--input', help='local copy of list1_2023.xlsx (skips the download)')
+    args = parser.parse_args()
+
+    try:
+        xlsx = load_workbook_bytes(args.input)
+    except Exception as e:
+        print(f'ERROR: could not read delineation file: {e}')
+        sys.exit(1)
+
+    out = build(read_rows(xlsx))
+    n_metro = sum(1 for c in out['cbsas'].values() if c['type'] == 'metro')
+    n_counties = sum(len(c['counties']) for c in out['cbsas'].values())
+    if not out['cbsas']:
+        print('ERROR: no CBSA rows found — has the sheet layout changed?')
+        sys.exit(1)
+    # Every state has at least one CBSA; a gap means a truncated or wrong sheet
+    missing = uncovered_states(out)
+    if missing:
+        print(f'ERROR: no CBSA counties for loaded states: {", ".join(missing)}')
+        sys.exit(1)
+
+    with open(OUT_PATH, 'w') as f:
+        json.dump(out, f, separators=(',', ':'))
+    print(f'  Wrote {len(out["cbsas"])} CBSAs ({n_metro} metro) covering {n_counties} counties → {OUT_PATH}')
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,44 @@
+-- ============================================================
+-- FiberMapUSA — County Annotations
+-- Run in: Supabase Dashboard → SQL Editor
+-- ============================================================
+-- Per-user notes, tags and pipeline status on counties, written
+-- from the app by signed-in users (guests keep theirs in
+-- localStorage). Row Level Security limits every user to their
+-- own rows; nothing here is public.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS county_annotations (
+  id          bigint      GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  user_id     uuid        NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id) ON DELETE CASCADE,
+  geoid       text        NOT NULL,               -- 5-digit county FIPS e.g. '29189'
+  note        text        NOT NULL DEFAULT '' CHECK (char_length(note) <= 2000),
+  tags        text[]      NOT NULL DEFAULT '{}',  -- e.g. {'diligence','LOI'}
+  status      text        CHECK (status IN ('prospect', 'active', 'hold', 'closed', 'dropped')),
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, geoid)                         -- the app upserts on this pair
+);
+
+-- Primary query: every annotation of the signed-in user
+CREATE INDEX IF NOT EXISTS idx_county_annotations_user
+  ON county_annotations (user_id);
+
+ALTER TABLE county_annotations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_select_county_annotations" ON county_annotations;
+DROP POLICY IF EXISTS "own_insert_county_annotations" ON county_annotations;
+DROP POLICY IF EXISTS "own_update_county_annotations" ON county_annotations;
+DROP POLICY IF EXISTS "own_delete_county_annotations" ON county_annotations;
+
+CREATE POLICY "own_select_county_annotations"
+  ON county_annotations FOR SELECT TO authenticated USING (user_id = auth.uid());
+
+CREATE POLICY "own_insert_county_annotations"
+  ON county_annotations FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "own_update_county_annotations"
+  ON county_annotations FOR UPDATE TO authenticated
+  USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "own_delete_county_annotations"
+  ON county_annotations FOR DELETE TO authenticated USING (user_id = auth.uid());
@@ -0,0 +1,7 @@
+-- Index provider_passings_history by filing date for the as-of-filing snapshot selector.
+-- Run in: Supabase Dashboard → SQL Editor
+-- The app lists distinct filing dates and pages through one filing at a time
+-- (WHERE filing_date = ? ORDER BY id); neither existing index leads with filing_date.
+
+CREATE INDEX IF NOT EXISTS idx_pph_filing_date_id
+  ON provider_passings_history (filing_date, id);
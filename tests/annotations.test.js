@@ -0,0 +1,104 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/sources.js');
+require('../js/annotations.js');
+
+const { CountyAnnotations, DataSources } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function fakeStorage() {
+  const items = {};
+  return {
+    items,
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+  };
+}
+
+(async () => {
+  await test('tags are trimmed, split on commas and deduplicated in any case', () => {
+    assert.deepStrictEqual(CountyAnnotations.parseTags(' diligence, LOI ,,Diligence,  phase   2 '), ['diligence', 'LOI', 'phase 2']);
+    assert.deepStrictEqual(CountyAnnotations.parseTags(['passed', 'passed', null]), ['passed']);
+    assert.strictEqual(CountyAnnotations.parseTags('a,b,c,d,e,f,g,h,i,j,k,l,m,n').length, 12);
+  });
+
+  await test('annotations need a county FIPS and drop unknown statuses', () => {
+    assert.strictEqual(CountyAnnotations.normalizeAnnotation({ geoid: 'mkt:1', note: 'x' }), null);
+    assert.deepStrictEqual(CountyAnnotations.normalizeAnnotation({ geoid: '29001', note: '  call the co-op ', tags: 'LOI', status: 'won' }),
+      { geoid: '29001', note: 'call the co-op', tags: ['LOI'], status: null, updated_at: null });
+  });
+
+  await test('the tag filter matches a tag in any case, or any annotation', () => {
+    const a = CountyAnnotations.normalizeAnnotation({ geoid: '29001', tags: ['LOI'] });
+    assert.strictEqual(CountyAnnotations.matchesTag(a, 'loi'), true);
+    assert.strictEqual(CountyAnnotations.matchesTag(a, 'passed'), false);
+    assert.strictEqual(CountyAnnotations.matchesTag(a, CountyAnnotations.ANY_ANNOTATION), true);
+    assert.strictEqual(CountyAnnotations.matchesTag(null, CountyAnnotations.ANY_ANNOTATION), false);
+    assert.strictEqual(CountyAnnotations.matchesTag(null, ''), true);
+  });
+
+  await test('the guest store keeps annotations in one localStorage entry', async () => {
+    const storage = fakeStorage();
+    assert.strictEqual(await CountyAnnotations.useStore(CountyAnnotations.createLocalStore(storage), null), true);
+    assert.strictEqual(await CountyAnnotations.save('29001', { note: 'Co-op territory', tags: 'diligence, LOI', status: 'active' }), true);
+    assert.strictEqual(await CountyAnnotations.save('29003', { tags: ['passed'] }), true);
+    assert.deepStrictEqual(Object.keys(JSON.parse(storage.items['fibermap.annotations'])), ['29001', '29003']);
+    assert.deepStrictEqual(CountyAnnotations.allTags(), ['diligence', 'LOI', 'passed']);
+    assert.deepStrictEqual(CountyAnnotations.exportFields('29001'), ['Active', 'diligence; LOI', 'Co-op territory']);
+    assert.deepStrictEqual(CountyAnnotations.exportFields('29005'), ['', '', '']);
+
+    // Clearing every field removes the annotation
+    assert.strictEqual(await CountyAnnotations.save('29003', { note: ' ', tags: '' }), true);
+    assert.strictEqual(CountyAnnotations.get('29003'), null);
+    assert.deepStrictEqual(Object.keys(JSON.parse(storage.items['fibermap.annotations'])), ['29001']);
+
+    // A fresh load reads them back
+    await CountyAnnotations.useStore(CountyAnnotations.createLocalStore(storage), null);
+    assert.strictEqual(CountyAnnotations.get('29001').status, 'active');
+    assert.strictEqual(CountyAnnotations.matches('29001', 'loi'), true);
+  });
+
+  await test('the account store writes user_id and reads through the data source', async () => {
+    const fixture = { files: {}, county_annotations: [{ geoid: '27001', note: 'Met the board', tags: ['diligence'], status: 'prospect' }] };
+    const source = DataSources.createMemorySource(fixture);
+    await CountyAnnotations.useStore(CountyAnnotations.createAccountStore(source, 'user-1'), 'user-1');
+    assert.deepStrictEqual(CountyAnnotations.all().map(a => a.geoid), ['27001']);
+    assert.strictEqual(CountyAnnotations.get('29001'), null);
+
+    await CountyAnnotations.save('27003', { status: 'hold' });
+    assert.strictEqual(fixture.county_annotations.find(r => r.geoid === '27003').user_id, 'user-1');
+    await CountyAnnotations.remove('27001');
+    assert.deepStrictEqual(fixture.county_annotations.map(r => r.geoid), ['27003']);
+  });
+
+  await test('a failing store keeps the annotation unsaved', async () => {
+    const broken = {
+      id: 'account',
+      list: async () => [],
+      save: async () => { throw new Error('RLS violation'); },
+      remove: async () => { throw new Error('offline'); }
+    };
+    await CountyAnnotations.useStore(broken, 'user-1');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.strictEqual(await CountyAnnotations.save('29001', { note: 'x' }), false);
+      assert.strictEqual(await CountyAnnotations.save('nope', { note: 'x' }), false);
+    } finally {
+      console.warn = warn;
+    }
+    assert.strictEqual(CountyAnnotations.get('29001'), null);
+    await assert.rejects(DataSources.createStaticSource().fetchAnnotations(), /not available/);
+  });
+})();
@@ -0,0 +1,144 @@
+const assert = require('assert');
+
+require('../js/sources.js');
+require('../js/cache.js');
+require('../js/data.js');
+
+const { DataHandler, DataSources } = global;
+const RealDataCache = global.DataCache;
+const { _fetchTableVersion, _fetchAllCountyRows } = DataHandler;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+// In-memory stand-in for the IndexedDB store
+function memoryCache(entries) {
+  const store = Object.assign({}, entries);
+  return {
+    store,
+    get: async (name) => store[name] || null,
+    set: async (name, version, value) => { store[name] = { name, version, value }; return true; },
+    remove: async (name) => { delete store[name]; return true; },
+    clear: async () => true
+  };
+}
+
+function restoreFetchers() {
+  DataHandler._fetchTableVersion = _fetchTableVersion;
+  DataHandler._fetchAllCountyRows = _fetchAllCountyRows;
+}
+
+function resetCountyState() {
+  DataHandler._stateCountyData = {};
+  DataHandler._stateLoadPromises = {};
+  DataHandler._countyCachePromise = null;
+  DataHandler._allCountiesPromise = null;
+  DataHandler._refreshing = {};
+  DataHandler._refreshListeners = [];
+}
+
+// Cache entries are namespaced by the active source's id
+DataSources.configure(Object.assign(DataSources.createMemorySource({}), { id: 'test' }), null);
+
+(async () => {
+  await test('DataCache degrades to a miss without IndexedDB', async () => {
+    assert.strictEqual(await RealDataCache.get('counties'), null);
+    assert.strictEqual(await RealDataCache.set('counties', 'v1', []), false);
+  });
+
+  await test('warm loadAllCounties serves cached rows and skips the refresh when the version matches', async () => {
+    resetCountyState();
+    global.DataCache = memoryCache({
+      'test|counties': { name: 'test|counties', version: 'v1', value: [
+        { geoid: '99001', state_code: 'ZZ', name: 'Cached', fiber_penetration: 0.5, fiber_unserved: 10 }
+      ] }
+    });
+    let refetched = false;
+    DataHandler._fetchTableVersion = async () => 'v1';
+    DataHandler._fetchAllCountyRows = async () => { refetched = true; return { rows: [], complete: true }; };
+
+    const progress = [];
+    await DataHandler.loadAllCounties((n, total) => progress.push([n, total]));
+    await DataHandler._refreshing.counties;
+
+    assert.deepStrictEqual(progress, [[1, 1]]);
+    assert.strictEqual(DataHandler.getCountyData('99001').name, 'Cached');
+    assert.ok(Number.isFinite(DataHandler.getCountyData('99001').attractiveness_index));
+    assert.strictEqual(refetched, false);
+    restoreFetchers();
+  });
+
+  await test('a changed upstream version refreshes cached counties in the background', async () => {
+    resetCountyState();
+    const cache = memoryCache({
+      'test|counties': { name: 'test|counties', version: 'v1', value: [{ geoid: '99001', state_code: 'ZZ', name: 'Old' }] }
+    });
+    global.DataCache = cache;
+    DataHandler._fetchTableVersion = async () => 'v2';
+    DataHandler._fetchAllCountyRows = async () => ({
+      rows: [{ geoid: '99001', state_code: 'ZZ', name: 'New' }], complete: true
+    });
+    const refreshed = [];
+    DataHandler.onDataRefresh((table) => refreshed.push(table));
+
+    await DataHandler.loadAllCounties();
+    assert.strictEqual(await DataHandler._refreshing.counties, true);
+    assert.strictEqual(DataHandler.getCountyData('99001').name, 'New');
+    assert.strictEqual(cache.store['test|counties'].version, 'v2');
+    assert.deepStrictEqual(refreshed, ['counties']);
+    restoreFetchers();
+  });
+
+  await test('warm static JSON is revalidated with a HEAD request and refetched only when changed', async () => {
+    resetCountyState();
+    const requests = [];
+    let etag = '"v1"';
+    global.fetch = async (url, init) => {
+      requests.push([url, (init && init.method) || 'GET', init && init.cache]);
+      return { ok: true, headers: { get: h => (h === 'ETag' ? etag : null) }, json: async () => ({ etag }) };
+    };
+    DataSources.configure(DataSources.createStaticSource(), null);
+    global.DataCache = memoryCache({
+      'static:data/|data/us-states.json': { name: 'static:data/|data/us-states.json', version: '"v1"', value: { etag: '"v1"' } }
+    });
+    try {
+      assert.deepStrictEqual(await DataHandler._fetchJsonCached('data/us-states.json', 'states'), { etag: '"v1"' });
+      assert.strictEqual(await DataHandler._refreshing['data/us-states.json'], false);
+      assert.deepStrictEqual(requests, [['data/us-states.json', 'HEAD', 'no-cache']]);
+
+      DataHandler._refreshing = {};
+      requests.length = 0;
+      etag = '"v2"';
+      await DataHandler._fetchJsonCached('data/us-states.json', 'states');
+      assert.strictEqual(await DataHandler._refreshing['data/us-states.json'], true);
+      assert.deepStrictEqual(requests, [['data/us-states.json', 'HEAD', 'no-cache'], ['data/us-states.json', 'GET', 'no-cache']]);
+      assert.strictEqual(DataCache.store['static:data/|data/us-states.json'].version, '"v2"');
+    } finally {
+      delete global.fetch;
+      DataSources.configure(Object.assign(DataSources.createMemorySource({}), { id: 'test' }), null);
+    }
+  });
+
+  await test('cold loadAllCounties caches complete fetches only', async () => {
+    resetCountyState();
+    const cache = memoryCache({});
+    global.DataCache = cache;
+    DataHandler._fetchTableVersion = async () => 'v3';
+    DataHandler._fetchAllCountyRows = async () => ({
+      rows: [{ geoid: '99002', state_code: 'ZZ', name: 'Partial' }], complete: false
+    });
+    await DataHandler.loadAllCounties();
+    assert.strictEqual(DataHandler.getCountyData('99002').name, 'Partial');
+    assert.strictEqual(cache.store['test|counties'], undefined);
+    restoreFetchers();
+    global.DataCache = RealDataCache;
+  });
+})();
@@ -0,0 +1,73 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/sources.js');
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/markets.js');
+require('../js/map.js');
+
+const { ColorScales, DataHandler, DataSources, MapRenderer, ProviderIndex } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+const fixture = {
+  files: {},
+  state_summary: [],
+  counties: [
+    { geoid: '29001', state_code: 'MO', name: 'Adair', total_bsls: 1000, fiber_served: 200, fiber_penetration: 0.2,
+      cable_coverage_pct: 0.9, terrain_roughness: 3.5,
+      operators: [{ name: 'AT&T', fiber_passings: 200 }, { name: 'Spectrum', fiber_passings: 0, cable_passings: 900 }] }
+  ]
+};
+
+(async () => {
+  DataSources.configure(DataSources.createMemorySource(fixture), null);
+  await DataHandler.loadAllCounties();
+  const adair = DataHandler.getCountyData('29001');
+
+  await test('compare specs fall back to a comparable layer and a known tech', () => {
+    assert.deepStrictEqual(MapRenderer._normalizeCompareSpec({ mode: 'market', layer: 'terrain' }), { mode: 'market', layer: 'terrain' });
+    assert.deepStrictEqual(MapRenderer._normalizeCompareSpec({ mode: 'market', layer: 'delta' }), { mode: 'market', layer: 'attractiveness' });
+    assert.deepStrictEqual(MapRenderer._normalizeCompareSpec({ mode: 'provider', provider: 'Spectrum', tech: 'coax' }),
+      { mode: 'provider', provider: 'Spectrum', tech: 'fiber' });
+    assert.deepStrictEqual(MapRenderer._normalizeCompareSpec({ mode: 'provider' }), { mode: 'market', layer: 'attractiveness' });
+  });
+
+  await test('the second view colors by its own layer and leaves the primary view alone', () => {
+    MapRenderer.currentMode = 'market';
+    MapRenderer.currentLayer = 'penetration';
+    MapRenderer.setCompareSpec({ mode: 'market', layer: 'cable' });
+    assert.strictEqual(MapRenderer._compareColor(adair), ColorScales.getColor('cable', 0.9));
+    assert.strictEqual(MapRenderer.currentLayer, 'penetration');
+    assert.strictEqual(MapRenderer._countyColor(adair), ColorScales.getColor('penetration', 0.2));
+  });
+
+  await test('a provider spec colors by that provider\'s footprint in its tech', () => {
+    MapRenderer.currentMode = 'provider';
+    MapRenderer.currentProvider = 'AT&T';
+    MapRenderer._rebuildProviderFootprint();
+    MapRenderer.setCompareSpec({ mode: 'provider', provider: 'Spectrum', tech: 'cable' });
+    assert.strictEqual(MapRenderer._compareColor(adair), ColorScales.getColor('provider', 0.9));
+    assert.strictEqual(MapRenderer._countyColor(adair), ColorScales.getColor('provider', 0.2));
+    assert.strictEqual(MapRenderer.currentProvider, 'AT&T');
+    assert.strictEqual(MapRenderer.describeView(MapRenderer.compareSpec), ProviderIndex.getDisplayName('Spectrum') + ' — Cable');
+    assert.strictEqual(MapRenderer.describeView({ mode: 'market', layer: 'terrain' }), 'Build Difficulty');
+  });
+
+  await test('compare mode needs a known mode and a rendered map', () => {
+    assert.strictEqual(MapRenderer.setCompareMode('overlay'), false);
+    assert.strictEqual(MapRenderer.setCompareMode('swipe'), false);
+    assert.strictEqual(MapRenderer.setCompareMode(null), true);
+    assert.strictEqual(MapRenderer.compareMode, null);
+  });
+})();
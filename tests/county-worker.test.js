@@ -0,0 +1,160 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/sources.js');
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/county-worker.js');
+
+const { DataHandler, DataSources, ProviderIndex, CountyLoader } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, state, operators) {
+  return {
+    geoid, state_code: state, name: 'County ' + geoid,
+    total_bsls: 1000, fiber_served: 300, median_hhi: 60000, population_2023: 20000, housing_units: 9000,
+    operators
+  };
+}
+
+const fixture = {
+  counties: [
+    county('29001', 'MO', [{ name: 'AT&T Inc.', passings: 200, fiber_passings: 200, dsl_passings: 50 }]),
+    county('29003', 'MO', [{ name: 'Sparklight', passings: 0, fiber_passings: 0, cable_passings: 700 }]),
+    county('20001', 'KS', [
+      { name: 'AT&T', passings: 100, dsl_passings: 10 },
+      { name: 'AT&T Services, Inc.', passings: 5 }
+    ])
+  ]
+};
+
+// Runs CountyLoader in-process behind the Worker interface DataHandler uses
+class FakeWorker {
+  constructor(url) { FakeWorker.urls.push(url); }
+  postMessage(message) {
+    const msg = JSON.parse(JSON.stringify(message));
+    FakeWorker.received.push(msg.type);
+    CountyLoader.handle(msg, (out) => this.onmessage({ data: JSON.parse(JSON.stringify(out)) }));
+  }
+  terminate() { FakeWorker.terminated++; }
+}
+FakeWorker.urls = [];
+FakeWorker.terminated = 0;
+FakeWorker.received = [];
+
+function resetHandler() {
+  DataHandler._stateCountyData = {};
+  DataHandler._stateLoadPromises = {};
+  DataHandler._countyCachePromise = null;
+  DataHandler._allCountiesPromise = null;
+  DataHandler._providerFootprints = null;
+}
+
+(async () => {
+  await test('buildFootprintIndex sums canonical providers per county and tech', async () => {
+    const index = ProviderIndex.buildFootprintIndex(fixture.counties);
+    assert.deepStrictEqual(index['AT&T'], { '29001': [200, 0, 50], '20001': [105, 0, 10] });
+    assert.deepStrictEqual(ProviderIndex.footprintFromIndex(index, 'AT&T', 'dsl'), { '29001': 50, '20001': 10 });
+    assert.deepStrictEqual(ProviderIndex.footprintFromIndex(index, 'AT&T', 'all'), { '29001': 250, '20001': 115 });
+    assert.deepStrictEqual(ProviderIndex.footprintFromIndex(index, 'Sparklight', 'fiber'), {});
+    fixture.counties.forEach((c) => {
+      assert.strictEqual(ProviderIndex.footprintFromIndex(index, 'AT&T', 'fiber')[c.geoid] || 0,
+        ProviderIndex.getPassings(c, 'AT&T', 'fiber'));
+    });
+  });
+
+  await test('CountyLoader posts progress, scored pages, a footprint and done in order', async () => {
+    const messages = [];
+    const src = DataSources.createMemorySource(JSON.parse(JSON.stringify(fixture)));
+    await CountyLoader.run(src, { pageSize: 2 }, (m) => messages.push(m));
+    assert.deepStrictEqual(messages.map(m => m.type), ['progress', 'rows', 'progress', 'rows', 'footprint', 'done']);
+    assert.deepStrictEqual(messages.filter(m => m.type === 'progress').map(m => [m.loaded, m.total]), [[2, 3], [3, 3]]);
+    const row = messages[1].rows[0];
+    assert.strictEqual(row.fiber_unserved, 700);
+    assert.ok(Number.isFinite(row.attractiveness_index));
+    assert.deepStrictEqual(messages[5], { type: 'done', complete: true, count: 3 });
+  });
+
+  await test('a failing page ends the load as incomplete', async () => {
+    const messages = [];
+    const src = Object.assign(DataSources.createMemorySource(fixture), {
+      fetchCountiesPage: async (offset) => {
+        if (offset > 0) throw new Error('timeout');
+        return { rows: [county('29001', 'MO', [])], count: 3 };
+      }
+    });
+    await CountyLoader.run(src, { pageSize: 1 }, (m) => messages.push(m));
+    assert.deepStrictEqual(messages.pop(), { type: 'done', complete: false, count: 1 });
+  });
+
+  await test('handle reports a source that cannot be built', async () => {
+    const messages = [];
+    const original = DataSources.fromConfig;
+    DataSources.fromConfig = () => { throw new Error('bad config'); };
+    await CountyLoader.handle({ type: 'load', source: {} }, (m) => messages.push(m));
+    DataSources.fromConfig = original;
+    assert.deepStrictEqual(messages, [{ type: 'error', message: 'bad config' }]);
+  });
+
+  await test('loadAllCounties uses the worker and keeps its footprint index', async () => {
+    resetHandler();
+    DataSources.configure(DataSources.createMemorySource(JSON.parse(JSON.stringify(fixture))), null);
+    global.Worker = FakeWorker;
+    const progress = [];
+    await DataHandler.loadAllCounties((n, total) => progress.push([n, total]));
+    delete global.Worker;
+
+    assert.deepStrictEqual(FakeWorker.urls, [DataHandler.workerUrl]);
+    assert.strictEqual(FakeWorker.terminated, 1);
+    assert.deepStrictEqual(progress, [[3, 3]]);
+    assert.ok(Number.isFinite(DataHandler.getCountyData('20001').attractiveness_index));
+    assert.deepStrictEqual(DataHandler.getProviderFootprint('AT&T', 'fiber'), { '29001': 200, '20001': 105 });
+    assert.deepStrictEqual(DataHandler.getProviderFootprint('Sparklight', 'cable'), { '29003': 700 });
+  });
+
+  await test('Supabase pages are fetched on the main thread and only the rows go to the worker', async () => {
+    resetHandler();
+    FakeWorker.received = [];
+    const src = DataSources.createMemorySource(JSON.parse(JSON.stringify(fixture)));
+    src.config = { type: 'supabase', url: 'https://example.test', key: 'anon' };
+    DataSources.configure(src, null);
+    global.Worker = FakeWorker;
+    const progress = [];
+    await DataHandler.loadAllCounties((n, total) => progress.push([n, total]));
+    delete global.Worker;
+
+    assert.deepStrictEqual(FakeWorker.received, ['page', 'end']);
+    assert.deepStrictEqual(progress, [[3, 3]]);
+    assert.ok(Number.isFinite(DataHandler.getCountyData('29003').attractiveness_index));
+    assert.deepStrictEqual(DataHandler.getProviderFootprint('AT&T', 'fiber'), { '29001': 200, '20001': 105 });
+  });
+
+  await test('the footprint index is ignored while a filing snapshot is active', async () => {
+    DataHandler._snapshot = { date: '2024-12-31', counties: {}, techs: {} };
+    assert.strictEqual(DataHandler.getProviderFootprint('AT&T', 'fiber'), null);
+    DataHandler._snapshot = null;
+  });
+
+  await test('a worker that fails to start falls back to the main thread', async () => {
+    resetHandler();
+    DataSources.configure(DataSources.createMemorySource(JSON.parse(JSON.stringify(fixture))), null);
+    global.Worker = class {
+      postMessage() { this.onmessage({ data: { type: 'error', message: 'importScripts failed' } }); }
+      terminate() {}
+    };
+    await DataHandler.loadAllCounties();
+    delete global.Worker;
+    assert.strictEqual(DataHandler.getAllLoadedCounties().length, 3);
+    assert.strictEqual(DataHandler.getProviderFootprint('AT&T', 'fiber'), null);
+  });
+})();
@@ -0,0 +1,108 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/sources.js');
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/markets.js');
+require('../js/map.js');
+
+const { ColorScales, DataHandler, DataSources, FiberUtils, MapRenderer, ProviderIndex } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, bsls, operators) {
+  return { geoid, state_code: 'MO', name: 'County ' + geoid, total_bsls: bsls, operators };
+}
+
+const fixture = {
+  files: {},
+  state_summary: [],
+  counties: [
+    county('29001', 1000, [{ name: 'Metronet', fiber_passings: 700 }, { name: 'AT&T', fiber_passings: 0, cable_passings: 90 }]),
+    county('29003', 2000, [{ name: 'Metronet Holdings', fiber_passings: 500 }]),
+    county('29005', 500, [])
+  ],
+  provider_passings_history: [
+    { geoid: '29001', brand_name: 'Metronet', technology: 'fiber', passings: 300, filing_date: '2024-12-31' },
+    { geoid: '29001', brand_name: 'AT&T', technology: 'fiber', passings: 40, filing_date: '2024-12-31' },
+    { geoid: '29005', brand_name: 'AT&T', technology: 'fiber', passings: 100, filing_date: '2024-12-31' },
+    { geoid: '29003', brand_name: 'Metronet', technology: 'fiber', passings: 50, filing_date: '2023-12-31' }
+  ]
+};
+
+(async () => {
+  await test('passingsByProvider reads snapshots and county rows by canonical provider', () => {
+    const snapshot = {
+      counties: { '29001': { fiber: { Metronet: 300, 'Metronet Holdings': 10 }, cable: { 'AT&T': 5 } } },
+      techs: { fiber: true, cable: true }
+    };
+    assert.deepStrictEqual(ProviderIndex.passingsByProvider(snapshot, 'fiber'), { '29001': { Metronet: 310 } });
+    assert.deepStrictEqual(ProviderIndex.passingsByProvider(snapshot, 'cable'), { '29001': { 'AT&T': 5 } });
+    assert.strictEqual(ProviderIndex.passingsByProvider(snapshot, 'dsl'), null);
+    assert.deepStrictEqual(ProviderIndex.passingsByProvider(fixture.counties, 'fiber'),
+      { '29001': { Metronet: 700 }, '29003': { Metronet: 500 }, '29005': {} });
+  });
+
+  await test('computePassingsDelta nets providers and lists changes, largest gain first', () => {
+    const delta = ProviderIndex.computePassingsDelta(
+      { '29001': { Metronet: 300, 'AT&T': 40, Brightspeed: 10 } },
+      { '29001': { Metronet: 700, Brightspeed: 10 }, '29003': { Metronet: 500 } });
+    assert.deepStrictEqual(delta['29001'], {
+      before: 350, after: 710, net: 360,
+      providers: [
+        { name: 'Metronet', before: 300, after: 700, change: 400 },
+        { name: 'AT&T', before: 40, after: 0, change: -40 }
+      ]
+    });
+    assert.strictEqual(delta['29003'].net, 500);
+    assert.deepStrictEqual(ProviderIndex.computePassingsDelta({}, {}), {});
+  });
+
+  await test('the diverging delta scales center on no change', () => {
+    assert.strictEqual(ColorScales.getColor('delta', 0), '#475569');
+    assert.strictEqual(ColorScales.getColor('delta', -40), '#fca5a5');
+    assert.strictEqual(ColorScales.getColor('delta', 400), '#4ade80');
+    assert.strictEqual(ColorScales.getColor('delta', 50000), '#15803d');
+    assert.strictEqual(ColorScales.getColor('delta_pct', 0), '#475569');
+    assert.strictEqual(ColorScales.getColor('delta_pct', -20), '#b91c1c');
+    assert.strictEqual(ColorScales.getColor('delta_pct', 36), '#15803d');
+  });
+
+  await test('setDeltaFilings compares the previous filing to current rows by default', async () => {
+    DataSources.configure(DataSources.createMemorySource(fixture), null);
+    await DataHandler.loadAllCounties();
+    MapRenderer.currentLayer = 'delta';
+
+    assert.strictEqual(await MapRenderer.setDeltaFilings(), true);
+    assert.strictEqual(MapRenderer.deltaFrom, '2024-12-31');
+    assert.strictEqual(MapRenderer.deltaTo, FiberUtils.CURRENT_FILING_DATE);
+
+    const adair = DataHandler.getCountyData('29001');
+    assert.strictEqual(MapRenderer._deltaFor(adair).net, 360);
+    assert.strictEqual(MapRenderer._deltaValue(adair), 360);
+    assert.strictEqual(MapRenderer._deltaValue(DataHandler.getCountyData('29005')), -100);
+    assert.strictEqual(MapRenderer._countyColor(adair), ColorScales.getColor('delta', 360));
+
+    await MapRenderer.setDeltaFilings(null, null, 'pct');
+    assert.strictEqual(MapRenderer._deltaValue(adair), 36);
+    assert.strictEqual(MapRenderer._countyColor(adair), ColorScales.getColor('delta_pct', 36));
+  });
+
+  await test('markets sum the delta over their member counties', async () => {
+    await MapRenderer.setDeltaFilings('2023-12-31', '2024-12-31', 'net');
+    const market = { is_market: true, member_fips: ['29001', '29003', '29005'], total_bsls: 3500 };
+    const delta = MapRenderer._deltaFor(market);
+    assert.strictEqual(delta.net, 390);
+    assert.deepStrictEqual(delta.providers.map(p => [p.name, p.change]), [['Metronet', 250], ['AT&T', 140]]);
+  });
+})();
@@ -0,0 +1,87 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/dots.js');
+
+const { DotDensity } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function square(x0, y0, size) {
+  return [[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size], [x0, y0]];
+}
+
+// A unit square with its middle quarter cut out, and a two-part county
+const ring = { type: 'Feature', id: '29001', geometry: { type: 'Polygon', coordinates: [square(0, 0, 1), square(0.25, 0.25, 0.5)] } };
+const islands = { type: 'Feature', properties: { GEOID: '29003' },
+  geometry: { type: 'MultiPolygon', coordinates: [[square(10, 10, 1)], [square(20, 20, 1)]] } };
+const rows = {
+  '29001': { total_bsls: 10000, fiber_served: 4000, fiber_unserved: 6000, cable_coverage_pct: 0.25 },
+  '29003': { total_bsls: 5000, fiber_served: 1000, cable_coverage_pct: 0 }
+};
+const getCounty = fips => rows[fips] || null;
+const options = { measure: 'unserved', perDot: 100, seed: 1 };
+
+test('dot counts split unserved and served BSLs by cable availability', () => {
+  assert.deepStrictEqual(DotDensity.dotCounts(rows['29001'], 'unserved', 100), { none: 45, cable: 15 });
+  assert.deepStrictEqual(DotDensity.dotCounts(rows['29001'], 'served', 1000), { fiber: 3, overbuilt: 1 });
+  // Unserved falls back to total minus served when the column is missing
+  assert.deepStrictEqual(DotDensity.dotCounts(rows['29003'], 'unserved', 500), { none: 8, cable: 0 });
+  assert.deepStrictEqual(DotDensity.dotCounts(null, 'served', 100), { fiber: 0, overbuilt: 0 });
+});
+
+test('dots land inside the county and outside its holes', () => {
+  const dots = DotDensity.countyDots(ring, rows['29001'], options);
+  assert.strictEqual(dots.length, 60);
+  assert.strictEqual(dots.filter(d => d.category === 'cable').length, 15);
+  dots.forEach(d => {
+    assert.ok(d.lng >= 0 && d.lng <= 1 && d.lat >= 0 && d.lat <= 1);
+    assert.ok(!(d.lng > 0.25 && d.lng < 0.75 && d.lat > 0.25 && d.lat < 0.75), 'dot in the hole');
+  });
+  const parts = DotDensity.countyDots(islands, rows['29003'], options);
+  assert.strictEqual(parts.length, 40);
+  assert.ok(parts.every(d => (d.lng >= 10 && d.lng <= 11) || (d.lng >= 20 && d.lng <= 21)));
+});
+
+test('the same seed draws the same dots, whatever else is loaded', () => {
+  const alone = DotDensity.buildDots([ring], getCounty, options);
+  const both = DotDensity.buildDots([islands, ring], getCounty, options);
+  assert.deepStrictEqual(both.slice(40), alone);
+  assert.deepStrictEqual(DotDensity.buildDots([ring], getCounty, options), alone);
+  assert.notDeepStrictEqual(DotDensity.buildDots([ring], getCounty, Object.assign({}, options, { seed: 2 })), alone);
+});
+
+test('the map draws the same dots from one flat lng, lat, category array', () => {
+  const dots = DotDensity.buildDots([islands, ring], getCounty, options);
+  const flat = DotDensity.buildFlatDots([islands, ring], getCounty, options);
+  assert.ok(flat instanceof Float64Array);
+  assert.strictEqual(flat.length, dots.length * 3);
+  const keys = DotDensity.CATEGORIES.unserved.map(c => c.key);
+  dots.forEach((d, i) => {
+    assert.deepStrictEqual([flat[i * 3], flat[i * 3 + 1], keys[flat[i * 3 + 2]]], [d.lng, d.lat, d.category]);
+  });
+});
+
+test('counties without a row or polygon get no dots; unknown measures are rejected', () => {
+  const line = { type: 'Feature', id: '29001', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } };
+  assert.deepStrictEqual(DotDensity.buildDots([line, { type: 'Feature', id: '29999', geometry: ring.geometry }], getCounty, options), []);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepStrictEqual(DotDensity.buildDots([ring], getCounty, { measure: 'cable', perDot: 100, seed: 1 }), []);
+    assert.strictEqual(DotDensity.set({ measure: 'cable' }), false);
+    assert.strictEqual(DotDensity.set({ perDot: 0 }), false);
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(DotDensity.getOptions().measure, null);
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/data.js');
+require('../js/providers.js');
+
+const { DataHandler, FiberUtils, ProviderIndex } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Four counties in a row (A|B|C|D share arcs 1, 2, 3) plus an island E
+const topo = { objects: { counties: { geometries: [
+  { id: 29001, type: 'Polygon', arcs: [[0, 1]] },
+  { id: 29003, type: 'Polygon', arcs: [[~1, 2, 4]] },
+  { id: 29005, type: 'MultiPolygon', arcs: [[[~2, 3]], [[5]]] },
+  { id: 29007, type: 'Polygon', arcs: [[~3, 6]] },
+  { id: 29009, type: 'Polygon', arcs: [[7]] }
+] } } };
+
+function county(geoid, attractiveness, unserved, operators) {
+  return { geoid, state_code: 'MO', name: 'County ' + geoid, attractiveness_index: attractiveness,
+           fiber_unserved: unserved, operators };
+}
+
+test('buildCountyAdjacency links counties that share an arc', () => {
+  const adj = FiberUtils.buildCountyAdjacency(topo);
+  assert.deepStrictEqual(adj['29001'], ['29003']);
+  assert.deepStrictEqual(adj['29003'], ['29001', '29005']);
+  assert.deepStrictEqual(adj['29005'], ['29003', '29007']);
+  assert.deepStrictEqual(adj['29009'], []);
+  assert.deepStrictEqual(FiberUtils.buildCountyAdjacency(null), {});
+});
+
+test('the us-counties TopoJSON gives Jackson County, MO its seven neighbors', () => {
+  const adj = FiberUtils.buildCountyAdjacency(require('../data/us-counties.json'));
+  assert.deepStrictEqual(adj['29095'], ['20091', '20209', '29037', '29047', '29101', '29107', '29177']);
+});
+
+test('expansion targets border the footprint and rank by attractiveness, unserved and competition', () => {
+  DataHandler.usCountiesTopo = topo;
+  DataHandler._adjacency = null;
+  DataHandler._stateCountyData = { MO: {
+    '29001': county('29001', 0.9, 100, []),
+    '29003': county('29003', 0.5, 800, [{ name: 'AT&T', fiber_passings: 500 }]),
+    '29005': county('29005', 0.6, 400, [{ name: 'Brightspeed', fiber_passings: 50 }, { name: 'AT&T', fiber_passings: 0, dsl_passings: 300 }]),
+    '29007': county('29007', 0.9, 900, []),
+    '29009': county('29009', 0.9, 900, [])
+  } };
+  assert.deepStrictEqual(DataHandler.getCountyNeighbors('29003'), ['29001', '29005']);
+
+  const targets = ProviderIndex.findExpansionTargets('AT&T', 'fiber');
+  assert.deepStrictEqual(targets.map(t => t.geoid), ['29005', '29001']);
+  assert.deepStrictEqual(targets[0].competitors, ['Brightspeed']);
+  assert.deepStrictEqual(targets[1].bordering, ['29003']);
+  // 0.5·0.6 + 0.3·1 + 0.2·(2/3) beats 0.5·0.9 + 0.3·(100/400) + 0.2·1
+  assert.deepStrictEqual(targets.map(t => t.score), [0.733, 0.725]);
+
+  // DSL presence in 29005 makes it part of the DSL footprint, moving the frontier to 29007
+  const dsl = ProviderIndex.findExpansionTargets('AT&T', 'dsl', { '29005': 300 });
+  assert.deepStrictEqual(dsl.map(t => t.geoid).sort(), ['29003', '29007']);
+});
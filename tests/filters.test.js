@@ -0,0 +1,84 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/filters.js');
+
+const { FilterBuilder } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+const rural = {
+  geoid: '29001', state_code: 'MO', median_hhi: 48000, fiber_penetration: 0.2,
+  rucc_code: 8, build_difficulty: 'Challenging', bead_status: 'Eligible', momentum_class: 'Steady',
+  operators: [{ name: 'AT&T', fiber_passings: 0, dsl_passings: 900 }]
+};
+const metro = {
+  geoid: '29189', state_code: 'MO', median_hhi: 72000, fiber_penetration: 0.7,
+  rucc_code: 1, build_difficulty: 'Easy', bead_status: 'Not Eligible', momentum_class: 'Surging',
+  operators: [{ name: 'AT&T', fiber_passings: 40000 }]
+};
+const market = { geoid: 'mkt:a', state_code: 'MO', state_codes: ['KS', 'MO'], median_hhi: 60000, operators: [] };
+
+test('range rules bound numeric fields and fail on missing values', () => {
+  const rules = [FilterBuilder.normalizeRule({ field: 'median_hhi', min: '50000', max: '' })];
+  assert.deepStrictEqual(rules[0], { field: 'median_hhi', min: 50000, max: null });
+  assert.strictEqual(FilterBuilder.matches(rural, rules), false);
+  assert.strictEqual(FilterBuilder.matches(metro, rules), true);
+  assert.strictEqual(FilterBuilder.matches({ geoid: '1' }, rules), false);
+  assert.strictEqual(FilterBuilder.normalizeRule({ field: 'median_hhi' }), null);
+  assert.strictEqual(FilterBuilder.normalizeRule({ field: 'no_such_field', min: 1 }), null);
+});
+
+test('set rules match RUCC class, build difficulty, BEAD status and aggregate states', () => {
+  const rucc = [{ field: 'rucc_code', values: ['7', '8', '9'] }];
+  assert.strictEqual(FilterBuilder.matches(rural, rucc), true);
+  assert.strictEqual(FilterBuilder.matches(metro, rucc), false);
+  assert.strictEqual(FilterBuilder.matches(metro, [{ field: 'bead_status', values: ['Not Eligible'] }]), true);
+  assert.strictEqual(FilterBuilder.matches(market, [{ field: 'state_code', values: ['KS'] }]), true);
+});
+
+test('provider rules test presence for one technology', () => {
+  const fiber = FilterBuilder.normalizeRule({ field: 'provider', provider: 'AT&T', tech: 'fiber' });
+  assert.deepStrictEqual(fiber, { field: 'provider', provider: 'AT&T', tech: 'fiber', present: true });
+  assert.strictEqual(FilterBuilder.matches(rural, [fiber]), false);
+  assert.strictEqual(FilterBuilder.matches(metro, [fiber]), true);
+  const noFiberButDsl = [Object.assign({}, fiber, { present: false }), { field: 'provider', provider: 'AT&T', tech: 'dsl', present: true }];
+  assert.strictEqual(FilterBuilder.matches(rural, noFiberButDsl), true);
+  assert.strictEqual(FilterBuilder.matches(metro, noFiberButDsl), false);
+});
+
+test('rules combine with all or any', () => {
+  const rules = [{ field: 'rucc_code', values: ['8'] }, { field: 'build_difficulty', values: ['Easy'] }];
+  assert.strictEqual(FilterBuilder.matches(rural, rules, 'all'), false);
+  assert.strictEqual(FilterBuilder.matches(rural, rules, 'any'), true);
+  assert.strictEqual(FilterBuilder.matches(rural, []), true);
+});
+
+test('serialize and parse round-trip rules through the URL', () => {
+  const rules = [
+    { field: 'fiber_penetration', min: null, max: 0.3 },
+    { field: 'build_difficulty', values: ['Moderate-Hard', 'Challenging'] },
+    { field: 'provider', provider: 'AT&T', tech: 'fiber', present: false }
+  ];
+  const str = FilterBuilder.serialize(rules);
+  assert.strictEqual(str, 'fiber_penetration:..0.3;build_difficulty:=Moderate-Hard,Challenging;provider:-fiber:AT%26T');
+  assert.deepStrictEqual(FilterBuilder.parse(str), rules);
+  assert.deepStrictEqual(FilterBuilder.parse('bogus:1..2;median_hhi:abc;rucc_code:7'), []);
+});
+
+test('describe renders rules in display units', () => {
+  assert.strictEqual(FilterBuilder.describe({ field: 'fiber_penetration', min: null, max: 0.3 }), 'Fiber Penetration (%) ≤ 30');
+  assert.strictEqual(FilterBuilder.describe({ field: 'median_hhi', min: 50000, max: 80000 }), 'Median HHI ($) 50,000–80,000');
+  assert.strictEqual(FilterBuilder.describe({ field: 'provider', provider: 'AT&T', tech: 'dsl', present: true }), 'AT&T dsl present');
+});
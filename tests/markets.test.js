@@ -0,0 +1,159 @@
+const assert = require('assert');
+
+const store = {};
+global.localStorage = {
+  getItem: (k) => (k in store ? store[k] : null),
+  setItem: (k, v) => { store[k] = String(v); }
+};
+
+require('../js/data.js');
+require('../js/markets.js');
+
+const { DataHandler, FiberUtils, MarketManager } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, state, overrides) {
+  return Object.assign({
+    geoid, state_code: state, name: 'County ' + geoid,
+    total_bsls: 1000, fiber_served: 500, fiber_unserved: 500, fiber_penetration: 0.5,
+    population_2023: 10000, population_2018: 10000, housing_units: 4000, land_area_sqmi: 100,
+    median_hhi: 50000, wfh_pct: 10, median_rent: 900, housing_density: 40,
+    operators: []
+  }, overrides);
+}
+
+const big = county('29001', 'MO', {
+  total_bsls: 3000, fiber_served: 300, fiber_unserved: 2700, fiber_penetration: 0.1,
+  population_2023: 30000, median_hhi: 70000, housing_units: 12000, median_rent: 1100,
+  operators: [{ name: 'AT&T', passings: 200, fiber_passings: 200, dsl_passings: 40 }],
+  bead_eligible_locations: 100, bead_implied_county_award: 500000
+});
+const small = county('20001', 'KS', {
+  operators: [
+    { name: 'AT&T', passings: 100, cable_passings: 0 },
+    { name: 'Sparklight', passings: 0, fiber_passings: 0, cable_passings: 600 }
+  ],
+  bead_eligible_locations: 50, bead_implied_county_award: 100000
+});
+
+test('aggregateCounties sums counts and weights shares, HHI and rent', () => {
+  const m = MarketManager.aggregateCounties([big, small], { id: 'a', name: 'Metro' });
+  assert.strictEqual(m.geoid, 'mkt:a');
+  assert.deepStrictEqual([m.total_bsls, m.fiber_served, m.fiber_unserved], [4000, 800, 3200]);
+  assert.strictEqual(m.fiber_penetration, 0.2);
+  assert.strictEqual(m.median_hhi, 65000);
+  assert.strictEqual(m.median_rent, 1050);
+  assert.deepStrictEqual([m.state_code, m.state_codes, m.county_count], ['MO', ['KS', 'MO'], 2]);
+  assert.strictEqual(m.pop_density, 200);
+  assert.strictEqual(m.bead_dollars_per_eligible_loc, 4000);
+});
+
+test('operator passings are combined by name across member counties', () => {
+  const m = MarketManager.aggregateCounties([big, small], { id: 'a', name: 'Metro' });
+  assert.deepStrictEqual(m.operators.map(op => [op.name, op.fiber_passings, op.cable_passings, op.dsl_passings]),
+    [['Sparklight', 0, 600, 0], ['AT&T', 300, 0, 40]]);
+  assert.deepStrictEqual(m.wireline_providers, ['AT&T']);
+  assert.strictEqual(m.competitive_intensity, 1);
+});
+
+test('aggregateCounties returns null without members', () => {
+  assert.strictEqual(MarketManager.aggregateCounties([], { id: 'x' }), null);
+});
+
+test('markets persist and resolve through DataHandler.getCountyData', () => {
+  DataHandler._stateCountyData = { MO: { '29001': big }, KS: { '20001': small } };
+  MarketManager.init();
+  const market = MarketManager.create('  KC Metro ', ['29001', '20001', '29001', 'bad']);
+  assert.deepStrictEqual(market.fips, ['29001', '20001']);
+  assert.strictEqual(market.name, 'KC Metro');
+
+  MarketManager.init();
+  assert.deepStrictEqual(MarketManager.list().map(m => m.name), ['KC Metro']);
+
+  const record = DataHandler.getCountyData('mkt:' + market.id);
+  assert.strictEqual(record.name, 'KC Metro');
+  assert.ok(Number.isFinite(record.attractiveness_index));
+  assert.deepStrictEqual(MarketManager.getRecords().map(r => r.geoid), [record.geoid]);
+});
+
+test('a market re-derives attractiveness from its aggregate inputs', () => {
+  const market = MarketManager.list()[0];
+  const expected = MarketManager.aggregateCounties([big, small], market);
+  FiberUtils.recomputeAttractiveness(expected);
+  assert.strictEqual(MarketManager.getRecord(market.id).attractiveness_index, expected.attractiveness_index);
+});
+
+test('market records are cached until an edit, a county load or a re-score', () => {
+  const market = MarketManager.list()[0];
+  const record = MarketManager.getRecord(market.id);
+  assert.strictEqual(DataHandler.getCountyData('mkt:' + market.id), record);
+
+  DataHandler.rescoreAll();
+  const rescored = MarketManager.getRecord(market.id);
+  assert.notStrictEqual(rescored, record);
+  DataHandler._afterCountiesLoaded();
+  assert.notStrictEqual(MarketManager.getRecord(market.id), rescored);
+
+  const before = MarketManager.getRecord(market.id);
+  MarketManager.update(market.id, { fips: ['29001'] });
+  assert.deepStrictEqual(MarketManager.getRecord(market.id).member_fips, ['29001']);
+  MarketManager.update(market.id, { fips: before.member_fips });
+  assert.deepStrictEqual(MarketManager.getRecord(market.id).member_fips, ['29001', '20001']);
+});
+
+test('members that are not loaded are reported and skipped', () => {
+  const market = MarketManager.list()[0];
+  MarketManager.update(market.id, { fips: ['29001', '20001', '17031'] });
+  const record = MarketManager.getRecord(market.id);
+  assert.deepStrictEqual(record.member_fips, ['29001', '20001']);
+  assert.deepStrictEqual(record.missing_fips, ['17031']);
+  MarketManager.update(market.id, { fips: ['17031'] });
+  assert.strictEqual(MarketManager.getRecord(market.id), null);
+  assert.deepStrictEqual(MarketManager.getRecords(), []);
+});
+
+test('percentile scoring ranks a market against the peer counties', () => {
+  const peers = [1, 2, 3, 4].map(i => county('0100' + i, 'ZZ', { median_hhi: i * 10000 }));
+  const rec = county('mkt:p', 'ZZ', { median_hhi: 25000 });
+  FiberUtils.applyPercentileScoreAgainst(rec, peers);
+  assert.strictEqual(rec.score_components.income, 0.5);
+  FiberUtils.applyPercentileScoreAgainst(rec, []);
+  assert.strictEqual(rec.score_components.income, 0.5);
+});
+
+test('CBSA metros aggregate their loaded member counties', () => {
+  DataHandler._stateCountyData = { MO: { '29001': big }, KS: { '20001': small } };
+  DataHandler._indexCbsas({ cbsas: {
+    '11111': { name: 'Two State, MO-KS', type: 'metro', counties: ['29001', '20001', '40001'] },
+    '22222': { name: 'Elsewhere, ZZ', type: 'micro', counties: ['56001'] }
+  } });
+  const record = DataHandler.getCountyData('cbsa:11111');
+  assert.strictEqual(record.geoid, 'cbsa:11111');
+  assert.deepStrictEqual([record.name, record.cbsa_type, record.total_bsls], ['Two State, MO-KS', 'metro', 4000]);
+  assert.deepStrictEqual(record.missing_fips, ['40001']);
+  assert.strictEqual(record.market_id, null);
+  assert.deepStrictEqual(DataHandler.getLoadedCbsas().map(c => c.code), ['11111']);
+  assert.deepStrictEqual(MarketManager.getMetroRecords().map(r => r.geoid), ['cbsa:11111']);
+  assert.strictEqual(MarketManager.getRecord('cbsa:22222'), null);
+  assert.strictEqual(MarketManager.isMarketId('cbsa:11111'), true);
+});
+
+test('removing a market drops it from storage', () => {
+  const market = MarketManager.list()[0];
+  assert.strictEqual(MarketManager.remove('mkt:' + market.id), true);
+  MarketManager.init();
+  assert.deepStrictEqual(MarketManager.list(), []);
+  assert.strictEqual(MarketManager.isMarketId('29001'), false);
+  DataHandler._stateCountyData = {};
+  DataHandler._indexCbsas(null);
+});
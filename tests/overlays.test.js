@@ -0,0 +1,109 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/overlays.js');
+
+const { CustomOverlays } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function square(x0, y0, size) {
+  return [[[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size], [x0, y0]]];
+}
+
+// Three unit-square counties in a row (A|B|C) and one off to the side (D)
+const countyFeatures = [
+  { type: 'Feature', id: '29001', geometry: { type: 'Polygon', coordinates: square(0, 0, 1) } },
+  { type: 'Feature', id: '29003', geometry: { type: 'Polygon', coordinates: square(1, 0, 1) } },
+  { type: 'Feature', id: '29005', geometry: { type: 'Polygon', coordinates: square(2, 0, 1) } },
+  { type: 'Feature', properties: { GEOID: '29007' }, geometry: { type: 'MultiPolygon', coordinates: [square(10, 10, 1)] } }
+];
+const rows = {
+  '29001': { name: 'Adair', state_code: 'MO', total_bsls: 1000, fiber_unserved: 600, fiber_penetration: 0.4,
+             operators: [{ name: 'Socket', fiber_passings: 100 }, { name: 'AT&T', fiber_passings: 300 }, { name: 'Spectrum', fiber_passings: 0 }] },
+  '29003': { name: 'Andrew', state_code: 'MO', total_bsls: 2000, fiber_unserved: 900, fiber_penetration: 0.55, operators: [] },
+  '29005': { name: 'Atchison', state_code: 'MO', total_bsls: 500, fiber_unserved: 50, fiber_penetration: 0.9, operators: [] }
+};
+const getCounty = fips => rows[fips] || null;
+const ids = report => report.counties.map(c => c.geoid);
+
+test('parseGeoJSON accepts collections, single features and bare geometries', () => {
+  const point = { type: 'Point', coordinates: [0.5, 0.5] };
+  assert.strictEqual(CustomOverlays.parseGeoJSON(JSON.stringify(point)).features.length, 1);
+  assert.strictEqual(CustomOverlays.parseGeoJSON({ type: 'Feature', geometry: point }).features.length, 1);
+  const fc = CustomOverlays.parseGeoJSON({ type: 'FeatureCollection', features: [{ type: 'Feature', geometry: null }, { type: 'Feature', geometry: point }] });
+  assert.strictEqual(fc.features.length, 1);
+  assert.strictEqual(CustomOverlays.parseGeoJSON('not json'), null);
+  assert.strictEqual(CustomOverlays.parseGeoJSON({ type: 'FeatureCollection', features: [] }), null);
+});
+
+test('empty and degenerate geometry parts are dropped before drawing or reporting', () => {
+  const empty = { type: 'Polygon', coordinates: [] };
+  assert.strictEqual(CustomOverlays.parseGeoJSON(empty), null);
+  assert.strictEqual(CustomOverlays.parseGeoJSON({ type: 'Point', coordinates: [] }), null);
+  assert.strictEqual(CustomOverlays.parseGeoJSON({ type: 'LineString', coordinates: [[0, 0]] }), null);
+
+  const mixed = CustomOverlays.parseGeoJSON({ type: 'FeatureCollection', features: [
+    { type: 'Feature', properties: { name: 'Empty' }, geometry: empty },
+    { type: 'Feature', properties: { name: 'Area' }, geometry: { type: 'MultiPolygon', coordinates: [[], square(0.25, 0.25, 0.5), [[[0, 0], [1, 1]]]] } }
+  ] });
+  assert.deepStrictEqual(mixed.features.map(f => f.properties.name), ['Area']);
+  assert.strictEqual(mixed.features[0].geometry.coordinates.length, 1);
+
+  const parts = CustomOverlays.geometryParts({ type: 'GeometryCollection', geometries: [empty, { type: 'MultiPoint', coordinates: [[], [0.5, 0.5]] }] });
+  assert.deepStrictEqual(parts, { points: [[0.5, 0.5]], lines: [], polygons: [] });
+  const [report] = CustomOverlays.buildReport({ features: [{ type: 'Feature', geometry: empty }] }, countyFeatures, getCounty);
+  assert.deepStrictEqual(report.counties, []);
+});
+
+test('a route reports every county it passes through', () => {
+  const route = { type: 'Feature', properties: { name: 'Long-haul route' },
+    geometry: { type: 'LineString', coordinates: [[0.5, 0.5], [2.5, 0.5]] } };
+  const [report] = CustomOverlays.buildReport({ features: [route] }, countyFeatures, getCounty);
+  assert.strictEqual(report.name, 'Long-haul route');
+  assert.deepStrictEqual(ids(report), ['29003', '29001', '29005']);  // most unserved first
+  assert.strictEqual(report.unserved, 1550);
+  assert.strictEqual(report.totalBsls, 3500);
+});
+
+test('areas count when they overlap, contain or sit inside a county, not when they share a border', () => {
+  const area = coords => ({ type: 'Feature', geometry: { type: 'Polygon', coordinates: coords } });
+  const report = CustomOverlays.buildReport({ features: [
+    area(square(0.2, 0.2, 0.3)),          // inside A
+    area(square(-1, -1, 3.5)),            // contains A, B and half of C
+    area(square(0, 0, 1)),                // exactly A
+    area(square(5, 5, 1))                 // nowhere
+  ] }, countyFeatures, getCounty);
+  assert.deepStrictEqual(ids(report[0]), ['29001']);
+  assert.deepStrictEqual(ids(report[1]), ['29003', '29001', '29005']);
+  assert.deepStrictEqual(ids(report[2]), ['29001']);
+  assert.deepStrictEqual(ids(report[3]), []);
+  assert.strictEqual(report[3].name, 'Feature 4');
+});
+
+test('report rows carry unserved BSLs, penetration and fiber operators', () => {
+  const point = { type: 'Feature', properties: { NAME: 'Hut' }, geometry: { type: 'Point', coordinates: [0.5, 0.5] } };
+  const island = { type: 'Feature', geometry: { type: 'Point', coordinates: [10.5, 10.5] } };
+  const report = CustomOverlays.buildReport({ features: [point, island] }, countyFeatures, getCounty);
+  assert.deepStrictEqual(report[0].counties, [{
+    geoid: '29001', name: 'Adair', state_code: 'MO', total_bsls: 1000, fiber_unserved: 600,
+    fiber_penetration: 0.4, operators: ['AT&T', 'Socket']
+  }]);
+  // Counties with geometry but no loaded row still report their FIPS
+  assert.deepStrictEqual(ids(report[1]), ['29007']);
+  assert.strictEqual(report[1].counties[0].fiber_unserved, null);
+
+  const csv = CustomOverlays.reportToCsv('Target, Inc.', report).split('\n');
+  assert.strictEqual(csv[0], 'Overlay,Feature,FIPS,County,State,Total BSLs,Unserved BSLs,Penetration %,Fiber Operators');
+  assert.strictEqual(csv[1], '"Target, Inc.",Hut,29001,Adair,MO,1000,600,40.0,AT&T; Socket');
+  assert.strictEqual(csv.length, 3);
+});
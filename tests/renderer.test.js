@@ -0,0 +1,155 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/sources.js');
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/markets.js');
+require('../js/map.js');
+
+const { ColorScales, DataHandler, DataSources, InfoPanel, MapRenderer } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+const fixture = {
+  files: {},
+  state_summary: [],
+  counties: [
+    { geoid: '29001', state_code: 'MO', name: 'Adair', total_bsls: 1000, fiber_served: 200, fiber_penetration: 0.2,
+      cable_coverage_pct: 0.9, population_2023: 25000, operators: [] },
+    { geoid: '29003', state_code: 'MO', name: 'Andrew', total_bsls: 500, fiber_served: 400, fiber_penetration: 0.8,
+      cable_coverage_pct: 0.3, population_2023: 5000, operators: [] }
+  ]
+};
+
+const adairFeature = { id: '29001', properties: {} };
+
+// Count _countyColor calls while fn runs
+function colorLookups(fn) {
+  const original = MapRenderer._countyColor;
+  let calls = 0;
+  MapRenderer._countyColor = function() { calls++; return original.apply(this, arguments); };
+  try {
+    fn();
+  } finally {
+    MapRenderer._countyColor = original;
+  }
+  return calls;
+}
+
+(async () => {
+  DataSources.configure(DataSources.createMemorySource(fixture), null);
+  await DataHandler.loadAllCounties();
+  MapRenderer.currentMode = 'market';
+  MapRenderer.currentLayer = 'penetration';
+
+  await test('county colors are computed once per view and reused', () => {
+    MapRenderer._restyleCounties(true);
+    assert.strictEqual(colorLookups(() => MapRenderer._countyStyle(adairFeature, false, false)), 1);
+    assert.strictEqual(colorLookups(() => MapRenderer._countyStyle(adairFeature, true, false)), 0);
+
+    MapRenderer.currentLayer = 'cable';
+    assert.strictEqual(MapRenderer._countyStyle(adairFeature, false, false).fillColor, ColorScales.getColor('cable', 0.9));
+    MapRenderer.currentLayer = 'penetration';
+    assert.strictEqual(colorLookups(() => MapRenderer._countyStyle(adairFeature, false, false)), 0);
+    assert.strictEqual(MapRenderer._countyStyle(adairFeature, false, false).fillColor, ColorScales.getColor('penetration', 0.2));
+  });
+
+  await test('a recolor drops the cached colors and filter state', () => {
+    assert.strictEqual(MapRenderer._countyStyle({ id: '29003' }, false, false).fillOpacity, 0.62);
+    MapRenderer.filters.minPop = 10000;
+    assert.strictEqual(MapRenderer._countyStyle({ id: '29003' }, false, false).fillOpacity, 0.62);
+    MapRenderer._restyleCounties(true);
+    assert.strictEqual(MapRenderer._countyStyle({ id: '29003' }, false, false).fillOpacity, 0.1);
+    MapRenderer.filters.minPop = 0;
+    MapRenderer._restyleCounties(true);
+    assert.strictEqual(colorLookups(() => MapRenderer._countyStyle(adairFeature, false, false)), 1);
+  });
+
+  await test('only the most recent views keep their colors', () => {
+    MapRenderer._restyleCounties(true);
+    const layers = ['penetration', 'cable', 'attractiveness', 'competitive', 'terrain'];
+    layers.forEach(layer => {
+      MapRenderer.currentLayer = layer;
+      MapRenderer._countyStyle(adairFeature, false, false);
+    });
+    assert.strictEqual(Object.keys(MapRenderer._colorCache).length, MapRenderer.COLOR_CACHE_SIZE);
+    MapRenderer.currentLayer = 'cable';
+    assert.strictEqual(colorLookups(() => MapRenderer._countyStyle(adairFeature, false, false)), 0);
+    MapRenderer.currentLayer = 'penetration';
+    assert.strictEqual(colorLookups(() => MapRenderer._countyStyle(adairFeature, false, false)), 1);
+  });
+
+  await test('a view switch colors every county up front and skips unchanged paths', () => {
+    const styled = [];
+    const layer = fips => ({ feature: { id: fips }, setStyle: style => styled.push([fips, style.fillColor]) });
+    const layers = [layer('29001'), layer('29003')];
+    MapRenderer._countyFipsList = ['29001', '29003'];
+    MapRenderer._countyIndex = { '29001': 0, '29003': 1 };
+    MapRenderer._countyLayer = { eachLayer: fn => layers.forEach(fn) };
+
+    MapRenderer._restyleCounties(true);
+    assert.strictEqual(styled.length, 2);
+    styled.length = 0;
+    MapRenderer._restyleCounties();
+    assert.deepStrictEqual(styled, []);
+
+    MapRenderer.currentLayer = 'cable';
+    assert.strictEqual(colorLookups(() => MapRenderer._restyleCounties()), 2);
+    assert.deepStrictEqual(styled, [['29001', ColorScales.getColor('cable', 0.9)], ['29003', ColorScales.getColor('cable', 0.3)]]);
+    MapRenderer.currentLayer = 'penetration';
+    assert.strictEqual(colorLookups(() => MapRenderer._restyleCounties()), 0);
+
+    MapRenderer._countyLayer = null;
+    MapRenderer._countyFipsList = [];
+    MapRenderer._countyIndex = {};
+    MapRenderer._restyleCounties(true);
+  });
+
+  await test('cached styles keep the pinned, hovered and filtered semantics', () => {
+    const base = MapRenderer._countyStyle(adairFeature, false, false);
+    assert.deepStrictEqual([base.fillOpacity, base.color, base.weight], [0.62, 'rgba(0,0,0,0.35)', 0.5]);
+    const hovered = MapRenderer._countyStyle(adairFeature, true, false);
+    assert.deepStrictEqual([hovered.fillOpacity, hovered.color, hovered.weight], [0.8, '#94a3b8', 1.5]);
+    const pinned = MapRenderer._countyStyle(adairFeature, true, true);
+    assert.deepStrictEqual([pinned.fillOpacity, pinned.color, pinned.weight], [0.85, '#e0e7ff', 2.5]);
+    const unloaded = MapRenderer._countyStyle({ id: '29999' }, false, false);
+    assert.deepStrictEqual([unloaded.fillColor, unloaded.fillOpacity], ['#1e293b', 0.1]);
+  });
+
+  await test('a pin change restyles only the counties losing and gaining the pin', () => {
+    const styled = [];
+    const layer = fips => ({
+      feature: { id: fips },
+      setStyle: style => styled.push([fips, style.weight]),
+      bringToFront: () => {}
+    });
+    MapRenderer._countyLayer = { eachLayer: fn => ['29001', '29003'].forEach(f => fn(layer(f))) };
+    MapRenderer._countyLayerMap = { '29001': layer('29001'), '29003': layer('29003') };
+    MapRenderer._marketLayerMap = {};
+
+    InfoPanel.pinnedCounty = '29001';
+    MapRenderer.updatePinStyles('29001');
+    assert.deepStrictEqual(styled, [['29001', 2.5]]);
+    styled.length = 0;
+    InfoPanel.pinnedCounty = '29003';
+    MapRenderer.updatePinStyles('29003');
+    assert.deepStrictEqual(styled, [['29001', 0.5], ['29003', 2.5]]);
+    styled.length = 0;
+    InfoPanel.pinnedCounty = null;
+    MapRenderer.updatePinStyles(null);
+    assert.deepStrictEqual(styled, [['29003', 0.5]]);
+
+    MapRenderer._countyLayer = null;
+    MapRenderer._countyLayerMap = {};
+  });
+})();
@@ -0,0 +1,65 @@
+const assert = require('assert');
+
+require('../js/data.js');
+require('../js/scoring.js');
+
+const { DataHandler, FiberUtils, ScoringProfiles } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, overrides) {
+  const c = Object.assign({
+    geoid,
+    name: 'County ' + geoid,
+    state_code: 'ZZ',
+    fiber_penetration: 0.5,
+    fiber_unserved: 5000,
+    median_hhi: 60000,
+    housing_density: 100,
+    pop_growth_pct: 0,
+    wfh_pct: 10
+  }, overrides);
+  FiberUtils.recomputeAttractiveness(c);
+  return c;
+}
+
+test('built-in profiles are listed and Balanced is active by default', () => {
+  const ids = ScoringProfiles.list().map((p) => p.id);
+  assert.deepStrictEqual(ids.slice(0, 3), ['balanced', 'rural-coop', 'suburban-overbuild']);
+  assert.strictEqual(ScoringProfiles.getActive().id, 'balanced');
+});
+
+test('explain contributions add up to the attractiveness score', () => {
+  const c = county('1');
+  const info = ScoringProfiles.explain(c, [c]);
+  const weightSum = info.rows.reduce((s, r) => s + r.weight, 0);
+  const total = info.rows.reduce((s, r) => s + r.contribution, 0);
+  assert.ok(Math.abs(weightSum - 1) < 1e-9);
+  assert.ok(Math.abs(total - c.attractiveness_index) < 0.001);
+  assert.strictEqual(info.rank, 1);
+  assert.strictEqual(info.next, null);
+});
+
+test('explain ranks sub-scores and finds the cheapest lever to pass the next county', () => {
+  const low = county('1', { median_hhi: 50000 });
+  const high = county('2', { median_hhi: 55000 });
+  const info = ScoringProfiles.explain(low, [low, high]);
+  assert.strictEqual(info.rank, 2);
+  assert.strictEqual(info.next, high);
+  assert.strictEqual(info.rows.find((r) => r.key === 'income').rank, 2);
+  assert.strictEqual(info.rows.find((r) => r.key === 'wfh').rank, 1);
+
+  // Opportunity inputs carry the largest effective weight, so they are the cheapest levers
+  assert.deepStrictEqual(info.levers.slice(0, 2).map((l) => l.key).sort(), ['availability', 'unserved']);
+  assert.ok(info.levers[0].needed > 0);
+  assert.match(info.levers.find((l) => l.key === 'availability').hint, /fiber penetration/);
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/search.js');
+
+const { MapSearch } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+const states = {
+  MO: { label: 'Missouri', fipsPrefix: '29' },
+  MN: { label: 'Minnesota', fipsPrefix: '27' },
+  LA: { label: 'Louisiana', fipsPrefix: '22' }
+};
+const counties = [
+  { geoid: '29189', name: 'St. Louis', state_code: 'MO' },
+  { geoid: '29510', name: 'St. Louis city', state_code: 'MO' },
+  { geoid: '27137', name: 'St. Louis', state_code: 'MN' },
+  { geoid: '29095', name: 'Jackson', state_code: 'MO' },
+  { geoid: '22089', name: 'St. Charles', state_code: 'LA' },
+  { geoid: '29183', name: 'St. Charles', state_code: 'MO' },
+  { geoid: '29186', name: 'Ste. Genevieve', state_code: 'MO' },
+  { geoid: '19141', name: "O'Brien", state_code: 'MO' }
+];
+const index = MapSearch.buildIndex(counties, states, ['AT&T', 'Metronet']);
+const ids = results => results.map(r => r.id);
+
+test('normalize folds saints, punctuation, accents and ampersands', () => {
+  assert.strictEqual(MapSearch.normalize('St. Louis'), 'saint louis');
+  assert.strictEqual(MapSearch.normalize('Ste. Genevieve'), 'sainte genevieve');
+  assert.strictEqual(MapSearch.normalize("O'Brien"), 'obrien');
+  assert.strictEqual(MapSearch.normalize('Cataño'), 'catano');
+  assert.strictEqual(MapSearch.normalize('AT&T'), 'at and t');
+  assert.strictEqual(MapSearch.normalize('  '), '');
+});
+
+test('"St." and "Saint" find the same counties', () => {
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'Saint Louis')), ids(MapSearch.search(index, 'st. louis')));
+  // Louisiana's state name also starts with "louis"
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'saint louis')), ['27137', '29189', '29510', '22089']);
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'sainte gen')), ['29186']);
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'obrien')), ['19141']);
+});
+
+test('a state word or code narrows counties and "County" is ignored', () => {
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'St Louis, MN')), ['27137']);
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'st charles louisiana')), ['22089']);
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'Jackson County, MO')), ['29095']);
+});
+
+test('states outrank counties and providers match display names', () => {
+  const mo = MapSearch.search(index, 'mo');
+  assert.strictEqual(mo[0].id, 'MO');
+  assert.deepStrictEqual(mo.slice(1).map(r => r.label), ['Jackson, MO', "O'Brien, MO", 'St. Louis, MO', 'St. Charles, MO',
+    'St. Louis city, MO', 'Ste. Genevieve, MO']);
+  assert.strictEqual(MapSearch.search(index, 'missouri')[0].type, 'state');
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'at&t')), ['AT&T']);
+  assert.deepStrictEqual(ids(MapSearch.search(index, 'metro')), ['Metronet']);
+  assert.deepStrictEqual(MapSearch.search(index, 'zzz'), []);
+  assert.strictEqual(MapSearch.search(index, 'st', 3).length, 3);
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/data.js');
+require('../js/markets.js');
+require('../js/map.js');
+
+const { DataHandler, MapRenderer, TableManager } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, bsls, unserved, pop) {
+  return {
+    geoid, state_code: 'MO', name: 'County ' + geoid, total_bsls: bsls, fiber_served: bsls - unserved,
+    fiber_unserved: unserved, population_2023: pop, housing_units: pop / 2, operators: []
+  };
+}
+
+DataHandler._stateCountyData = { MO: {
+  '29001': county('29001', 1000, 400, 5000),
+  '29003': county('29003', 2000, 500, 9000),
+  '29005': county('29005', 500, 100, 2000)
+} };
+DataHandler._indexCbsas({ cbsas: { '11111': { name: 'Metro, MO', type: 'metro', counties: ['29003', '29005'] } } });
+
+test('setSelection adds, removes, toggles and replaces', () => {
+  TableManager.setSelection(['29001', '29003'], 'add');
+  assert.deepStrictEqual(TableManager.getSelectedCountyFips(), ['29001', '29003']);
+  TableManager.setSelection(['29003', '29005'], 'toggle');
+  assert.deepStrictEqual(TableManager.getSelectedCountyFips(), ['29001', '29005']);
+  TableManager.setSelection(['29001'], 'remove');
+  assert.deepStrictEqual(TableManager.getSelectedCountyFips(), ['29005']);
+  TableManager.setSelection(['29003'], 'replace');
+  assert.deepStrictEqual(TableManager.getSelectedCountyFips(), ['29003']);
+  TableManager.clearSelection();
+  assert.strictEqual(TableManager.getSelectionRecord(), null);
+});
+
+test('the running aggregate counts each county once, including ticked metro members', () => {
+  TableManager.setSelection(['29001', '29003', 'cbsa:11111'], 'replace');
+  const rec = TableManager.getSelectionRecord();
+  assert.deepStrictEqual(rec.member_fips.slice().sort(), ['29001', '29003', '29005']);
+  assert.deepStrictEqual([rec.total_bsls, rec.fiber_unserved, rec.population_2023], [3500, 1000, 16000]);
+  TableManager.clearSelection();
+});
+
+test('pointInPolygon handles lasso shapes in lng/lat', () => {
+  const square = [[-95, 38], [-90, 38], [-90, 42], [-95, 42]];
+  assert.strictEqual(MapRenderer.pointInPolygon([-92, 40], square), true);
+  assert.strictEqual(MapRenderer.pointInPolygon([-89, 40], square), false);
+  // Concave "C" shape: the notch is outside
+  const c = [[0, 0], [4, 0], [4, 1], [1, 1], [1, 3], [4, 3], [4, 4], [0, 4]];
+  assert.strictEqual(MapRenderer.pointInPolygon([3, 2], c), false);
+  assert.strictEqual(MapRenderer.pointInPolygon([0.5, 2], c), true);
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+
+require('../js/sources.js');
+require('../js/data.js');
+
+const { DataHandler, DataSources } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, state, name, extra) {
+  return Object.assign({
+    geoid, state_code: state, name,
+    total_bsls: 1000, fiber_served: 400, fiber_unserved: 600, fiber_penetration: 0.4,
+    median_hhi: 60000, population_2023: 20000, housing_units: 9000
+  }, extra);
+}
+
+const fixture = {
+  files: {
+    'data/ny_counties_tiger.geojson': { type: 'FeatureCollection', features: [] },
+    'data/us-states.json': { type: 'FeatureCollection', features: [] },
+    'data/us-counties.json': { type: 'Topology', objects: {} },
+    'data/cbsa-membership.json': { cbsas: { '28860': { name: 'Kirksville, MO', type: 'micro', counties: ['29001'] } } }
+  },
+  state_summary: [
+    { state_code: 'MO', state_name: 'Missouri', total_housing_units: 18000, total_fiber_passings: 800, fiber_penetration: 0.4, operators: ['A'] },
+    { state_code: 'KS', state_name: 'Kansas', total_housing_units: 9000, total_fiber_passings: 400, fiber_penetration: 0.4 }
+  ],
+  counties: [
+    county('29001', 'MO', 'Adair'),
+    county('29003', 'MO', 'Andrew'),
+    county('20001', 'KS', 'Allen')
+  ],
+  provider_passings_history: [
+    { geoid: '29001', brand_name: 'A', technology: 'fiber', passings: 200, filing_date: '2024-12-31' },
+    { geoid: '29001', brand_name: 'A', technology: 'fiber', passings: 400, filing_date: '2025-06-30' },
+    { geoid: '29003', brand_name: 'B', technology: 'cable', passings: 300, filing_date: '2024-12-31' }
+  ],
+  news_articles: [
+    { id: 1, title: 'Old', published_at: '2025-01-01T00:00:00Z' },
+    { id: 2, title: 'New', published_at: '2025-05-01T00:00:00Z' }
+  ]
+};
+
+function resetHandler() {
+  DataHandler._stateCountyData = {};
+  DataHandler._stateLoadPromises = {};
+  DataHandler._countyCachePromise = null;
+  DataHandler._allCountiesPromise = null;
+  DataHandler._refreshing = {};
+  DataHandler._filingSnapshots = {};
+  DataHandler._filingDatesPromise = null;
+}
+
+(async () => {
+  await test('memory source pages, filters and sorts like the Supabase tables', async () => {
+    const src = DataSources.createMemorySource(fixture);
+    assert.strictEqual(src.id, null);
+    assert.deepStrictEqual((await src.fetchStateCounties('KS')).map(c => c.geoid), ['20001']);
+    const page = await src.fetchCountiesPage(1, 1);
+    assert.deepStrictEqual([page.rows[0].geoid, page.count], ['29003', 3]);
+    assert.deepStrictEqual(await src.fetchFilingDates(), ['2025-06-30', '2024-12-31']);
+    assert.deepStrictEqual((await src.fetchCountyPassingsHistory('29001')).map(r => r.passings), [200, 400]);
+    assert.deepStrictEqual((await src.fetchNews('2025-03-01T00:00:00Z', 10)).map(a => a.title), ['New']);
+    assert.throws(() => src.getAuthClient(), /not available/);
+    await assert.rejects(src.fetchFile('data/missing.json'), /No fixture file/);
+  });
+
+  await test('configure defaults to static files behind Supabase and nothing behind other sources', async () => {
+    DataSources.configure(DataSources.createSupabaseSource({ url: 'https://example.test' }));
+    assert.strictEqual(DataSources.get().id, 'supabase:https://example.test');
+    assert.strictEqual(DataSources.getFallback().id, 'static:data/');
+    DataSources.configure(DataSources.createMemorySource(fixture));
+    assert.strictEqual(DataSources.getFallback(), null);
+  });
+
+  await test('DataHandler loads geometry, summaries and counties from a fixture source', async () => {
+    resetHandler();
+    DataSources.configure(DataSources.createMemorySource(fixture), null);
+    assert.strictEqual(await DataHandler.loadData(), true);
+    assert.strictEqual(DataHandler.stateData.MO.state, 'Missouri');
+    assert.deepStrictEqual(DataHandler.stateData.KS.operators, []);
+    assert.strictEqual(DataHandler.usCountiesTopo.type, 'Topology');
+    assert.strictEqual(DataHandler.getCountyCbsa('29001').name, 'Kirksville, MO');
+
+    assert.strictEqual(await DataHandler.loadStateData('MO'), true);
+    assert.ok(Number.isFinite(DataHandler.getCountyData('29001').attractiveness_index));
+    assert.strictEqual(DataHandler.getCountyData('20001'), null);
+
+    const progress = [];
+    await DataHandler.loadAllCounties((n, total) => progress.push([n, total]));
+    assert.deepStrictEqual(progress, [[3, 3]]);
+    assert.strictEqual(DataHandler.getCountyData('20001').name, 'Allen');
+  });
+
+  await test('loadAllCounties pages the table once per page load', async () => {
+    resetHandler();
+    const src = DataSources.createMemorySource(fixture);
+    let pages = 0;
+    const fetchPage = src.fetchCountiesPage;
+    src.fetchCountiesPage = function() { pages++; return fetchPage.apply(this, arguments); };
+    DataSources.configure(src, null);
+    const first = DataHandler.loadAllCounties();
+    assert.strictEqual(DataHandler.loadAllCounties(), first);
+    await first;
+    await DataHandler.loadAllCounties();
+    assert.strictEqual(pages, 1);
+  });
+
+  await test('passings, history and filing snapshots read through the source', async () => {
+    resetHandler();
+    DataSources.configure(DataSources.createMemorySource(fixture), null);
+    await DataHandler.loadAllCounties();
+    assert.deepStrictEqual((await DataHandler.loadCountyLatestPassings('29001')).map(r => r.passings), [400]);
+    assert.strictEqual((await DataHandler.loadProviderHistory('29001')).length, 2);
+    assert.deepStrictEqual(await DataHandler.loadFilingDates(), ['2024-12-31']);
+
+    const snapshot = await DataHandler.loadFilingSnapshot('2024-12-31');
+    assert.strictEqual(snapshot.counties['29001'].fiber.A, 200);
+    assert.strictEqual(snapshot.counties['29003'].cable.B, 300);
+  });
+
+  await test('a failing primary source falls back to the configured fallback', async () => {
+    resetHandler();
+    const broken = Object.assign(DataSources.createMemorySource({}), {
+      fetchStateSummary: async () => { throw new Error('offline'); },
+      fetchStateCounties: async () => { throw new Error('offline'); }
+    });
+    DataSources.configure(broken, DataSources.createMemorySource(fixture));
+    assert.strictEqual(await DataHandler._loadStateSummary(), false);
+    assert.strictEqual(await DataHandler._loadFallbackStateSummary(), true);
+    assert.strictEqual(await DataHandler.loadStateData('KS'), true);
+    assert.strictEqual(DataHandler.getCountyData('20001').name, 'Allen');
+  });
+})();
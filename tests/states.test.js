@@ -0,0 +1,100 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/sources.js');
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/markets.js');
+require('../js/map.js');
+
+const { DataHandler, DataSources, InfoPanel, MapRenderer, MarketManager, ProviderIndex } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, state_code, bsls, served, extra, operators) {
+  return Object.assign({
+    geoid, state_code, name: 'County ' + geoid, total_bsls: bsls, fiber_served: served,
+    fiber_unserved: bsls - served, fiber_penetration: served / bsls, population_2023: bsls * 2, operators
+  }, extra);
+}
+
+const fixture = {
+  files: {},
+  state_summary: [],
+  counties: [
+    county('29001', 'MO', 1000, 400, { cable_coverage_pct: 0.2, fwa_coverage_pct: 0.5, broadband_gap_pct: 0.3, terrain_roughness: 1 },
+      [{ name: 'Metronet', fiber_passings: 300 }, { name: 'AT&T', fiber_passings: 100, dsl_passings: 500 }]),
+    county('29003', 'MO', 3000, 2400, { cable_coverage_pct: 0.6, fwa_coverage_pct: 0.9, broadband_gap_pct: 0.1, terrain_roughness: 3 },
+      [{ name: 'Metronet Holdings', fiber_passings: 2000 }, { name: 'Spectrum', fiber_passings: 0, cable_passings: 1800 }]),
+    county('27001', 'MN', 500, 50, { cable_coverage_pct: 0.1, terrain_roughness: 2 },
+      [{ name: 'AT&T', fiber_passings: 50 }])
+  ]
+};
+
+(async () => {
+  DataSources.configure(DataSources.createMemorySource(fixture), null);
+  await DataHandler.loadAllCounties();
+
+  await test('getStateRecord aggregates a state\'s loaded counties BSL-weighted', () => {
+    const mo = MarketManager.getStateRecord('MO');
+    assert.strictEqual(mo.geoid, 'state:MO');
+    assert.strictEqual(mo.name, 'Missouri');
+    assert.deepStrictEqual(mo.member_fips.sort(), ['29001', '29003']);
+    assert.strictEqual(mo.total_bsls, 4000);
+    assert.strictEqual(mo.fiber_penetration, 0.7);
+    assert.strictEqual(mo.cable_coverage_pct, 0.5);
+    assert.strictEqual(mo.fwa_coverage_pct, 0.8);
+    assert.strictEqual(mo.broadband_gap_pct, 0.15);
+    assert.strictEqual(mo.terrain_roughness, 2.5);
+    assert.ok(Number.isFinite(mo.demo_score));
+    assert.ok(Number.isFinite(mo.attractiveness_index));
+    assert.strictEqual(MarketManager.getStateRecord('TX'), null);
+  });
+
+  await test('state records color through the same layer values as counties', () => {
+    const mo = MarketManager.getStateRecord('MO');
+    assert.strictEqual(MapRenderer._layerValue(mo, 'penetration'), 0.7);
+    assert.strictEqual(MapRenderer._layerValue(mo, 'broadband_gap'), 0.15);
+    assert.strictEqual(MapRenderer._layerValue(mo, 'attractiveness'), mo.attractiveness_index);
+  });
+
+  await test('computeNationalTotals can be restricted to one state', () => {
+    const mo = ProviderIndex.computeNationalTotals('MO');
+    assert.deepStrictEqual(mo['AT&T'], { fiber: 100, cable: 0, dsl: 500, all: 600 });
+    assert.strictEqual(mo.Metronet.fiber, 2300);
+    assert.strictEqual(ProviderIndex.computeNationalTotals()['AT&T'].fiber, 150);
+    assert.deepStrictEqual(ProviderIndex.computeNationalTotals('TX'), {});
+  });
+
+  await test('the state panel lists real fiber operator totals, largest first', () => {
+    const ops = InfoPanel.stateOperatorTotals('MO');
+    assert.deepStrictEqual(ops.map(o => [o.name, o.passings]),
+      [[ProviderIndex.getDisplayName('Metronet'), 2300], [ProviderIndex.getDisplayName('AT&T'), 100]]);
+  });
+
+  await test('only aggregating market layers switch to the state view when zoomed out', () => {
+    const zoom = { value: 4 };
+    MapRenderer._map = { getZoom: () => zoom.value };
+    MapRenderer.currentMode = 'market';
+    MapRenderer.currentLayer = 'cable';
+    assert.strictEqual(MapRenderer._stateViewWanted(), true);
+    zoom.value = 7;
+    assert.strictEqual(MapRenderer._stateViewWanted(), false);
+    zoom.value = 4;
+    MapRenderer.currentLayer = 'bead';
+    assert.strictEqual(MapRenderer._stateViewWanted(), false);
+    MapRenderer.currentLayer = 'penetration';
+    MapRenderer.currentMode = 'provider';
+    assert.strictEqual(MapRenderer._stateViewWanted(), false);
+    MapRenderer._map = null;
+  });
+})();
@@ -0,0 +1,82 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/sources.js');
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/timelapse.js');
+
+const { DataHandler, DataSources, FiberUtils, ProviderIndex, FootprintTimelapse } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, name, operators) {
+  return { geoid, state_code: 'MO', name, total_bsls: 1000, operators };
+}
+
+const fixture = {
+  files: {},
+  state_summary: [],
+  counties: [
+    county('29001', 'Adair', [{ name: 'Metronet', fiber_passings: 700 }]),
+    county('29003', 'Andrew', [{ name: 'Metronet Holdings', fiber_passings: 500 }, { name: 'AT&T', fiber_passings: 50 }]),
+    county('29005', 'Atchison', [])
+  ],
+  provider_passings_history: [
+    { geoid: '29001', brand_name: 'Metronet', technology: 'fiber', passings: 100, filing_date: '2023-12-31' },
+    { geoid: '29001', brand_name: 'Metronet', technology: 'fiber', passings: 300, filing_date: '2024-12-31' },
+    { geoid: '29003', brand_name: 'Metronet Holdings', technology: 'fiber', passings: 200, filing_date: '2024-12-31' },
+    { geoid: '29003', brand_name: 'AT&T', technology: 'fiber', passings: 40, filing_date: '2024-12-31' },
+    { geoid: '29005', brand_name: 'Metronet', technology: 'cable', passings: 90, filing_date: '2022-12-31' },
+    { geoid: '29001', brand_name: 'Metronet', technology: 'fiber', passings: 700, filing_date: '2025-06-30' }
+  ]
+};
+
+(async () => {
+  await test('footprintFromSnapshot sums aliased brands per county', () => {
+    const snapshot = {
+      date: '2024-12-31',
+      counties: {
+        '29001': { fiber: { Metronet: 300 }, cable: { Metronet: 20 } },
+        '29003': { fiber: { 'Metronet Holdings': 200, 'AT&T': 40 } },
+        '29005': { fiber: { 'AT&T': 10 } }
+      },
+      techs: { fiber: true, cable: true }
+    };
+    assert.deepStrictEqual(ProviderIndex.footprintFromSnapshot(snapshot, 'Metronet', 'fiber'), { '29001': 300, '29003': 200 });
+    assert.deepStrictEqual(ProviderIndex.footprintFromSnapshot(snapshot, 'Metronet', 'all'), { '29001': 320, '29003': 200 });
+    assert.deepStrictEqual(ProviderIndex.footprintFromSnapshot(snapshot, 'Metronet', 'cable'), { '29001': 20 });
+  });
+
+  await test('footprintFromSnapshot returns null when the filing has no rows for the tech', () => {
+    const snapshot = { date: '2022-12-31', counties: { '29005': { cable: { Metronet: 90 } } }, techs: { cable: true } };
+    assert.strictEqual(ProviderIndex.footprintFromSnapshot(snapshot, 'Metronet', 'fiber'), null);
+    assert.strictEqual(ProviderIndex.footprintFromSnapshot(null, 'Metronet', 'fiber'), null);
+  });
+
+  await test('buildFrames steps oldest to newest and ends on the current filing', async () => {
+    DataSources.configure(DataSources.createMemorySource(fixture), null);
+    DataHandler._filingSnapshots = {};
+    DataHandler._filingDatesPromise = null;
+    await DataHandler.loadAllCounties();
+
+    const seen = [];
+    const frames = await FootprintTimelapse.buildFrames('Metronet', 'fiber', date => seen.push(date));
+    assert.deepStrictEqual(seen, ['2022-12-31', '2023-12-31', '2024-12-31']);
+    // 2022 only has cable rows, so it is skipped for fiber
+    assert.deepStrictEqual(frames.map(f => f.date), ['2023-12-31', '2024-12-31', FiberUtils.CURRENT_FILING_DATE]);
+    assert.deepStrictEqual(frames.map(f => f.label), ['Dec 2023', 'Dec 2024', 'Jun 2025']);
+    assert.deepStrictEqual(frames.map(f => f.passings), [100, 500, 1200]);
+    assert.deepStrictEqual(frames.map(f => f.counties), [1, 2, 2]);
+    assert.deepStrictEqual(frames[2].footprint, { '29001': 700, '29003': 500 });
+  });
+})();
@@ -0,0 +1,88 @@
+const assert = require('assert');
+
+global.window = global;
+require('../js/sources.js');
+require('../js/data.js');
+require('../js/providers.js');
+require('../js/markets.js');
+require('../js/map.js');
+require('../js/tour.js');
+
+const { DataHandler, DataSources, DeepDiveTour, MapRenderer } = global;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function county(geoid, state_code, name, bsls, served, extra) {
+  return Object.assign({
+    geoid, state_code, name, total_bsls: bsls, fiber_served: served, fiber_penetration: served / bsls, operators: []
+  }, extra);
+}
+
+const fixture = {
+  files: {},
+  state_summary: [],
+  counties: [
+    county('29001', 'MO', 'Adair', 1000, 800, { momentum_class: 'Surging', fiber_growth_pct: 22 }),
+    county('29003', 'MO', 'Andrew', 3000, 600, { momentum_class: 'Steady', fiber_growth_pct: 3.5 }),
+    county('27001', 'MN', 'Aitkin', 1000, 500, { momentum_class: 'Surging', fiber_growth_pct: -1 }),
+    county('27003', 'MN', 'Anoka', 1000, 700, {})
+  ]
+};
+
+(async () => {
+  DataSources.configure(DataSources.createMemorySource(fixture), null);
+  await DataHandler.loadAllCounties();
+
+  await test('normalizeConfig keeps known layers once, in order, with a sane dwell and region', () => {
+    assert.deepStrictEqual(DeepDiveTour.normalizeConfig(null),
+      { layers: DeepDiveTour.TOUR_LAYERS, dwellMs: 3000, region: null });
+    assert.deepStrictEqual(DeepDiveTour.normalizeConfig({
+      layers: ['terrain', 'bogus', 'attractiveness', 'terrain'], dwellMs: 8000, region: { state: 'MO' }
+    }), { layers: ['terrain', 'attractiveness'], dwellMs: 8000, region: { state: 'MO' } });
+    assert.strictEqual(DeepDiveTour.normalizeConfig({ dwellMs: 10 }).dwellMs, 3000);
+    assert.strictEqual(DeepDiveTour.normalizeConfig({ dwellMs: 1e9 }).dwellMs, 120000);
+    assert.strictEqual(DeepDiveTour.normalizeConfig({ region: { state: 'ZZ' } }).region, null);
+    assert.deepStrictEqual(DeepDiveTour.normalizeConfig({ region: { bounds: [[36, -95], [40, -90]] } }).region,
+      { bounds: [[36, -95], [40, -90]] });
+    assert.deepStrictEqual(DeepDiveTour.normalizeConfig({ layers: [] }).layers, []);
+  });
+
+  await test('captions name the highest counties, the region average and the strongest state', () => {
+    const caption = DeepDiveTour.captionFor('penetration', null);
+    assert.strictEqual(caption.title, 'Fiber Penetration');
+    assert.deepStrictEqual(caption.lines, [
+      'Highest: Adair, MO (80%), Anoka, MN (70%), Aitkin, MN (50%)',
+      'All loaded states average: 43%',
+      'Highest state average: Minnesota (60%)'
+    ]);
+  });
+
+  await test('a state region narrows the caption to that state', () => {
+    const caption = DeepDiveTour.captionFor('penetration', { state: 'MO' });
+    assert.deepStrictEqual(caption.lines, ['Highest: Adair, MO (80%), Andrew, MO (20%)', 'Missouri average: 35%']);
+  });
+
+  await test('momentum captions count classes and list the fastest growers', () => {
+    const caption = DeepDiveTour.buildCaption('momentum', DataHandler.getAllLoadedCounties(), 'All loaded states');
+    assert.deepStrictEqual(caption.lines, [
+      'Counties by momentum: Surging 2 · Steady 1',
+      'Fastest growth: Adair, MO (+22.0%), Andrew, MO (+3.5%), Aitkin, MN (-1.0%)'
+    ]);
+    assert.deepStrictEqual(DeepDiveTour.buildCaption('cable', [], 'Missouri').lines,
+      ['No loaded counties have data for this layer.']);
+  });
+
+  await test('a tour with no layers does not start', () => {
+    assert.strictEqual(MapRenderer.startDeepDive({ layers: [], dwellMs: 3000, region: null }), false);
+    assert.strictEqual(MapRenderer._deepDiveActive, false);
+  });
+})();
@@ -1,8 +1,10 @@
 const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
 
 require('../js/data.js');
 
-const { DataHandler, FiberUtils, ColorScales, NYC_BOROUGHS } = global;
+const { DataHandler, FiberUtils, ColorScales } = global;
 
 function test(name, fn) {
   try {
@@ -67,12 +69,71 @@ test('ColorScales returns expected colors and legends', () => {
   assert.ok(Array.isArray(ColorScales.getLegend('penetration')));
 });
 
-test('NYC_BOROUGHS contains the five borough FIPS codes', () => {
-  ['36005', '36047', '36061', '36081', '36085'].forEach((fips) => {
-    assert.strictEqual(NYC_BOROUGHS.has(fips), true);
+test('tercileBreaks splits values into three equal-count classes', () => {
+  const breaks = ColorScales.tercileBreaks([9, 1, 5, 3, NaN, 7, 2, 8, 4, 6]);
+  assert.deepStrictEqual(breaks, [3, 6]);
+  assert.deepStrictEqual([1, 3, 4, 6, 7, 9].map(v => ColorScales.tercileClass(v, breaks)), [0, 0, 1, 1, 2, 2]);
+  assert.deepStrictEqual(ColorScales.tercileBreaks([1, 2, 3]), [1, 2]);
+  assert.strictEqual(ColorScales.tercileBreaks([null, NaN]), null);
+});
+
+test('getBivariateColor picks the palette cell for both classes', () => {
+  const b = [1, 2];
+  assert.strictEqual(ColorScales.getBivariateColor(0, 3, b, b), ColorScales.bivariatePalette[2][0]);
+  assert.strictEqual(ColorScales.getBivariateColor(3, 0, b, b), ColorScales.bivariatePalette[0][2]);
+  assert.strictEqual(ColorScales.getBivariateColor(null, 3, b, b), '#1e293b');
+  assert.strictEqual(ColorScales.bivariatePalette.length, 3);
+  ColorScales.bivariatePalette.forEach(row => assert.strictEqual(row.length, 3));
+});
+
+test('quantile, equal-interval and Jenks breaks classify sorted values', () => {
+  const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  assert.deepStrictEqual(ColorScales.quantileBreaks(values, 5), [2, 4, 6, 8, 10]);
+  assert.deepStrictEqual(ColorScales.equalIntervalBreaks([0, 5, 10], 5), [2, 4, 6, 8, 10]);
+  assert.deepStrictEqual(ColorScales.jenksBreaks([1, 2, 3, 10, 11, 12, 50, 51, 52], 3), [3, 12, 52]);
+  assert.deepStrictEqual(ColorScales.jenksBreaks([4, 8], 5), [4, 8]);
+});
+
+test('setClassification feeds getColor and getLegend until reset to fixed', () => {
+  const values = [0.01, 0.02, 0.03, 0.04, 0.05, 0.06, 0.07, 0.08, 0.09, 0.1];
+  const legend = ColorScales.setClassification('penetration', 'quantile', values, v => Math.round(v * 100) + '%');
+  assert.strictEqual(ColorScales.getClassification('penetration'), 'quantile');
+  assert.strictEqual(ColorScales.getLegend('penetration'), legend);
+  assert.deepStrictEqual(legend.map(l => l.label), ['\u22642%', '2%\u20134%', '4%\u20136%', '6%\u20138%', '>8%']);
+  assert.strictEqual(ColorScales.getColor('penetration', 0.02), '#dc2626');
+  assert.strictEqual(ColorScales.getColor('penetration', 0.1), '#15803d');
+
+  // Ties collapse classes but keep both ends of the ramp
+  const tied = ColorScales.setClassification('penetration', 'quantile', [0.5, 0.5, 0.5, 0.9]);
+  assert.deepStrictEqual(tied.map(l => l.color), ['#dc2626', '#15803d']);
+
+  ColorScales.setClassification('penetration', 'fixed');
+  assert.strictEqual(ColorScales.getClassification('penetration'), 'fixed');
+  assert.strictEqual(ColorScales.getColor('penetration', 0.1), '#dc2626');
+  assert.strictEqual(ColorScales.setClassification('penetration', 'quantile', [NaN]), null);
+});
+
+test('continuous classification blends between ramp stops', () => {
+  ColorScales.setClassification('penetration', 'continuous', [0, 1]);
+  assert.strictEqual(ColorScales.getColor('penetration', 0), '#dc2626');
+  assert.strictEqual(ColorScales.getColor('penetration', 0.25), '#f97316');
+  assert.strictEqual(ColorScales.getColor('penetration', 0.125), ColorScales._mixHex('#dc2626', '#f97316', 0.5));
+  assert.strictEqual(ColorScales.getColor('penetration', 1), '#15803d');
+  ColorScales.setClassification('penetration', 'fixed');
+});
+
+test('CBSA membership maps counties to their metro', () => {
+  const file = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'cbsa-membership.json'), 'utf8'));
+  DataHandler._indexCbsas(file);
+  ['36005', '36047', '36061', '36081', '36085', '34017'].forEach((fips) => {
+    assert.strictEqual(DataHandler.getCountyCbsa(fips).code, '35620');
   });
-  assert.strictEqual(NYC_BOROUGHS.has('36001'), false);
-  assert.strictEqual(Object.isFrozen(NYC_BOROUGHS), true);
+  assert.strictEqual(DataHandler.getCountyCbsa('29510').name, 'St. Louis, MO-IL');
+  assert.strictEqual(DataHandler.getCountyCbsa('20091').code, '28140');
+  assert.strictEqual(DataHandler.getCountyCbsa('36001'), null);
+  assert.strictEqual(DataHandler.getCbsa('41180').type, 'metro');
+  DataHandler._indexCbsas(null);
+  assert.strictEqual(DataHandler.getCountyCbsa('29510'), null);
 });
 
 test('local county fallback stores FIPS-keyed data with state codes', () => {
@@ -93,3 +154,128 @@ test('local county fallback stores FIPS-keyed data with state codes', () => {
   assert.strictEqual(county.state_code, 'ZZ');
   assert.strictEqual(Number.isFinite(county.attractiveness_index), true);
 });
+
+test('recomputeAttractiveness applies custom weights relative to their group', () => {
+  const base = {
+    fiber_penetration: 0.2,
+    fiber_unserved: 5000,
+    median_hhi: 90000,
+    housing_density: 1,
+    pop_growth_pct: -5,
+    wfh_pct: 0
+  };
+  const balanced = Object.assign({}, base);
+  FiberUtils.recomputeAttractiveness(balanced);
+  assert.strictEqual(balanced.demo_score, 0.35);
+
+  // Only income counts → demo = income sub-score regardless of the absolute weight
+  const incomeOnly = Object.assign({}, base);
+  FiberUtils.recomputeAttractiveness(incomeOnly, { income: 3, density: 0, growth: 0, wfh: 0 });
+  assert.strictEqual(incomeOnly.demo_score, 1);
+  assert.strictEqual(incomeOnly.score_components.income, 1);
+  assert.ok(incomeOnly.attractiveness_index > balanced.attractiveness_index);
+});
+
+test('normalizeScoreWeights fills defaults and clamps negatives', () => {
+  const w = FiberUtils.normalizeScoreWeights({ income: -1, density: 'x' });
+  assert.strictEqual(w.income, 0);
+  assert.strictEqual(w.density, FiberUtils.DEFAULT_SCORE_WEIGHTS.density);
+  assert.strictEqual(Object.isFrozen(w), true);
+});
+
+test('setScoreWeights re-scores loaded counties in place', () => {
+  const county = DataHandler.getCountyData('99001');
+  const before = county.attractiveness_index;
+  DataHandler.setScoreWeights({ demo: 0, opportunity: 1 });
+  assert.notStrictEqual(county.attractiveness_index, before);
+  assert.strictEqual(county.attractiveness_index, Math.round(county.opportunity_score * 1000) / 1000);
+  DataHandler.setScoreWeights(FiberUtils.DEFAULT_SCORE_WEIGHTS);
+  assert.strictEqual(county.attractiveness_index, before);
+});
+
+test('percentileRanks uses mid-ranks for ties', () => {
+  assert.deepStrictEqual(FiberUtils.percentileRanks([10, 30, 20]), [0, 1, 0.5]);
+  assert.deepStrictEqual(FiberUtils.percentileRanks([5, 5, 9]), [0.25, 0.25, 1]);
+  assert.deepStrictEqual(FiberUtils.percentileRanks([7]), [0.5]);
+});
+
+test('percentile mode separates counties beyond the unserved cap within peers', () => {
+  const make = (geoid, unserved, rucc) => ({
+    geoid, state_code: 'ZZ', rucc_code: rucc, fiber_penetration: 0.5, fiber_unserved: unserved,
+    median_hhi: 60000, housing_density: 50, pop_growth_pct: 0, wfh_pct: 10
+  });
+  const big = make('1', 80000, 1);
+  const bigger = make('2', 120000, 1);
+  const rural = make('3', 1000, 9);
+  [big, bigger, rural].forEach((c) => FiberUtils.recomputeAttractiveness(c));
+  assert.strictEqual(big.attractiveness_index, bigger.attractiveness_index);
+
+  FiberUtils.applyPercentileScores([big, bigger, rural], 'all');
+  assert.ok(bigger.attractiveness_index > big.attractiveness_index);
+  assert.strictEqual(rural.score_components.unserved, 0);
+
+  // Alone in its RUCC class, the rural county sits at the middle of its peers
+  FiberUtils.applyPercentileScores([big, bigger, rural], 'rucc');
+  assert.strictEqual(rural.score_components.unserved, 0.5);
+  assert.strictEqual(bigger.score_components.unserved, 1);
+});
+
+test('setScoreMode switches loaded counties between fixed and percentile scores', () => {
+  const county = DataHandler.getCountyData('99001');
+  const fixed = county.attractiveness_index;
+  DataHandler.setScoreMode('percentile', 'state');
+  assert.deepStrictEqual(DataHandler.getScoreMode(), { mode: 'percentile', universe: 'state' });
+  assert.strictEqual(county.score_components.unserved, 0.5);
+  DataHandler.setScoreMode('fixed', 'all');
+  assert.strictEqual(county.attractiveness_index, fixed);
+});
+
+test('formatFilingDate labels BDC filing dates without timezone drift', () => {
+  assert.strictEqual(FiberUtils.formatFilingDate('2024-12-31'), 'Dec 2024');
+  assert.strictEqual(FiberUtils.formatFilingDate('2025-06-30'), 'Jun 2025');
+});
+
+test('applyFilingSnapshot rebuilds supply fields from history and restores current values', () => {
+  const county = {
+    geoid: '99010', total_bsls: 1000, fiber_served: 600, cable_served: 500, cable_coverage_pct: 0.5,
+    operators: [
+      { name: 'A', passings: 500, fiber_passings: 500, cable_passings: 0, dsl_passings: 0 },
+      { name: 'B', passings: 250, fiber_passings: 250, cable_passings: 0, dsl_passings: 0 }
+    ],
+    cable_operators: [{ name: 'C', passings: 500 }], cable_operator_count: 1,
+    competitive_intensity: 2, wireline_providers: ['A', 'B'], median_hhi: 60000, housing_density: 50
+  };
+  FiberUtils.recomputeAttractiveness(county);
+  const currentScore = county.attractiveness_index;
+
+  const snapshot = FiberUtils.aggregateFilingRows({ date: '2023-06-30', counties: {}, techs: {} }, [
+    { geoid: '99010', brand_name: 'A', technology: 'fiber', passings: 250 },
+    { geoid: '99010', brand_name: 'C', technology: 'cable', passings: 250 },
+    { geoid: '99999', brand_name: 'Z', technology: 'fiber', passings: 10 }
+  ]);
+  FiberUtils.applyFilingSnapshot(county, snapshot);
+  FiberUtils.recomputeAttractiveness(county);
+
+  // 750 summed → 600 distinct today (0.8 overlap), so 250 summed → 200 served
+  assert.strictEqual(county.fiber_served, 200);
+  assert.strictEqual(county.fiber_penetration, 0.2);
+  // Operators merge every brand across techs, fiber passings first (as the pipeline does)
+  assert.deepStrictEqual(county.operators.map((op) => op.name), ['A', 'C']);
+  assert.strictEqual(county.operators[1].cable_passings, 250);
+  assert.strictEqual(county.competitive_intensity, 1);
+  assert.deepStrictEqual(county.wireline_providers, ['A']);
+  assert.strictEqual(county.cable_served, 250);
+  assert.strictEqual(county.cable_coverage_pct, 0.25);
+  assert.ok(county.attractiveness_index > currentScore);
+
+  const row = FiberUtils.currentFilingRow(county);
+  assert.strictEqual(row.fiber_served, 600);
+  assert.strictEqual(row._currentFiling, undefined);
+
+  FiberUtils.restoreCurrentFiling(county);
+  FiberUtils.recomputeAttractiveness(county);
+  assert.strictEqual(county.fiber_served, 600);
+  assert.strictEqual(county.operators.length, 2);
+  assert.deepStrictEqual(county.wireline_providers, ['A', 'B']);
+  assert.strictEqual(county.attractiveness_index, currentScore);
+});
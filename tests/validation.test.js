@@ -0,0 +1,105 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+require('../js/validation.js');
+require('../js/data.js');
+
+const { DataValidator, DataHandler } = global;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+const moData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'mo-unified-data.json'), 'utf8'));
+const adair = () => Object.assign(JSON.parse(JSON.stringify(moData['29001'])), { state_code: 'MO' });
+
+function codes(county) {
+  return DataValidator.validateCounty(county).map(x => x.field + ':' + x.code);
+}
+
+test('published Missouri rows satisfy the contract', () => {
+  const rows = Object.keys(moData).map(fips => Object.assign({ state_code: 'MO' }, moData[fips]));
+  const report = DataValidator.validateCounties(rows);
+  assert.strictEqual(report.total, 115);
+  assert.deepStrictEqual(report.offenders.map(o => [o.geoid, o.issues.map(x => x.message)]), []);
+  assert.strictEqual(report.states[0].coverage, 1);
+});
+
+test('validateCounty flags types, ranges, nulls and missing fields', () => {
+  const c = adair();
+  c.fiber_penetration = 1.4;
+  c.rucc_code = 7.5;
+  c.median_hhi = null;
+  c.is_metro_county = 'no';
+  delete c.wfh_pct;
+  const found = codes(c);
+  ['fiber_penetration:range', 'rucc_code:type', 'median_hhi:null', 'is_metro_county:type', 'wfh_pct:missing']
+    .forEach(code => assert.ok(found.includes(code), code + ' in ' + found.join(', ')));
+});
+
+test('pending and absent contract fields are not issues', () => {
+  const c = adair();
+  c.momentum_class = null;
+  delete c.fiber_bsls_v5;
+  delete c.cable_operators;
+  assert.deepStrictEqual(codes(c), []);
+});
+
+test('operator arrays must hold named entries with non-negative passings', () => {
+  const c = adair();
+  c.operators = [{ name: 'A', passings: 10 }, { name: '', passings: 5 }];
+  assert.deepStrictEqual(codes(c), ['operators:shape']);
+  c.operators = [{ name: 'A', passings: -1 }];
+  assert.deepStrictEqual(codes(c), ['operators:shape']);
+  c.operators = { name: 'A' };
+  assert.deepStrictEqual(codes(c), ['operators:shape']);
+  c.operators = [];
+  c.wireline_providers = ['A', 3];
+  assert.deepStrictEqual(codes(c), ['wireline_providers:shape']);
+});
+
+test('served counts must not exceed total_bsls and derived fields must agree', () => {
+  const c = adair();
+  c.fiber_served = c.total_bsls + 10;
+  const found = codes(c);
+  assert.ok(found.includes('fiber_served:consistency'));
+  assert.ok(found.includes('fiber_unserved:consistency'));
+  assert.ok(found.includes('fiber_penetration:consistency'));
+
+  const ok = adair();
+  ok.fiber_unserved += 1;
+  assert.deepStrictEqual(codes(ok), []);
+});
+
+test('validateCounties reports per-state coverage and the weakest field', () => {
+  const good = adair();
+  const bad = Object.assign(adair(), { geoid: '29003', median_rent: null });
+  const ks = Object.assign(adair(), { geoid: '20001', state_code: 'KS' });
+  const report = DataValidator.validateCounties([good, bad, ks]);
+  assert.deepStrictEqual([report.total, report.clean], [3, 2]);
+  assert.deepStrictEqual(report.states.map(s => s.state_code), ['KS', 'MO']);
+  const mo = report.states[1];
+  assert.deepStrictEqual([mo.counties, mo.clean, mo.weakest], [2, 1, 'median_rent']);
+  assert.strictEqual(mo.fields.median_rent, 0.5);
+  assert.ok(mo.coverage < 1 && mo.coverage > 0.98);
+  assert.deepStrictEqual(report.offenders.map(o => o.geoid), ['29003']);
+  assert.deepStrictEqual(report.issueCounts, { median_rent: 1 });
+});
+
+test('DataHandler.validateLoadedCounties checks loaded rows at their current filing values', () => {
+  const county = adair();
+  DataHandler._stateCountyData = { MO: { '29001': county } };
+  county._currentFiling = { fiber_served: county.fiber_served };
+  county.fiber_served = county.total_bsls * 2;
+  const report = DataHandler.validateLoadedCounties();
+  assert.deepStrictEqual([report.total, report.clean], [1, 1]);
+  DataHandler._stateCountyData = {};
+});